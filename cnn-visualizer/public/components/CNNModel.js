@@ -1,4 +1,14 @@
 import * as tf from '@tensorflow/tfjs';
+import * as modelLibrary from '../services/modelLibrary';
+import ModelGraph from '../utils/ModelGraph';
+import LayerAnalysis from '../utils/LayerAnalysis';
+import ReceptiveField from '../utils/ReceptiveField';
+import GraphModelAdapter from '../utils/GraphModelAdapter';
+import ImagePreprocessor from '../utils/ImagePreprocessor';
+import PredictionHelper from '../utils/PredictionHelper';
+
+// Prefix for model ids that refer to entries in the IndexedDB model library
+export const LIBRARY_MODEL_PREFIX = 'library:';
 
 class CNNModel {
     constructor(modelPath) {
@@ -6,6 +16,8 @@ class CNNModel {
         this.model = null;
         this.tfModel = null;
         this.modelType = 'custom';
+        this.libraryId = null; // Set once the model is stored in the model library
+        this.graphAdapter = null; // Layer-like access to tfModel when it is a graph model
         
         // Updated model URLs with more reliable endpoints
         this.availableModels = {
@@ -53,6 +65,11 @@ class CNNModel {
                 return this.model;
             }
             
+            // Models previously saved to the IndexedDB model library
+            if (modelType.startsWith(LIBRARY_MODEL_PREFIX)) {
+                return await this.loadFromLibrary(modelType.slice(LIBRARY_MODEL_PREFIX.length));
+            }
+            
             // Load the local model file directly first to avoid network issues
             if (modelType === 'custom' || modelType === 'local') {
                 try {
@@ -68,7 +85,7 @@ class CNNModel {
                     
                     // Ensure it has the expected structure
                     if (modelData && modelData.model && Array.isArray(modelData.model.layers)) {
-                        this.model = modelData;
+                        this.model = this.finalizeDescription(modelData);
                         this.modelType = 'custom';
                         this.modelName = modelData.model.name || 'Custom CNN';
                         this.log(`Local model loaded with ${modelData.model.layers.length} layers`);
@@ -104,6 +121,21 @@ class CNNModel {
                     this.modelName = 'Custom CNN';
             }
             
+            // Prefer a cached copy from the model library so we don't re-download
+            // the model every session and can start while offline
+            const cachedEntry = await this.findLibraryModel(modelType);
+            if (cachedEntry) {
+                try {
+                    this.log(`Loading ${this.modelName} from the model library`);
+                    await this.loadFromLibrary(modelType);
+                    if (this.validateModelStructure(this.model)) {
+                        return this.model;
+                    }
+                } catch (cacheError) {
+                    this.log(`Error loading cached model, downloading instead: ${cacheError.message}`);
+                }
+            }
+            
             // Try multiple approaches to load the model
             this.log(`Loading model from: ${modelUrl}`);
             
@@ -143,8 +175,11 @@ class CNNModel {
                 this.model = this.createEmbeddedModel();
                 this.modelType = 'embedded';
                 this.modelName += ' (Fallback)';
+                return this.model;
             }
             
+            await this.trySaveToLibrary(modelType);
+            
             return this.model;
             
         } catch (error) {
@@ -158,7 +193,268 @@ class CNNModel {
             return this.model;
         }
     }
-    
+
+    // Load a user-supplied TF.js model from local files (model.json + .bin weight shards).
+    // Unlike loadModel, this never falls back to the embedded model: problems are thrown
+    // as an Error whose `fileErrors` array lists a message for each offending file.
+    async loadModelFromFiles(files) {
+        const fileList = Array.from(files || []);
+        this.log(`Loading model from ${fileList.length} local file(s)`);
+
+        const { jsonFile, weightFiles, modelJson } = await this.validateModelFiles(fileList);
+        const ioHandler = tf.io.browserFiles([jsonFile, ...weightFiles]);
+
+        let tfModel;
+        try {
+            this.log("Attempting to load local files with tf.loadLayersModel");
+            tfModel = await tf.loadLayersModel(ioHandler);
+        } catch (error1) {
+            this.log(`Error loading with tf.loadLayersModel: ${error1.message}`);
+
+            try {
+                this.log("Attempting to load local files with tf.loadGraphModel");
+                tfModel = await tf.loadGraphModel(ioHandler);
+            } catch (error2) {
+                this.log(`Error loading with tf.loadGraphModel: ${error2.message}`);
+                throw this.createFileError([{ file: jsonFile.name, message: error2.message }]);
+            }
+        }
+
+        const topology = modelJson.modelTopology || {};
+        const topologyName = topology.config && topology.config.name;
+
+        this.tfModel = tfModel;
+        this.modelType = 'uploaded';
+        this.modelName = topologyName || jsonFile.name.replace(/\.json$/i, '') || 'Uploaded Model';
+        this.model = this.createModelDescription(this.tfModel);
+        this.logModelStructure();
+
+        if (!this.validateModelStructure(this.model)) {
+            throw this.createFileError([{
+                file: jsonFile.name,
+                message: 'Model loaded but its layers could not be described for visualization'
+            }]);
+        }
+
+        await this.trySaveToLibrary(await this.getUploadLibraryId([jsonFile, ...weightFiles]));
+
+        return this.model;
+    }
+
+    // Persist the loaded tfModel to the IndexedDB model library under the given id
+    async saveToLibrary(id = this.modelType) {
+        if (!this.tfModel) {
+            throw new Error('No TensorFlow.js model is loaded, nothing to save');
+        }
+        
+        const entry = await modelLibrary.saveModelToLibrary(this.tfModel, {
+            id,
+            name: this.modelName,
+            modelType: this.modelType,
+            layerCount: this.getLayers().length
+        });
+        this.libraryId = id;
+        this.log(`Saved ${this.modelName} to the model library as "${id}"`);
+        return entry;
+    }
+
+    // Library id of an uploaded model: its name plus a short hash of the files, so uploads
+    // that happen to share a name don't overwrite each other while re-uploading the same
+    // files reuses their entry
+    async getUploadLibraryId(files) {
+        const slug = this.modelName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'model';
+        let suffix;
+        try {
+            const buffers = await Promise.all(files.map(file => file.arrayBuffer()));
+            const bytes = new Uint8Array(buffers.reduce((total, buffer) => total + buffer.byteLength, 0));
+            let offset = 0;
+            buffers.forEach(buffer => {
+                bytes.set(new Uint8Array(buffer), offset);
+                offset += buffer.byteLength;
+            });
+            const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+            suffix = Array.from(digest.slice(0, 4), byte => byte.toString(16).padStart(2, '0')).join('');
+        } catch (error) {
+            // crypto.subtle only exists in secure contexts; fall back to the upload time
+            suffix = Date.now().toString(36);
+        }
+        return `uploaded-${slug}-${suffix}`;
+    }
+
+    // Caching is best-effort: a full quota or private browsing must not break loading
+    async trySaveToLibrary(id) {
+        try {
+            await this.saveToLibrary(id);
+        } catch (error) {
+            this.log(`Could not save model to the library: ${error.message}`);
+        }
+    }
+
+    async loadFromLibrary(id) {
+        const { tfModel, entry } = await modelLibrary.loadModelFromLibrary(id);
+        
+        this.tfModel = tfModel;
+        this.modelType = entry.modelType;
+        this.modelName = entry.name;
+        this.libraryId = entry.id;
+        this.model = this.createModelDescription(this.tfModel);
+        this.log(`Loaded ${entry.name} from the model library`);
+        
+        return this.model;
+    }
+
+    // List library entries ({ id, name, sizeBytes, layerCount, loadedAt, ... }),
+    // most recently used first. Returns an empty list if IndexedDB is unavailable.
+    async listLibraryModels() {
+        try {
+            return await modelLibrary.listLibraryModels();
+        } catch (error) {
+            this.log(`Could not read the model library: ${error.message}`);
+            return [];
+        }
+    }
+
+    async findLibraryModel(id) {
+        try {
+            return await modelLibrary.getLibraryModel(id);
+        } catch (error) {
+            this.log(`Could not read the model library: ${error.message}`);
+            return null;
+        }
+    }
+
+    async removeFromLibrary(id) {
+        await modelLibrary.removeModelFromLibrary(id);
+        this.log(`Removed "${id}" from the model library`);
+    }
+
+    // Check that the selected files form a complete model: exactly one model.json and
+    // one file for every weight shard its manifest references, with matching byte sizes
+    async validateModelFiles(fileList) {
+        const fileErrors = [];
+        const jsonFiles = fileList.filter(file => /\.json$/i.test(file.name));
+        const weightFiles = fileList.filter(file => !/\.json$/i.test(file.name));
+
+        if (jsonFiles.length === 0) {
+            throw this.createFileError([{ file: null, message: 'No model.json file was selected' }]);
+        }
+
+        let jsonFile = jsonFiles[0];
+        if (jsonFiles.length > 1) {
+            jsonFile = jsonFiles.find(file => file.name === 'model.json');
+            if (!jsonFile) {
+                throw this.createFileError(jsonFiles.map(file => ({
+                    file: file.name,
+                    message: 'Multiple .json files selected; name the model topology file model.json'
+                })));
+            }
+            jsonFiles.filter(file => file !== jsonFile).forEach(file => {
+                fileErrors.push({ file: file.name, message: 'Extra .json file; only model.json is used' });
+            });
+        }
+
+        let modelJson;
+        try {
+            modelJson = JSON.parse(await jsonFile.text());
+        } catch (parseError) {
+            throw this.createFileError([{ file: jsonFile.name, message: `Invalid JSON: ${parseError.message}` }]);
+        }
+
+        if (!modelJson || !modelJson.modelTopology) {
+            fileErrors.push({ file: jsonFile.name, message: 'Missing "modelTopology"; is this a TF.js model.json?' });
+        }
+        if (!Array.isArray(modelJson && modelJson.weightsManifest)) {
+            fileErrors.push({ file: jsonFile.name, message: 'Missing "weightsManifest"; weights cannot be located' });
+            throw this.createFileError(fileErrors);
+        }
+
+        const filesByName = {};
+        weightFiles.forEach(file => {
+            filesByName[file.name] = file;
+        });
+
+        const referencedNames = new Set();
+        modelJson.weightsManifest.forEach((group, groupIndex) => {
+            const paths = group.paths || [];
+            const groupFiles = [];
+
+            paths.forEach(path => {
+                const shardName = path.split('/').pop();
+                referencedNames.add(shardName);
+
+                if (filesByName[shardName]) {
+                    groupFiles.push(filesByName[shardName]);
+                } else {
+                    fileErrors.push({ file: shardName, message: 'Weight shard referenced by model.json was not selected' });
+                }
+            });
+
+            // Shard sizes can only be compared once every shard of the group is present
+            const expectedBytes = this.getWeightGroupByteSize(group.weights || []);
+            if (groupFiles.length === paths.length && expectedBytes !== null) {
+                const actualBytes = groupFiles.reduce((sum, file) => sum + file.size, 0);
+                if (actualBytes !== expectedBytes) {
+                    groupFiles.forEach(file => {
+                        fileErrors.push({
+                            file: file.name,
+                            message: `Weight group ${groupIndex} expects ${expectedBytes} bytes but its shards contain ${actualBytes}`
+                        });
+                    });
+                }
+            }
+        });
+
+        weightFiles.forEach(file => {
+            if (!referencedNames.has(file.name)) {
+                fileErrors.push({ file: file.name, message: 'File is not referenced by the weightsManifest in model.json' });
+            }
+        });
+
+        if (fileErrors.length > 0) {
+            throw this.createFileError(fileErrors);
+        }
+
+        // tf.io.browserFiles expects the shards in manifest order after the JSON file
+        const orderedWeightFiles = modelJson.weightsManifest
+            .flatMap(group => (group.paths || []).map(path => filesByName[path.split('/').pop()]));
+
+        return { jsonFile, weightFiles: orderedWeightFiles, modelJson };
+    }
+
+    // Total bytes a weight group occupies on disk, or null if it can't be known up front
+    getWeightGroupByteSize(weightSpecs) {
+        const bytesPerElement = {
+            float32: 4,
+            int32: 4,
+            bool: 1,
+            complex64: 8,
+            uint8: 1,
+            uint16: 2,
+            float16: 2
+        };
+
+        let total = 0;
+        for (const spec of weightSpecs) {
+            const dtype = spec.quantization ? spec.quantization.dtype : spec.dtype;
+            if (!bytesPerElement[dtype]) {
+                return null; // e.g. string weights have variable length
+            }
+            const size = (spec.shape || []).reduce((product, dim) => product * dim, 1);
+            total += size * bytesPerElement[dtype];
+        }
+        return total;
+    }
+
+    createFileError(fileErrors) {
+        const error = new Error(
+            fileErrors.length === 1
+                ? fileErrors[0].message
+                : `Found ${fileErrors.length} problems with the selected model files`
+        );
+        error.fileErrors = fileErrors;
+        return error;
+    }
+
     // Debug helper to log model structure
     logModelStructure() {
         if (!this.model) return;
@@ -187,7 +483,7 @@ class CNNModel {
         this.log("Creating embedded model");
         
         // Define the exact format expected by the visualizer
-        return {
+        return this.finalizeDescription({
             model: {
                 name: "Simple CNN Model",
                 version: "1.0",
@@ -252,14 +548,14 @@ class CNNModel {
                     }
                 ]
             }
-        };
+        });
     }
 
     createMobileNetV2Model() {
         this.log("Creating MobileNetV2 model");
         
         // Define the exact format expected by the visualizer
-        return {
+        return this.finalizeDescription({
             model: {
                 name: "MobileNetV2",
                 version: "1.0",
@@ -270,6 +566,7 @@ class CNNModel {
                         filters: 32,
                         kernel_size: [3, 3],
                         strides: [2, 2],
+                        padding: "same",
                         activation: "relu6",
                         input_shape: [224, 224, 3]
                     },
@@ -402,7 +699,9 @@ class CNNModel {
                     },
                     {
                         type: "add",
-                        name: "block_2_add"
+                        name: "block_2_add",
+                        // Residual: block input (block_1 output) + block_2 projection
+                        inbound: ["block_1_project_BN", "block_2_project_BN"]
                     },
                     
                     // Block 4 - no skip connection (stride 2)
@@ -500,7 +799,8 @@ class CNNModel {
                     },
                     {
                         type: "add",
-                        name: "block_4_add"
+                        name: "block_4_add",
+                        inbound: ["block_3_project_BN", "block_4_project_BN"]
                     },
                     
                     // Final layers
@@ -510,13 +810,16 @@ class CNNModel {
                         filters: 1280,
                         kernel_size: [1, 1],
                         strides: [1, 1],
+                        padding: "same",
                         activation: "relu6"
                     },
                     {
                         type: "pooling2d",
                         name: "global_pool",
                         pool_size: [7, 7],
-                        pool_type: "avg"
+                        pool_type: "avg",
+                        global: true,
+                        keep_dims: true
                     },
                     {
                         type: "conv2d",
@@ -537,7 +840,7 @@ class CNNModel {
                     }
                 ]
             }
-        };
+        });
     }
 
     // Helper for logging
@@ -558,8 +861,13 @@ class CNNModel {
         };
         
         try {
-            // Process each layer and extract relevant information
-            if (tfModel && tfModel.layers) {
+            // Graph models have no layers; describe the nodes of their execution graph instead
+            if (GraphModelAdapter.isGraphModel(tfModel)) {
+                const graphAdapter = tfModel === this.tfModel ? this.getGraphAdapter() : new GraphModelAdapter(tfModel);
+                modelDescription.layers = graphAdapter.describeNodes();
+                this.log(`Described ${modelDescription.layers.length} nodes of the graph model`);
+            } else if (tfModel && tfModel.layers) {
+                // Process each layer and extract relevant information
                 this.log(`Processing ${tfModel.layers.length} layers`);
                 modelDescription.layers = tfModel.layers.map((layer, index) => {
                     try {
@@ -583,6 +891,10 @@ class CNNModel {
                         const layerInfo = {
                             type: this.normalizeLayerType(type),
                             name: layer.name || `layer_${index}`,
+                            // Real graph edges, so branches and merges survive
+                            inbound: ModelGraph.getTfLayerInbound(layer),
+                            // Shapes and weight counts as TF.js reports them
+                            ...this.getTfLayerStats(layer)
                         };
                         
                         // Add specific properties based on layer type
@@ -590,17 +902,25 @@ class CNNModel {
                             layerInfo.filters = config.filters || 0;
                             layerInfo.kernel_size = config.kernelSize || [3, 3];
                             layerInfo.strides = config.strides || [1, 1];
+                            layerInfo.padding = config.padding || 'valid';
+                            layerInfo.dilation_rate = config.dilationRate || [1, 1];
+                            layerInfo.use_bias = config.useBias !== false;
                             layerInfo.activation = config.activation || '';
                             
                             if (type.includes('depthwise')) {
                                 layerInfo.type = 'depthwiseconv2d';
+                                layerInfo.depth_multiplier = config.depthMultiplier || 1;
                             }
                         } else if (type.includes('dense')) {
                             layerInfo.units = config.units || 0;
+                            layerInfo.use_bias = config.useBias !== false;
                             layerInfo.activation = config.activation || '';
                         } else if (type.includes('pooling')) {
                             layerInfo.pool_size = config.poolSize || [2, 2];
-                            layerInfo.strides = config.strides || [2, 2];
+                            layerInfo.strides = config.strides || layerInfo.pool_size;
+                            layerInfo.padding = config.padding || 'valid';
+                            layerInfo.global = type.includes('global');
+                            layerInfo.keep_dims = config.keepDims === true;
                             
                             if (type.includes('max')) {
                                 layerInfo.type = 'maxpooling2d';
@@ -609,10 +929,15 @@ class CNNModel {
                             }
                         } else if (type.includes('batch')) {
                             layerInfo.type = 'batchnorm';
+                        } else if (type.includes('zeropadding')) {
+                            // Checked before 'add', which "zeropadding" also contains
+                            layerInfo.type = 'zeropadding2d';
+                            layerInfo.padding = config.padding;
                         } else if (type.includes('add')) {
                             layerInfo.type = 'add';
                         } else if (type.includes('concat')) {
                             layerInfo.type = 'concat';
+                            layerInfo.axis = config.axis;
                         } else if (type.includes('flatten')) {
                             layerInfo.type = 'flatten';
                         } else if (type.includes('dropout')) {
@@ -657,7 +982,54 @@ class CNNModel {
             }
         }
         
-        return { model: modelDescription };
+        return this.finalizeDescription({ model: modelDescription });
+    }
+
+    // Fill in inbound/outbound edges on a model description (hand-written descriptions
+    // only spell out edges that aren't sequential, e.g. residual adds), then run the
+    // shape/parameter/MAC and receptive field analysis over the linked graph.
+    finalizeDescription(modelData) {
+        if (modelData && modelData.model && Array.isArray(modelData.model.layers)) {
+            const layers = ReceptiveField.analyzeLayers(
+                LayerAnalysis.analyzeLayers(ModelGraph.linkLayers(modelData.model.layers)));
+            modelData.model.layers = layers;
+            modelData.model.summary = LayerAnalysis.summarize(layers);
+        }
+        return modelData;
+    }
+
+    // Output shape and weight counts straight from a built TF.js layer; fields that
+    // aren't available are left out so the analysis pass derives them instead
+    getTfLayerStats(layer) {
+        const stats = {};
+        const countWeights = (weights) => (weights || []).reduce(
+            (total, weight) => total + weight.shape.reduce((size, dim) => size * dim, 1), 0);
+        
+        try {
+            let outputShape = layer.outputShape;
+            // Shared layers report one shape per call; the first call is what we draw
+            if (Array.isArray(outputShape) && Array.isArray(outputShape[0])) {
+                outputShape = outputShape[0];
+            }
+            if (Array.isArray(outputShape) && outputShape.slice(1).every(Number.isFinite)) {
+                stats.output_shape = outputShape.slice(1);
+            }
+            
+            stats.trainable_params = countWeights(layer.trainableWeights);
+            stats.non_trainable_params = countWeights(layer.nonTrainableWeights);
+            
+            // Layers fed directly by the model input; for Sequential models the input layer
+            // isn't part of model.layers, so this is the only place its shape shows up
+            const inboundNodes = layer.inboundNodes || [];
+            const inboundLayers = inboundNodes.length > 0 ? inboundNodes[0].inboundLayers : [];
+            if (inboundLayers.length === 1 && inboundLayers[0].getClassName() === 'InputLayer') {
+                stats.input_shape = inboundLayers[0].batchInputShape.slice(1);
+            }
+        } catch (error) {
+            this.log(`Couldn't read shapes/weights for layer ${layer.name}: ${error.message}`);
+        }
+        
+        return stats;
     }
 
     // Helper method to normalize layer types
@@ -669,17 +1041,19 @@ class CNNModel {
         if (type.includes('dense')) return 'dense';
         if (type.includes('flatten')) return 'flatten';
         if (type.includes('batch')) return 'batchnorm';
+        if (type.includes('zeropadding')) return 'zeropadding2d';
         if (type.includes('add')) return 'add';
         if (type.includes('concat')) return 'concat';
         if (type.includes('dropout')) return 'dropout';
         if (type.includes('activation')) return 'activation';
+        if (type.includes('input')) return 'input';
         return 'unknown';
     }
 
     // Create a simple test model definition when no models can be loaded
     createTestModelDefinition() {
         console.log("Creating test model definition for fallback");
-        return {
+        return this.finalizeDescription({
             model: {
                 name: "Test CNN Model",
                 version: "1.0",
@@ -727,7 +1101,7 @@ class CNNModel {
                     }
                 ]
             }
-        };
+        });
     }
 
     getModelName() {
@@ -741,6 +1115,10 @@ class CNNModel {
                 id: 'embedded',
                 name: 'Simple CNN (Built-in)'
             },
+            {
+                id: 'mobilenetv2-vis',
+                name: 'MobileNetV2 (Architecture View)'
+            },
             {
                 id: 'custom',
                 name: 'Local Model (models/pretrainedModel.json)'
@@ -790,6 +1168,58 @@ class CNNModel {
         }));
     }
 
+    // Adapter that gives the explainability utilities layer-like access to graph models;
+    // null for layers models, which they can use directly
+    getGraphAdapter() {
+        if (!GraphModelAdapter.isGraphModel(this.tfModel)) {
+            return null;
+        }
+        if (!this.graphAdapter || this.graphAdapter.graphModel !== this.tfModel) {
+            this.graphAdapter = new GraphModelAdapter(this.tfModel);
+        }
+        return this.graphAdapter;
+    }
+
+    // Parameter and MAC totals computed by finalizeDescription
+    getModelSummary() {
+        if (!this.model || !this.model.model) {
+            return null;
+        }
+        return this.model.model.summary || null;
+    }
+
+    // Turns images into input batches for this model; shared by predictions and explainers
+    getPreprocessor() {
+        return ImagePreprocessor.forModel(this);
+    }
+
+    // Effective preprocessing settings: model defaults plus any saved user overrides
+    getPreprocessingConfig() {
+        return ImagePreprocessor.resolveConfig(this);
+    }
+
+    // Preprocessing settings derived from the model alone
+    getDefaultPreprocessingConfig() {
+        return ImagePreprocessor.getModelDefaults(this);
+    }
+
+    // Remember preprocessing overrides for this model; pass null to go back to the defaults
+    setPreprocessingOverrides(overrides) {
+        ImagePreprocessor.saveOverrides(ImagePreprocessor.getModelKey(this), overrides);
+    }
+
+    // Class probabilities for a batch of images already at the input size (pixels 0..255, see
+    // ImagePreprocessor.toInputPixels); used by the explainers that perturb the image
+    predictPixels(pixels) {
+        if (!this.tfModel) {
+            throw new Error('TensorFlow.js model not available');
+        }
+        return tf.tidy(() => {
+            const predictions = this.tfModel.predict(this.getPreprocessor().normalize(pixels));
+            return PredictionHelper.toProbabilities(predictions);
+        });
+    }
+
     // Add a new method to get the model data in the format expected by ModelVisualizer
     getModelForVisualization() {
         if (!this.model) {
@@ -807,29 +1237,12 @@ class CNNModel {
         }
         
         try {
-            // Process the input - ensure it's a tensor with proper shape
-            let tensor;
-            if (input instanceof tf.Tensor) {
-                tensor = input;
-            } else if (input instanceof HTMLImageElement) {
-                tensor = tf.browser.fromPixels(input)
-                    .resizeBilinear([224, 224]) // Standard input size for most models
-                    .toFloat();
-            } else {
+            if (!(input instanceof tf.Tensor) && !(input instanceof HTMLImageElement)) {
                 return null;
             }
             
-            // Preprocess based on model type
-            if (this.modelType.includes('mobilenet') || this.modelType.includes('efficientnet')) {
-                // MobileNet and EfficientNet preprocessing
-                tensor = tensor.div(127.5).sub(1).expandDims();
-            } else if (this.modelType.includes('inception')) {
-                // Inception preprocessing
-                tensor = tensor.div(255.0).sub(0.5).mul(2.0).expandDims();
-            } else {
-                // Default preprocessing for other models
-                tensor = tensor.div(255.0).expandDims();
-            }
+            // Resize and normalize the way this model expects
+            const tensor = this.getPreprocessor().preprocess(input);
             
             // Run prediction
             const result = await this.tfModel.predict(tensor);
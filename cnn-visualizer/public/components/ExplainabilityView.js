@@ -1,38 +1,153 @@
 import React, { useState, useEffect, useRef } from 'react';
 import * as tf from '@tensorflow/tfjs';
 import GradCAM from '../utils/gradCAM';
+import GradCAMPlusPlus from '../utils/GradCAMPlusPlus';
+import LayerCAM from '../utils/LayerCAM';
+import GuidedGradCAM from '../utils/GuidedGradCAM';
+import ScoreCAM from '../utils/ScoreCAM';
+import OcclusionSensitivity, { OCCLUDERS } from '../utils/OcclusionSensitivity';
+import LIME from '../utils/LIME';
+import RISE from '../utils/RISE';
+import KernelSHAP, { FEATURE_PARTITIONS, SHAP_BACKGROUNDS } from '../utils/KernelSHAP';
+import ContrastiveExplainer, { CONTRASTIVE_METHODS } from '../utils/ContrastiveExplainer';
+import FaithfulnessEvaluator, { FAITHFULNESS_METRICS, SUBSTRATES } from '../utils/FaithfulnessEvaluator';
+import SanityCheck from '../utils/SanityCheck';
 import FilterVisualizer from '../utils/FilterVisualizer';
-import IntegratedGradients from '../utils/IntegratedGradients';
+import ReceptiveField from '../utils/ReceptiveField';
+import IntegratedGradients, { BASELINES, INTEGRATION_SCHEMES, COMPLETENESS_TOLERANCE } from '../utils/IntegratedGradients';
+import GradientSaliency from '../utils/GradientSaliency';
+import GuidedBackprop from '../utils/GuidedBackprop';
+import AttributionRenderer, { DISPLAY_MODES } from '../utils/AttributionRenderer';
 import PredictionExplainer from './PredictionExplainer';
 import FeatureExplorer from './FeatureExplorer';
+import PreprocessingSettings from './PreprocessingSettings';
 import ExplainabilityDocs from './ExplainabilityDocs';
 import ErrorHandler from '../utils/ErrorHandler';
+import PredictionHelper from '../utils/PredictionHelper';
+
+// Class activation map methods offered in the GradCAM tab; `docs` keys ErrorHandler.getExplainabilityDocs
+const CAM_METHODS = {
+  gradcam: { label: 'Grad-CAM', Explainer: GradCAM, docs: 'gradcam' },
+  gradcamPlusPlus: { label: 'Grad-CAM++', Explainer: GradCAMPlusPlus, docs: 'gradcamPlusPlus' },
+  layerCam: { label: 'Layer-CAM', Explainer: LayerCAM, docs: 'layerCam' },
+  guidedGradCam: { label: 'Guided Grad-CAM', Explainer: GuidedGradCAM, docs: 'guidedGradCam' }
+};
+
+// Pixel attribution methods offered in the attribution tab. `ranking` is how the Faithfulness
+// tab orders pixels: by signed contribution, or by magnitude where the sign of a raw gradient
+// doesn't say whether the pixel supports the class
+const ATTRIBUTION_METHODS = {
+  integratedGradients: { label: 'Integrated Gradients', docs: 'integratedGradients', ranking: 'signed' },
+  saliency: { label: 'Vanilla Gradient', docs: 'saliency', ranking: 'absolute' },
+  gradientInput: { label: 'Gradient × Input', docs: 'gradientInput', ranking: 'signed' },
+  smoothGrad: { label: 'SmoothGrad', docs: 'smoothGrad', ranking: 'absolute' },
+  guidedBackprop: { label: 'Guided Backprop', docs: 'guidedBackprop', ranking: 'absolute' }
+};
+
+// Explainers offered in the Sanity Check tab: Grad-CAM at the selected layer and the pixel attribution methods
+const SANITY_CHECK_METHODS = {
+  gradcam: 'Grad-CAM',
+  ...Object.fromEntries(Object.entries(ATTRIBUTION_METHODS).map(([key, { label }]) => [key, label]))
+};
+
+// Tabs whose methods explain the whole model, so they don't use the layer selection
+const MODEL_LEVEL_TABS = ['attributions', 'occlusion', 'lime', 'shap', 'rise', 'faithfulness'];
+
+// Line colors of the faithfulness curves, in the order of the evaluated maps
+const CURVE_COLORS = ['#e53935', '#1e88e5', '#43a047', '#fb8c00', '#8e24aa', '#00acc1', '#6d4c41', '#546e7a'];
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error(`Failed to load image ${src}`));
+  img.src = src;
+});
+
+// Draw a (height, width, channels) pixel tensor, values 0..255, and return it as a data URL
+const pixelsToDataURL = async (pixels) => {
+  const canvas = document.createElement('canvas');
+  const scaled = tf.tidy(() => tf.div(pixels, 255).clipByValue(0, 1));
+  try {
+    await tf.browser.toPixels(scaled, canvas);
+  } finally {
+    scaled.dispose();
+  }
+  return canvas.toDataURL();
+};
+
+const isSameCell = (a, b) => !!a && !!b && a.channel === b.channel && a.y === b.y && a.x === b.x;
 
 const ExplainabilityView = ({ model }) => {
   const [selectedImage, setSelectedImage] = useState(null);
   const [selectedLayer, setSelectedLayer] = useState(null);
   const [availableLayers, setAvailableLayers] = useState([]);
-  const [heatmapImage, setHeatmapImage] = useState(null);
+  const [camMethod, setCamMethod] = useState('gradcam');
+  const [camResults, setCamResults] = useState([]); // One entry per method and layer, for comparison
+  const [scoreCamResult, setScoreCamResult] = useState(null);
+  const [scoreCamOptions, setScoreCamOptions] = useState({ batchSize: 16, maxChannels: 256 });
+  const [scoreCamProgress, setScoreCamProgress] = useState(null);
+  const [predictions, setPredictions] = useState(null); // Reported by PredictionExplainer, for choosing a class to explain
+  const [targetClass, setTargetClass] = useState(null); // Class to explain; null for the top predicted class
+  const [occlusionOptions, setOcclusionOptions] = useState({ patchSize: 32, stride: 16, occluder: 'grey' });
+  const [occlusionResult, setOcclusionResult] = useState(null);
+  const [occlusionProgress, setOcclusionProgress] = useState(null);
+  const [limeOptions, setLimeOptions] = useState({ segments: 50, samples: 500, kernelWidth: 0.25, seed: 0 });
+  const [limeTopK, setLimeTopK] = useState(5);
+  const [limeResult, setLimeResult] = useState(null); // Explanation, re-rendered when the top-k changes
+  const [limeMap, setLimeMap] = useState(null);
+  const [limeProgress, setLimeProgress] = useState(null);
+  const [shapOptions, setShapOptions] = useState({ features: 'superpixels', segments: 50, gridLevel: 3, background: 'blur', samples: 1000, seed: 0 });
+  const [shapResult, setShapResult] = useState(null);
+  const [shapProgress, setShapProgress] = useState(null);
+  const [contrastOptions, setContrastOptions] = useState({ method: 'gradcam', steps: 32, patchSize: 32 });
+  const [contrastClasses, setContrastClasses] = useState({ classA: null, classB: null }); // null: the top and second predictions
+  const [contrastResult, setContrastResult] = useState(null);
+  const [contrastProgress, setContrastProgress] = useState(null);
+  const [saliencyMaps, setSaliencyMaps] = useState([]); // Maps of the current image, for the Faithfulness tab
+  const [faithfulnessOptions, setFaithfulnessOptions] = useState({ steps: 40, deletionSubstrate: 'black', insertionSubstrate: 'blur' });
+  const [faithfulnessResults, setFaithfulnessResults] = useState([]);
+  const [faithfulnessProgress, setFaithfulnessProgress] = useState(null);
+  const [sanityOptions, setSanityOptions] = useState({ method: 'gradcam', stages: 8 });
+  const [sanityResult, setSanityResult] = useState(null); // Grows stage by stage while the check runs
+  const [sanityProgress, setSanityProgress] = useState(null);
+  const [riseOptions, setRiseOptions] = useState({ masks: 2000, gridSize: 7, probability: 0.5 });
+  const [riseResult, setRiseResult] = useState(null);
+  const [riseProgress, setRiseProgress] = useState(null); // Set while RISE runs; the partial map is drawn live
   const [isProcessing, setIsProcessing] = useState(false);
   const [errorMessage, setErrorMessage] = useState(null);
   const [activeTab, setActiveTab] = useState('predictions');
   const [filterVisualizations, setFilterVisualizations] = useState([]);
   const [activationVisualizations, setActivationVisualizations] = useState([]);
+  const [activationLayer, setActivationLayer] = useState(null); // Layer the activation maps were made for
+  const [hoveredCell, setHoveredCell] = useState(null); // { channel, y, x } of the activation map position under the pointer
+  const [pinnedCell, setPinnedCell] = useState(null); // Position clicked last, kept when the pointer leaves the maps
+  const [showEffectiveField, setShowEffectiveField] = useState(false);
+  const [effectiveField, setEffectiveField] = useState(null); // { cell, overlay: canvas } or { cell, message }
   const [attributionMap, setAttributionMap] = useState(null);
+  const [attributionResult, setAttributionResult] = useState(null); // Raw attributions, re-rendered when the display mode changes
+  const [attributionMethod, setAttributionMethod] = useState('integratedGradients');
+  const [attributionMode, setAttributionMode] = useState('signed');
+  const [smoothGradOptions, setSmoothGradOptions] = useState({ noiseLevel: 0.15, samples: 25 });
+  const [igBaseline, setIgBaseline] = useState('black');
+  const [igOptions, setIgOptions] = useState({ steps: 50, scheme: 'riemannTrapezoid' });
+  const [attributionProgress, setAttributionProgress] = useState(null);
+  const [referenceImage, setReferenceImage] = useState(null); // Uploaded baseline for the 'reference' option
+  const [referenceFiles, setReferenceFiles] = useState([]); // Image folder Expected Gradients draws its baselines from
+  const [referenceImageSet, setReferenceImageSet] = useState(null); // Decoded referenceFiles, loaded on first use
   const [memoryWarning, setMemoryWarning] = useState(false);
   const [showDocs, setShowDocs] = useState(false);
   const [activeTechnique, setActiveTechnique] = useState('');
+  const [preprocessingVersion, setPreprocessingVersion] = useState(0);
   
   const canvasRef = useRef(null);
-  const heatmapCanvasRef = useRef(null);
-  const attributionCanvasRef = useRef(null);
+  const riseCanvasRef = useRef(null);
   
   // Initialize available layers when model changes
   useEffect(() => {
-    if (model && model.model && model.model.layers) {
+    if (model && model.getLayers) {
       try {
         // Filter for conv layers which are suitable for visualization
-        const convLayers = model.model.layers.filter(layer => 
+        const convLayers = model.getLayers().filter(layer => 
           layer.type && (layer.type.toLowerCase().includes('conv') || 
                          layer.type.toLowerCase().includes('dense'))
         );
@@ -80,10 +195,24 @@ const ExplainabilityView = ({ model }) => {
             ctx.drawImage(img, 0, 0);
           
             // Clear existing visualizations when a new image is uploaded
-            setHeatmapImage(null);
+            setCamResults([]);
+            setScoreCamResult(null);
+            setPredictions(null);
+            setTargetClass(null);
+            setOcclusionResult(null);
+            setLimeResult(null);
+            setShapResult(null);
+            setRiseResult(null);
+            setContrastClasses({ classA: null, classB: null });
+            setContrastResult(null);
+            setSaliencyMaps([]);
+            setFaithfulnessResults([]);
+            setSanityResult(null);
             setFilterVisualizations([]);
             setActivationVisualizations([]);
-            setAttributionMap(null);
+            setHoveredCell(null);
+            setPinnedCell(null);
+            setAttributionResult(null);
             setErrorMessage(null);
           }
         };
@@ -99,6 +228,51 @@ const ExplainabilityView = ({ model }) => {
     }
   };
   
+  // Load an uploaded image to use as the Integrated Gradients baseline
+  const handleReferenceUpload = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        loadImage(event.target.result)
+          .then(setReferenceImage)
+          .catch(() => setErrorMessage("Failed to load the reference image. Please try another file."));
+      };
+      reader.onerror = () => {
+        setErrorMessage("Failed to read reference image file.");
+      };
+      reader.readAsDataURL(file);
+    }
+  };
+  
+  const handleReferenceFolder = (e) => {
+    setReferenceFiles(Array.from(e.target.files || []).filter(file => file.type.startsWith('image/')));
+    setReferenceImageSet(null);
+  };
+  
+  // The Expected Gradients image set, decoded once per chosen folder; images that fail to
+  // decode are left out
+  const getReferenceImageSet = async () => {
+    if (referenceImageSet) return referenceImageSet;
+    if (referenceFiles.length === 0) {
+      throw new Error('Choose a folder of reference images for Expected Gradients');
+    }
+    const results = await Promise.allSettled(referenceFiles.map(async (file) => {
+      const url = URL.createObjectURL(file);
+      try {
+        return await loadImage(url);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }));
+    const images = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    if (images.length === 0) {
+      throw new Error('None of the reference images for Expected Gradients could be loaded');
+    }
+    setReferenceImageSet(images);
+    return images;
+  };
+  
   const generateGradCAM = async () => {
     if (!selectedImage || !selectedLayer || !model || !model.tfModel) {
       setErrorMessage(
@@ -120,43 +294,43 @@ const ExplainabilityView = ({ model }) => {
       // Convert the image to a tensor
       const imgTensor = tf.browser.fromPixels(selectedImage);
       
-      // Create GradCAM instance
-      const gradCAM = new GradCAM(model);
+      // Create an instance of the selected CAM method
+      const method = CAM_METHODS[camMethod];
+      const explainer = new method.Explainer(model);
       
       // Generate heatmap for the selected layer
-      const heatmap = await gradCAM.generateHeatmap(
+      const heatmap = await explainer.generateHeatmap(
         imgTensor, 
         selectedLayer.name
       );
       
-      if (heatmap) {
-        // Apply heatmap to the original image
-        const overlaidImage = await gradCAM.applyHeatmapToImage(
-          selectedImage, 
-          heatmap,
-          0.7 // Alpha blending factor
-        );
-        
-        // Render the heatmap on the canvas
-        const heatmapCanvas = heatmapCanvasRef.current;
-        
-        // Set canvas dimensions to match the image
-        if (heatmapCanvas) {
-          heatmapCanvas.width = selectedImage.width;
-          heatmapCanvas.height = selectedImage.height;
-          
-          // Draw the heatmap
-          await tf.browser.toPixels(overlaidImage, heatmapCanvas);
-          setHeatmapImage(heatmapCanvas.toDataURL());
-        }
-        
-        // Cleanup tensors
-        imgTensor.dispose();
-        heatmap.dispose();
-        overlaidImage.dispose();
-      } else {
-        setErrorMessage("Failed to generate heatmap. Check console for details.");
-      }
+      // Apply heatmap to the original image
+      const overlaidImage = await explainer.applyHeatmapToImage(
+        selectedImage, 
+        heatmap,
+        0.7 // Alpha blending factor
+      );
+      
+      // Render off-screen; results are shown as images so several can be compared
+      const heatmapCanvas = document.createElement('canvas');
+      heatmapCanvas.width = selectedImage.width;
+      heatmapCanvas.height = selectedImage.height;
+      await tf.browser.toPixels(overlaidImage, heatmapCanvas);
+      
+      const result = {
+        id: `${camMethod}:${selectedLayer.name}`,
+        method: camMethod,
+        layerName: selectedLayer.name,
+        classIndex: explainer.lastClassIndex,
+        src: heatmapCanvas.toDataURL()
+      };
+      setCamResults(results => [result, ...results.filter(existing => existing.id !== result.id)]);
+      await recordSaliencyMap(`cam:${result.id}`, `${method.label} (${selectedLayer.name})`, result.classIndex, heatmap);
+      
+      // Cleanup tensors
+      imgTensor.dispose();
+      heatmap.dispose();
+      overlaidImage.dispose();
     } catch (error) {
       const errorMsg = ErrorHandler.handleError("GradCAM Generation", error);
       setErrorMessage(ErrorHandler.formatUserError(errorMsg));
@@ -168,6 +342,535 @@ const ExplainabilityView = ({ model }) => {
     }
   };
 
+  // Gradient-free alternative to GradCAM, for models whose ops have no gradients
+  const generateScoreCAM = async () => {
+    if (!selectedImage || !selectedLayer || !model || !model.tfModel) {
+      setErrorMessage("Please select an image and layer first, and ensure the model is loaded.");
+      return;
+    }
+    
+    setIsProcessing(true);
+    setErrorMessage(null);
+    setScoreCamProgress({ done: 0, total: 0 });
+    
+    try {
+      tf.engine().startScope();
+      
+      const scoreCAM = new ScoreCAM(model);
+      const heatmap = await scoreCAM.generateHeatmap(
+        selectedImage,
+        selectedLayer.name,
+        null, // Use predicted class
+        {
+          ...scoreCamOptions,
+          onProgress: (done, total) => setScoreCamProgress({ done, total })
+        }
+      );
+      
+      const overlaidImage = await scoreCAM.applyHeatmapToImage(selectedImage, heatmap, 0.7);
+      const canvas = document.createElement('canvas');
+      canvas.width = selectedImage.width;
+      canvas.height = selectedImage.height;
+      await tf.browser.toPixels(overlaidImage, canvas);
+      
+      setScoreCamResult({
+        layerName: selectedLayer.name,
+        classIndex: scoreCAM.lastClassIndex,
+        src: canvas.toDataURL()
+      });
+      await recordSaliencyMap(`scorecam:${selectedLayer.name}`, `Score-CAM (${selectedLayer.name})`, scoreCAM.lastClassIndex, heatmap);
+      
+      heatmap.dispose();
+      overlaidImage.dispose();
+    } catch (error) {
+      const errorMsg = ErrorHandler.handleError("Score-CAM Generation", error);
+      setErrorMessage(ErrorHandler.formatUserError(errorMsg));
+    } finally {
+      tf.engine().endScope();
+      setIsProcessing(false);
+      setScoreCamProgress(null);
+      cleanupTensors();
+    }
+  };
+  
+  // Slide an occluding patch over the image and map the drop in class probability
+  const generateOcclusion = async () => {
+    if (!selectedImage || !model || !model.tfModel) {
+      setErrorMessage("Please select an image first, and ensure the model is loaded.");
+      return;
+    }
+    
+    setIsProcessing(true);
+    setErrorMessage(null);
+    setOcclusionProgress({ done: 0, total: 0 });
+    
+    try {
+      tf.engine().startScope();
+      
+      const occlusion = new OcclusionSensitivity(model);
+      const heatmap = await occlusion.generateHeatmap(
+        selectedImage,
+        targetClass,
+        {
+          ...occlusionOptions,
+          onProgress: (done, total) => setOcclusionProgress({ done, total })
+        }
+      );
+      
+      // Signed: hiding red areas lowers the probability, hiding blue areas raises it
+      const overlaidImage = AttributionRenderer.render(
+        selectedImage,
+        heatmap.expandDims(0).expandDims(-1),
+        model.getPreprocessor(),
+        { mode: 'signed', alpha: 0.7 }
+      );
+      const canvas = document.createElement('canvas');
+      canvas.width = selectedImage.width;
+      canvas.height = selectedImage.height;
+      await tf.browser.toPixels(overlaidImage, canvas);
+      
+      setOcclusionResult({
+        classIndex: occlusion.lastClassIndex,
+        baseScore: occlusion.lastBaseScore,
+        maxDrop: heatmap.max().dataSync()[0],
+        options: occlusionOptions,
+        src: canvas.toDataURL()
+      });
+      await recordSaliencyMap('occlusion', 'Occlusion', occlusion.lastClassIndex, heatmap);
+    } catch (error) {
+      const errorMsg = ErrorHandler.handleError("Occlusion Sensitivity", error);
+      setErrorMessage(ErrorHandler.formatUserError(errorMsg));
+    } finally {
+      tf.engine().endScope();
+      setIsProcessing(false);
+      setOcclusionProgress(null);
+      cleanupTensors();
+    }
+  };
+  
+  /**
+   * Keep a method's map of the current image for the Faithfulness tab, replacing an earlier
+   * map with the same id
+   * @param {string} id - Method (and layer) the map comes from
+   * @param {string} label - Name shown in the comparison
+   * @param {number} classIndex - Class the map explains
+   * @param {tf.Tensor} map - Importance per pixel (height, width); disposed when the scope ends
+   */
+  const recordSaliencyMap = async (id, label, classIndex, map) => {
+    const entry = { id, label, classIndex, shape: map.shape, values: await map.data() };
+    setSaliencyMaps(maps => [...maps.filter(existing => existing.id !== id), entry]);
+  };
+  
+  // Score every kept map with the deletion and insertion metrics
+  const evaluateFaithfulness = async () => {
+    if (!selectedImage || !model || !model.tfModel || saliencyMaps.length === 0) {
+      setErrorMessage("Generate some explanations for this image first.");
+      return;
+    }
+    
+    setIsProcessing(true);
+    setErrorMessage(null);
+    setFaithfulnessResults([]);
+    const total = saliencyMaps.length * 2 * faithfulnessOptions.steps;
+    setFaithfulnessProgress({ done: 0, total });
+    
+    try {
+      tf.engine().startScope();
+      
+      const evaluator = new FaithfulnessEvaluator(model);
+      const results = [];
+      for (const entry of saliencyMaps) {
+        const saliency = tf.tensor(entry.values, entry.shape);
+        const curves = {};
+        for (const metric of Object.keys(FAITHFULNESS_METRICS)) {
+          const offset = results.length * 2 * faithfulnessOptions.steps + (metric === 'insertion' ? faithfulnessOptions.steps : 0);
+          curves[metric] = await evaluator.evaluate(selectedImage, saliency, entry.classIndex, {
+            metric,
+            substrate: faithfulnessOptions[`${metric}Substrate`],
+            steps: faithfulnessOptions.steps,
+            onProgress: (done) => setFaithfulnessProgress({ done: offset + done, total })
+          });
+        }
+        saliency.dispose();
+        results.push({ id: entry.id, label: entry.label, classIndex: entry.classIndex, ...curves });
+      }
+      setFaithfulnessResults(results);
+    } catch (error) {
+      const errorMsg = ErrorHandler.handleError("Faithfulness Evaluation", error);
+      setErrorMessage(ErrorHandler.formatUserError(errorMsg));
+    } finally {
+      tf.engine().endScope();
+      setIsProcessing(false);
+      setFaithfulnessProgress(null);
+      cleanupTensors();
+    }
+  };
+  
+  // Randomize the model's weights from the top layer down and recompute the explanation after each stage
+  const generateSanityCheck = async () => {
+    if (!selectedImage || !model || !model.tfModel) {
+      setErrorMessage("Please select an image first, and ensure the model is loaded.");
+      return;
+    }
+    if (sanityOptions.method === 'gradcam' && !selectedLayer) {
+      setErrorMessage("Please select a convolutional layer for Grad-CAM.");
+      return;
+    }
+    
+    setIsProcessing(true);
+    setErrorMessage(null);
+    setSanityProgress({ done: 0, total: 0 });
+    
+    try {
+      tf.engine().startScope();
+      
+      const { method, stages } = sanityOptions;
+      const layerName = method === 'gradcam' ? selectedLayer.name : null;
+      setSanityResult({ method, layerName, classIndex: null, stages: [] });
+      
+      // The class is fixed by the first map, so the randomized models explain the same class
+      let classIndex = targetClass;
+      const explain = async (explainerModel) => {
+        if (method === 'gradcam') {
+          const gradCam = new GradCAM(explainerModel);
+          const heatmap = await gradCam.generateHeatmap(selectedImage, layerName, classIndex);
+          classIndex = gradCam.lastClassIndex;
+          return heatmap;
+        }
+        let explainer;
+        let attributions;
+        if (method === 'integratedGradients') {
+          explainer = new IntegratedGradients(explainerModel);
+          attributions = await explainer.generateAttributions(selectedImage, classIndex, igOptions.steps, {
+            scheme: igOptions.scheme,
+            baseline: igBaseline,
+            referenceImage,
+            referenceImages: igBaseline === 'expected' ? await getReferenceImageSet() : []
+          });
+        } else if (method === 'guidedBackprop') {
+          explainer = new GuidedBackprop(explainerModel);
+          attributions = await explainer.generateAttributions(selectedImage, classIndex);
+        } else {
+          explainer = new GradientSaliency(explainerModel);
+          attributions = await explainer.generateAttributions(selectedImage, method, classIndex, smoothGradOptions);
+        }
+        classIndex = explainer.lastClassIndex;
+        const map = AttributionRenderer.reduce(attributions, ATTRIBUTION_METHODS[method].ranking);
+        attributions.dispose();
+        return map;
+      };
+      
+      const renderer = new GradCAM(model);
+      const toDataURL = async (map) => {
+        const overlay = method === 'gradcam'
+          ? await renderer.applyHeatmapToImage(selectedImage, map, 0.7)
+          : AttributionRenderer.render(
+            selectedImage,
+            map.expandDims(0).expandDims(-1),
+            model.getPreprocessor(),
+            { mode: ATTRIBUTION_METHODS[method].ranking, alpha: 0.7 }
+          );
+        const canvas = document.createElement('canvas');
+        canvas.width = selectedImage.width;
+        canvas.height = selectedImage.height;
+        await tf.browser.toPixels(overlay, canvas);
+        overlay.dispose();
+        return canvas.toDataURL();
+      };
+      
+      await new SanityCheck(model).cascadingRandomization(explain, {
+        stages,
+        onStage: async (stage, map, done, total) => {
+          const src = await toDataURL(map);
+          setSanityResult(result => ({ ...result, classIndex, stages: [...result.stages, { ...stage, src }] }));
+          setSanityProgress({ done, total });
+        }
+      });
+    } catch (error) {
+      const errorMsg = ErrorHandler.handleError("Sanity Check", error);
+      setErrorMessage(ErrorHandler.formatUserError(errorMsg));
+    } finally {
+      tf.engine().endScope();
+      setIsProcessing(false);
+      setSanityProgress(null);
+      cleanupTensors();
+    }
+  };
+  
+  // Fit a LIME surrogate on randomly hidden superpixels
+  const generateLIME = async () => {
+    if (!selectedImage || !model || !model.tfModel) {
+      setErrorMessage("Please select an image first, and ensure the model is loaded.");
+      return;
+    }
+    
+    setIsProcessing(true);
+    setErrorMessage(null);
+    setLimeResult(null);
+    setLimeProgress({ done: 0, total: 0 });
+    
+    try {
+      tf.engine().startScope();
+      
+      const explanation = await new LIME(model).explain(
+        selectedImage,
+        targetClass,
+        {
+          ...limeOptions,
+          onProgress: (done, total) => setLimeProgress({ done, total })
+        }
+      );
+      setLimeResult({ ...explanation, options: limeOptions });
+      await recordSaliencyMap('lime', 'LIME', explanation.classIndex, LIME.toMap(explanation));
+    } catch (error) {
+      const errorMsg = ErrorHandler.handleError("LIME", error);
+      setErrorMessage(ErrorHandler.formatUserError(errorMsg));
+    } finally {
+      tf.engine().endScope();
+      setIsProcessing(false);
+      setLimeProgress(null);
+      cleanupTensors();
+    }
+  };
+  
+  // Render the LIME superpixels whenever the explanation or the number shown change
+  useEffect(() => {
+    if (!limeResult || !selectedImage || !model) {
+      setLimeMap(null);
+      return;
+    }
+    
+    const visualized = LIME.render(selectedImage, limeResult, model.getPreprocessor(), { topK: limeTopK });
+    const canvas = document.createElement('canvas');
+    canvas.width = selectedImage.width;
+    canvas.height = selectedImage.height;
+    tf.browser.toPixels(visualized, canvas)
+      .then(() => setLimeMap(canvas.toDataURL()))
+      .catch(error => setErrorMessage(`Error rendering LIME explanation: ${error.message}`))
+      .finally(() => visualized.dispose());
+  }, [limeResult, limeTopK]);
+  
+  // Shapley values of image regions from sampled coalitions
+  const generateSHAP = async () => {
+    if (!selectedImage || !model || !model.tfModel) {
+      setErrorMessage("Please select an image first, and ensure the model is loaded.");
+      return;
+    }
+    
+    setIsProcessing(true);
+    setErrorMessage(null);
+    setShapResult(null);
+    setShapProgress({ done: 0, total: 0 });
+    
+    try {
+      tf.engine().startScope();
+      
+      const explanation = await new KernelSHAP(model).explain(
+        selectedImage,
+        targetClass,
+        {
+          ...shapOptions,
+          onProgress: (done, total) => setShapProgress({ done, total })
+        }
+      );
+      
+      const map = KernelSHAP.toMap(explanation);
+      const overlay = AttributionRenderer.render(
+        selectedImage,
+        map.expandDims(0).expandDims(-1),
+        model.getPreprocessor(),
+        { mode: 'signed', alpha: 0.6 }
+      );
+      const canvas = document.createElement('canvas');
+      canvas.width = selectedImage.width;
+      canvas.height = selectedImage.height;
+      await tf.browser.toPixels(overlay, canvas);
+      
+      setShapResult({ ...explanation, options: shapOptions, src: canvas.toDataURL() });
+      await recordSaliencyMap('shap', 'SHAP', explanation.classIndex, map);
+      
+      map.dispose();
+      overlay.dispose();
+    } catch (error) {
+      const errorMsg = ErrorHandler.handleError("SHAP", error);
+      setErrorMessage(ErrorHandler.formatUserError(errorMsg));
+    } finally {
+      tf.engine().endScope();
+      setIsProcessing(false);
+      setShapProgress(null);
+      cleanupTensors();
+    }
+  };
+  
+  // Average random masks weighted by the class probability, drawing the map as it converges
+  const generateRISE = async () => {
+    if (!selectedImage || !model || !model.tfModel) {
+      setErrorMessage("Please select an image first, and ensure the model is loaded.");
+      return;
+    }
+    
+    setIsProcessing(true);
+    setErrorMessage(null);
+    setRiseResult(null);
+    setRiseProgress({ done: 0, total: riseOptions.masks });
+    
+    try {
+      tf.engine().startScope();
+      
+      const preprocessor = model.getPreprocessor();
+      const drawSaliency = async (saliency) => {
+        const canvas = riseCanvasRef.current;
+        if (!canvas) return; // Not mounted yet, or the user switched tabs
+        const overlay = tf.tidy(() => AttributionRenderer.render(
+          selectedImage,
+          RISE.normalize(saliency).expandDims(0).expandDims(-1),
+          preprocessor,
+          { mode: 'absolute', alpha: 0.7 }
+        ));
+        canvas.width = selectedImage.width;
+        canvas.height = selectedImage.height;
+        try {
+          await tf.browser.toPixels(overlay, canvas);
+        } finally {
+          overlay.dispose();
+        }
+      };
+      
+      const rise = new RISE(model);
+      const saliency = await rise.generateSaliency(
+        selectedImage,
+        targetClass,
+        {
+          ...riseOptions,
+          onPartial: async (partial, done, total) => {
+            setRiseProgress({ done, total });
+            await drawSaliency(partial);
+          }
+        }
+      );
+      
+      // Keep the final map as an image, so it survives switching tabs
+      const overlay = AttributionRenderer.render(
+        selectedImage,
+        RISE.normalize(saliency).expandDims(0).expandDims(-1),
+        preprocessor,
+        { mode: 'absolute', alpha: 0.7 }
+      );
+      const canvas = document.createElement('canvas');
+      canvas.width = selectedImage.width;
+      canvas.height = selectedImage.height;
+      await tf.browser.toPixels(overlay, canvas);
+      
+      setRiseResult({
+        classIndex: rise.lastClassIndex,
+        options: riseOptions,
+        src: canvas.toDataURL()
+      });
+      await recordSaliencyMap('rise', 'RISE', rise.lastClassIndex, saliency);
+      
+      saliency.dispose();
+      overlay.dispose();
+    } catch (error) {
+      const errorMsg = ErrorHandler.handleError("RISE", error);
+      setErrorMessage(ErrorHandler.formatUserError(errorMsg));
+    } finally {
+      tf.engine().endScope();
+      setIsProcessing(false);
+      setRiseProgress(null);
+      cleanupTensors();
+    }
+  };
+  
+  // Classes to compare: the chosen ones, or the top two predictions
+  const getContrastClasses = () => {
+    const top = predictions ? predictions.topPredictions : [];
+    return {
+      classA: contrastClasses.classA !== null ? contrastClasses.classA : (top[0] ? top[0].index : null),
+      classB: contrastClasses.classB !== null ? contrastClasses.classB : (top[1] ? top[1].index : null)
+    };
+  };
+  
+  // Compare two classes from the Predictions tab
+  const handleContrast = (classA, classB) => {
+    setContrastClasses({ classA, classB });
+    setContrastResult(null);
+    setActiveTab('contrast');
+  };
+  
+  // Explain what separates class A from class B, next to the maps of each class
+  const generateContrast = async () => {
+    const { classA, classB } = getContrastClasses();
+    if (!selectedImage || !model || !model.tfModel) {
+      setErrorMessage("Please select an image first, and ensure the model is loaded.");
+      return;
+    }
+    if (contrastOptions.method === 'gradcam' && !selectedLayer) {
+      setErrorMessage("Please select a convolutional layer for Grad-CAM.");
+      return;
+    }
+    
+    setIsProcessing(true);
+    setErrorMessage(null);
+    setContrastResult(null);
+    setContrastProgress({ done: 0, total: 0 });
+    
+    try {
+      tf.engine().startScope();
+      
+      const { method } = contrastOptions;
+      const explanation = await new ContrastiveExplainer(model).explain(
+        selectedImage,
+        classA,
+        classB,
+        {
+          ...contrastOptions,
+          stride: contrastOptions.patchSize / 2,
+          layerName: selectedLayer ? selectedLayer.name : null,
+          onProgress: (done, total) => setContrastProgress({ done, total })
+        }
+      );
+      
+      // Each map is drawn the way its method's own tab draws it
+      const gradCam = new GradCAM(model);
+      const toDataURL = async (map) => {
+        const overlay = method === 'gradcam'
+          ? await gradCam.applyHeatmapToImage(selectedImage, map, 0.7)
+          : AttributionRenderer.render(
+            selectedImage,
+            map.rank === 2 ? map.expandDims(0).expandDims(-1) : map,
+            model.getPreprocessor(),
+            { mode: 'signed', alpha: 0.7 }
+          );
+        const canvas = document.createElement('canvas');
+        canvas.width = selectedImage.width;
+        canvas.height = selectedImage.height;
+        await tf.browser.toPixels(overlay, canvas);
+        overlay.dispose();
+        return canvas.toDataURL();
+      };
+      
+      setContrastResult({
+        method,
+        classA,
+        classB,
+        layerName: method === 'gradcam' ? selectedLayer.name : null,
+        contrast: await toDataURL(explanation.contrast),
+        mapA: await toDataURL(explanation.mapA),
+        mapB: await toDataURL(explanation.mapB)
+      });
+      
+      tf.dispose([explanation.contrast, explanation.mapA, explanation.mapB]);
+    } catch (error) {
+      const errorMsg = ErrorHandler.handleError("Contrastive Explanation", error);
+      setErrorMessage(ErrorHandler.formatUserError(errorMsg));
+    } finally {
+      tf.engine().endScope();
+      setIsProcessing(false);
+      setContrastProgress(null);
+      cleanupTensors();
+    }
+  };
+  
   // Visualize filters from selected layer
   const visualizeFilters = async () => {
     if (!selectedLayer || !model || !model.tfModel) {
@@ -238,6 +941,8 @@ const ExplainabilityView = ({ model }) => {
     setIsProcessing(true);
     setErrorMessage(null);
     setActivationVisualizations([]);
+    setHoveredCell(null);
+    setPinnedCell(null);
     
     try {
       // Start a new scope to manage memory
@@ -275,6 +980,7 @@ const ExplainabilityView = ({ model }) => {
         }).filter(Boolean); // Remove any null entries from failed conversions
         
         setActivationVisualizations(activationImages);
+        setActivationLayer(selectedLayer);
       } else {
         setErrorMessage(`No activations could be visualized for layer "${selectedLayer.name}". The layer may not be suitable for activation visualization.`);
       }
@@ -289,7 +995,147 @@ const ExplainabilityView = ({ model }) => {
     }
   };
   
-  // Generate Integrated Gradients attribution map
+  // Rows and columns of the activation maps, if the receptive field of their layer is known
+  const activationGrid = activationLayer && activationLayer.receptive_field &&
+    Array.isArray(activationLayer.output_shape) && activationLayer.output_shape.length === 3
+    ? activationLayer.output_shape.slice(0, 2)
+    : null;
+  
+  // Activation map position under the pointer; the maps are drawn stretched to a square
+  const getActivationCell = (channel, event) => {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const [rows, columns] = activationGrid;
+    const position = (offset, length, units) => Math.min(units - 1, Math.max(0, Math.floor(offset / length * units)));
+    return {
+      channel,
+      y: position(event.clientY - bounds.top, bounds.height, rows),
+      x: position(event.clientX - bounds.left, bounds.width, columns)
+    };
+  };
+  
+  // Size, spacing and offset of a layer's receptive fields, in model input pixels
+  const formatReceptiveField = (field) => {
+    if (field.global) {
+      return `the whole ${field.size[0]} × ${field.size[1]} pixel input`;
+    }
+    const pair = values => (values[0] === values[1] ? `${values[0]}` : `${values[0]} × ${values[1]}`);
+    return `${field.size[0]} × ${field.size[1]} input pixels; neighbouring positions are ${pair(field.jump)} pixels apart ` +
+      `and position (0, 0) is centered on input pixel (${field.start.map(start => start - 0.5).join(', ')})`;
+  };
+  
+  const describeReceptiveFieldCell = (cell) => {
+    const box = ReceptiveField.boxAt(activationLayer.receptive_field, cell.y, cell.x);
+    return `Channel ${cell.channel + 1}, row ${cell.y}, column ${cell.x}: input rows ${box.top}–${box.top + box.height - 1}, ` +
+      `columns ${box.left}–${box.left + box.width - 1}${box.clipped ? ' (the rest of the field is padding)' : ''}`;
+  };
+  
+  const handleActivationHover = (channel, event) => {
+    if (!activationGrid) return;
+    const cell = getActivationCell(channel, event);
+    setHoveredCell(previous => (isSameCell(previous, cell) ? previous : cell));
+  };
+  
+  const handleActivationClick = (channel, event) => {
+    if (!activationGrid) return;
+    setPinnedCell(getActivationCell(channel, event));
+  };
+  
+  // Effective receptive field of the clicked position, from the input gradient of that unit
+  useEffect(() => {
+    if (!showEffectiveField || !pinnedCell || !activationLayer || !selectedImage || !model) {
+      setEffectiveField(null);
+      return undefined;
+    }
+    
+    let cancelled = false;
+    let map = null;
+    try {
+      map = new ReceptiveField(model).effectiveField(
+        selectedImage, activationLayer.name, pinnedCell.channel, pinnedCell.y, pinnedCell.x);
+      if (!map) {
+        setEffectiveField({
+          cell: pinnedCell,
+          message: 'This unit is inactive on the image (its gradient is zero), so nothing in the input changes it.'
+        });
+        return undefined;
+      }
+      
+      const overlay = tf.tidy(() => {
+        const heat = model.getPreprocessor().toImageSpace(map.expandDims(-1), [selectedImage.height, selectedImage.width]);
+        // Red turning yellow as the influence grows, transparent where there is none
+        return tf.concat([tf.onesLike(heat), heat, tf.zerosLike(heat), heat.mul(0.8)], -1);
+      });
+      const canvas = document.createElement('canvas');
+      canvas.width = selectedImage.width;
+      canvas.height = selectedImage.height;
+      tf.browser.toPixels(overlay, canvas)
+        .then(() => {
+          if (!cancelled) setEffectiveField({ cell: pinnedCell, overlay: canvas });
+        })
+        .catch(error => setErrorMessage(`Error rendering the effective receptive field: ${error.message}`))
+        .finally(() => overlay.dispose());
+    } catch (error) {
+      console.error("Error computing the effective receptive field:", error);
+      setEffectiveField({ cell: pinnedCell, message: `Could not compute the effective receptive field: ${error.message}` });
+    } finally {
+      if (map) map.dispose();
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [showEffectiveField, pinnedCell, activationLayer]);
+  
+  // Redraw the original image, outlining the receptive field of the activation map position
+  // under the pointer (or clicked last) while the activations tab is open
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !selectedImage) return;
+    
+    const ctx = canvas.getContext('2d');
+    canvas.width = selectedImage.width;
+    canvas.height = selectedImage.height;
+    ctx.drawImage(selectedImage, 0, 0);
+    
+    const cell = hoveredCell || pinnedCell;
+    if (activeTab !== 'activations' || !activationGrid || !cell || activationVisualizations.length === 0) return;
+    
+    if (effectiveField && effectiveField.overlay && isSameCell(effectiveField.cell, cell)) {
+      ctx.drawImage(effectiveField.overlay, 0, 0);
+    }
+    const box = model.getPreprocessor().toImageBox(
+      ReceptiveField.boxAt(activationLayer.receptive_field, cell.y, cell.x),
+      [selectedImage.height, selectedImage.width]
+    );
+    if (box) {
+      ctx.lineWidth = Math.max(2, Math.round(Math.max(canvas.width, canvas.height) / 150));
+      ctx.strokeStyle = '#00e5ff';
+      ctx.strokeRect(box.left, box.top, box.width, box.height);
+    }
+  }, [selectedImage, activeTab, activationLayer, activationVisualizations, hoveredCell, pinnedCell, effectiveField]);
+  
+  // Render the attributions whenever they or the display mode change
+  useEffect(() => {
+    if (!attributionResult || !selectedImage || !model) {
+      setAttributionMap(null);
+      return;
+    }
+    
+    const visualized = tf.tidy(() => AttributionRenderer.render(
+      selectedImage,
+      tf.tensor(attributionResult.values, attributionResult.shape),
+      model.getPreprocessor(),
+      { mode: attributionMode, alpha: 0.7 }
+    ));
+    const canvas = document.createElement('canvas');
+    canvas.width = selectedImage.width;
+    canvas.height = selectedImage.height;
+    tf.browser.toPixels(visualized, canvas)
+      .then(() => setAttributionMap(canvas.toDataURL()))
+      .catch(error => setErrorMessage(`Error rendering attributions: ${error.message}`))
+      .finally(() => visualized.dispose());
+  }, [attributionResult, attributionMode]);
+  
+  // Generate a pixel attribution map with the selected method
   const generateAttributions = async () => {
     if (!selectedImage || !model || !model.tfModel) {
       setErrorMessage("Please select an image first, and ensure the model is loaded.");
@@ -298,115 +1144,757 @@ const ExplainabilityView = ({ model }) => {
     
     setIsProcessing(true);
     setErrorMessage(null);
-    setAttributionMap(null);
+    setAttributionResult(null);
+    setAttributionProgress(null);
     
     try {
       // Start a new scope to manage memory
       tf.engine().startScope();
       
-      // Create Integrated Gradients instance
-      const integratedGrads = new IntegratedGradients(model);
-      
-      // Generate attributions
-      const attributions = await integratedGrads.generateAttributions(
-        selectedImage, 
-        null, // Use predicted class
-        50    // Number of steps
-      );
+      let explainer;
+      let attributions;
+      let baselineImage = null;
+      if (attributionMethod === 'integratedGradients') {
+        explainer = new IntegratedGradients(model);
+        attributions = await explainer.generateAttributions(
+          selectedImage, 
+          null, // Use predicted class
+          igOptions.steps,
+          {
+            scheme: igOptions.scheme,
+            baseline: igBaseline,
+            referenceImage,
+            referenceImages: igBaseline === 'expected' ? await getReferenceImageSet() : [],
+            onProgress: (done, total) => setAttributionProgress({ done, total })
+          }
+        );
+        baselineImage = await pixelsToDataURL(explainer.lastBaseline);
+      } else if (attributionMethod === 'guidedBackprop') {
+        explainer = new GuidedBackprop(model);
+        attributions = await explainer.generateAttributions(selectedImage, null); // Use predicted class
+      } else {
+        explainer = new GradientSaliency(model);
+        attributions = await explainer.generateAttributions(
+          selectedImage,
+          attributionMethod,
+          null, // Use predicted class
+          { ...smoothGradOptions, onProgress: (done, total) => setAttributionProgress({ done, total }) }
+        );
+      }
       
       if (attributions) {
-        // Apply attribution map to the original image
-        const visualized = await integratedGrads.applyAttributionMap(
-          selectedImage,
-          attributions,
-          0.6 // Alpha blending factor
+        // Keep the raw values so the display mode can be switched without recomputing
+        setAttributionResult({
+          method: attributionMethod,
+          classIndex: explainer.lastClassIndex,
+          baseline: baselineImage ? { type: igBaseline, image: baselineImage } : null,
+          completeness: attributionMethod === 'integratedGradients'
+            ? { ...explainer.lastCompleteness, steps: igOptions.steps, scheme: igOptions.scheme }
+            : null,
+          values: await attributions.data(),
+          shape: attributions.shape
+        });
+        await recordSaliencyMap(
+          `attribution:${attributionMethod}`,
+          ATTRIBUTION_METHODS[attributionMethod].label,
+          explainer.lastClassIndex,
+          AttributionRenderer.reduce(attributions, ATTRIBUTION_METHODS[attributionMethod].ranking)
+        );
+        attributions.dispose();
+      } else {
+        setErrorMessage("Failed to generate attributions. Check console for details.");
+      }
+    } catch (error) {
+      const errorMsg = ErrorHandler.handleError("Attribution Generation", error);
+      setErrorMessage(ErrorHandler.formatUserError(errorMsg));
+    } finally {
+      // End the scope to release memory
+      tf.engine().endScope();
+      setIsProcessing(false);
+      setAttributionProgress(null);
+      cleanupTensors();
+    }
+  };
+  
+  // Results computed with the old preprocessing settings no longer match the model input
+  const handlePreprocessingChange = () => {
+    setCamResults([]);
+    setScoreCamResult(null);
+    setPredictions(null);
+    setTargetClass(null);
+    setOcclusionResult(null);
+    setLimeResult(null);
+    setShapResult(null);
+    setRiseResult(null);
+    setContrastClasses({ classA: null, classB: null });
+    setContrastResult(null);
+    setSaliencyMaps([]);
+    setFaithfulnessResults([]);
+    setSanityResult(null);
+    setActivationVisualizations([]);
+    setAttributionResult(null);
+    setErrorMessage(null);
+    setPreprocessingVersion(version => version + 1);
+  };
+  
+  // Show documentation for a specific technique
+  const handleShowDocs = (technique) => {
+    setActiveTechnique(technique);
+    setShowDocs(true);
+  };
+  
+  // Name of a class from the reported predictions, or its index
+  const getClassLabel = (classIndex) => {
+    const prediction = predictions && predictions.topPredictions.find(p => p.index === classIndex);
+    return prediction ? prediction.className : `class ${classIndex}`;
+  };
+  
+  // Choose the class to explain from the predictions list
+  const renderClassSelect = () => (
+    <label>
+      Class to explain
+      <select 
+        value={targetClass === null ? '' : targetClass}
+        onChange={(e) => setTargetClass(e.target.value === '' ? null : Number(e.target.value))}
+        disabled={isProcessing || !predictions}
+        title={predictions ? '' : 'Generate predictions in the Predictions tab to choose another class'}
+      >
+        <option value="">Top prediction</option>
+        {predictions && predictions.topPredictions.map(prediction => (
+          <option key={prediction.index} value={prediction.index}>
+            {prediction.className} ({PredictionHelper.formatProbability(prediction.probability)})
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+  
+  // Table of the strongest regions (LIME superpixels, SHAP regions), as { segment, weight } entries
+  const renderRegionWeights = ({ positive, negative }, heading = 'Weight') => {
+    return (
+      <table className="region-weights">
+        <thead>
+          <tr><th>Supports</th><th>{heading}</th><th>Opposes</th><th>{heading}</th></tr>
+        </thead>
+        <tbody>
+          {Array.from({ length: Math.max(positive.length, negative.length) }, (_, row) => (
+            <tr key={row}>
+              <td>{positive[row] ? `#${positive[row].segment}` : ''}</td>
+              <td className="positive">{positive[row] ? `+${positive[row].weight.toFixed(4)}` : ''}</td>
+              <td>{negative[row] ? `#${negative[row].segment}` : ''}</td>
+              <td className="negative">{negative[row] ? negative[row].weight.toFixed(4) : ''}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+  
+  // Completeness check of Integrated Gradients, with a hint when the steps weren't enough
+  const renderCompleteness = ({ attributionSum, scoreDifference, delta, steps, scheme }) => {
+    const converged = IntegratedGradients.isConverged({ delta, scoreDifference });
+    const relativeDelta = Math.abs(delta) / Math.max(Math.abs(scoreDifference), 1e-12);
+    return (
+      <div className={`completeness-check ${converged ? 'converged' : 'not-converged'}`}>
+        <h4>Completeness check</h4>
+        <p>
+          Sum of attributions {attributionSum.toFixed(4)} vs. F(input) − F(baseline) {scoreDifference.toFixed(4)}:
+          delta {delta.toExponential(2)} ({(relativeDelta * 100).toFixed(1)}%)
+        </p>
+        {!converged && (
+          <div className="memory-warning">
+            <span>
+              The attributions are off by more than {COMPLETENESS_TOLERANCE * 100}% of the score difference, so {steps} steps
+              of {INTEGRATION_SCHEMES[scheme]} integration weren't enough.{' '}
+              <button 
+                className="link-button"
+                onClick={() => setIgOptions({ ...igOptions, steps: Math.min(300, steps * 2) })}
+                disabled={isProcessing || steps >= 300}
+              >
+                Use {Math.min(300, steps * 2)} steps
+              </button>
+              {scheme !== 'gaussLegendre' && ' or try Gauss-Legendre integration.'}
+            </span>
+          </div>
+        )}
+      </div>
+    );
+  };
+  
+  // Deletion or insertion curves of all evaluated maps in one chart, class probability against share of pixels
+  const renderFaithfulnessChart = (metric) => {
+    const width = 320;
+    const height = 200;
+    const margin = 30;
+    const toPoints = ({ fractions, scores }) => fractions
+      .map((fraction, i) => `${margin + fraction * (width - 2 * margin)},${height - margin - scores[i] * (height - 2 * margin)}`)
+      .join(' ');
+    return (
+      <div className="faithfulness-chart">
+        <h4>{FAITHFULNESS_METRICS[metric]}</h4>
+        <svg width={width} height={height}>
+          <line x1={margin} y1={height - margin} x2={width - margin} y2={height - margin} stroke="#999" />
+          <line x1={margin} y1={margin} x2={margin} y2={height - margin} stroke="#999" />
+          <text x={margin - 4} y={margin + 4} textAnchor="end">1</text>
+          <text x={margin - 4} y={height - margin + 4} textAnchor="end">0</text>
+          <text x={width - margin} y={height - margin + 16} textAnchor="end">100%</text>
+          <text x={width / 2} y={height - 6} textAnchor="middle">
+            Pixels {metric === 'deletion' ? 'deleted' : 'inserted'}
+          </text>
+          {faithfulnessResults.map((result, index) => (
+            <polyline
+              key={result.id}
+              points={toPoints(result[metric])}
+              fill="none"
+              stroke={CURVE_COLORS[index % CURVE_COLORS.length]}
+              strokeWidth="2"
+            />
+          ))}
+        </svg>
+      </div>
+    );
+  };
+
+  // Generate a help button for a section
+  const renderHelpButton = (technique) => (
+    <button 
+      className="help-indicator"
+      onClick={(e) => {
+        e.stopPropagation();
+        handleShowDocs(technique);
+      }}
+      title={`Learn about ${technique}`}
+    >
+      ?
+    </button>
+  );
+  
+  // Render the selected explainability tab content
+  const renderTabContent = () => {
+    switch (activeTab) {
+      case 'predictions':
+        return (
+          <div className="predictions-section">
+            <PredictionExplainer 
+              key={preprocessingVersion}
+              model={model}
+              image={selectedImage}
+              onPredictions={setPredictions}
+              selectedClass={targetClass}
+              onSelectClass={setTargetClass}
+              onContrast={handleContrast}
+            />
+          </div>
+        );
+        
+      case 'gradcam':
+        return (
+          <div className="gradcam-section">
+            <div className="cam-method-selector">
+              <label htmlFor="cam-method">Method</label>
+              <select 
+                id="cam-method"
+                value={camMethod}
+                onChange={(e) => setCamMethod(e.target.value)}
+                disabled={isProcessing}
+              >
+                {Object.entries(CAM_METHODS).map(([key, method]) => (
+                  <option key={key} value={key}>{method.label}</option>
+                ))}
+              </select>
+              {renderHelpButton(CAM_METHODS[camMethod].docs)}
+            </div>
+            
+            <button 
+              onClick={generateGradCAM} 
+              disabled={!selectedImage || !selectedLayer || isProcessing}
+              className="generate-button"
+            >
+              {isProcessing ? 'Processing...' : `Generate ${CAM_METHODS[camMethod].label}`}
+            </button>
+            
+            {camResults.length > 0 && (
+              <div className="results-section">
+                <h3>Class Activation Maps</h3>
+                <div className="explanation">
+                  <p>
+                    Red areas are the regions that most increased the score of the explained class.
+                    Generate maps with different methods or layers to compare them side by side;
+                    Layer-CAM usually gives sharper maps on earlier, higher-resolution layers, and Guided
+                    Grad-CAM keeps pixel-level detail inside the Grad-CAM regions.
+                  </p>
+                </div>
+                <div className="cam-results">
+                  {camResults.map(result => (
+                    <div key={result.id} className="cam-result">
+                      <img src={result.src} alt={`${CAM_METHODS[result.method].label} for ${result.layerName}`} />
+                      <div className="cam-result-caption">
+                        <strong>{CAM_METHODS[result.method].label}</strong>
+                        <span>{result.layerName}</span>
+                        {result.classIndex !== null && <span>class {result.classIndex}</span>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        );
+        
+      case 'scorecam':
+        return (
+          <div className="scorecam-section">
+            <div className="scorecam-options">
+              <label>
+                Channels per batch
+                <select 
+                  value={scoreCamOptions.batchSize}
+                  onChange={(e) => setScoreCamOptions({ ...scoreCamOptions, batchSize: Number(e.target.value) })}
+                  disabled={isProcessing}
+                >
+                  {[4, 8, 16, 32].map(size => (
+                    <option key={size} value={size}>{size}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Channels to use
+                <select 
+                  value={scoreCamOptions.maxChannels || 0}
+                  onChange={(e) => setScoreCamOptions({ ...scoreCamOptions, maxChannels: Number(e.target.value) || null })}
+                  disabled={isProcessing}
+                >
+                  {[64, 128, 256, 512].map(count => (
+                    <option key={count} value={count}>Top {count}</option>
+                  ))}
+                  <option value={0}>All</option>
+                </select>
+              </label>
+            </div>
+            <p className="helper-text">
+              Score-CAM runs one forward pass per channel, so large layers take a while. Smaller
+              batches use less memory; limiting the channels to the most active ones is faster.
+            </p>
+            
+            <button 
+              onClick={generateScoreCAM} 
+              disabled={!selectedImage || !selectedLayer || isProcessing}
+              className="generate-button"
+            >
+              {isProcessing ? 'Processing...' : 'Generate Score-CAM'}
+            </button>
+            
+            {scoreCamProgress && scoreCamProgress.total > 0 && (
+              <div className="scorecam-progress">
+                <progress value={scoreCamProgress.done} max={scoreCamProgress.total} />
+                <span>{scoreCamProgress.done} / {scoreCamProgress.total} channels</span>
+              </div>
+            )}
+            
+            {scoreCamResult && (
+              <div className="results-section">
+                <h3>Score-CAM Results</h3>
+                <div className="visualization-container">
+                  <div>
+                    <h4>Heatmap Overlay ({scoreCamResult.layerName}, class {scoreCamResult.classIndex})</h4>
+                    <img src={scoreCamResult.src} alt="Score-CAM heatmap overlay" className="heatmap-canvas" />
+                  </div>
+                  <div className="explanation">
+                    <h4>What is Score-CAM?</h4>
+                    <p>
+                      Score-CAM masks the image with each feature map of the selected layer and measures how
+                      much the masked image alone raises the class score. Feature maps that keep the
+                      evidence for the class get high weights. It needs no gradients, so it also works
+                      for models exported with ops that can't be differentiated in the browser.
+                    </p>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+        
+      case 'occlusion':
+        return (
+          <div className="occlusion-section">
+            <div className="scorecam-options">
+              {renderClassSelect()}
+              <label>
+                Patch size: {occlusionOptions.patchSize}px
+                <input 
+                  type="range" min="8" max="112" step="8"
+                  value={occlusionOptions.patchSize}
+                  onChange={(e) => setOcclusionOptions({ ...occlusionOptions, patchSize: Number(e.target.value) })}
+                  disabled={isProcessing}
+                />
+              </label>
+              <label>
+                Stride: {occlusionOptions.stride}px
+                <input 
+                  type="range" min="4" max="112" step="4"
+                  value={occlusionOptions.stride}
+                  onChange={(e) => setOcclusionOptions({ ...occlusionOptions, stride: Number(e.target.value) })}
+                  disabled={isProcessing}
+                />
+              </label>
+              <label>
+                Occluder
+                <select 
+                  value={occlusionOptions.occluder}
+                  onChange={(e) => setOcclusionOptions({ ...occlusionOptions, occluder: e.target.value })}
+                  disabled={isProcessing}
+                >
+                  {Object.entries(OCCLUDERS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <p className="helper-text">
+              Sizes are in model input pixels. A smaller stride gives a smoother map but runs one
+              forward pass per patch position, so it takes longer.
+            </p>
+            
+            <button 
+              onClick={generateOcclusion} 
+              disabled={!selectedImage || isProcessing}
+              className="generate-button"
+            >
+              {isProcessing ? 'Processing...' : 'Generate Occlusion Map'}
+            </button>
+            
+            {occlusionProgress && occlusionProgress.total > 0 && (
+              <div className="scorecam-progress">
+                <progress value={occlusionProgress.done} max={occlusionProgress.total} />
+                <span>{occlusionProgress.done} / {occlusionProgress.total} patches</span>
+              </div>
+            )}
+            
+            {occlusionResult && (
+              <div className="results-section">
+                <h3>Occlusion Sensitivity Results</h3>
+                <div className="visualization-container">
+                  <div>
+                    <h4>Confidence Drop ({getClassLabel(occlusionResult.classIndex)})</h4>
+                    <img src={occlusionResult.src} alt="Occlusion sensitivity map" className="heatmap-canvas" />
+                  </div>
+                  <div className="explanation">
+                    <h4>Reading the map</h4>
+                    <p>
+                      A {OCCLUDERS[occlusionResult.options.occluder].toLowerCase()} {occlusionResult.options.patchSize}px
+                      patch was moved across the image in {occlusionResult.options.stride}px steps, and the model was asked
+                      again each time. The model gives this class {PredictionHelper.formatProbability(occlusionResult.baseScore)} for
+                      the full image; covering the most important area lowers that by
+                      about {PredictionHelper.formatProbability(Math.max(0, occlusionResult.maxDrop))}.
+                    </p>
+                    <p>
+                      <strong>Red</strong> areas are evidence for the class: hiding them lowers the confidence.
+                      Hiding <strong>blue</strong> areas raises it.
+                    </p>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+        
+      case 'lime':
+        return (
+          <div className="lime-section">
+            <div className="scorecam-options">
+              {renderClassSelect()}
+              <label>
+                Superpixels: {limeOptions.segments}
+                <input 
+                  type="range" min="10" max="200" step="10"
+                  value={limeOptions.segments}
+                  onChange={(e) => setLimeOptions({ ...limeOptions, segments: Number(e.target.value) })}
+                  disabled={isProcessing}
+                />
+              </label>
+              <label>
+                Samples: {limeOptions.samples}
+                <input 
+                  type="range" min="100" max="2000" step="100"
+                  value={limeOptions.samples}
+                  onChange={(e) => setLimeOptions({ ...limeOptions, samples: Number(e.target.value) })}
+                  disabled={isProcessing}
+                />
+              </label>
+              <label>
+                Kernel width: {limeOptions.kernelWidth}
+                <input 
+                  type="range" min="0.05" max="1" step="0.05"
+                  value={limeOptions.kernelWidth}
+                  onChange={(e) => setLimeOptions({ ...limeOptions, kernelWidth: Number(e.target.value) })}
+                  disabled={isProcessing}
+                />
+              </label>
+              <label>
+                Seed
+                <input 
+                  type="number" min="0" step="1"
+                  value={limeOptions.seed}
+                  onChange={(e) => setLimeOptions({ ...limeOptions, seed: Math.max(0, Math.floor(Number(e.target.value) || 0)) })}
+                  disabled={isProcessing}
+                />
+              </label>
+            </div>
+            <p className="helper-text">
+              The same image, class and settings always give the same explanation. More samples give a
+              more stable fit; a narrower kernel focuses the fit on copies close to the original image.
+            </p>
+            
+            <button 
+              onClick={generateLIME} 
+              disabled={!selectedImage || isProcessing}
+              className="generate-button"
+            >
+              {isProcessing ? 'Processing...' : 'Generate LIME Explanation'}
+            </button>
+            
+            {limeProgress && limeProgress.total > 0 && (
+              <div className="scorecam-progress">
+                <progress value={limeProgress.done} max={limeProgress.total} />
+                <span>{limeProgress.done} / {limeProgress.total} samples</span>
+              </div>
+            )}
+            
+            {limeResult && (
+              <div className="results-section">
+                <h3>LIME Results</h3>
+                <div className="visualization-container">
+                  <div>
+                    <h4>Top Superpixels ({getClassLabel(limeResult.classIndex)})</h4>
+                    {limeMap && <img src={limeMap} alt="LIME explanation" className="heatmap-canvas" />}
+                    <label className="lime-top-k">
+                      Show top {limeTopK} of each
+                      <input 
+                        type="range" min="1" max="10" step="1"
+                        value={limeTopK}
+                        onChange={(e) => setLimeTopK(Number(e.target.value))}
+                      />
+                    </label>
+                  </div>
+                  <div className="explanation">
+                    <h4>Reading the explanation</h4>
+                    <p>
+                      The image was split into {limeResult.segmentCount} superpixels, and the model scored
+                      {' '}{limeResult.options.samples} copies with random superpixels hidden (seed {limeResult.options.seed}).
+                      A weighted linear model fitted to those scores explains how much each superpixel adds to
+                      the class probability. <strong>Green</strong> superpixels support the class and <strong>red</strong>
+                      {' '}ones argue against it.
+                    </p>
+                    <p>
+                      Surrogate fit (weighted R²): <strong>{limeResult.score.toFixed(3)}</strong>
+                      {limeResult.score < 0.3 && ' (low: the linear surrogate explains the model poorly here; try more samples or a wider kernel)'}
+                    </p>
+                    {renderRegionWeights(LIME.getTopSegments(limeResult, limeTopK))}
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
         );
         
-        // Render on canvas
-        const canvas = attributionCanvasRef.current;
-        if (canvas) {
-          canvas.width = selectedImage.width;
-          canvas.height = selectedImage.height;
-          
-          await tf.browser.toPixels(visualized, canvas);
-          setAttributionMap(canvas.toDataURL());
-        }
-        
-        // Clean up
-        attributions.dispose();
-        visualized.dispose();
-      } else {
-        setErrorMessage("Failed to generate attributions. Check console for details.");
-      }
-    } catch (error) {
-      console.error("Error generating Integrated Gradients:", error);
-      setErrorMessage(`Error: ${error.message}`);
-    } finally {
-      // End the scope to release memory
-      tf.engine().endScope();
-      setIsProcessing(false);
-      cleanupTensors();
-    }
-  };
-  
-  // Show documentation for a specific technique
-  const handleShowDocs = (technique) => {
-    setActiveTechnique(technique);
-    setShowDocs(true);
-  };
-  
-  // Generate a help button for a section
-  const renderHelpButton = (technique) => (
-    <button 
-      className="help-indicator"
-      onClick={(e) => {
-        e.stopPropagation();
-        handleShowDocs(technique);
-      }}
-      title={`Learn about ${technique}`}
-    >
-      ?
-    </button>
-  );
-  
-  // Render the selected explainability tab content
-  const renderTabContent = () => {
-    switch (activeTab) {
-      case 'predictions':
+      case 'shap':
         return (
-          <div className="predictions-section">
-            <PredictionExplainer 
-              model={model}
-              image={selectedImage}
-            />
+          <div className="shap-section">
+            <div className="scorecam-options">
+              {renderClassSelect()}
+              <label>
+                Regions
+                <select 
+                  value={shapOptions.features}
+                  onChange={(e) => setShapOptions({ ...shapOptions, features: e.target.value })}
+                  disabled={isProcessing}
+                >
+                  {Object.entries(FEATURE_PARTITIONS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              {shapOptions.features === 'superpixels' ? (
+                <label>
+                  Superpixels: {shapOptions.segments}
+                  <input 
+                    type="range" min="10" max="200" step="10"
+                    value={shapOptions.segments}
+                    onChange={(e) => setShapOptions({ ...shapOptions, segments: Number(e.target.value) })}
+                    disabled={isProcessing}
+                  />
+                </label>
+              ) : (
+                <label>
+                  Grid: {2 ** shapOptions.gridLevel}×{2 ** shapOptions.gridLevel} cells
+                  <input 
+                    type="range" min="1" max="4" step="1"
+                    value={shapOptions.gridLevel}
+                    onChange={(e) => setShapOptions({ ...shapOptions, gridLevel: Number(e.target.value) })}
+                    disabled={isProcessing}
+                  />
+                </label>
+              )}
+              <label>
+                Background
+                <select 
+                  value={shapOptions.background}
+                  onChange={(e) => setShapOptions({ ...shapOptions, background: e.target.value })}
+                  disabled={isProcessing}
+                >
+                  {Object.entries(SHAP_BACKGROUNDS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Coalitions: {shapOptions.samples}
+                <input 
+                  type="range" min="200" max="4000" step="200"
+                  value={shapOptions.samples}
+                  onChange={(e) => setShapOptions({ ...shapOptions, samples: Number(e.target.value) })}
+                  disabled={isProcessing}
+                />
+              </label>
+              <label>
+                Seed
+                <input 
+                  type="number" min="0" step="1"
+                  value={shapOptions.seed}
+                  onChange={(e) => setShapOptions({ ...shapOptions, seed: Math.max(0, Math.floor(Number(e.target.value) || 0)) })}
+                  disabled={isProcessing}
+                />
+              </label>
+            </div>
+            <p className="helper-text">
+              Regions left out of a coalition are replaced by the background. With few regions (a 2×2
+              grid) every coalition is evaluated and the values are exact; otherwise they are estimated
+              from the sampled coalitions, and more coalitions give more stable values.
+            </p>
+            
+            <button 
+              onClick={generateSHAP} 
+              disabled={!selectedImage || isProcessing}
+              className="generate-button"
+            >
+              {isProcessing ? 'Processing...' : 'Generate SHAP Values'}
+            </button>
+            
+            {shapProgress && shapProgress.total > 0 && (
+              <div className="scorecam-progress">
+                <progress value={shapProgress.done} max={shapProgress.total} />
+                <span>{shapProgress.done} / {shapProgress.total} coalitions</span>
+              </div>
+            )}
+            
+            {shapResult && (
+              <div className="results-section">
+                <h3>SHAP Results</h3>
+                <div className="visualization-container">
+                  <div>
+                    <h4>Shapley Values ({getClassLabel(shapResult.classIndex)})</h4>
+                    <img src={shapResult.src} alt="SHAP values" className="heatmap-canvas" />
+                  </div>
+                  <div className="explanation">
+                    <h4>Reading the explanation</h4>
+                    <p>
+                      The image was split into {shapResult.segmentCount} {shapResult.options.features === 'grid' ? 'grid cells' : 'superpixels'},
+                      and each region's Shapley value is its average contribution to the class probability over
+                      {shapResult.exact ? ' every coalition of the other regions' : ` ${shapResult.options.samples} sampled coalitions (seed ${shapResult.options.seed})`}.
+                      {' '}<strong>Red</strong> regions support the class and <strong>blue</strong> ones argue against it.
+                    </p>
+                    <div className="additivity-check">
+                      <h4>Additivity</h4>
+                      <p>
+                        Sum of Shapley values {shapResult.values.reduce((sum, value) => sum + value, 0).toFixed(4)} =
+                        f(image) {shapResult.prediction.toFixed(4)} − f(background) {shapResult.baseValue.toFixed(4)}
+                      </p>
+                    </div>
+                    {renderRegionWeights(KernelSHAP.getTopRegions(shapResult, 5), 'Shapley value')}
+                  </div>
+                </div>
+              </div>
+            )}
           </div>
         );
         
-      case 'gradcam':
+      case 'rise':
         return (
-          <div className="gradcam-section">
+          <div className="rise-section">
+            <div className="scorecam-options">
+              {renderClassSelect()}
+              <label>
+                Masks: {riseOptions.masks}
+                <input 
+                  type="range" min="250" max="8000" step="250"
+                  value={riseOptions.masks}
+                  onChange={(e) => setRiseOptions({ ...riseOptions, masks: Number(e.target.value) })}
+                  disabled={isProcessing}
+                />
+              </label>
+              <label>
+                Mask grid: {riseOptions.gridSize}×{riseOptions.gridSize}
+                <input 
+                  type="range" min="3" max="16" step="1"
+                  value={riseOptions.gridSize}
+                  onChange={(e) => setRiseOptions({ ...riseOptions, gridSize: Number(e.target.value) })}
+                  disabled={isProcessing}
+                />
+              </label>
+              <label>
+                Visible cells: {Math.round(riseOptions.probability * 100)}%
+                <input 
+                  type="range" min="0.1" max="0.9" step="0.1"
+                  value={riseOptions.probability}
+                  onChange={(e) => setRiseOptions({ ...riseOptions, probability: Number(e.target.value) })}
+                  disabled={isProcessing}
+                />
+              </label>
+            </div>
+            <p className="helper-text">
+              The map is drawn after every batch and sharpens as more masks are averaged. A finer grid
+              finds smaller regions but needs more masks to converge.
+            </p>
+            
             <button 
-              onClick={generateGradCAM} 
-              disabled={!selectedImage || !selectedLayer || isProcessing}
+              onClick={generateRISE} 
+              disabled={!selectedImage || isProcessing}
               className="generate-button"
             >
-              {isProcessing ? 'Processing...' : 'Generate GradCAM'}
+              {isProcessing ? 'Processing...' : 'Generate RISE Map'}
             </button>
             
-            {heatmapImage && (
+            {riseProgress && (
+              <div className="scorecam-progress">
+                <progress value={riseProgress.done} max={riseProgress.total} />
+                <span>{riseProgress.done} / {riseProgress.total} masks</span>
+              </div>
+            )}
+            
+            {(riseProgress || riseResult) && (
               <div className="results-section">
-                <h3>GradCAM Results</h3>
+                <h3>RISE Results</h3>
                 <div className="visualization-container">
                   <div>
-                    <h4>Heatmap Overlay</h4>
-                    <canvas ref={heatmapCanvasRef} className="heatmap-canvas"></canvas>
+                    {riseProgress ? (
+                      <>
+                        <h4>Saliency (converging...)</h4>
+                        <canvas ref={riseCanvasRef} className="heatmap-canvas" />
+                      </>
+                    ) : (
+                      <>
+                        <h4>Saliency ({getClassLabel(riseResult.classIndex)})</h4>
+                        <img src={riseResult.src} alt="RISE saliency map" className="heatmap-canvas" />
+                      </>
+                    )}
                   </div>
                   <div className="explanation">
-                    <h4>What is GradCAM?</h4>
+                    <h4>What is RISE?</h4>
                     <p>
-                      Gradient-weighted Class Activation Mapping (GradCAM) highlights regions
-                      in the image that are important for the model's prediction. Red areas indicate
-                      regions that strongly influence the model's decision.
+                      RISE shows the model the image through many random masks and records the class
+                      probability each time. A pixel's saliency is the average probability over the masks
+                      that let it through, so regions that keep the class probability high when visible
+                      light up. It only needs the model's outputs, so it treats the model as a black box.
                     </p>
                   </div>
                 </div>
@@ -415,6 +1903,315 @@ const ExplainabilityView = ({ model }) => {
           </div>
         );
         
+      case 'contrast': {
+        const { classA, classB } = getContrastClasses();
+        const renderContrastClassSelect = (label, value, key) => (
+          <label>
+            {label}
+            <select 
+              value={value === null ? '' : value}
+              onChange={(e) => setContrastClasses({ ...contrastClasses, [key]: Number(e.target.value) })}
+              disabled={isProcessing || !predictions}
+              title={predictions ? '' : 'Generate predictions in the Predictions tab to choose the classes'}
+            >
+              {!predictions && <option value="">No predictions yet</option>}
+              {predictions && predictions.topPredictions.map(prediction => (
+                <option key={prediction.index} value={prediction.index}>
+                  {prediction.className} ({PredictionHelper.formatProbability(prediction.probability)})
+                </option>
+              ))}
+            </select>
+          </label>
+        );
+        return (
+          <div className="contrast-section">
+            <div className="scorecam-options">
+              {renderContrastClassSelect('Why', classA, 'classA')}
+              {renderContrastClassSelect('and not', classB, 'classB')}
+              <label>
+                Method
+                <select 
+                  value={contrastOptions.method}
+                  onChange={(e) => setContrastOptions({ ...contrastOptions, method: e.target.value })}
+                  disabled={isProcessing}
+                >
+                  {Object.entries(CONTRASTIVE_METHODS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              {contrastOptions.method === 'integratedGradients' && (
+                <label>
+                  Steps: {contrastOptions.steps}
+                  <input 
+                    type="range" min="8" max="128" step="8"
+                    value={contrastOptions.steps}
+                    onChange={(e) => setContrastOptions({ ...contrastOptions, steps: Number(e.target.value) })}
+                    disabled={isProcessing}
+                  />
+                </label>
+              )}
+              {contrastOptions.method === 'occlusion' && (
+                <label>
+                  Patch size: {contrastOptions.patchSize}px
+                  <input 
+                    type="range" min="8" max="64" step="8"
+                    value={contrastOptions.patchSize}
+                    onChange={(e) => setContrastOptions({ ...contrastOptions, patchSize: Number(e.target.value) })}
+                    disabled={isProcessing}
+                  />
+                </label>
+              )}
+            </div>
+            <p className="helper-text">
+              {contrastOptions.method === 'gradcam'
+                ? 'Grad-CAM uses the layer selected on the left.'
+                : 'This method explains the whole model, so no layer is needed.'}
+              {' '}The contrastive map explains the difference of the two classes' logits.
+            </p>
+            
+            <button 
+              onClick={generateContrast} 
+              disabled={!selectedImage || isProcessing || classA === null || classB === null || classA === classB || (contrastOptions.method === 'gradcam' && !selectedLayer)}
+              className="generate-button"
+            >
+              {isProcessing ? 'Processing...' : 'Compare Classes'}
+            </button>
+            
+            {contrastProgress && contrastProgress.total > 0 && (
+              <div className="scorecam-progress">
+                <progress value={contrastProgress.done} max={contrastProgress.total} />
+                <span>{contrastProgress.done} / {contrastProgress.total} {contrastOptions.method === 'occlusion' ? 'patches' : 'steps'}</span>
+              </div>
+            )}
+            
+            {contrastResult && (
+              <div className="results-section">
+                <h3>Why {getClassLabel(contrastResult.classA)} and not {getClassLabel(contrastResult.classB)}?</h3>
+                <div className="cam-results">
+                  {[
+                    { key: 'contrast', title: `${getClassLabel(contrastResult.classA)} vs. ${getClassLabel(contrastResult.classB)}` },
+                    { key: 'mapA', title: getClassLabel(contrastResult.classA) },
+                    { key: 'mapB', title: getClassLabel(contrastResult.classB) }
+                  ].map(({ key, title }) => (
+                    <div key={key} className="cam-result">
+                      <img src={contrastResult[key]} alt={`${CONTRASTIVE_METHODS[contrastResult.method]} for ${title}`} />
+                      <div className="cam-result-caption">
+                        <strong>{title}</strong>
+                        <span>{CONTRASTIVE_METHODS[contrastResult.method]}</span>
+                        {contrastResult.layerName && <span>{contrastResult.layerName}</span>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <div className="explanation">
+                  <p>
+                    The first map shows the evidence that separates the two classes: what raises the
+                    logit of {getClassLabel(contrastResult.classA)} more than that of {getClassLabel(contrastResult.classB)}.
+                    The other two are the maps of each class on its own. Regions that appear in both single-class
+                    maps are shared evidence and fade from the contrastive map.
+                    {contrastResult.method !== 'gradcam' && ' Red areas support the first class over the second and blue areas the reverse.'}
+                    {' '}Each map is scaled on its own.
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      }
+
+      case 'faithfulness': {
+        // Lowest deletion and highest insertion AUC are the most faithful
+        const best = faithfulnessResults.length > 1 && {
+          deletion: Math.min(...faithfulnessResults.map(result => result.deletion.auc)),
+          insertion: Math.max(...faithfulnessResults.map(result => result.insertion.auc))
+        };
+        return (
+          <div className="faithfulness-section">
+            <div className="scorecam-options">
+              <label>
+                Steps: {faithfulnessOptions.steps}
+                <input
+                  type="range" min="10" max="100" step="10"
+                  value={faithfulnessOptions.steps}
+                  onChange={(e) => setFaithfulnessOptions({ ...faithfulnessOptions, steps: Number(e.target.value) })}
+                  disabled={isProcessing}
+                />
+              </label>
+              {Object.entries(FAITHFULNESS_METRICS).map(([metric, label]) => (
+                <label key={metric}>
+                  {label} substrate
+                  <select
+                    value={faithfulnessOptions[`${metric}Substrate`]}
+                    onChange={(e) => setFaithfulnessOptions({ ...faithfulnessOptions, [`${metric}Substrate`]: e.target.value })}
+                    disabled={isProcessing}
+                  >
+                    {Object.entries(SUBSTRATES).map(([key, substrateLabel]) => (
+                      <option key={key} value={key}>{substrateLabel}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <p className="helper-text">
+              {saliencyMaps.length === 0
+                ? 'Generate explanations of this image in the other tabs; every map is kept here for comparison.'
+                : `Maps to compare: ${saliencyMaps.map(entry => entry.label).join(', ')}.`}
+            </p>
+
+            <button
+              onClick={evaluateFaithfulness}
+              disabled={!selectedImage || isProcessing || saliencyMaps.length === 0}
+              className="generate-button"
+            >
+              {isProcessing ? 'Processing...' : 'Evaluate Faithfulness'}
+            </button>
+
+            {faithfulnessProgress && (
+              <div className="scorecam-progress">
+                <progress value={faithfulnessProgress.done} max={faithfulnessProgress.total} />
+                <span>{faithfulnessProgress.done} / {faithfulnessProgress.total} steps</span>
+              </div>
+            )}
+
+            {faithfulnessResults.length > 0 && (
+              <div className="results-section">
+                <h3>Faithfulness Results</h3>
+                <div className="faithfulness-charts">
+                  {Object.keys(FAITHFULNESS_METRICS).map(metric => (
+                    <React.Fragment key={metric}>{renderFaithfulnessChart(metric)}</React.Fragment>
+                  ))}
+                </div>
+                <table className="faithfulness-table">
+                  <thead>
+                    <tr><th>Method</th><th>Class</th><th>Deletion AUC ↓</th><th>Insertion AUC ↑</th></tr>
+                  </thead>
+                  <tbody>
+                    {faithfulnessResults.map((result, index) => (
+                      <tr key={result.id}>
+                        <td>
+                          <span className="curve-swatch" style={{ backgroundColor: CURVE_COLORS[index % CURVE_COLORS.length] }} />
+                          {result.label}
+                        </td>
+                        <td>{getClassLabel(result.classIndex)}</td>
+                        <td className={best && result.deletion.auc === best.deletion ? 'best' : ''}>{result.deletion.auc.toFixed(4)}</td>
+                        <td className={best && result.insertion.auc === best.insertion ? 'best' : ''}>{result.insertion.auc.toFixed(4)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="explanation">
+                  <p>
+                    Pixels are deleted from the image, or inserted into a blank or blurred copy of it,
+                    most important first according to each map, and the class probability is recorded along the way.
+                    A faithful map makes the probability drop quickly on deletion and rise quickly on insertion.
+                    Maps of different classes aren't directly comparable.
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      }
+
+      case 'sanity':
+        return (
+          <div className="sanity-section">
+            <div className="scorecam-options">
+              {renderClassSelect()}
+              <label>
+                Method
+                <select 
+                  value={sanityOptions.method}
+                  onChange={(e) => setSanityOptions({ ...sanityOptions, method: e.target.value })}
+                  disabled={isProcessing}
+                >
+                  {Object.entries(SANITY_CHECK_METHODS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Stages: {sanityOptions.stages}
+                <input 
+                  type="range" min="2" max="16" step="1"
+                  value={sanityOptions.stages}
+                  onChange={(e) => setSanityOptions({ ...sanityOptions, stages: Number(e.target.value) })}
+                  disabled={isProcessing}
+                />
+              </label>
+            </div>
+            <p className="helper-text">
+              {sanityOptions.method === 'gradcam'
+                ? 'Grad-CAM uses the layer selected on the left.'
+                : 'The method uses the settings of the Pixel Attribution tab.'}
+              {' '}A copy of the model is re-initialized in groups of layers, from the output down; the
+              loaded model is not changed.
+            </p>
+            
+            <button 
+              onClick={generateSanityCheck} 
+              disabled={!selectedImage || isProcessing || (sanityOptions.method === 'gradcam' && !selectedLayer)}
+              className="generate-button"
+            >
+              {isProcessing ? 'Processing...' : 'Run Sanity Check'}
+            </button>
+            
+            {sanityProgress && sanityProgress.total > 0 && (
+              <div className="scorecam-progress">
+                <progress value={sanityProgress.done} max={sanityProgress.total} />
+                <span>{sanityProgress.done} / {sanityProgress.total} stages</span>
+              </div>
+            )}
+            
+            {sanityResult && sanityResult.stages.length > 0 && (
+              <div className="results-section">
+                <h3>
+                  Model Randomization: {SANITY_CHECK_METHODS[sanityResult.method]}
+                  {sanityResult.layerName && ` (${sanityResult.layerName})`}, {getClassLabel(sanityResult.classIndex)}
+                </h3>
+                <div className="cam-results">
+                  {sanityResult.stages.map((stage, index) => (
+                    <div key={index} className="cam-result">
+                      <img src={stage.src} alt={`${SANITY_CHECK_METHODS[sanityResult.method]} at stage ${index}`} />
+                      <div className="cam-result-caption">
+                        <strong>
+                          {index === 0 ? 'Trained model' : `Randomized down to ${stage.layerNames[stage.layerNames.length - 1]}`}
+                        </strong>
+                        {index > 0 && <span>{stage.layerNames.length} layers</span>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <table className="sanity-table">
+                  <thead>
+                    <tr><th>Randomized down to</th><th>Layers</th><th>Spearman ρ</th><th>SSIM</th></tr>
+                  </thead>
+                  <tbody>
+                    {sanityResult.stages.map((stage, index) => (
+                      <tr key={index}>
+                        <td>{index === 0 ? '(trained model)' : stage.layerNames[stage.layerNames.length - 1]}</td>
+                        <td>{stage.layerNames.length}</td>
+                        <td>{stage.rankCorrelation.toFixed(3)}</td>
+                        <td>{stage.ssim.toFixed(3)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="explanation">
+                  <p>
+                    Spearman ρ and SSIM compare each map with the trained model's map; 1 means identical.
+                    An explainer that depends on what the model learned should drop towards 0 as more
+                    layers lose their trained weights. If the maps stay similar after most layers are
+                    randomized, the explainer mostly shows the image itself (edges, contrast) rather
+                    than the model's reasoning.
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+        
       case 'filters':
         return (
           <div className="filters-section">
@@ -468,10 +2265,52 @@ const ExplainabilityView = ({ model }) => {
                     Red areas indicate strong activations, meaning those parts of the image strongly match the filter's pattern.
                   </p>
                 </div>
+                {activationGrid ? (
+                  <div className="receptive-field-info">
+                    <p>
+                      Each position of {activationLayer.name} sees {formatReceptiveField(activationLayer.receptive_field)}.
+                      Hover over a map to outline the receptive field of a position on the original image; click to keep it.
+                    </p>
+                    {(hoveredCell || pinnedCell) && (
+                      <p className="receptive-field-cell">
+                        {describeReceptiveFieldCell(hoveredCell || pinnedCell)}
+                      </p>
+                    )}
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={showEffectiveField}
+                        onChange={(e) => setShowEffectiveField(e.target.checked)}
+                      />
+                      Show the effective receptive field of the clicked position (input gradient of that unit)
+                    </label>
+                    {showEffectiveField && !pinnedCell && (
+                      <p className="helper-text">Click a position in a map to compute it.</p>
+                    )}
+                    {effectiveField && effectiveField.message && (
+                      <p className="helper-text">{effectiveField.message}</p>
+                    )}
+                  </div>
+                ) : (
+                  <p className="helper-text">
+                    The receptive field of {activationLayer ? activationLayer.name : 'this layer'} is unknown, so positions can't be traced back to the image.
+                  </p>
+                )}
                 <div className="activation-grid">
                   {activationVisualizations.map(activation => (
-                    <div key={activation.id} className="activation-item">
-                      <img src={activation.src} alt={activation.title} title={activation.title} />
+                    <div
+                      key={activation.id}
+                      className={`activation-item ${pinnedCell && pinnedCell.channel === activation.id ? 'pinned' : ''}`}
+                    >
+                      <img
+                        src={activation.src}
+                        alt={activation.title}
+                        title={activation.title}
+                        className={activationGrid ? 'receptive-field-target' : ''}
+                        onMouseMove={(e) => handleActivationHover(activation.id, e)}
+                        onMouseLeave={() => setHoveredCell(null)}
+                        onClick={(e) => handleActivationClick(activation.id, e)}
+                      />
                       <span className="activation-title">{activation.title}</span>
                     </div>
                   ))}
@@ -481,36 +2320,180 @@ const ExplainabilityView = ({ model }) => {
           </div>
         );
         
-      case 'integrated-gradients':
+      case 'attributions':
         return (
           <div className="attributions-section">
+            <div className="attribution-options">
+              <label>
+                Method
+                <span className="attribution-method">
+                  <select 
+                    value={attributionMethod}
+                    onChange={(e) => setAttributionMethod(e.target.value)}
+                    disabled={isProcessing}
+                  >
+                    {Object.entries(ATTRIBUTION_METHODS).map(([key, method]) => (
+                      <option key={key} value={key}>{method.label}</option>
+                    ))}
+                  </select>
+                  {renderHelpButton(ATTRIBUTION_METHODS[attributionMethod].docs)}
+                </span>
+              </label>
+              
+              {attributionMethod === 'integratedGradients' && (
+                <>
+                  <label>
+                    Baseline
+                    <select 
+                      value={igBaseline}
+                      onChange={(e) => setIgBaseline(e.target.value)}
+                      disabled={isProcessing}
+                    >
+                      {Object.entries(BASELINES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Integration
+                    <select 
+                      value={igOptions.scheme}
+                      onChange={(e) => setIgOptions({ ...igOptions, scheme: e.target.value })}
+                      disabled={isProcessing}
+                    >
+                      {Object.entries(INTEGRATION_SCHEMES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Steps: {igOptions.steps}
+                    <input 
+                      type="range" min="10" max="300" step="10"
+                      value={igOptions.steps}
+                      onChange={(e) => setIgOptions({ ...igOptions, steps: Number(e.target.value) })}
+                      disabled={isProcessing}
+                    />
+                  </label>
+                  {igBaseline === 'reference' && (
+                    <label>
+                      Reference image{referenceImage ? '' : ' (required)'}
+                      <input 
+                        type="file" 
+                        accept="image/*" 
+                        onChange={handleReferenceUpload}
+                        disabled={isProcessing}
+                      />
+                    </label>
+                  )}
+                  {igBaseline === 'expected' && (
+                    <label>
+                      Reference image folder{referenceFiles.length > 0 ? ` (${referenceFiles.length} images)` : ' (required)'}
+                      <input 
+                        type="file" 
+                        accept="image/*" 
+                        multiple
+                        webkitdirectory=""
+                        onChange={handleReferenceFolder}
+                        disabled={isProcessing}
+                      />
+                    </label>
+                  )}
+                </>
+              )}
+              
+              {attributionMethod === 'smoothGrad' && (
+                <>
+                  <label>
+                    Noise level: {Math.round(smoothGradOptions.noiseLevel * 100)}%
+                    <input 
+                      type="range" min="0.05" max="0.5" step="0.05"
+                      value={smoothGradOptions.noiseLevel}
+                      onChange={(e) => setSmoothGradOptions({ ...smoothGradOptions, noiseLevel: Number(e.target.value) })}
+                      disabled={isProcessing}
+                    />
+                  </label>
+                  <label>
+                    Samples: {smoothGradOptions.samples}
+                    <input 
+                      type="range" min="5" max="100" step="5"
+                      value={smoothGradOptions.samples}
+                      onChange={(e) => setSmoothGradOptions({ ...smoothGradOptions, samples: Number(e.target.value) })}
+                      disabled={isProcessing}
+                    />
+                  </label>
+                </>
+              )}
+              
+              <div className="display-mode-toggle">
+                Display
+                <span>
+                  {Object.entries(DISPLAY_MODES).map(([key, label]) => (
+                    <button 
+                      key={key}
+                      className={attributionMode === key ? 'active' : ''}
+                      onClick={() => setAttributionMode(key)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </span>
+              </div>
+            </div>
+            
             <button 
               onClick={generateAttributions} 
-              disabled={!selectedImage || isProcessing}
+              disabled={!selectedImage || isProcessing || (attributionMethod === 'integratedGradients' && ((igBaseline === 'reference' && !referenceImage) || (igBaseline === 'expected' && referenceFiles.length === 0)))}
               className="generate-button"
             >
-              {isProcessing ? 'Processing...' : 'Generate Integrated Gradients'}
+              {isProcessing ? 'Processing...' : `Generate ${ATTRIBUTION_METHODS[attributionMethod].label}`}
             </button>
             
-            {attributionMap && (
+            {attributionProgress && attributionProgress.total > 0 && (
+              <div className="scorecam-progress">
+                <progress value={attributionProgress.done} max={attributionProgress.total} />
+                <span>{attributionProgress.done} / {attributionProgress.total} {attributionMethod === 'integratedGradients' ? 'steps' : 'samples'}</span>
+              </div>
+            )}
+            
+            {attributionMap && attributionResult && (
               <div className="results-section">
-                <h3>Integrated Gradients Results</h3>
+                <h3>{ATTRIBUTION_METHODS[attributionResult.method].label} Results</h3>
                 <div className="visualization-container">
                   <div>
-                    <h4>Attribution Map</h4>
-                    <canvas ref={attributionCanvasRef} className="attribution-canvas"></canvas>
+                    <h4>Attribution Map (class {attributionResult.classIndex})</h4>
+                    <img src={attributionMap} alt="Attribution map" className="attribution-canvas" />
                   </div>
+                  {attributionResult.baseline && (
+                    <div>
+                      <h4>Baseline: {BASELINES[attributionResult.baseline.type]}</h4>
+                      <img src={attributionResult.baseline.image} alt="Integrated Gradients baseline" className="baseline-image" />
+                      {attributionResult.baseline.type === 'expected' && (
+                        <p className="baseline-note">Average of the reference images the attributions were averaged over</p>
+                      )}
+                    </div>
+                  )}
                   <div className="explanation">
-                    <h4>What are Integrated Gradients?</h4>
+                    {attributionResult.completeness && renderCompleteness(attributionResult.completeness)}
+                    <h4>Reading the map</h4>
                     <p>
-                      Integrated Gradients is a feature attribution method that assigns importance scores to
-                      individual pixels in the input image. It shows how each pixel contributes to the model's
-                      prediction relative to a baseline (typically a black image).
-                    </p>
-                    <p>
-                      <strong>Red</strong> areas show pixels with the strongest positive contributions to the prediction,
-                      while <strong>blue</strong> areas show negative contributions. Yellow regions have moderate influence.
+                      Pixel attribution methods assign an importance score to every pixel of the input image.
+                      Integrated Gradients accumulates gradients along a path from a baseline image to the input,
+                      so it explains the prediction relative to that baseline; the gradient methods look at how the
+                      class score changes around the input itself. Guided Backprop only lets positive gradients back
+                      through the ReLUs, which gives sharp maps of the patterns the network responds to.
                     </p>
+                    {attributionMode === 'signed' ? (
+                      <p>
+                        <strong>Red</strong> pixels support the prediction and <strong>blue</strong> pixels
+                        argue against it. Pixels that barely matter keep their original color.
+                      </p>
+                    ) : (
+                      <p>
+                        Brighter <strong>red to yellow</strong> pixels have more influence on the prediction,
+                        whether they support it or argue against it.
+                      </p>
+                    )}
                   </div>
                 </div>
               </div>
@@ -519,7 +2502,7 @@ const ExplainabilityView = ({ model }) => {
         );
         
       case 'features':
-        return <FeatureExplorer model={model} />;
+        return <FeatureExplorer model={model} image={selectedImage} />;
         
       default:
         return <div>Select a visualization method above</div>;
@@ -544,6 +2527,78 @@ const ExplainabilityView = ({ model }) => {
         </button>
         {renderHelpButton('gradcam')}
       </div>
+      <div className="section-header">
+        <button 
+          className={`tab ${activeTab === 'scorecam' ? 'active' : ''}`}
+          onClick={() => setActiveTab('scorecam')}
+        >
+          Score-CAM
+        </button>
+        {renderHelpButton('scoreCam')}
+      </div>
+      <div className="section-header">
+        <button 
+          className={`tab ${activeTab === 'occlusion' ? 'active' : ''}`}
+          onClick={() => setActiveTab('occlusion')}
+        >
+          Occlusion
+        </button>
+        {renderHelpButton('occlusion')}
+      </div>
+      <div className="section-header">
+        <button 
+          className={`tab ${activeTab === 'lime' ? 'active' : ''}`}
+          onClick={() => setActiveTab('lime')}
+        >
+          LIME
+        </button>
+        {renderHelpButton('lime')}
+      </div>
+      <div className="section-header">
+        <button 
+          className={`tab ${activeTab === 'shap' ? 'active' : ''}`}
+          onClick={() => setActiveTab('shap')}
+        >
+          SHAP
+        </button>
+        {renderHelpButton('shap')}
+      </div>
+      <div className="section-header">
+        <button 
+          className={`tab ${activeTab === 'rise' ? 'active' : ''}`}
+          onClick={() => setActiveTab('rise')}
+        >
+          RISE
+        </button>
+        {renderHelpButton('rise')}
+      </div>
+      <div className="section-header">
+        <button 
+          className={`tab ${activeTab === 'contrast' ? 'active' : ''}`}
+          onClick={() => setActiveTab('contrast')}
+        >
+          Why Not?
+        </button>
+        {renderHelpButton('contrastive')}
+      </div>
+      <div className="section-header">
+        <button 
+          className={`tab ${activeTab === 'faithfulness' ? 'active' : ''}`}
+          onClick={() => setActiveTab('faithfulness')}
+        >
+          Faithfulness
+        </button>
+        {renderHelpButton('faithfulness')}
+      </div>
+      <div className="section-header">
+        <button 
+          className={`tab ${activeTab === 'sanity' ? 'active' : ''}`}
+          onClick={() => setActiveTab('sanity')}
+        >
+          Sanity Check
+        </button>
+        {renderHelpButton('sanityCheck')}
+      </div>
       <div className="section-header">
         <button 
           className={`tab ${activeTab === 'filters' ? 'active' : ''}`}
@@ -564,10 +2619,10 @@ const ExplainabilityView = ({ model }) => {
       </div>
       <div className="section-header">
         <button 
-          className={`tab ${activeTab === 'integrated-gradients' ? 'active' : ''}`}
-          onClick={() => setActiveTab('integrated-gradients')}
+          className={`tab ${activeTab === 'attributions' ? 'active' : ''}`}
+          onClick={() => setActiveTab('attributions')}
         >
-          Integrated Gradients
+          Pixel Attribution
         </button>
         {renderHelpButton('integratedGradients')}
       </div>
@@ -624,7 +2679,7 @@ const ExplainabilityView = ({ model }) => {
               const layer = availableLayers.find(l => l.name === e.target.value);
               setSelectedLayer(layer);
             }}
-            disabled={activeTab === 'integrated-gradients' || activeTab === 'predictions' || activeTab === 'features'} 
+            disabled={MODEL_LEVEL_TABS.includes(activeTab) || activeTab === 'predictions' || activeTab === 'features' || (activeTab === 'contrast' && contrastOptions.method !== 'gradcam') || (activeTab === 'sanity' && sanityOptions.method !== 'gradcam')} 
           >
             <option value="">Select a layer</option>
             {availableLayers.map(layer => (
@@ -634,9 +2689,9 @@ const ExplainabilityView = ({ model }) => {
             ))}
           </select>
           
-          {activeTab === 'integrated-gradients' && (
+          {MODEL_LEVEL_TABS.includes(activeTab) && (
             <p className="helper-text">
-              Note: Integrated Gradients analyzes the entire model, so layer selection is not required.
+              Note: This method analyzes the entire model, so layer selection is not required.
             </p>
           )}
           
@@ -650,69 +2705,27 @@ const ExplainabilityView = ({ model }) => {
             <div className="error-message">{errorMessage}</div>
           )}
         </div>
+        
+        {model && model.tfModel && (
+          <div className="control-section">
+            <h3>3. Input Preprocessing</h3>
+            <PreprocessingSettings 
+              model={model}
+              onChange={handlePreprocessingChange}
+            />
+          </div>
+        )}
       </div>
       
       <div className="visualization-tabs">
-        <div className="tabs">
-          <button 
-            className={`tab ${activeTab === 'predictions' ? 'active' : ''}`}
-            onClick={() => setActiveTab('predictions')}
-          >
-            Predictions
-          </button>
-          <div className="section-header">
-            <button 
-              className={`tab ${activeTab === 'gradcam' ? 'active' : ''}`}
-              onClick={() => setActiveTab('gradcam')}
-            >
-              GradCAM
-            </button>
-            {renderHelpButton('gradcam')}
-          </div>
-          <div className="section-header">
-            <button 
-              className={`tab ${activeTab === 'filters' ? 'active' : ''}`}
-              onClick={() => setActiveTab('filters')}
-            >
-              Filter Visualization
-            </button>
-            {renderHelpButton('filterVisualization')}
-          </div>
-          <div className="section-header">
-            <button 
-              className={`tab ${activeTab === 'activations' ? 'active' : ''}`}
-              onClick={() => setActiveTab('activations')}
-            >
-              Activation Visualization
-            </button>
-            {renderHelpButton('activationVisualization')}
-          </div>
-          <div className="section-header">
-            <button 
-              className={`tab ${activeTab === 'integrated-gradients' ? 'active' : ''}`}
-              onClick={() => setActiveTab('integrated-gradients')}
-            >
-              Integrated Gradients
-            </button>
-            {renderHelpButton('integratedGradients')}
-          </div>
-          <div className="section-header">
-            <button 
-              className={`tab ${activeTab === 'features' ? 'active' : ''}`}
-              onClick={() => setActiveTab('features')}
-            >
-              Feature Explorer
-            </button>
-            {renderHelpButton('featureVisualization')}
-          </div>
-        </div>
+        {renderTabHeaders()}
         
         <div className="tab-content">
           {renderTabContent()}
         </div>
       </div>
       
-      {!selectedImage && !filterVisualizations.length && !activationVisualizations.length && !heatmapImage && !attributionMap && (
+      {!selectedImage && !filterVisualizations.length && !activationVisualizations.length && !camResults.length && !scoreCamResult && !attributionMap && (
         <div className="placeholder-feature">
           <h3>How to use explainability features:</h3>
           <ol>
@@ -722,10 +2735,18 @@ const ExplainabilityView = ({ model }) => {
             <li>Choose a visualization method:
               <ul>
                 <li><strong>Predictions:</strong> See what the model thinks the image contains</li>
-                <li><strong>GradCAM:</strong> Shows which parts of the image influence the prediction</li>
+                <li><strong>GradCAM:</strong> Shows which parts of the image influence the prediction (Grad-CAM, Grad-CAM++, Layer-CAM or Guided Grad-CAM)</li>
+                <li><strong>Score-CAM:</strong> Like GradCAM, but without gradients, for models that can't be differentiated</li>
+                <li><strong>Occlusion:</strong> Hides parts of the image and shows how much the model's confidence drops</li>
+                <li><strong>LIME:</strong> Fits a simple model to many partly hidden copies to find the regions that matter</li>
+                <li><strong>SHAP:</strong> Splits the prediction fairly among image regions, with values that add up to the model's output</li>
+                <li><strong>RISE:</strong> Averages thousands of random masks, weighted by the model's confidence, into a saliency map</li>
+                <li><strong>Why Not?:</strong> Compares two classes and shows the evidence that separates them</li>
+                <li><strong>Faithfulness:</strong> Scores the maps from the other tabs by deleting and inserting pixels in their order</li>
+                <li><strong>Sanity Check:</strong> Randomizes the model layer by layer to test whether an explanation depends on what it learned</li>
                 <li><strong>Filter Visualization:</strong> Shows what patterns each filter is looking for</li>
                 <li><strong>Activation Visualization:</strong> Shows how filters respond to your image</li>
-                <li><strong>Integrated Gradients:</strong> Shows how each pixel contributes to the prediction</li>
+                <li><strong>Pixel Attribution:</strong> Shows how each pixel contributes to the prediction (Integrated Gradients, gradients, SmoothGrad, Guided Backprop)</li>
                 <li><strong>Feature Explorer:</strong> Generates inputs that maximize filter activations</li>
               </ul>
             </li>
@@ -1,8 +1,81 @@
 import React, { useState, useEffect, useRef } from 'react';
 import * as tf from '@tensorflow/tfjs';
-import FeatureVisualizer from '../utils/FeatureVisualizer';
+import FeatureVisualizer, { VISUALIZATION_MODES } from '../utils/FeatureVisualizer';
+import FeatureObjectives, { OBJECTIVE_TYPES } from '../utils/FeatureObjectives';
+import ApngEncoder from '../utils/ApngEncoder';
+import ExemplarMiner from '../utils/ExemplarMiner';
+import ImagePreprocessor from '../utils/ImagePreprocessor';
+import { getExemplarIndex, listExemplarIndexes, saveExemplarIndex } from '../services/exemplarIndex';
 
-const FeatureExplorer = ({ model }) => {
+// Objectives the builder offers as terms; the terms are summed, and diversity has its own controls
+const TERM_TYPES = ['channel', 'neuron', 'direction', 'classLogit', 'deepdream'];
+
+// Milliseconds each DeepDream frame is shown in the exported animation
+const FRAME_DELAY = 150;
+
+// Layout of the grid view, also used to cut single filters out of it
+const GRID_COLUMNS = 4;
+const GRID_TILE_SIZE = 100;
+// Filters shown in the grid and individual views
+const FILTER_COUNT = 16;
+
+const newObjectiveTerm = layer => ({
+  type: 'channel',
+  layer,
+  channel: 0,
+  x: '',
+  y: '',
+  direction: '0:1',
+  classIndex: 0,
+  weight: 1
+});
+
+// "3:1, 7:-0.5" -> { 3: 1, 7: -0.5 }
+const parseDirection = (text) => {
+  const weights = {};
+  text.split(',').filter(pair => pair.trim()).forEach(pair => {
+    const [channel, weight] = pair.split(':').map(part => Number(part.trim()));
+    if (!Number.isInteger(channel) || !Number.isFinite(weight)) {
+      throw new Error(`Invalid direction "${text}"; expected channel:weight pairs such as "3:1, 7:-0.5"`);
+    }
+    weights[channel] = weight;
+  });
+  if (Object.keys(weights).length === 0) {
+    throw new Error('A direction needs at least one channel:weight pair');
+  }
+  return weights;
+};
+
+const termToObjective = (term) => {
+  switch (term.type) {
+    case 'neuron':
+      return FeatureObjectives.neuron(
+        term.layer,
+        term.channel,
+        term.x === '' ? null : Number(term.x),
+        term.y === '' ? null : Number(term.y)
+      );
+    case 'direction':
+      return FeatureObjectives.direction(term.layer, parseDirection(term.direction));
+    case 'classLogit':
+      return FeatureObjectives.classLogit(term.classIndex);
+    default:
+      return FeatureObjectives.channel(term.layer, term.channel);
+  }
+};
+
+// Draw a (1, height, width, 3) visualization on a canvas to get an image URL
+const tensorToDataURL = async (visualizer, tensor) => {
+  const imageData = await visualizer.tensorToImageData(tensor);
+  if (!imageData) return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = imageData.width;
+  canvas.height = imageData.height;
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return canvas.toDataURL();
+};
+
+const FeatureExplorer = ({ model, image }) => {
   const [selectedLayer, setSelectedLayer] = useState(null);
   const [availableLayers, setAvailableLayers] = useState([]);
   const [isGenerating, setIsGenerating] = useState(false);
@@ -12,14 +85,46 @@ const FeatureExplorer = ({ model }) => {
   const [gridVisualization, setGridVisualization] = useState(null);
   const [errorMessage, setErrorMessage] = useState(null);
   const [visualizationMode, setVisualizationMode] = useState('grid'); // 'grid' or 'individual'
+  const [optimizationMode, setOptimizationMode] = useState('naive'); // A key of VISUALIZATION_MODES
+  // Tricks of the robust mode; each can be switched off to see what it contributes
+  const [robustOptions, setRobustOptions] = useState({
+    parametrization: 'fourier',
+    decorrelate: true,
+    transforms: true,
+    totalVariation: 0.05
+  });
+  // Terms of the custom objective, summed with their weights (negative to subtract)
+  const [objectiveTerms, setObjectiveTerms] = useState([]);
+  // Images optimized together; with more than one, a diversity term pushes them apart
+  const [diversity, setDiversity] = useState({ batch: 1, weight: 10 });
+  // DeepDream settings: layers to amplify, octaves, steps per octave (strength), step size
+  const [dreamOptions, setDreamOptions] = useState({
+    layers: [],
+    octaves: 3,
+    steps: 20,
+    stepSize: 1.5,
+    frameInterval: 5
+  });
+  const [dreamFrames, setDreamFrames] = useState([]); // Data URLs, the photo first and the result last
+  const [dreamFrameIndex, setDreamFrameIndex] = useState(0);
+  // Settings and objectives of the shown visualizations
+  const [generatedMetadata, setGeneratedMetadata] = useState(null);
+  // Dataset exemplars: the image folder to mine, the layers and exemplars per channel
+  const [exemplarFiles, setExemplarFiles] = useState([]);
+  const [exemplarLayers, setExemplarLayers] = useState([]);
+  const [exemplarK, setExemplarK] = useState(8);
+  const [isMining, setIsMining] = useState(false);
+  const [miningProgress, setMiningProgress] = useState(0);
+  const [exemplarIndex, setExemplarIndex] = useState(null); // Exemplars of the selected layer
+  const [minedLayers, setMinedLayers] = useState([]); // Summaries of the stored indexes
   
   const canvasRef = useRef(null);
   
   // Initialize available layers when model changes
   useEffect(() => {
-    if (model && model.model && model.model.layers) {
+    if (model && model.getLayers) {
       // Get all convolutional layers
-      const convLayers = model.model.layers.filter(layer => 
+      const convLayers = model.getLayers().filter(layer => 
         layer.type && (
           layer.type.toLowerCase().includes('conv') || 
           layer.type.toLowerCase().includes('dense')
@@ -35,37 +140,247 @@ const FeatureExplorer = ({ model }) => {
       
       if (firstConvLayer) {
         setSelectedLayer(firstConvLayer);
+        setObjectiveTerms([newObjectiveTerm(firstConvLayer.name)]);
+        setDreamOptions(options => ({ ...options, layers: [firstConvLayer.name] }));
+        setExemplarLayers([firstConvLayer.name]);
       }
     }
   }, [model]);
   
+  // Exemplars mined earlier for this model and layer
+  useEffect(() => {
+    let cancelled = false;
+    const loadExemplars = async () => {
+      if (!model || !model.tfModel) return;
+      const modelKey = ImagePreprocessor.getModelKey(model);
+      try {
+        const [index, summaries] = await Promise.all([
+          selectedLayer ? getExemplarIndex(modelKey, selectedLayer.name) : null,
+          listExemplarIndexes(modelKey)
+        ]);
+        if (!cancelled) {
+          setExemplarIndex(index || null);
+          setMinedLayers(summaries);
+        }
+      } catch (error) {
+        console.warn('Could not read stored exemplars:', error);
+      }
+    };
+    loadExemplars();
+    return () => { cancelled = true; };
+  }, [model, selectedLayer]);
+  
+  const updateObjectiveTerm = (index, changes) => {
+    setObjectiveTerms(objectiveTerms.map((term, i) => (i === index ? { ...term, ...changes } : term)));
+  };
+  
+  // Sum of the terms, plus diversity at the first term's layer when several images are optimized
+  const buildObjective = () => {
+    const terms = objectiveTerms.map(term => ({ objective: termToObjective(term), weight: term.weight }));
+    if (diversity.batch > 1 && diversity.weight !== 0) {
+      const layerTerm = objectiveTerms.find(term => term.type !== 'classLogit');
+      const layer = layerTerm ? layerTerm.layer : selectedLayer.name;
+      terms.push({ objective: FeatureObjectives.diversity(layer), weight: diversity.weight });
+    }
+    return terms.length === 1 && terms[0].weight === 1 ? terms[0].objective : FeatureObjectives.sum(terms);
+  };
+  
+  const toggleDreamLayer = (layerName) => {
+    const layers = dreamOptions.layers.includes(layerName)
+      ? dreamOptions.layers.filter(name => name !== layerName)
+      : [...dreamOptions.layers, layerName];
+    setDreamOptions({ ...dreamOptions, layers });
+  };
+  
+  // Download the DeepDream frames as an animated PNG
+  const handleExportAnimation = () => {
+    try {
+      const url = URL.createObjectURL(ApngEncoder.fromDataURLs(dreamFrames, { delay: FRAME_DELAY }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'deepdream.png';
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+      console.error("Error exporting animation:", error);
+      setErrorMessage(`Error: ${error.message}`);
+    }
+  };
+  
+  const handleExemplarFolder = (e) => {
+    setExemplarFiles(Array.from(e.target.files || []).filter(file => file.type.startsWith('image/')));
+  };
+  
+  const toggleExemplarLayer = (layerName) => {
+    setExemplarLayers(exemplarLayers.includes(layerName)
+      ? exemplarLayers.filter(name => name !== layerName)
+      : [...exemplarLayers, layerName]);
+  };
+  
+  const handleMineExemplars = async () => {
+    if (!model || !model.tfModel) {
+      setErrorMessage("Please ensure a model is loaded.");
+      return;
+    }
+    if (exemplarFiles.length === 0 || exemplarLayers.length === 0) {
+      setErrorMessage(exemplarFiles.length === 0
+        ? "Choose a folder of images to mine."
+        : "Select at least one layer to mine.");
+      return;
+    }
+    
+    setIsMining(true);
+    setMiningProgress(0);
+    setErrorMessage(null);
+    
+    try {
+      const miner = new ExemplarMiner(model);
+      const indexes = await miner.mine(exemplarFiles, exemplarLayers, {
+        k: exemplarK,
+        onProgress: (done, total) => setMiningProgress(Math.floor((done / total) * 100))
+      });
+      
+      const modelKey = ImagePreprocessor.getModelKey(model);
+      const entries = indexes.map(index => ({ ...index, modelKey }));
+      try {
+        await Promise.all(entries.map(entry => saveExemplarIndex(entry)));
+        setMinedLayers(await listExemplarIndexes(modelKey));
+      } catch (storageError) {
+        // Still show them; they just won't be there next time
+        console.warn('Could not store exemplars:', storageError);
+      }
+      const selected = entries.find(entry => selectedLayer && entry.layerName === selectedLayer.name);
+      if (selected) setExemplarIndex(selected);
+    } catch (error) {
+      console.error("Error mining dataset exemplars:", error);
+      setErrorMessage(`Error: ${error.message}`);
+    } finally {
+      setIsMining(false);
+    }
+  };
+  
+  // The optimized image of a channel of the exemplar layer, if one is shown
+  const renderVisualizationTile = (channel) => {
+    const isFilter = objective => objective && objective.type === 'channel' &&
+      objective.layer === exemplarIndex.layerName && objective.channel === channel;
+    if (visualizationMode === 'grid' && gridVisualization && generatedMetadata &&
+        isFilter(generatedMetadata.objectives[channel])) {
+      return (
+        <div
+          className="exemplar-visualization"
+          title={`Optimized image of filter ${channel + 1}`}
+          style={{
+            backgroundImage: `url(${gridVisualization})`,
+            backgroundPosition: `-${(channel % GRID_COLUMNS) * GRID_TILE_SIZE}px -${Math.floor(channel / GRID_COLUMNS) * GRID_TILE_SIZE}px`,
+            width: GRID_TILE_SIZE,
+            height: GRID_TILE_SIZE
+          }}
+        />
+      );
+    }
+    const filter = visualizationMode === 'individual' && filterVisualizations.find(result => isFilter(result.objective));
+    return filter
+      ? <img className="exemplar-visualization" src={filter.src} alt={filter.title} title={`Optimized image of filter ${channel + 1}`} />
+      : <div className="exemplar-visualization exemplar-visualization-empty">No optimized image yet</div>;
+  };
+  
   const handleGenerateVisualizations = async () => {
     if (!model || !model.tfModel || !selectedLayer) {
       setErrorMessage("Please ensure a model is loaded and a layer is selected.");
       return;
     }
+    if (visualizationMode === 'deepdream' && (!image || dreamOptions.layers.length === 0)) {
+      setErrorMessage(image ? "Select at least one layer to amplify." : "Please upload an image to dream on.");
+      return;
+    }
     
     setIsGenerating(true);
     setProgress(0);
     setErrorMessage(null);
     setFilterVisualizations([]);
     setGridVisualization(null);
+    setDreamFrames([]);
     
     try {
       const visualizer = new FeatureVisualizer(model);
+      // Naive mode keeps the original gradient ascent settings; robust mode optimizes with Adam
+      const optimizationOptions = optimizationMode === 'robust'
+        ? { mode: 'robust', iterations, learningRate: 0.05, ...robustOptions }
+        : { mode: 'naive', iterations, learningRate: 0.1, regularization: 0.001 };
       
-      if (visualizationMode === 'grid') {
+      let objectives;
+      let settings = optimizationOptions;
+      
+      if (visualizationMode === 'deepdream') {
+        const { layers, ...dreamSettings } = dreamOptions;
+        const objective = layers.length === 1
+          ? FeatureObjectives.deepdream(layers[0])
+          : FeatureObjectives.sum(layers.map(layer => FeatureObjectives.deepdream(layer)));
+        const totalSteps = dreamSettings.octaves * dreamSettings.steps;
+        const frames = [];
+        
+        const dreamed = await visualizer.dream(image, objective, {
+          ...dreamSettings,
+          onFrame: async (frame, { octave, step }) => {
+            frames.push(await tensorToDataURL(visualizer, frame));
+            setDreamFrames([...frames]);
+            setDreamFrameIndex(frames.length - 1);
+            setProgress(Math.floor((Math.max(0, octave - 1) * dreamSettings.steps + step) / totalSteps * 100));
+          }
+        });
+        // The result is the last frame, unless the last step already made one
+        if (dreamSettings.frameInterval === 0 || dreamSettings.steps % dreamSettings.frameInterval !== 0) {
+          frames.push(await tensorToDataURL(visualizer, dreamed));
+        }
+        dreamed.dispose();
+        
+        objectives = [objective];
+        settings = dreamSettings;
+        setDreamFrames(frames);
+        setDreamFrameIndex(frames.length - 1);
+      } else if (visualizationMode === 'objective') {
+        const objective = buildObjective();
+        const batch = Math.max(1, diversity.batch);
+        setProgress(10);
+        
+        const images = await visualizer.visualizeObjective(objective, {
+          width: 160,
+          height: 160,
+          batch,
+          ...optimizationOptions
+        });
+        
+        setProgress(90);
+        
+        const description = FeatureObjectives.describe(objective);
+        const results = [];
+        for (let i = 0; i < batch; i++) {
+          const image = images.slice([i, 0, 0, 0], [1, -1, -1, -1]);
+          const src = await tensorToDataURL(visualizer, image);
+          image.dispose();
+          if (src) {
+            results.push({
+              id: i,
+              src,
+              title: batch > 1 ? `Image ${i + 1}` : description,
+              objective
+            });
+          }
+        }
+        images.dispose();
+        
+        objectives = [objective];
+        setFilterVisualizations(results);
+      } else if (visualizationMode === 'grid') {
         // Generate a grid visualization of multiple filters
         setProgress(10); // Initial progress
         
         const grid = await visualizer.visualizeLayerFilters(selectedLayer.name, {
-          numFilters: 16,
-          gridWidth: 4,
-          tileWidth: 100,
-          tileHeight: 100,
-          iterations: iterations,
-          learningRate: 0.1,
-          regularization: 0.001
+          numFilters: FILTER_COUNT,
+          gridWidth: GRID_COLUMNS,
+          tileWidth: GRID_TILE_SIZE,
+          tileHeight: GRID_TILE_SIZE,
+          ...optimizationOptions
         });
         
         setProgress(90);
@@ -88,12 +403,17 @@ const FeatureExplorer = ({ model }) => {
           
           // Clean up tensor
           grid.dispose();
+          
+          // One channel objective per tile, as many as the layer has channels
+          const outputShape = selectedLayer.output_shape;
+          const channels = outputShape ? outputShape[outputShape.length - 1] : FILTER_COUNT;
+          objectives = Array.from({ length: Math.min(FILTER_COUNT, channels) }, (_, i) => FeatureObjectives.channel(selectedLayer.name, i));
         } else {
           setErrorMessage("Failed to generate visualization grid");
         }
       } else {
         // Generate individual filter visualizations
-        const numFilters = 16;
+        const numFilters = FILTER_COUNT;
         const results = [];
         
         for (let i = 0; i < numFilters; i++) {
@@ -104,28 +424,19 @@ const FeatureExplorer = ({ model }) => {
           const filterVis = await visualizer.visualizeFilter(selectedLayer.name, i, {
             width: 128,
             height: 128,
-            iterations: iterations,
-            learningRate: 0.1,
-            regularization: 0.001
+            ...optimizationOptions
           });
           
           if (filterVis) {
-            // Convert tensor to image data
-            const imageData = await visualizer.tensorToImageData(filterVis);
+            // Convert tensor to an image URL
+            const src = await tensorToDataURL(visualizer, filterVis);
             
-            if (imageData) {
-              // Create a canvas to convert to image URL
-              const canvas = document.createElement('canvas');
-              canvas.width = imageData.width;
-              canvas.height = imageData.height;
-              
-              const ctx = canvas.getContext('2d');
-              ctx.putImageData(imageData, 0, 0);
-              
+            if (src) {
               results.push({
                 id: i,
-                src: canvas.toDataURL(),
-                title: `Filter ${i + 1}`
+                src,
+                title: `Filter ${i + 1}`,
+                objective: FeatureObjectives.channel(selectedLayer.name, i)
               });
             }
             
@@ -134,9 +445,16 @@ const FeatureExplorer = ({ model }) => {
           }
         }
         
+        objectives = results.map(result => result.objective);
         setFilterVisualizations(results);
       }
       
+      setGeneratedMetadata({
+        visualizationMode,
+        ...settings,
+        objectives: objectives || [],
+        descriptions: (objectives || []).map(objective => FeatureObjectives.describe(objective))
+      });
       setProgress(100);
     } catch (error) {
       console.error("Error generating feature visualizations:", error);
@@ -146,6 +464,8 @@ const FeatureExplorer = ({ model }) => {
     }
   };
   
+  const hasResults = gridVisualization || filterVisualizations.length > 0 || (dreamFrames.length > 0 && !isGenerating);
+  
   return (
     <div className="feature-visualization-section">
       <h3>Feature Visualization</h3>
@@ -183,28 +503,308 @@ const FeatureExplorer = ({ model }) => {
           >
             <option value="grid">Grid View</option>
             <option value="individual">Individual Filters</option>
+            <option value="objective">Custom Objective</option>
+            <option value="deepdream">DeepDream (your image)</option>
           </select>
         </div>
         
+        {visualizationMode !== 'deepdream' && (
+          <div className="feature-control-group">
+            <label>Optimization:</label>
+            <select
+              value={optimizationMode}
+              onChange={(e) => setOptimizationMode(e.target.value)}
+              disabled={isGenerating}
+            >
+              {Object.entries(VISUALIZATION_MODES).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        
+        {visualizationMode !== 'deepdream' && optimizationMode === 'robust' && (
+          <div className="feature-control-group robust-options">
+            <label>
+              <input
+                type="checkbox"
+                checked={robustOptions.parametrization === 'fourier'}
+                onChange={(e) => setRobustOptions({ ...robustOptions, parametrization: e.target.checked ? 'fourier' : 'pixel' })}
+                disabled={isGenerating}
+              />
+              Fourier parametrization
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={robustOptions.decorrelate}
+                onChange={(e) => setRobustOptions({ ...robustOptions, decorrelate: e.target.checked })}
+                disabled={isGenerating}
+              />
+              Color decorrelation
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={robustOptions.transforms}
+                onChange={(e) => setRobustOptions({ ...robustOptions, transforms: e.target.checked })}
+                disabled={isGenerating}
+              />
+              Random jitter, scale and rotation
+            </label>
+            <label>
+              Total variation: {robustOptions.totalVariation}
+              <input
+                type="range" min="0" max="0.5" step="0.05"
+                value={robustOptions.totalVariation}
+                onChange={(e) => setRobustOptions({ ...robustOptions, totalVariation: Number(e.target.value) })}
+                disabled={isGenerating}
+              />
+            </label>
+          </div>
+        )}
+        
+        {visualizationMode === 'objective' && (
+          <div className="feature-control-group objective-builder">
+            <label>Objective (terms are summed; a negative weight subtracts):</label>
+            {objectiveTerms.map((term, index) => (
+              <div key={index} className="objective-term">
+                <select
+                  value={term.type}
+                  onChange={(e) => updateObjectiveTerm(index, { type: e.target.value })}
+                  disabled={isGenerating}
+                >
+                  {TERM_TYPES.map(type => (
+                    <option key={type} value={type}>{OBJECTIVE_TYPES[type]}</option>
+                  ))}
+                </select>
+                
+                {term.type !== 'classLogit' && (
+                  <select
+                    value={term.layer}
+                    onChange={(e) => updateObjectiveTerm(index, { layer: e.target.value })}
+                    disabled={isGenerating}
+                  >
+                    {availableLayers.map(layer => (
+                      <option key={layer.name} value={layer.name}>{layer.name}</option>
+                    ))}
+                  </select>
+                )}
+                
+                {(term.type === 'channel' || term.type === 'neuron') && (
+                  <input
+                    type="number" min="0" title="Channel"
+                    value={term.channel}
+                    onChange={(e) => updateObjectiveTerm(index, { channel: parseInt(e.target.value) || 0 })}
+                    disabled={isGenerating}
+                  />
+                )}
+                
+                {term.type === 'neuron' && ['x', 'y'].map(axis => (
+                  <input
+                    key={axis}
+                    type="number" min="0" title={axis} placeholder={`${axis}: center`}
+                    value={term[axis]}
+                    onChange={(e) => updateObjectiveTerm(index, { [axis]: e.target.value })}
+                    disabled={isGenerating}
+                  />
+                ))}
+                
+                {term.type === 'direction' && (
+                  <input
+                    type="text" title="channel:weight pairs" placeholder="3:1, 7:-0.5"
+                    value={term.direction}
+                    onChange={(e) => updateObjectiveTerm(index, { direction: e.target.value })}
+                    disabled={isGenerating}
+                  />
+                )}
+                
+                {term.type === 'classLogit' && (
+                  <input
+                    type="number" min="0" title="Class index"
+                    value={term.classIndex}
+                    onChange={(e) => updateObjectiveTerm(index, { classIndex: parseInt(e.target.value) || 0 })}
+                    disabled={isGenerating}
+                  />
+                )}
+                
+                <input
+                  type="number" step="0.1" title="Weight"
+                  value={term.weight}
+                  onChange={(e) => updateObjectiveTerm(index, { weight: Number(e.target.value) })}
+                  disabled={isGenerating}
+                />
+                
+                <button
+                  onClick={() => setObjectiveTerms(objectiveTerms.filter((_, i) => i !== index))}
+                  disabled={isGenerating || objectiveTerms.length === 1}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => setObjectiveTerms([...objectiveTerms, newObjectiveTerm(selectedLayer ? selectedLayer.name : '')])}
+              disabled={isGenerating}
+            >
+              Add term
+            </button>
+            
+            <label>
+              Images: {diversity.batch}
+              <input
+                type="range" min="1" max="6" step="1"
+                value={diversity.batch}
+                onChange={(e) => setDiversity({ ...diversity, batch: Number(e.target.value) })}
+                disabled={isGenerating}
+              />
+            </label>
+            {diversity.batch > 1 && (
+              <label>
+                Diversity weight:
+                <input
+                  type="number" min="0" step="1"
+                  value={diversity.weight}
+                  onChange={(e) => setDiversity({ ...diversity, weight: Number(e.target.value) })}
+                  disabled={isGenerating}
+                />
+              </label>
+            )}
+          </div>
+        )}
+        
+        {visualizationMode === 'deepdream' && (
+          <div className="feature-control-group robust-options deepdream-options">
+            <label>Layers to amplify:</label>
+            <div className="deepdream-layers">
+              {availableLayers.map(layer => (
+                <label key={layer.name}>
+                  <input
+                    type="checkbox"
+                    checked={dreamOptions.layers.includes(layer.name)}
+                    onChange={() => toggleDreamLayer(layer.name)}
+                    disabled={isGenerating}
+                  />
+                  {layer.name}
+                </label>
+              ))}
+            </div>
+            <label>
+              Octaves: {dreamOptions.octaves}
+              <input
+                type="range" min="1" max="5" step="1"
+                value={dreamOptions.octaves}
+                onChange={(e) => setDreamOptions({ ...dreamOptions, octaves: Number(e.target.value) })}
+                disabled={isGenerating}
+              />
+            </label>
+            <label>
+              Step size: {dreamOptions.stepSize}
+              <input
+                type="range" min="0.5" max="5" step="0.5"
+                value={dreamOptions.stepSize}
+                onChange={(e) => setDreamOptions({ ...dreamOptions, stepSize: Number(e.target.value) })}
+                disabled={isGenerating}
+              />
+            </label>
+            <label>
+              Strength (steps per octave): {dreamOptions.steps}
+              <input
+                type="range" min="5" max="60" step="5"
+                value={dreamOptions.steps}
+                onChange={(e) => setDreamOptions({ ...dreamOptions, steps: Number(e.target.value) })}
+                disabled={isGenerating}
+              />
+            </label>
+            <label>
+              Frame every {dreamOptions.frameInterval} steps
+              <input
+                type="range" min="1" max="20" step="1"
+                value={dreamOptions.frameInterval}
+                onChange={(e) => setDreamOptions({ ...dreamOptions, frameInterval: Number(e.target.value) })}
+                disabled={isGenerating}
+              />
+            </label>
+            {!image && <span className="helper-text">Upload an image first; DeepDream starts from it.</span>}
+          </div>
+        )}
+        
+        {visualizationMode !== 'deepdream' && (
+          <div className="feature-control-group">
+            <label>Optimization Iterations:</label>
+            <input
+              type="number"
+              value={iterations}
+              onChange={(e) => setIterations(parseInt(e.target.value) || 50)}
+              min={50}
+              max={300}
+              disabled={isGenerating}
+            />
+            <span className="helper-text">Higher = better quality but slower</span>
+          </div>
+        )}
+        
+        <button
+          className="generate-button"
+          onClick={handleGenerateVisualizations}
+          disabled={isGenerating || !selectedLayer}
+        >
+          {isGenerating ? 'Generating...' : 'Generate Feature Visualization'}
+        </button>
+      </div>
+      
+      <div className="feature-controls exemplar-controls">
+        <div className="feature-control-group">
+          <label>Dataset Exemplars: image folder</label>
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            webkitdirectory=""
+            onChange={handleExemplarFolder}
+            disabled={isMining}
+          />
+          <span className="helper-text">
+            {exemplarFiles.length > 0 ? `${exemplarFiles.length} images` : 'Real images to find the top activations in'}
+          </span>
+        </div>
+        
+        <div className="feature-control-group robust-options">
+          <label>Layers to mine:</label>
+          <div className="deepdream-layers">
+            {availableLayers.map(layer => (
+              <label key={layer.name}>
+                <input
+                  type="checkbox"
+                  checked={exemplarLayers.includes(layer.name)}
+                  onChange={() => toggleExemplarLayer(layer.name)}
+                  disabled={isMining}
+                />
+                {layer.name}
+                {minedLayers.some(summary => summary.layerName === layer.name) && ' ✓'}
+              </label>
+            ))}
+          </div>
+        </div>
+        
         <div className="feature-control-group">
-          <label>Optimization Iterations:</label>
+          <label>Exemplars per channel:</label>
           <input
             type="number"
-            value={iterations}
-            onChange={(e) => setIterations(parseInt(e.target.value) || 50)}
-            min={50}
-            max={300}
-            disabled={isGenerating}
+            value={exemplarK}
+            onChange={(e) => setExemplarK(Math.max(1, parseInt(e.target.value) || 1))}
+            min={1}
+            max={32}
+            disabled={isMining}
           />
-          <span className="helper-text">Higher = better quality but slower</span>
         </div>
         
         <button
           className="generate-button"
-          onClick={handleGenerateVisualizations}
-          disabled={isGenerating || !selectedLayer}
+          onClick={handleMineExemplars}
+          disabled={isMining || isGenerating || exemplarFiles.length === 0}
         >
-          {isGenerating ? 'Generating...' : 'Generate Feature Visualization'}
+          {isMining ? `Mining... ${miningProgress}%` : 'Mine Exemplars'}
         </button>
       </div>
       
@@ -227,7 +827,7 @@ const FeatureExplorer = ({ model }) => {
       <div className="feature-visualization-container">
         {visualizationMode === 'grid' && gridVisualization && (
           <div className="grid-visualization">
-            <h4>Filter Patterns in {selectedLayer?.name}</h4>
+            <h4>Filter Patterns in {selectedLayer?.name} ({generatedMetadata && generatedMetadata.mode})</h4>
             <img 
               src={gridVisualization} 
               alt="Grid of filter visualizations"
@@ -236,16 +836,51 @@ const FeatureExplorer = ({ model }) => {
           </div>
         )}
         
-        {visualizationMode === 'individual' && filterVisualizations.length > 0 && (
+        {visualizationMode === 'deepdream' && dreamFrames.length > 0 && (
+          <div className="deepdream-result">
+            <h4>
+              DeepDream
+              {!isGenerating && generatedMetadata && generatedMetadata.visualizationMode === 'deepdream'
+                ? `: ${generatedMetadata.descriptions[0]}`
+                : ''}
+            </h4>
+            <img
+              src={dreamFrames[Math.min(dreamFrameIndex, dreamFrames.length - 1)]}
+              alt="DeepDream frame"
+              className="feature-canvas"
+            />
+            <label>
+              Frame {Math.min(dreamFrameIndex, dreamFrames.length - 1) + 1} / {dreamFrames.length}
+              <input
+                type="range" min="0" max={dreamFrames.length - 1} step="1"
+                value={Math.min(dreamFrameIndex, dreamFrames.length - 1)}
+                onChange={(e) => setDreamFrameIndex(Number(e.target.value))}
+              />
+            </label>
+            <button
+              onClick={handleExportAnimation}
+              disabled={isGenerating || dreamFrames.length < 2}
+            >
+              Export animation (APNG)
+            </button>
+          </div>
+        )}
+        
+        {visualizationMode !== 'grid' && visualizationMode !== 'deepdream' && filterVisualizations.length > 0 && (
           <div className="individual-visualizations">
-            <h4>Individual Filter Patterns in {selectedLayer?.name}</h4>
+            <h4>
+              {generatedMetadata && generatedMetadata.visualizationMode === 'objective'
+                ? `Maximizing ${generatedMetadata.descriptions[0]}`
+                : `Individual Filter Patterns in ${selectedLayer?.name}`}
+              {' '}({generatedMetadata && generatedMetadata.mode})
+            </h4>
             <div className="feature-grid">
               {filterVisualizations.map(filter => (
                 <div key={filter.id} className="feature-grid-item">
                   <img 
                     src={filter.src} 
                     alt={filter.title} 
-                    title={filter.title} 
+                    title={FeatureObjectives.describe(filter.objective)} 
                   />
                   <div className="feature-grid-label">{filter.title}</div>
                 </div>
@@ -253,9 +888,43 @@ const FeatureExplorer = ({ model }) => {
             </div>
           </div>
         )}
+        
+        {exemplarIndex && (
+          <div className="exemplar-section">
+            <h4>Dataset Exemplars for {exemplarIndex.layerName}</h4>
+            <p className="helper-text">
+              The {exemplarIndex.k} of {exemplarIndex.imageCount} images that excite each filter most, mined
+              {' '}{new Date(exemplarIndex.createdAt).toLocaleString()}. Each patch is the part of the image the
+              most active unit sees; hover for the image name and activation.
+            </p>
+            {exemplarIndex.channels.slice(0, FILTER_COUNT).map((exemplars, channel) => (
+              <div key={channel} className="exemplar-row">
+                <div className="exemplar-label">Filter {channel + 1}</div>
+                {renderVisualizationTile(channel)}
+                <div className="exemplar-patches">
+                  {exemplars.map((exemplar, rank) => (
+                    <img
+                      key={rank}
+                      src={exemplar.patch}
+                      alt={`Exemplar ${rank + 1} of filter ${channel + 1}`}
+                      title={`${exemplarIndex.images[exemplar.image].name}: ${exemplar.score.toFixed(3)}`}
+                    />
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        
+        {generatedMetadata && hasResults && (
+          <details className="visualization-metadata">
+            <summary>Metadata</summary>
+            <pre>{JSON.stringify(generatedMetadata, null, 2)}</pre>
+          </details>
+        )}
       </div>
       
-      {(gridVisualization || filterVisualizations.length > 0) && (
+      {hasResults && (
         <div className="visualization-explanation">
           <h4>Understanding Feature Visualization</h4>
           <p>
@@ -271,10 +940,42 @@ const FeatureExplorer = ({ model }) => {
             This technique helps us understand the internal representations learned by the CNN and
             provides insight into how the model "sees" the world.
           </p>
+          {generatedMetadata && generatedMetadata.visualizationMode === 'objective' && (
+            <p>
+              <strong>Custom objectives</strong> maximize more than a channel's mean: a single neuron (one
+              position of a channel), a direction (a weighted mix of channels), or a class logit, which shows what
+              the model thinks the class looks like. Terms are added with their weights, so a negative weight
+              looks for what excites one unit but not another. With several images, the diversity term rewards
+              images whose feature statistics differ, revealing different facets of the same unit.
+            </p>
+          )}
+          {generatedMetadata && generatedMetadata.visualizationMode === 'deepdream' ? (
+            <p>
+              <strong>DeepDream</strong> starts from your photo instead of noise and strengthens whatever the
+              chosen layers already respond to in it: early layers add strokes and textures, deeper layers add
+              eyes, fur or whole objects where they faintly see them. The image is dreamed at several sizes
+              (octaves), smallest first, so the patterns appear at several scales. Step size sets how much each
+              step changes the image, and strength how many steps are taken per octave.
+            </p>
+          ) : generatedMetadata && generatedMetadata.mode === 'naive' ? (
+            <p>
+              <strong>Naive mode</strong> changes the pixels directly in the direction of the gradient. The
+              result is mostly high-frequency noise: tiny pixel patterns that excite the filter but don't look
+              like anything. Switch to robust mode to see the same filters with the usual tricks applied.
+            </p>
+          ) : (
+            <p>
+              <strong>Robust mode</strong> optimizes the image's frequency spectrum rather than its pixels, so
+              coarse and fine detail change equally fast; decorrelates the colors; shifts, scales and rotates the
+              image a little at every step, so only patterns that survive those changes grow; and penalizes total
+              variation, the difference between neighboring pixels. Switch the tricks off one at a time to see
+              what each contributes.
+            </p>
+          )}
         </div>
       )}
       
-      {!gridVisualization && filterVisualizations.length === 0 && !isGenerating && (
+      {!gridVisualization && filterVisualizations.length === 0 && dreamFrames.length === 0 && !isGenerating && (
         <div className="placeholder-feature">
           <p>
             Select a layer and click "Generate Feature Visualization" to see what patterns
@@ -1,4 +1,6 @@
 import React from 'react';
+import ModelFileUpload from './ModelFileUpload';
+import { LIBRARY_MODEL_PREFIX } from './CNNModel';
 
 const HomePage = ({ 
   onViewModelClick, 
@@ -6,7 +8,12 @@ const HomePage = ({
   modelName = 'MobileNetV2',
   availableModels = [],
   selectedModel,
-  onModelChange
+  onModelChange,
+  onModelFilesSelected,
+  isLoadingModelFiles = false,
+  modelFileErrors = [],
+  libraryModels = [],
+  onRemoveLibraryModel
 }) => {
   // Model descriptions for different architectures
   const modelDescriptions = {
@@ -67,6 +74,13 @@ const HomePage = ({
     }
   };
 
+  const formatModelSize = (bytes) => {
+    if (!bytes) return 'Unknown size';
+    return bytes >= 1024 * 1024
+      ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+      : `${(bytes / 1024).toFixed(1)} KB`;
+  };
+
   // Get the current model info
   const currentModelInfo = modelDescriptions[selectedModel] || modelDescriptions.mobilenetv2;
 
@@ -102,6 +116,52 @@ const HomePage = ({
         </div>
       </div>
       
+      {onModelFilesSelected && (
+        <ModelFileUpload
+          onFilesSelected={onModelFilesSelected}
+          isLoading={isLoadingModelFiles}
+          fileErrors={modelFileErrors}
+        />
+      )}
+      
+      {libraryModels.length > 0 && (
+        <div className="model-library">
+          <h2>Saved Models</h2>
+          <p className="helper-text">These models are stored in your browser and load without a network connection.</p>
+          <table className="model-library-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Size</th>
+                <th>Layers</th>
+                <th>Last Loaded</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {libraryModels.map(entry => (
+                <tr key={entry.id}>
+                  <td>{entry.name}</td>
+                  <td>{formatModelSize(entry.sizeBytes)}</td>
+                  <td>{entry.layerCount}</td>
+                  <td>{new Date(entry.loadedAt).toLocaleString()}</td>
+                  <td>
+                    <button className="model-library-open" onClick={() => onModelChange(`${LIBRARY_MODEL_PREFIX}${entry.id}`)}>
+                      Open
+                    </button>
+                    {onRemoveLibraryModel && (
+                      <button className="model-library-remove" onClick={() => onRemoveLibraryModel(entry.id)}>
+                        Remove
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      
       <div className="model-info-panel">
         <h2>About {currentModelInfo.name}</h2>
         <p>{currentModelInfo.description}</p>
@@ -1,6 +1,7 @@
 import React from 'react';
+import LayerAnalysis from '../utils/LayerAnalysis';
 
-const LayerInfoPanel = ({ layerInfo, onClose }) => {
+const LayerInfoPanel = ({ layerInfo, modelSummary, onClose }) => {
   if (!layerInfo) return null;
 
   // Get layer-specific explanation text
@@ -40,6 +41,17 @@ const LayerInfoPanel = ({ layerInfo, onClose }) => {
     return '';
   };
 
+  // Share of the whole model's cost, e.g. " (12.3% of model)"
+  const formatShare = (value, total) => {
+    if (!Number.isFinite(value) || !total) return '';
+    return ` (${(value / total * 100).toFixed(1)}% of model)`;
+  };
+
+  const hasParams = Number.isFinite(layerInfo.trainableParams) || Number.isFinite(layerInfo.nonTrainableParams);
+  const layerParams = (layerInfo.trainableParams || 0) + (layerInfo.nonTrainableParams || 0);
+  // Input pixels one position of the layer sees, see ReceptiveField
+  const receptiveField = layerInfo.receptiveField;
+
   return (
     <div className="layer-info-panel">
       <div className="layer-info-header">
@@ -89,6 +101,62 @@ const LayerInfoPanel = ({ layerInfo, onClose }) => {
             <span className="value">{layerInfo.config.activation}</span>
           </div>
         )}
+        
+        {layerInfo.inbound && layerInfo.inbound.length > 0 && (
+          <div className="detail-item">
+            <span className="label">Inputs:</span>
+            <span className="value">{layerInfo.inbound.join(', ')}</span>
+          </div>
+        )}
+        
+        {layerInfo.outbound && layerInfo.outbound.length > 0 && (
+          <div className="detail-item">
+            <span className="label">Outputs:</span>
+            <span className="value">{layerInfo.outbound.join(', ')}</span>
+          </div>
+        )}
+      </div>
+      
+      {/* Shape and cost figures from the model description's analysis pass */}
+      <div className="layer-details layer-cost">
+        {layerInfo.outputShape && (
+          <div className="detail-item">
+            <span className="label">Output Shape:</span>
+            <span className="value">{layerInfo.outputShape.join(' × ')}</span>
+          </div>
+        )}
+        
+        {hasParams && (
+          <div className="detail-item">
+            <span className="label">Parameters:</span>
+            <span className="value">
+              {layerParams.toLocaleString()}
+              {layerInfo.nonTrainableParams > 0 && ` (${layerInfo.nonTrainableParams.toLocaleString()} non-trainable)`}
+              {modelSummary && formatShare(layerParams, modelSummary.totalParams)}
+            </span>
+          </div>
+        )}
+        
+        {Number.isFinite(layerInfo.macs) && (
+          <div className="detail-item">
+            <span className="label">MACs:</span>
+            <span className="value">
+              {LayerAnalysis.formatCount(layerInfo.macs)}
+              {modelSummary && formatShare(layerInfo.macs, modelSummary.macs)}
+            </span>
+          </div>
+        )}
+        
+        {receptiveField && (
+          <div className="detail-item">
+            <span className="label">Receptive Field:</span>
+            <span className="value">
+              {receptiveField.global
+                ? 'whole input'
+                : `${receptiveField.size.join(' × ')} px, jump ${receptiveField.jump.join(' × ')}, start ${receptiveField.start.join(', ')}`}
+            </span>
+          </div>
+        )}
       </div>
       
       {/* MobileNetV2 Efficiency Info Section */}
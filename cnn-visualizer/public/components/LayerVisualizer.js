@@ -1,4 +1,5 @@
 import React from 'react';
+import ModelGraph from '../utils/ModelGraph';
 
 class LayerVisualizer extends React.Component {
     constructor(props) {
@@ -27,8 +28,8 @@ class LayerVisualizer extends React.Component {
         }
         
         try {
-            // Get layers from the model
-            const layers = this.props.model.getLayers();
+            // Get layers from the model, with their real inbound/outbound edges
+            const layers = ModelGraph.linkLayers(this.props.model.getLayers());
             console.log("Loaded layers:", layers);
             this.setState({ layers });
         } catch (error) {
@@ -41,6 +42,14 @@ class LayerVisualizer extends React.Component {
         this.props.onLayerSelect(layer); // Notify parent component
     };
 
+    // Inputs worth listing: merges, branches and skips, i.e. anything but "the layer above"
+    getNonSequentialInputs(layer, index) {
+        const { layers } = this.state;
+        const inbound = layer.inbound || [];
+        const previous = index > 0 ? layers[index - 1].name : null;
+        return inbound.length === 1 && inbound[0] === previous ? [] : inbound;
+    }
+
     render() {
         const { layers, selectedLayer } = this.state;
 
@@ -57,11 +66,17 @@ class LayerVisualizer extends React.Component {
             <div className="layer-visualizer">
                 <h2>Layer Visualizer</h2>
                 <ul>
-                    {layers.map((layer, index) => (
-                        <li key={index} onClick={() => this.handleLayerSelect(layer)}>
-                            {layer.type} {selectedLayer === layer ? '(Selected)' : ''}
-                        </li>
-                    ))}
+                    {layers.map((layer, index) => {
+                        const inputs = this.getNonSequentialInputs(layer, index);
+                        return (
+                            <li key={index} onClick={() => this.handleLayerSelect(layer)}>
+                                {layer.name} ({layer.type}) {selectedLayer === layer ? '(Selected)' : ''}
+                                {inputs.length > 0 && (
+                                    <span className="layer-inputs"> ← {inputs.join(' + ')}</span>
+                                )}
+                            </li>
+                        );
+                    })}
                 </ul>
                 {selectedLayer && (
                     <div className="layer-details">
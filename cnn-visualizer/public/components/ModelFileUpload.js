@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+
+/**
+ * Lets users pick a TF.js model.json and its .bin weight shards from disk
+ */
+const ModelFileUpload = ({ onFilesSelected, isLoading = false, fileErrors = [] }) => {
+  const [dragActive, setDragActive] = useState(false);
+  const [selectedNames, setSelectedNames] = useState([]);
+
+  const handleDrag = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.type === 'dragenter' || e.type === 'dragover') {
+      setDragActive(true);
+    } else if (e.type === 'dragleave') {
+      setDragActive(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      handleFiles(e.dataTransfer.files);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    if (e.target.files && e.target.files.length > 0) {
+      handleFiles(e.target.files);
+    }
+  };
+
+  const handleFiles = (files) => {
+    const fileList = Array.from(files);
+    setSelectedNames(fileList.map(file => file.name));
+    onFilesSelected(fileList);
+  };
+
+  return (
+    <div className="model-file-upload">
+      <h3>Load Your Own Model</h3>
+      <p className="helper-text">
+        Select a TensorFlow.js <code>model.json</code> together with all of its <code>.bin</code> weight files.
+      </p>
+
+      <div className={`upload-area ${dragActive ? 'drag-active' : ''}`}
+        onDragEnter={handleDrag}
+        onDragOver={handleDrag}
+        onDragLeave={handleDrag}
+        onDrop={handleDrop}>
+
+        {isLoading ? (
+          <p>Loading model files...</p>
+        ) : (
+          <div className="upload-prompt">
+            <p>Drag and drop model.json and weight shards here<br />or</p>
+            <label className="file-input-label">
+              Browse Files
+              <input
+                type="file"
+                accept=".json,.bin"
+                multiple
+                onChange={handleFileChange}
+                className="file-input"
+              />
+            </label>
+          </div>
+        )}
+      </div>
+
+      {selectedNames.length > 0 && (
+        <p className="selected-model-files">Selected: {selectedNames.join(', ')}</p>
+      )}
+
+      {fileErrors.length > 0 && (
+        <ul className="model-file-errors">
+          {fileErrors.map((fileError, index) => (
+            <li key={index}>
+              {fileError.file && <strong>{fileError.file}: </strong>}
+              {fileError.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ModelFileUpload;
@@ -1,6 +1,7 @@
 import React from 'react';
+import LayerAnalysis from '../utils/LayerAnalysis';
 
-const ModelPerformanceMetrics = ({ modelType, onClose }) => {
+const ModelPerformanceMetrics = ({ modelType, modelName, modelSummary, layers, onClose }) => {
   // Pre-defined metrics for popular architectures
   const modelMetrics = {
     mobilenetv2: {
@@ -131,6 +132,72 @@ const ModelPerformanceMetrics = ({ modelType, onClose }) => {
         <button className="close-button" onClick={onClose}>×</button>
       </div>
 
+      {modelSummary && (
+        <div className="metrics-loaded-model">
+          <h4>{modelName || 'Loaded Model'} (computed)</h4>
+          <div className="metrics-totals">
+            <div className="metrics-total">
+              <span className="label">Parameters</span>
+              <span className="value">{LayerAnalysis.formatCount(modelSummary.totalParams)}</span>
+            </div>
+            <div className="metrics-total">
+              <span className="label">Trainable</span>
+              <span className="value">{LayerAnalysis.formatCount(modelSummary.trainableParams)}</span>
+            </div>
+            <div className="metrics-total">
+              <span className="label">Non-trainable</span>
+              <span className="value">{LayerAnalysis.formatCount(modelSummary.nonTrainableParams)}</span>
+            </div>
+            <div className="metrics-total">
+              <span className="label">MACs</span>
+              <span className="value">{LayerAnalysis.formatCount(modelSummary.macs)}</span>
+            </div>
+            <div className="metrics-total">
+              <span className="label">Weights (float32)</span>
+              <span className="value">{(modelSummary.totalParams * 4 / (1024 * 1024)).toFixed(1)} MB</span>
+            </div>
+          </div>
+          {!modelSummary.complete && (
+            <p className="metrics-note">
+              Some layers could not be analyzed, so these totals are lower bounds.
+            </p>
+          )}
+
+          {layers && layers.length > 0 && (
+            <div className="metrics-layer-breakdown">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Layer</th>
+                    <th>Output Shape</th>
+                    <th>Params</th>
+                    <th>MACs</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {layers.map(layer => (
+                    <tr key={layer.name}>
+                      <td>{layer.name} <span className="layer-type-tag">{layer.type}</span></td>
+                      <td>{layer.output_shape ? layer.output_shape.join(' × ') : 'n/a'}</td>
+                      <td>{LayerAnalysis.formatCount((layer.trainable_params || 0) + (layer.non_trainable_params || 0))}</td>
+                      <td>
+                        <div className="metrics-mac-share">
+                          <div
+                            className="metrics-mac-bar"
+                            style={{ width: `${modelSummary.macs ? (layer.macs || 0) / modelSummary.macs * 100 : 0}%` }}
+                          ></div>
+                          <span>{LayerAnalysis.formatCount(layer.macs)}</span>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       <div className="metrics-current-model">
         <h4>{currentModel.name} Advantages</h4>
         <ul>
@@ -141,7 +208,7 @@ const ModelPerformanceMetrics = ({ modelType, onClose }) => {
       </div>
 
       <div className="metrics-comparison">
-        <h4>Performance Comparison</h4>
+        <h4>Published Benchmarks</h4>
         
         <div className="metrics-chart">
           <div className="metrics-chart-label">Parameters</div>
@@ -1,6 +1,7 @@
 import React, { useEffect, useRef, useState } from 'react';
 import * as tf from '@tensorflow/tfjs';
 import * as THREE from 'three';
+import ModelGraph from '../utils/ModelGraph';
 
 // Renamed the prop from 'model' to 'modelData' for clarity
 const ModelVisualizer = ({ modelData }) => {
@@ -364,8 +365,9 @@ const ModelVisualizer = ({ modelData }) => {
     const visualizeLayers = () => {
         console.log("Visualizing layers");
         
-        // Extract layers safely using the same helper
-        const layers = extractLayers(modelData);
+        // Extract layers safely using the same helper, with inbound/outbound edges filled in
+        const extractedLayers = extractLayers(modelData);
+        const layers = extractedLayers ? ModelGraph.linkLayers(extractedLayers) : null;
         
         if (!layers || !sceneRef.current) {
             console.warn("Required data for layer visualization is missing");
@@ -512,25 +514,28 @@ geometry = new THREE.BoxGeometry(layerSize, layerSize, layerSize);
                 labelSprite.position.set(0, 2.5, posZ);
                 labelSprite.scale.set(4, 2, 1);
                 
-                // Add connection to previous layer
-                if (index > 0) {
-                    const prevPosZ = posZ - spacing;
-                    const points = [
-                        new THREE.Vector3(0, 0, prevPosZ),
-                        new THREE.Vector3(0, 0, posZ)
-                    ];
+                // Add a connection from every inbound layer
+                layer.inbound.forEach(sourceName => {
+                    const sourcePosZ = layerPositions[sourceName];
+                    if (sourcePosZ === undefined) return;
                     
-                    const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
-                    const line = new THREE.Line(lineGeometry, lineMaterial);
-                    modelGroup.add(line);
-                }
-                
-                // Handle residual / skip connections if this is an add layer
-                if (layer.type === 'add' && index > 4) {  // Simplified check for potential skip connection
-                    // This is a simplified way to visualize skip connections
-                    const skipStartPos = posZ - spacing * 3; // Skip back a few layers
+                    if (posZ - sourcePosZ <= spacing) {
+                        // Direct connection to the layer right before this one
+                        const points = [
+                            new THREE.Vector3(0, 0, sourcePosZ),
+                            new THREE.Vector3(0, 0, posZ)
+                        ];
+                        
+                        const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
+                        const line = new THREE.Line(lineGeometry, lineMaterial);
+                        modelGroup.add(line);
+                        return;
+                    }
+                    
+                    // Residual / skip connection: route it beside the layers it jumps over
                     const skipPoints = [
-                        new THREE.Vector3(2, 1, skipStartPos),
+                        new THREE.Vector3(0, 0, sourcePosZ),
+                        new THREE.Vector3(2, 1, sourcePosZ + spacing / 2),
                         new THREE.Vector3(2, 1, posZ - spacing / 2),
                         new THREE.Vector3(0, 0, posZ)
                     ];
@@ -544,7 +549,7 @@ geometry = new THREE.BoxGeometry(layerSize, layerSize, layerSize);
                     });
                     const skipMesh = new THREE.Mesh(skipGeometry, skipMaterial);
                     modelGroup.add(skipMesh);
-                }
+                });
                 
                 modelGroup.add(mesh);
                 modelGroup.add(labelSprite);
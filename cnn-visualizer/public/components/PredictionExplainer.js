@@ -3,8 +3,12 @@ import PredictionHelper from '../utils/PredictionHelper';
 
 /**
  * Component for displaying and explaining model predictions
+ *
+ * Optionally reports the predictions to the parent (onPredictions), lets the user pick
+ * one of the listed classes for the explainability methods to explain (onSelectClass), and
+ * asks why the top class won over an alternative (onContrast(topIndex, alternativeIndex)).
  */
-const PredictionExplainer = ({ model, image }) => {
+const PredictionExplainer = ({ model, image, onPredictions, selectedClass = null, onSelectClass, onContrast }) => {
   const [predictions, setPredictions] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -37,6 +41,7 @@ const PredictionExplainer = ({ model, image }) => {
       // Get predictions
       const results = await predictionHelper.predict(image);
       setPredictions(results);
+      if (onPredictions) onPredictions(results);
     } catch (err) {
       console.error("Prediction error:", err);
       setError(`Error making prediction: ${err.message}`);
@@ -108,6 +113,36 @@ const PredictionExplainer = ({ model, image }) => {
     }
   };
   
+  // Button to explain a class in the other tabs; the top prediction is the default (null)
+  const renderExplainButton = (prediction, isTop) => {
+    if (!onSelectClass) return null;
+    const isSelected = isTop ? selectedClass === null || selectedClass === prediction.index : selectedClass === prediction.index;
+    return (
+      <button 
+        className={`explain-class-button ${isSelected ? 'selected' : ''}`}
+        onClick={() => onSelectClass(isTop ? null : prediction.index)}
+        disabled={isSelected}
+        title="Explain this class in the other tabs"
+      >
+        {isSelected ? 'Explaining' : 'Explain'}
+      </button>
+    );
+  };
+  
+  // Button to compare the top prediction with an alternative
+  const renderContrastButton = (prediction) => {
+    if (!onContrast) return null;
+    return (
+      <button 
+        className="explain-class-button"
+        onClick={() => onContrast(predictions.topPrediction.index, prediction.index)}
+        title={`Show what separates ${predictions.topPrediction.className} from ${prediction.className}`}
+      >
+        Why not?
+      </button>
+    );
+  };
+  
   // Render a bar chart for confidence scores
   const renderConfidenceBar = (value, maxValue = 1) => {
     const percentage = (value / maxValue) * 100;
@@ -181,7 +216,10 @@ const PredictionExplainer = ({ model, image }) => {
       <div className="prediction-summary">
         <h3>Model Prediction</h3>
         <div className="top-prediction">
-          <div className="prediction-class">{predictions.topPrediction.className}</div>
+          <div className="prediction-class">
+            {predictions.topPrediction.className}
+            {renderExplainButton(predictions.topPrediction, true)}
+          </div>
           <div className="prediction-confidence">
             {renderConfidenceBar(predictions.topPrediction.probability)}
           </div>
@@ -202,6 +240,8 @@ const PredictionExplainer = ({ model, image }) => {
               <li key={index} className="prediction-item">
                 <div className="prediction-item-label">
                   {prediction.className}
+                  {renderExplainButton(prediction, false)}
+                  {renderContrastButton(prediction)}
                 </div>
                 {renderConfidenceBar(prediction.probability)}
               </li>
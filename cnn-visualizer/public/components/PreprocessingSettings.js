@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { RESIZE_MODES, CHANNEL_ORDERS } from '../utils/ImagePreprocessor';
+
+// Form fields are edited as text and parsed on save
+const toForm = (config) => ({
+  height: String(config.inputSize[0]),
+  width: String(config.inputSize[1]),
+  rangeMin: String(config.range[0]),
+  rangeMax: String(config.range[1]),
+  mean: config.mean ? config.mean.join(', ') : '',
+  std: config.std ? config.std.join(', ') : '',
+  channelOrder: config.channelOrder,
+  resizeMode: config.resizeMode
+});
+
+const parseList = (text) => {
+  const trimmed = text.trim();
+  return trimmed ? trimmed.split(/[\s,]+/).map(Number) : null;
+};
+
+const describeRange = ([min, max]) => `[${min}, ${max}]`;
+
+/**
+ * Shows how images are preprocessed for the current model and lets the user override it,
+ * e.g. for custom models trained with a different input size or normalization.
+ * Calls onChange after the settings are saved or reset.
+ */
+const PreprocessingSettings = ({ model, onChange }) => {
+  const [config, setConfig] = useState(null);
+  const [form, setForm] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (model && model.tfModel && model.getPreprocessingConfig) {
+      const current = model.getPreprocessingConfig();
+      setConfig(current);
+      setForm(toForm(current));
+    } else {
+      setConfig(null);
+    }
+    setIsEditing(false);
+    setError(null);
+  }, [model]);
+
+  if (!config) return null;
+
+  const updateField = (field, value) => {
+    setForm({ ...form, [field]: value });
+  };
+
+  const reload = () => {
+    const current = model.getPreprocessingConfig();
+    setConfig(current);
+    setForm(toForm(current));
+    setIsEditing(false);
+    setError(null);
+    if (onChange) onChange(current);
+  };
+
+  const handleSave = () => {
+    try {
+      model.setPreprocessingOverrides({
+        inputSize: [Number(form.height), Number(form.width)],
+        range: [Number(form.rangeMin), Number(form.rangeMax)],
+        mean: parseList(form.mean),
+        std: parseList(form.std),
+        channelOrder: form.channelOrder,
+        resizeMode: form.resizeMode
+      });
+      reload();
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleReset = () => {
+    model.setPreprocessingOverrides(null);
+    reload();
+  };
+
+  const defaults = model.getDefaultPreprocessingConfig();
+  const sizeMismatch = config.inputSize[0] !== defaults.inputSize[0] ||
+    config.inputSize[1] !== defaults.inputSize[1];
+
+  return (
+    <div className="preprocessing-settings">
+      <div className="preprocessing-summary">
+        <span>{config.inputSize[0]}×{config.inputSize[1]}</span>
+        <span>range {describeRange(config.range)}</span>
+        {config.mean && <span>mean {config.mean.join(', ')}</span>}
+        {config.std && <span>std {config.std.join(', ')}</span>}
+        <span>{config.channelOrder.toUpperCase()}</span>
+        <span>{config.resizeMode}</span>
+        <span className={`preprocessing-source ${config.source}`}>
+          {config.source === 'custom' ? 'Custom' : 'Model default'}
+        </span>
+      </div>
+
+      {sizeMismatch && (
+        <p className="helper-text">
+          Note: the model's own input shape is {defaults.inputSize[0]}×{defaults.inputSize[1]}.
+          A different size only works for fully convolutional models.
+        </p>
+      )}
+
+      {!isEditing ? (
+        <button className="preprocessing-toggle" onClick={() => setIsEditing(true)}>
+          Customize preprocessing
+        </button>
+      ) : (
+        <div className="preprocessing-form">
+          <label>
+            Input size (H × W)
+            <span className="preprocessing-pair">
+              <input type="number" min="1" value={form.height} onChange={(e) => updateField('height', e.target.value)} />
+              <input type="number" min="1" value={form.width} onChange={(e) => updateField('width', e.target.value)} />
+            </span>
+          </label>
+          <label>
+            Pixel range (0–255 maps to)
+            <span className="preprocessing-pair">
+              <input type="number" step="any" value={form.rangeMin} onChange={(e) => updateField('rangeMin', e.target.value)} />
+              <input type="number" step="any" value={form.rangeMax} onChange={(e) => updateField('rangeMax', e.target.value)} />
+            </span>
+          </label>
+          <label>
+            Mean (per channel, after scaling)
+            <input type="text" placeholder="e.g. 0.485, 0.456, 0.406" value={form.mean} onChange={(e) => updateField('mean', e.target.value)} />
+          </label>
+          <label>
+            Std (per channel, after scaling)
+            <input type="text" placeholder="e.g. 0.229, 0.224, 0.225" value={form.std} onChange={(e) => updateField('std', e.target.value)} />
+          </label>
+          <label>
+            Channel order
+            <select value={form.channelOrder} onChange={(e) => updateField('channelOrder', e.target.value)}>
+              {CHANNEL_ORDERS.map(order => (
+                <option key={order} value={order}>{order.toUpperCase()}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Resize
+            <select value={form.resizeMode} onChange={(e) => updateField('resizeMode', e.target.value)}>
+              {RESIZE_MODES.map(mode => (
+                <option key={mode} value={mode}>{mode}</option>
+              ))}
+            </select>
+          </label>
+
+          {error && <div className="error-message">{error}</div>}
+
+          <div className="preprocessing-actions">
+            <button className="generate-button" onClick={handleSave}>Save</button>
+            <button className="preprocessing-toggle" onClick={() => { setForm(toForm(config)); setIsEditing(false); setError(null); }}>
+              Cancel
+            </button>
+            {config.source === 'custom' && (
+              <button className="preprocessing-toggle" onClick={handleReset}>Reset to model default</button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PreprocessingSettings;
@@ -4,6 +4,7 @@ import * as tf from '@tensorflow/tfjs';
 import LayerInfoPanel from './LayerInfoPanel';
 import ModelPerformanceMetrics from './ModelPerformanceMetrics';
 import MobileNetV2Explainer from './MobileNetV2Explainer';
+import ModelGraph from '../utils/ModelGraph';
 
 const ThreeJSCNNVisualizer = ({ model, modelType, onLayerSelect }) => {
     const containerRef = useRef(null);
@@ -100,7 +101,7 @@ const ThreeJSCNNVisualizer = ({ model, modelType, onLayerSelect }) => {
                 rendererRef.current.dispose();
             }
         };
-    }, [modelType]);
+    }, [model, modelType]);
     
     // Handle window resize
     useEffect(() => {
@@ -149,20 +150,36 @@ const ThreeJSCNNVisualizer = ({ model, modelType, onLayerSelect }) => {
                 layers = createSimpleCNNLayers();
                 break;
             case 'custom':
+            case 'uploaded': // Models loaded from local model.json + weight files
                 layers = createCustomLayers();
                 break;
             default:
                 layers = createSimpleCNNLayers();
         }
         
+        // Lay the graph out by depth: layers on parallel branches share a z position
+        // and are spread out along x
+        layers = ModelGraph.linkLayers(layers);
+        const depths = ModelGraph.computeDepths(layers);
+        const depthCount = Math.max(0, ...Object.values(depths)) + 1;
+        const layersPerDepth = {};
+        layers.forEach(layer => {
+            const depth = depths[layer.name];
+            layersPerDepth[depth] = (layersPerDepth[depth] || 0) + 1;
+        });
+        const branchSpacing = 18;
+        const depthSlots = {};
+        
         // Create 3D visualization for each layer
         // Use a smaller spacing for the MobileNetV2 model since it has more layers
         const layerSpacing = modelType === 'mobilenetv2-vis' ? 6 : 10;
-        let positionZ = -layerSpacing * (layers.length - 1) / 2;
         layers.forEach((layer, index) => {
             const mesh = createLayerMesh(layer);
-            mesh.position.z = positionZ;
-            positionZ += layerSpacing;
+            const depth = depths[layer.name];
+            const slot = depthSlots[depth] || 0;
+            depthSlots[depth] = slot + 1;
+            mesh.position.z = -layerSpacing * (depthCount - 1) / 2 + depth * layerSpacing;
+            mesh.position.x = (slot - (layersPerDepth[depth] - 1) / 2) * branchSpacing;
             // Store layer info for interactivity
             mesh.userData = {
                 layerIndex: index,
@@ -178,24 +195,39 @@ const ThreeJSCNNVisualizer = ({ model, modelType, onLayerSelect }) => {
         createLayerConnections(layers, layerSpacing);
         
         // Adjust camera to fit all layers
-        adjustCameraToFit(layers.length, layerSpacing);
+        adjustCameraToFit(depthCount, layerSpacing);
+    };
+    
+    // Layers of the loaded model's description (the model prop is a CNNModel instance)
+    const getDescriptionLayers = () => {
+        const description = model && model.model && model.model.model;
+        return description && Array.isArray(description.layers) ? description.layers : null;
     };
     
+    // Map a description layer to the fields the 3D view and layer panel use
+    const toVisualLayer = (layer) => ({
+        type: layer.type || 'unknown',
+        name: layer.name || 'unnamed',
+        filters: layer.filters,
+        kernelSize: layer.kernel_size,
+        units: layer.units,
+        activation: layer.activation,
+        strides: layer.strides,
+        inbound: layer.inbound,
+        outputShape: layer.output_shape,
+        trainableParams: layer.trainable_params,
+        nonTrainableParams: layer.non_trainable_params,
+        macs: layer.macs,
+        receptiveField: layer.receptive_field
+    });
+    
     // Create detailed MobileNetV2 layers based on our model definition
     const createMobileNetV2DetailedLayers = () => {
         // Check if we have a model with mobilenetv2-vis structure
-        if (model && model.model && model.model.layers && 
-            model.modelType === 'mobilenetv2-vis') {
+        const descriptionLayers = getDescriptionLayers();
+        if (descriptionLayers && model.modelType === 'mobilenetv2-vis') {
             try {
-                return model.model.layers.map(layer => ({
-                    type: layer.type || 'unknown',
-                    name: layer.name || 'unnamed',
-                    filters: layer.filters,
-                    kernelSize: layer.kernel_size,
-                    units: layer.units,
-                    activation: layer.activation,
-                    strides: layer.strides
-                }));
+                return descriptionLayers.map(toVisualLayer);
             } catch (e) {
                 console.warn("Error parsing mobilenetv2-vis model layers:", e);
             }
@@ -227,7 +259,7 @@ const ThreeJSCNNVisualizer = ({ model, modelType, onLayerSelect }) => {
             { type: 'batchnorm', name: 'block_2_depthwise_BN' },
             { type: 'conv2d', name: 'block_2_project', filters: 24, kernelSize: [1, 1], strides: [1, 1] },
             { type: 'batchnorm', name: 'block_2_project_BN' },
-            { type: 'add', name: 'block_2_add' },
+            { type: 'add', name: 'block_2_add', inbound: ['block_1_project_BN', 'block_2_project_BN'] },
     
             // Block 4
             { type: 'conv2d', name: 'block_3_expand', filters: 144, kernelSize: [1, 1], strides: [1, 1], activation: 'relu6' },
@@ -244,7 +276,7 @@ const ThreeJSCNNVisualizer = ({ model, modelType, onLayerSelect }) => {
             { type: 'batchnorm', name: 'block_4_depthwise_BN' },
             { type: 'conv2d', name: 'block_4_project', filters: 32, kernelSize: [1, 1], strides: [1, 1] },
             { type: 'batchnorm', name: 'block_4_project_BN' },
-            { type: 'add', name: 'block_4_add' },
+            { type: 'add', name: 'block_4_add', inbound: ['block_3_project_BN', 'block_4_project_BN'] },
     
             // Final layers
             { type: 'conv2d', name: 'Conv_1', filters: 1280, kernelSize: [1, 1], strides: [1, 1], activation: 'relu6' },
@@ -457,50 +489,47 @@ const ThreeJSCNNVisualizer = ({ model, modelType, onLayerSelect }) => {
         mesh.add(labelMesh);
     };
     
-    // Create connections between layers
+    // Create connections between layers from the model graph's edges
     const createLayerConnections = (layers, spacing) => {
         if (!sceneRef.current) return;
         
-        for (let i = 0; i < layerMeshesRef.current.length - 1; i++) {
-            const startMesh = layerMeshesRef.current[i];
-            const endMesh = layerMeshesRef.current[i + 1];
+        const meshesByName = {};
+        layerMeshesRef.current.forEach(mesh => {
+            meshesByName[mesh.userData.layerName] = mesh;
+        });
+        
+        ModelGraph.getEdges(layers).forEach(edge => {
+            const startMesh = meshesByName[edge.from];
+            const endMesh = meshesByName[edge.to];
+            if (!startMesh || !endMesh) return;
             
-            // Create a line between layers
             const material = new THREE.LineBasicMaterial({
-                color: 0x0088ff,
+                color: edge.isSkip ? 0xff3333 : 0x0088ff, // Red for residual/skip connections
                 transparent: true,
                 opacity: 0.6
             });
             
-            const points = [];
-            points.push(new THREE.Vector3(0, 0, startMesh.position.z));
-            points.push(new THREE.Vector3(0, 0, endMesh.position.z));
+            const start = startMesh.position;
+            const end = endMesh.position;
+            let points;
+            if (edge.isSkip) {
+                // Arc over the layers the connection skips so it isn't hidden behind them
+                const curve = new THREE.QuadraticBezierCurve3(
+                    new THREE.Vector3(start.x, 0, start.z),
+                    new THREE.Vector3((start.x + end.x) / 2, spacing, (start.z + end.z) / 2),
+                    new THREE.Vector3(end.x, 0, end.z)
+                );
+                points = curve.getPoints(20);
+            } else {
+                points = [
+                    new THREE.Vector3(start.x, 0, start.z),
+                    new THREE.Vector3(end.x, 0, end.z)
+                ];
+            }
             
             const geometry = new THREE.BufferGeometry().setFromPoints(points);
             const line = new THREE.Line(geometry, material);
             sceneRef.current.add(line);
-        }
-        
-        // Add connections for 'add' layers, which indicate residual connections
-        layerMeshesRef.current.forEach((mesh, index) => {
-            if (mesh.userData.layerType === 'add') {
-                const residualStartIndex = Math.max(0, index - 6); // Approximate position of layer to connect from
-                const startMesh = layerMeshesRef.current[residualStartIndex];
-                
-                const material = new THREE.LineBasicMaterial({
-                    color: 0xff3333, // Red for residual connections
-                    transparent: true,
-                    opacity: 0.6
-                });
-                
-                const points = [];
-                points.push(new THREE.Vector3(0, 0, startMesh.position.z));
-                points.push(new THREE.Vector3(0, 0, mesh.position.z));
-                
-                const geometry = new THREE.BufferGeometry().setFromPoints(points);
-                const line = new THREE.Line(geometry, material);
-                sceneRef.current.add(line);
-            }
         });
     };
     
@@ -584,6 +613,13 @@ const ThreeJSCNNVisualizer = ({ model, modelType, onLayerSelect }) => {
                             index: object.userData.layerIndex,
                             name: object.userData.layerName,
                             type: object.userData.layerType,
+                            inbound: object.userData.inbound,
+                            outbound: object.userData.outbound,
+                            outputShape: object.userData.outputShape,
+                            trainableParams: object.userData.trainableParams,
+                            nonTrainableParams: object.userData.nonTrainableParams,
+                            macs: object.userData.macs,
+                            receptiveField: object.userData.receptiveField,
                             config: {
                                 filters: object.userData.filters,
                                 kernelSize: object.userData.kernelSize,
@@ -695,16 +731,10 @@ const ThreeJSCNNVisualizer = ({ model, modelType, onLayerSelect }) => {
     
     const createCustomLayers = () => {
         // If real model data is available, parse it from model prop
-        if (model && model.model && model.model.layers) {
+        const descriptionLayers = getDescriptionLayers();
+        if (descriptionLayers) {
             try {
-                return model.model.layers.map(layer => ({
-                    type: layer.type || 'unknown',
-                    name: layer.name || 'unnamed',
-                    filters: layer.filters,
-                    kernelSize: layer.kernel_size,
-                    units: layer.units,
-                    activation: layer.activation
-                }));
+                return descriptionLayers.map(toVisualLayer);
             } catch (e) {
                 console.warn("Error parsing custom model layers:", e);
             }
@@ -843,6 +873,13 @@ const ThreeJSCNNVisualizer = ({ model, modelType, onLayerSelect }) => {
                         layerInfo={{
                             name: selectedLayer.userData.layerName,
                             type: selectedLayer.userData.layerType,
+                            inbound: selectedLayer.userData.inbound,
+                            outbound: selectedLayer.userData.outbound,
+                            outputShape: selectedLayer.userData.outputShape,
+                            trainableParams: selectedLayer.userData.trainableParams,
+                            nonTrainableParams: selectedLayer.userData.nonTrainableParams,
+                            macs: selectedLayer.userData.macs,
+                            receptiveField: selectedLayer.userData.receptiveField,
                             config: {
                                 filters: selectedLayer.userData.filters,
                                 kernelSize: selectedLayer.userData.kernelSize,
@@ -850,6 +887,7 @@ const ThreeJSCNNVisualizer = ({ model, modelType, onLayerSelect }) => {
                                 activation: selectedLayer.userData.activation
                             }
                         }}
+                        modelSummary={model && model.getModelSummary ? model.getModelSummary() : null}
                         onClose={handleLayerInfoClose}
                     />
                 )}
@@ -857,6 +895,9 @@ const ThreeJSCNNVisualizer = ({ model, modelType, onLayerSelect }) => {
                 {showPerformanceMetrics && (
                     <ModelPerformanceMetrics 
                         modelType={modelType}
+                        modelName={model ? model.modelName : null}
+                        modelSummary={model && model.getModelSummary ? model.getModelSummary() : null}
+                        layers={getDescriptionLayers()}
                         onClose={togglePerformanceMetrics}
                     />
                 )}
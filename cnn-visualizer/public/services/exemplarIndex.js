@@ -0,0 +1,42 @@
+import { openDb, runTransaction } from './indexedDb';
+
+// Dataset exemplars mined for a model, one entry per layer (see ExemplarMiner). The
+// patches and thumbnails are stored as data URLs so they can be shown without the
+// original image folder.
+const DB_NAME = 'whytebox-exemplars';
+const STORE_NAME = 'indexes';
+
+function openExemplarDb() {
+    return openDb(DB_NAME, db => {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('modelKey', 'modelKey');
+    });
+}
+
+async function runStoreTransaction(mode, operation) {
+    return runTransaction(await openExemplarDb(), STORE_NAME, mode, operation);
+}
+
+export function getExemplarIndexId(modelKey, layerName) {
+    return `${modelKey}::${layerName}`;
+}
+
+export async function saveExemplarIndex(index) {
+    const entry = { ...index, id: getExemplarIndexId(index.modelKey, index.layerName) };
+    await runStoreTransaction('readwrite', store => store.put(entry));
+    return entry;
+}
+
+export async function getExemplarIndex(modelKey, layerName) {
+    return runStoreTransaction('readonly', store => store.get(getExemplarIndexId(modelKey, layerName)));
+}
+
+// Layers with exemplars for a model, without the (large) exemplar data
+export async function listExemplarIndexes(modelKey) {
+    const entries = await runStoreTransaction('readonly', store => store.index('modelKey').getAll(modelKey));
+    return (entries || []).map(({ channels, images, ...summary }) => summary);
+}
+
+export async function removeExemplarIndex(modelKey, layerName) {
+    await runStoreTransaction('readwrite', store => store.delete(getExemplarIndexId(modelKey, layerName)));
+}
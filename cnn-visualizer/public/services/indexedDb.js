@@ -0,0 +1,53 @@
+// Small promise wrappers around IndexedDB shared by the stores in this folder. Each
+// operation opens the database, runs one transaction and closes it again.
+
+export function openDb(name, upgrade) {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = () => upgrade(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs `operation(store)` in a transaction on `storeName` and resolves with the result of
+// the request it returns once the transaction commits. Closes `db` however it ends.
+export function runTransaction(db, storeName, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const fail = error => {
+            db.close();
+            reject(error);
+        };
+
+        let transaction;
+        let request;
+        try {
+            transaction = db.transaction(storeName, mode);
+            request = operation(transaction.objectStore(storeName));
+        } catch (error) {
+            // e.g. a DataCloneError from put(); nothing has been written yet
+            if (transaction) {
+                try {
+                    transaction.abort();
+                } catch (abortError) {
+                    // Already finished or aborted
+                }
+            }
+            fail(error);
+            return;
+        }
+
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => fail(transaction.error);
+        // Quota errors abort the transaction without a failed request, so onerror never fires
+        transaction.onabort = () => fail(transaction.error || new Error('The IndexedDB transaction was aborted'));
+    });
+}
@@ -0,0 +1,77 @@
+import * as tf from '@tensorflow/tfjs';
+import { openDb, runTransaction } from './indexedDb';
+
+// Model weights live in TF.js' own IndexedDB storage (indexeddb://), while the
+// descriptive metadata shown in the library lives in a small store of our own.
+const DB_NAME = 'whytebox-model-library';
+const STORE_NAME = 'models';
+const MODEL_URL_PREFIX = 'indexeddb://whytebox/';
+
+function openLibraryDb() {
+    return openDb(DB_NAME, db => {
+        db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    });
+}
+
+async function runStoreTransaction(mode, operation) {
+    return runTransaction(await openLibraryDb(), STORE_NAME, mode, operation);
+}
+
+export function getLibraryModelUrl(id) {
+    return `${MODEL_URL_PREFIX}${id}`;
+}
+
+export async function saveModelToLibrary(tfModel, { id, name, modelType, layerCount }) {
+    const saveResult = await tfModel.save(getLibraryModelUrl(id));
+    const info = saveResult.modelArtifactsInfo || {};
+
+    const entry = {
+        id,
+        name,
+        modelType,
+        format: tfModel.layers ? 'layers' : 'graph',
+        layerCount,
+        sizeBytes: (info.modelTopologyBytes || 0) + (info.weightSpecsBytes || 0) + (info.weightDataBytes || 0),
+        loadedAt: new Date().toISOString()
+    };
+
+    await runStoreTransaction('readwrite', store => store.put(entry));
+    return entry;
+}
+
+export async function listLibraryModels() {
+    const entries = await runStoreTransaction('readonly', store => store.getAll());
+    // Most recently used first
+    return (entries || []).sort((a, b) => b.loadedAt.localeCompare(a.loadedAt));
+}
+
+export async function getLibraryModel(id) {
+    return runStoreTransaction('readonly', store => store.get(id));
+}
+
+export async function loadModelFromLibrary(id) {
+    const entry = await getLibraryModel(id);
+    if (!entry) {
+        throw new Error(`Model "${id}" is not in the model library`);
+    }
+
+    const modelUrl = getLibraryModelUrl(id);
+    const tfModel = entry.format === 'graph'
+        ? await tf.loadGraphModel(modelUrl)
+        : await tf.loadLayersModel(modelUrl);
+
+    const updatedEntry = { ...entry, loadedAt: new Date().toISOString() };
+    await runStoreTransaction('readwrite', store => store.put(updatedEntry));
+
+    return { tfModel, entry: updatedEntry };
+}
+
+export async function removeModelFromLibrary(id) {
+    try {
+        await tf.io.removeModel(getLibraryModelUrl(id));
+    } catch (error) {
+        // The weights may already be gone; still drop the metadata entry below
+        console.warn(`Could not remove stored weights for "${id}":`, error);
+    }
+    await runStoreTransaction('readwrite', store => store.delete(id));
+}
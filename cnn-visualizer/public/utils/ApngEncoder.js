@@ -0,0 +1,146 @@
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// CRC-32 lookup table of the PNG specification
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Assembles animated PNGs from the PNG frames a canvas produces
+ *
+ * Browsers already encode PNGs (canvas.toDataURL) and display APNGs, so an animation needs no
+ * encoder library: the image data of every frame is copied into one file and each frame gets
+ * a frame control chunk with its delay. All frames must have the same size.
+ */
+class ApngEncoder {
+  /**
+   * Build an animated PNG
+   * @param {Array<Uint8Array>} pngs - PNG files of the frames, all the same size
+   * @param {Object} options - { delay: milliseconds per frame (default 100), loops: times to
+   *   play, 0 for forever (default 0) }
+   * @returns {Uint8Array} APNG file
+   * @throws {Error} If there are no frames or they differ in size
+   */
+  static encode(pngs, options = {}) {
+    const { delay = 100, loops = 0 } = options;
+    if (pngs.length === 0) {
+      throw new Error('An animation needs at least one frame');
+    }
+    const frames = pngs.map(png => ApngEncoder.readChunks(png));
+    const header = frames[0].find(chunk => chunk.type === 'IHDR').data;
+    const width = ApngEncoder.readUint32(header, 0);
+    const height = ApngEncoder.readUint32(header, 4);
+
+    const chunks = [ApngEncoder.chunk('IHDR', header)];
+    chunks.push(ApngEncoder.chunk('acTL', ApngEncoder.uint32s(frames.length, loops)));
+    let sequence = 0;
+    frames.forEach((frame, index) => {
+      const frameHeader = frame.find(chunk => chunk.type === 'IHDR').data;
+      if (ApngEncoder.readUint32(frameHeader, 0) !== width || ApngEncoder.readUint32(frameHeader, 4) !== height) {
+        throw new Error(`Frame ${index + 1} is not ${width}×${height} like the first frame`);
+      }
+      // Frame control: sequence, size, offset 0, delay as a fraction of a second, no dispose or blend
+      const control = new Uint8Array(26);
+      control.set(ApngEncoder.uint32s(sequence++, width, height, 0, 0));
+      const milliseconds = Math.min(Math.round(delay), 0xffff);
+      control.set([milliseconds >> 8, milliseconds & 0xff, 1000 >> 8, 1000 & 0xff, 0, 0], 20);
+      chunks.push(ApngEncoder.chunk('fcTL', control));
+
+      frame.filter(chunk => chunk.type === 'IDAT').forEach(({ data }) => {
+        if (index === 0) {
+          // The first frame doubles as the still image shown by viewers without APNG support
+          chunks.push(ApngEncoder.chunk('IDAT', data));
+        } else {
+          const frameData = new Uint8Array(data.length + 4);
+          frameData.set(ApngEncoder.uint32s(sequence++));
+          frameData.set(data, 4);
+          chunks.push(ApngEncoder.chunk('fdAT', frameData));
+        }
+      });
+    });
+    chunks.push(ApngEncoder.chunk('IEND', new Uint8Array(0)));
+
+    const file = new Uint8Array(PNG_SIGNATURE.length + chunks.reduce((total, chunk) => total + chunk.length, 0));
+    file.set(PNG_SIGNATURE);
+    let offset = PNG_SIGNATURE.length;
+    chunks.forEach(chunk => {
+      file.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return file;
+  }
+
+  /**
+   * Build an animated PNG from canvas data URLs
+   * @param {Array<string>} dataURLs - 'data:image/png;base64,...' URLs of the frames
+   * @param {Object} options - See encode()
+   * @returns {Blob} APNG file
+   */
+  static fromDataURLs(dataURLs, options = {}) {
+    const pngs = dataURLs.map(url => {
+      const binary = atob(url.slice(url.indexOf(',') + 1));
+      return Uint8Array.from(binary, character => character.charCodeAt(0));
+    });
+    return new Blob([ApngEncoder.encode(pngs, options)], { type: 'image/apng' });
+  }
+
+  /**
+   * Split a PNG file into its chunks
+   * @param {Uint8Array} png - PNG file
+   * @returns {Array<Object>} Chunks as { type, data }
+   * @throws {Error} If the file is not a PNG
+   */
+  static readChunks(png) {
+    if (!PNG_SIGNATURE.every((byte, index) => png[index] === byte)) {
+      throw new Error('Frame is not a PNG image');
+    }
+    const chunks = [];
+    for (let offset = PNG_SIGNATURE.length; offset < png.length;) {
+      const length = ApngEncoder.readUint32(png, offset);
+      const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+      chunks.push({ type, data: png.subarray(offset + 8, offset + 8 + length) });
+      offset += length + 12;
+    }
+    return chunks;
+  }
+
+  // Length, type, data and CRC of a chunk
+  static chunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    chunk.set(ApngEncoder.uint32s(data.length));
+    chunk.set(Array.from(type, character => character.charCodeAt(0)), 4);
+    chunk.set(data, 8);
+    chunk.set(ApngEncoder.uint32s(ApngEncoder.crc32(chunk.subarray(4, 8 + data.length))), 8 + data.length);
+    return chunk;
+  }
+
+  // Big-endian bytes of unsigned 32-bit integers
+  static uint32s(...values) {
+    const bytes = new Uint8Array(values.length * 4);
+    const view = new DataView(bytes.buffer);
+    values.forEach((value, index) => view.setUint32(index * 4, value));
+    return bytes;
+  }
+
+  static readUint32(bytes, offset) {
+    return new DataView(bytes.buffer, bytes.byteOffset + offset, 4).getUint32(0);
+  }
+
+  static crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+export default ApngEncoder;
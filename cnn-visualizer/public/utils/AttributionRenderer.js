@@ -0,0 +1,110 @@
+import * as tf from '@tensorflow/tfjs';
+
+export const DISPLAY_MODES = {
+  absolute: 'Absolute',
+  signed: 'Signed'
+};
+
+/**
+ * Renders pixel attributions (gradients, Integrated Gradients...) as overlays on the image.
+ *
+ * - absolute: |attribution| summed over channels, shown on a black-red-yellow scale. Shows
+ *   where the model looks, regardless of whether the pixels support the class.
+ * - signed: attribution summed over channels, shown on a diverging scale where red pixels
+ *   support the class and blue pixels argue against it.
+ *
+ * Attributions are scaled by a high percentile rather than the maximum, so a few extreme
+ * pixels don't wash out the rest of the map.
+ */
+class AttributionRenderer {
+  /**
+   * Collapse per-channel attributions to one value per pixel
+   * @param {tf.Tensor} attributions - Attributions (1, height, width, channels) or (height, width, channels)
+   * @param {string} mode - 'absolute' or 'signed'
+   * @returns {tf.Tensor} Map of shape (height, width)
+   */
+  static reduce(attributions, mode = 'absolute') {
+    return tf.tidy(() => {
+      const perPixel = mode === 'signed'
+        ? tf.sum(attributions, -1)
+        : tf.sum(tf.abs(attributions), -1);
+      return perPixel.rank === 3 ? perPixel.squeeze([0]) : perPixel;
+    });
+  }
+
+  /**
+   * Scale a map to [0, 1] (absolute) or [-1, 1] (signed), clipping at a percentile of |map|
+   * @param {tf.Tensor} map - Map of shape (height, width)
+   * @param {string} mode - 'absolute' or 'signed'
+   * @param {number} percentile - Percentile of |map| that maps to full intensity
+   * @returns {tf.Tensor} Scaled map
+   */
+  static normalize(map, mode = 'absolute', percentile = 99) {
+    return tf.tidy(() => {
+      const magnitudes = tf.abs(map).flatten();
+      const count = Math.max(1, Math.ceil(magnitudes.size * (1 - percentile / 100)));
+      const scale = tf.topk(magnitudes, count).values.min().add(1e-12);
+      const scaled = tf.div(map, scale);
+      return mode === 'signed'
+        ? tf.clipByValue(scaled, -1, 1)
+        : tf.clipByValue(scaled, 0, 1);
+    });
+  }
+
+  /**
+   * Turn a scaled map into colors
+   * @param {tf.Tensor} scaled - Output of normalize(), shape (height, width)
+   * @param {string} mode - 'absolute' or 'signed'
+   * @returns {tf.Tensor} RGB values in [0, 1], shape (height, width, 3)
+   */
+  static colorize(scaled, mode = 'absolute') {
+    return tf.tidy(() => {
+      if (mode === 'signed') {
+        // Diverging: white at zero, red for positive, blue for negative
+        const positive = tf.relu(scaled);
+        const negative = tf.relu(tf.neg(scaled));
+        const r = tf.sub(1, negative);
+        const g = tf.sub(1, tf.add(positive, negative));
+        const b = tf.sub(1, positive);
+        return tf.stack([r, g, b], -1);
+      }
+      // Sequential "hot" scale: black -> red -> yellow
+      const r = tf.clipByValue(tf.mul(scaled, 2), 0, 1);
+      const g = tf.clipByValue(tf.sub(tf.mul(scaled, 2), 1), 0, 1);
+      const b = tf.zerosLike(scaled);
+      return tf.stack([r, g, b], -1);
+    });
+  }
+
+  /**
+   * Render attributions over the original image
+   * @param {HTMLImageElement|tf.Tensor} originalImage - Image the attributions explain
+   * @param {tf.Tensor} attributions - Attributions at the model input size, (1, height, width, channels)
+   * @param {ImagePreprocessor} preprocessor - Preprocessor used to produce the model input,
+   *   for mapping the attributions back onto the image
+   * @param {Object} options - { mode: 'absolute' or 'signed', alpha: overlay opacity (0-1),
+   *   percentile: see normalize() }
+   * @returns {tf.Tensor} Image with the overlay, int32 (height, width, 3)
+   */
+  static render(originalImage, attributions, preprocessor, options = {}) {
+    const { mode = 'absolute', alpha = 0.7, percentile = 99 } = options;
+
+    return tf.tidy(() => {
+      const origImg = originalImage instanceof tf.Tensor
+        ? originalImage
+        : tf.browser.fromPixels(originalImage);
+
+      const scaled = AttributionRenderer.normalize(AttributionRenderer.reduce(attributions, mode), mode, percentile);
+      const imageScaled = preprocessor.toImageSpace(scaled.expandDims(-1), origImg.shape);
+      const colors = AttributionRenderer.colorize(imageScaled.squeeze([2]), mode).mul(255);
+
+      // Blend in proportion to the attribution's magnitude so unimportant pixels keep the image
+      const weight = tf.mul(tf.abs(imageScaled), alpha);
+      const image = tf.cast(origImg.slice([0, 0, 0], [-1, -1, 3]), 'float32');
+      const blended = tf.add(tf.mul(image, tf.sub(1, weight)), tf.mul(colors, weight));
+      return tf.cast(tf.clipByValue(blended, 0, 255), 'int32');
+    });
+  }
+}
+
+export default AttributionRenderer;
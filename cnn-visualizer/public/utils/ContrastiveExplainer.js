@@ -0,0 +1,223 @@
+import * as tf from '@tensorflow/tfjs';
+import GradCAM from './gradCAM';
+import IntegratedGradients from './IntegratedGradients';
+import OcclusionSensitivity from './OcclusionSensitivity';
+import ModelSplitter from './ModelSplitter';
+import PredictionHelper from './PredictionHelper';
+
+// Methods that can explain the difference between two classes
+export const CONTRASTIVE_METHODS = {
+  gradcam: 'Grad-CAM',
+  integratedGradients: 'Integrated Gradients',
+  occlusion: 'Occlusion'
+};
+
+/**
+ * Contrastive "why A and not B" explanations
+ * Following "Grad-CAM: Visual Explanations from Deep Networks via Gradient-based Localization"
+ * (counterfactual explanations) and "Contrastive Explanations for Model Interpretability"
+ * (Jacovi et al.)
+ *
+ * The target is the difference of the two logits, logit(A) - logit(B), so the map shows the
+ * evidence that separates A from B rather than evidence for A that B shares. The single-class
+ * maps of A and B are computed on their logits in the same run. Gradients and occlusion drops
+ * are linear in the target, so the contrast is derived from them without extra passes: for
+ * Integrated Gradients and occlusion the contrastive map is exactly map(A) - map(B).
+ *
+ * For models that output probabilities, log-probabilities stand in for the logits; softmax
+ * leaves their differences unchanged.
+ */
+class ContrastiveExplainer {
+  constructor(model) {
+    this.model = model;
+    this.tfModel = model.tfModel;
+  }
+
+  /**
+   * Explain why the model prefers one class over another
+   * @param {HTMLImageElement|tf.Tensor} inputImage - Input image
+   * @param {number} classA - Class to explain
+   * @param {number} classB - Class to contrast it with
+   * @param {Object} options - { method: a key of CONTRASTIVE_METHODS (default 'gradcam'),
+   *   layerName: layer for Grad-CAM, steps: Integrated Gradients steps from a black baseline
+   *   (default 32), patchSize and stride: occlusion patch in model input pixels (default 32
+   *   and 16), batchSize: images per pass (default: as the single-class explainers),
+   *   onProgress: called with (done, total) after each batch }
+   * @returns {Promise<Object>} { method, classA, classB, contrast, mapA, mapB }. The maps have
+   *   the form of the method's single-class map: Grad-CAM heatmaps (layer height, layer width)
+   *   scaled to [0, 1]; signed Integrated Gradients attributions (1, height, width, channels);
+   *   occlusion drops in the logit (height, width), negative where hiding a pixel raises it.
+   */
+  async explain(inputImage, classA, classB, options = {}) {
+    if (!this.tfModel) {
+      throw new Error('No TensorFlow model available');
+    }
+    if (classA === null || classB === null || classA === classB) {
+      throw new Error('Choose two different classes to compare');
+    }
+
+    const { method = 'gradcam' } = options;
+    let maps;
+    switch (method) {
+      case 'gradcam':
+        maps = this.explainGradCAM(inputImage, classA, classB, options);
+        break;
+      case 'integratedGradients':
+        maps = await this.explainIntegratedGradients(inputImage, classA, classB, options);
+        break;
+      case 'occlusion':
+        maps = await this.explainOcclusion(inputImage, classA, classB, options);
+        break;
+      default:
+        throw new Error(`Unknown contrastive method: ${method}`);
+    }
+    return { method, classA, classB, ...maps };
+  }
+
+  // Logits of one class for a batch of preprocessed inputs, summed so each input gets its own gradient
+  classLogit(predictions, classIndex) {
+    return PredictionHelper.toLogits(predictions).gather([classIndex], 1).sum();
+  }
+
+  /**
+   * Grad-CAM maps: the channel weights come from the gradients of logit(A), logit(B) and
+   * their difference
+   * @returns {Object} { contrast, mapA, mapB }
+   */
+  explainGradCAM(inputImage, classA, classB, { layerName } = {}) {
+    if (!layerName) {
+      throw new Error('Select a convolutional layer for contrastive Grad-CAM');
+    }
+    const gradCam = new GradCAM(this.model);
+    const split = ModelSplitter.forModel(this.model).split(layerName);
+    const input = gradCam.preprocessImage(inputImage);
+
+    try {
+      return tf.tidy(() => {
+        const { activation, context } = split.body(input);
+        if (activation.rank !== 4) {
+          throw new Error(`Layer ${layerName} has no spatial feature maps (output shape ${JSON.stringify(activation.shape)}); choose a convolutional layer`);
+        }
+        const gradientsOf = classIndex => tf.grad(a => this.classLogit(split.head(a, context), classIndex))(activation);
+        const gradientsA = gradientsOf(classA);
+        const gradientsB = gradientsOf(classB);
+        const camOf = gradients => gradCam.normalizeHeatmap(gradCam.computeCam(activation, gradients));
+        return {
+          contrast: camOf(tf.sub(gradientsA, gradientsB)),
+          mapA: camOf(gradientsA),
+          mapB: camOf(gradientsB)
+        };
+      });
+    } finally {
+      input.dispose();
+    }
+  }
+
+  /**
+   * Integrated Gradients from a black baseline, with the trapezoid rule
+   * @returns {Promise<Object>} { contrast, mapA, mapB }
+   */
+  async explainIntegratedGradients(inputImage, classA, classB, options = {}) {
+    const { steps = 32, onProgress = null } = options;
+    const preprocessor = this.model.getPreprocessor();
+    const integratedGradients = new IntegratedGradients(this.model);
+    const { alphas, weights } = IntegratedGradients.getIntegrationPoints('riemannTrapezoid', steps);
+
+    const pixels = preprocessor.toInputPixels(inputImage);
+    const input = preprocessor.normalize(pixels);
+    const baseline = tf.tidy(() => preprocessor.normalize(tf.zerosLike(pixels)));
+    const difference = tf.sub(input, baseline);
+    // Two backward passes per point
+    const batchSize = options.batchSize ||
+      Math.max(1, Math.floor(integratedGradients.getBatchSize(input, IntegratedGradients.getMemoryBudget()) / 2));
+    let sums = [tf.zerosLike(input), tf.zerosLike(input)];
+
+    try {
+      for (let start = 0; start < alphas.length; start += batchSize) {
+        const batchAlphas = alphas.slice(start, start + batchSize);
+        const batchWeights = weights.slice(start, start + batchSize);
+        const updated = tf.tidy(() => {
+          const alpha = tf.tensor1d(batchAlphas).reshape([-1, 1, 1, 1]);
+          const interpolated = tf.add(baseline, tf.mul(alpha, difference));
+          const weight = tf.tensor1d(batchWeights).reshape([-1, 1, 1, 1]);
+          return [classA, classB].map((classIndex, i) => {
+            const gradients = tf.grad(x => this.classLogit(this.tfModel.predict(x), classIndex))(interpolated);
+            return tf.add(sums[i], tf.sum(tf.mul(gradients, weight), 0, true));
+          });
+        });
+        tf.dispose(sums);
+        sums = updated;
+
+        if (onProgress) onProgress(Math.min(start + batchSize, alphas.length), alphas.length);
+        await tf.nextFrame();
+      }
+
+      return tf.tidy(() => {
+        const mapA = tf.mul(difference, sums[0]);
+        const mapB = tf.mul(difference, sums[1]);
+        return { contrast: tf.sub(mapA, mapB), mapA, mapB };
+      });
+    } finally {
+      tf.dispose([pixels, input, baseline, difference, ...sums]);
+    }
+  }
+
+  /**
+   * Occlusion with grey patches: the drop in logit(A), logit(B) and their difference
+   * @returns {Promise<Object>} { contrast, mapA, mapB }
+   */
+  async explainOcclusion(inputImage, classA, classB, options = {}) {
+    const { patchSize = 32, stride = 16, batchSize = 16, onProgress = null } = options;
+    if (patchSize < 1 || stride < 1) {
+      throw new Error('Patch size and stride must be at least 1 pixel');
+    }
+    const preprocessor = this.model.getPreprocessor();
+    const pixels = preprocessor.toInputPixels(inputImage);
+    const logitsOf = images => PredictionHelper.toLogits(this.tfModel.predict(preprocessor.normalize(images))).gather([classA, classB], 1);
+
+    try {
+      const [, height, width] = pixels.shape;
+      const baseScores = tf.tidy(() => logitsOf(pixels).dataSync());
+
+      const size = Math.min(patchSize, height, width);
+      const patches = OcclusionSensitivity.getPatchPositions([height, width], size, stride);
+      const dropSums = [new Float32Array(height * width), new Float32Array(height * width)];
+      const coverage = new Float32Array(height * width);
+
+      for (let start = 0; start < patches.length; start += batchSize) {
+        const batch = patches.slice(start, start + batchSize);
+        const scores = tf.tidy(() => {
+          const masks = OcclusionSensitivity.createMasks(batch, [height, width], size);
+          return logitsOf(tf.add(tf.mul(pixels, tf.sub(1, masks)), tf.mul(127.5, masks)));
+        });
+        const batchScores = await scores.data();
+        scores.dispose();
+
+        batch.forEach(([top, left], index) => {
+          const dropA = baseScores[0] - batchScores[index * 2];
+          const dropB = baseScores[1] - batchScores[index * 2 + 1];
+          for (let y = top; y < top + size; y++) {
+            for (let x = left; x < left + size; x++) {
+              dropSums[0][y * width + x] += dropA;
+              dropSums[1][y * width + x] += dropB;
+              coverage[y * width + x] += 1;
+            }
+          }
+        });
+
+        if (onProgress) onProgress(Math.min(start + batchSize, patches.length), patches.length);
+        await tf.nextFrame();
+      }
+
+      const [mapA, mapB] = dropSums.map(dropSum => tf.tensor2d(
+        dropSum.map((drop, i) => (coverage[i] > 0 ? drop / coverage[i] : 0)),
+        [height, width]
+      ));
+      return { contrast: tf.sub(mapA, mapB), mapA, mapB };
+    } finally {
+      pixels.dispose();
+    }
+  }
+}
+
+export default ContrastiveExplainer;
@@ -97,6 +97,173 @@ class ErrorHandler {
         reference: 'Selvaraju, R.R., et al. "Grad-CAM: Visual Explanations from Deep Networks via Gradient-based Localization." ICCV 2017'
       },
       
+      gradcamPlusPlus: {
+        title: 'Grad-CAM++',
+        description: 'An extension of Grad-CAM that weights each location of a feature map by higher-order gradients instead of averaging the gradients, so every instance of the class contributes to the map.',
+        useCases: [
+          'Images containing several objects of the explained class',
+          'Getting more complete coverage of large objects than Grad-CAM',
+          'Comparing with Grad-CAM on the same layer to check the localization'
+        ],
+        limitations: [
+          'Still limited to the resolution of the chosen layer',
+          'Weights are derived assuming an exponential of the class score',
+          'Can highlight slightly more background than Grad-CAM'
+        ],
+        reference: 'Chattopadhay, A., et al. "Grad-CAM++: Generalized Gradient-Based Visual Explanations for Deep Convolutional Networks." WACV 2018'
+      },
+      
+      layerCam: {
+        title: 'Layer-CAM',
+        description: 'Weights every activation by its own positive gradient rather than using one weight per channel. This keeps spatial detail, so it produces meaningful maps for earlier, higher-resolution layers as well as the final one.',
+        useCases: [
+          'Fine-grained localization using early or middle layers',
+          'Comparing what different stages of the network attend to',
+          'Getting sharper maps than the 7×7 final block of MobileNetV2 allows'
+        ],
+        limitations: [
+          'Maps from early layers can respond to edges and textures outside the object',
+          'Noisier than Grad-CAM on the final layer',
+          'Like all CAM methods, needs a layer with spatial feature maps'
+        ],
+        reference: 'Jiang, P.-T., et al. "LayerCAM: Exploring Hierarchical Class Activation Maps for Localization." IEEE TIP 2021'
+      },      
+      guidedGradCam: {
+        title: 'Guided Grad-CAM',
+        description: 'Multiplies the Grad-CAM map, upsampled to the input size, with the Guided Backpropagation map. Grad-CAM says where the class is; guided backpropagation adds the pixel-level detail, so the result is both class-discriminative and high-resolution.',
+        useCases: [
+          'Seeing which fine details (edges, textures) inside the Grad-CAM region drive the class',
+          'Comparing classes at pixel resolution',
+          'Sharper maps than Grad-CAM alone on the final convolutional layer'
+        ],
+        limitations: [
+          'Inherits guided backpropagation\'s weak dependence on the model weights',
+          'Details outside the Grad-CAM region are suppressed even if they matter',
+          'Needs a layers model, since the ReLUs are rebuilt with guided gradients'
+        ],
+        reference: 'Selvaraju, R.R., et al. "Grad-CAM: Visual Explanations from Deep Networks via Gradient-based Localization." ICCV 2017'
+      },
+      scoreCam: {
+        title: 'Score-CAM',
+        description: 'A gradient-free class activation map. Each feature map of the chosen layer is upsampled and used as a mask on the input image; its weight is how much the masked image raises the class score compared to a blank image.',
+        useCases: [
+          'Models with ops that have no gradients in TensorFlow.js',
+          'Avoiding the noise and saturation problems of gradient-based maps',
+          'Cross-checking Grad-CAM results with a method that works differently'
+        ],
+        limitations: [
+          'One forward pass per channel, so slow for layers with many channels',
+          'Masked images are far from natural images, which can skew the scores',
+          'Limited to the resolution of the chosen layer'
+        ],
+        reference: 'Wang, H., et al. "Score-CAM: Score-Weighted Visual Explanations for Convolutional Neural Networks." CVPR Workshops 2020'
+      },      
+      occlusion: {
+        title: 'Occlusion Sensitivity',
+        description: 'Slides a patch (grey, blurred or noise) across the image and records how much the model\'s confidence in the class drops each time. Areas whose removal hurts the prediction most are the ones it relies on.',
+        useCases: [
+          'Explaining any model, including ones without usable gradients',
+          'Results that are easy to explain to non-technical audiences: "hide this, and the model is less sure"',
+          'Checking explanations from gradient-based methods against a direct measurement'
+        ],
+        limitations: [
+          'One forward pass per patch position, so small strides are slow',
+          'The map can be no finer than the patch size and stride',
+          'The occluder itself can look like something to the model and bias the result'
+        ],
+        reference: 'Zeiler, M.D., Fergus, R. "Visualizing and Understanding Convolutional Networks." ECCV 2014'
+      },      
+      lime: {
+        title: 'LIME (Local Interpretable Model-agnostic Explanations)',
+        description: 'Splits the image into superpixels, asks the model about many copies with random superpixels hidden, and fits a weighted linear model to the answers. The linear model\'s weights say how much each superpixel adds to or takes away from the class.',
+        useCases: [
+          'Explaining any model using only its predictions',
+          'Region-level explanations that follow object boundaries',
+          'Audits: the seed, sample count and kernel width make results reproducible'
+        ],
+        limitations: [
+          'Results depend on the segmentation and on how hidden superpixels are filled',
+          'The linear surrogate can fit the model poorly; check the R² score',
+          'Hundreds of forward passes per explanation'
+        ],
+        reference: 'Ribeiro, M.T., Singh, S., Guestrin, C. "Why Should I Trust You?: Explaining the Predictions of Any Classifier." KDD 2016'
+      },      
+      shap: {
+        title: 'SHAP (Shapley Additive Explanations)',
+        description: 'Treats image regions (superpixels or grid cells) as players in a game whose payout is the class probability, and gives each region its Shapley value: its average contribution over coalitions of the other regions, where left-out regions are replaced by a background. KernelSHAP estimates the values with a weighted least-squares fit on sampled coalitions.',
+        useCases: [
+          'Attributions with an additivity guarantee: the values sum exactly to f(image) − f(background)',
+          'Reviews and audits that need a principled, reproducible split of the prediction',
+          'Exact values for coarse partitions (a 2×2 grid), where every coalition is evaluated'
+        ],
+        limitations: [
+          'Values are relative to the chosen background; a different background answers a different question',
+          'Sampled values have variance; more coalitions or a fixed seed make them stable',
+          'Hiding regions creates images unlike the training data, as with occlusion and LIME'
+        ],
+        reference: 'Lundberg, S.M., Lee, S.-I. "A Unified Approach to Interpreting Model Predictions." NeurIPS 2017'
+      },
+      rise: {
+        title: 'RISE (Randomized Input Sampling for Explanation)',
+        description: 'Multiplies the image by thousands of random, smooth masks and records the class probability for each. A pixel\'s saliency is the average probability over the masks in which it was visible.',
+        useCases: [
+          'Black-box explanations that need only the model\'s outputs',
+          'Smooth saliency maps that cover the whole object',
+          'Watching the explanation converge as more masks are averaged'
+        ],
+        limitations: [
+          'Needs thousands of forward passes for a stable map',
+          'The mask grid size limits how small a region it can find',
+          'Early, partial maps are noisy and shouldn\'t be read too closely'
+        ],
+        reference: 'Petsiuk, V., Das, A., Saenko, K. "RISE: Randomized Input Sampling for Explanation of Black-box Models." BMVC 2018'
+      },      
+      contrastive: {
+        title: 'Contrastive Explanations ("Why A and not B?")',
+        description: 'Explains the difference of two class logits, logit(A) − logit(B), with Grad-CAM, Integrated Gradients or occlusion. Evidence that both classes share cancels out, leaving what tips the model towards A rather than B. The maps of A and B on their own are shown alongside for comparison.',
+        useCases: [
+          'Understanding why the model picked one of two similar classes (e.g. two dog breeds)',
+          'Debugging confusions between a prediction and the class you expected',
+          'Separating class-specific evidence from evidence shared by related classes'
+        ],
+        limitations: [
+          'For models that output probabilities, log-probabilities stand in for logits; they are inaccurate for classes with vanishing probability',
+          'Grad-CAM\'s ReLU hides evidence for B over A; Integrated Gradients and occlusion show both signs',
+          'Costs about two single-class explanations'
+        ],
+        reference: 'Jacovi, A., et al. "Contrastive Explanations for Model Interpretability." EMNLP 2021'
+      },
+      faithfulness: {
+        title: 'Faithfulness (Deletion and Insertion)',
+        description: 'Checks whether a saliency map really points at what the model uses. Pixels are deleted from the image (deletion) or added to a blank or blurred copy (insertion) in the order of the map, most important first, and the class probability is recorded after each step. The area under each curve (AUC) summarizes it: low for deletion and high for insertion means the map is faithful.',
+        useCases: [
+          'Choosing which explainer to trust on a given image',
+          'Comparing Grad-CAM layers, attribution methods and black-box explainers side by side',
+          'Spotting maps that look plausible but do not track the model\'s behavior'
+        ],
+        limitations: [
+          'Partly deleted images are out of distribution, so the model may react to the artifacts rather than the missing content',
+          'The substrate matters: black favors some maps, blur others',
+          'Only maps of the same class are directly comparable, and each evaluation costs a forward pass per step'
+        ],
+        reference: 'Petsiuk, V., Das, A., Saenko, K. "RISE: Randomized Input Sampling for Explanation of Black-box Models." BMVC 2018'
+      },
+      sanityCheck: {
+        title: 'Sanity Check (Model Randomization)',
+        description: 'Re-initializes the weights of a copy of the model from the output layer down, one group of layers at a time, and recomputes the explanation after each group. The Spearman rank correlation and the SSIM against the trained model\'s map show how much the explanation changed. A trustworthy explainer changes a lot once the learned weights are gone.',
+        useCases: [
+          'Showing that an explainer depends on the learned parameters',
+          'Spotting explainers that act like edge detectors (Guided Backprop often does)',
+          'Comparing how sensitive different methods are to each part of the network'
+        ],
+        limitations: [
+          'The data randomization test needs a model retrained on shuffled labels, which cannot be done in the browser',
+          'Similarity metrics depend on how the maps are scaled; absolute and signed maps can tell different stories',
+          'Costs one explanation per stage, and the model copy doubles the memory used by the weights',
+          'Needs a layers model; graph models are not supported'
+        ],
+        reference: 'Adebayo, J., et al. "Sanity Checks for Saliency Maps." NeurIPS 2018'
+      },
       filterVisualization: {
         title: 'Filter Visualization',
         description: 'Visualizes the learned weights of convolutional filters to show what patterns or features each filter is detecting.',
@@ -119,10 +286,13 @@ class ErrorHandler {
         useCases: [
           'Seeing which parts of an image trigger specific filters',
           'Understanding how the model decomposes an image into features',
-          'Analyzing feature detectors across different layers'
+          'Analyzing feature detectors across different layers',
+          'Tracing a position in an activation map back to the input: hovering outlines its receptive field, computed from the kernels, strides, padding and dilation of the layers before it',
+          'Seeing which of those pixels actually matter: the effective receptive field, from the input gradient of the clicked unit, is usually much smaller'
         ],
         limitations: [
           'Activations can be noisy and hard to interpret',
+          'The effective receptive field can\'t be computed for models with dilated convolutions, which TensorFlow.js can\'t differentiate',
           'Requires analyzing many activation maps',
           'Interpretation becomes more difficult in deeper layers'
         ],
@@ -135,23 +305,92 @@ class ErrorHandler {
         useCases: [
           'Attributing a prediction to specific input pixels',
           'Identifying which pixels positively or negatively impact the prediction',
-          'Providing pixel-level explanation of model behavior'
+          'Providing pixel-level explanation of model behavior',
+          'Asking "compared to what?": black, white, blurred, noise or a reference image as the baseline',
+          'Expected Gradients: averaging over several reference images from a folder you choose, so no single baseline dominates'
         ],
         limitations: [
           'Computationally intensive due to path integration',
-          'Requires choosing an appropriate baseline',
+          'Attributions explain the difference from the baseline, and change with it',
+          'Features the input shares with the baseline (e.g. black pixels against a black baseline) get no attribution',
           'Attribution maps can be hard to interpret'
         ],
         reference: 'Sundararajan, M., Taly, A., Yan, Q. "Axiomatic Attribution for Deep Networks." ICML 2017'
       },
       
+      saliency: {
+        title: 'Vanilla Gradient Saliency',
+        description: 'The gradient of the class score with respect to each input pixel: how much a tiny change to that pixel would change the prediction.',
+        useCases: [
+          'A quick, single-pass look at which pixels the prediction is sensitive to',
+          'Checking whether the model responds to the object or to the background',
+          'A baseline to compare smoother attribution methods against'
+        ],
+        limitations: [
+          'Very noisy, especially for deep networks',
+          'Only describes the model locally around the input',
+          'Saturated units get near-zero gradients even when they matter'
+        ],
+        reference: 'Simonyan, K., Vedaldi, A., Zisserman, A. "Deep Inside Convolutional Networks: Visualising Image Classification Models and Saliency Maps." ICLR Workshop 2014'
+      },
+      
+      gradientInput: {
+        title: 'Gradient × Input',
+        description: 'Multiplies the gradient by the input value, a first-order estimate of how much each pixel contributes compared to an all-zero input.',
+        useCases: [
+          'Signed attributions: pixels that support the class versus pixels that argue against it',
+          'Sharper maps than plain gradients at the same cost',
+          'A cheap approximation of Integrated Gradients'
+        ],
+        limitations: [
+          'Depends on what "zero" means after preprocessing',
+          'Inherits the noise of the gradient',
+          'Only exact for linear models'
+        ],
+        reference: 'Shrikumar, A., et al. "Not Just a Black Box: Learning Important Features Through Propagating Activation Differences." arXiv 2016'
+      },
+      
+      smoothGrad: {
+        title: 'SmoothGrad',
+        description: 'Averages the gradients of many copies of the input with added Gaussian noise. The noise cancels out the fluctuations of individual gradients and leaves the features that consistently matter.',
+        useCases: [
+          'Cleaner, less noisy saliency maps',
+          'Highlighting object shapes rather than scattered pixels',
+          'Tuning the noise level to trade detail for stability'
+        ],
+        limitations: [
+          'One backward pass per sample, so slower than a single gradient',
+          'Too much noise blurs the map; too little leaves it noisy',
+          'Averaging can hide small but important regions'
+        ],
+        reference: 'Smilkov, D., et al. "SmoothGrad: removing noise by adding noise." ICML Workshop 2017'
+      },      
+      guidedBackprop: {
+        title: 'Guided Backpropagation',
+        description: 'Computes the gradient of the class score with respect to the input, but every ReLU only passes positive gradients back, and only where its input was positive. The ReLUs are swapped for guided ones in a rebuilt copy of the model that shares its weights.',
+        useCases: [
+          'Sharp, high-resolution maps of the edges and textures the network responds to',
+          'The fine-grained half of Guided Grad-CAM',
+          'Inspecting what patterns excite the network for a given image'
+        ],
+        limitations: [
+          'Barely changes between classes, so it is not class-discriminative on its own',
+          'Largely reconstructs the image and is insensitive to the model weights (see "Sanity Checks for Saliency Maps", Adebayo et al. 2018)',
+          'Only works on layers models, not graph models'
+        ],
+        reference: 'Springenberg, J.T., et al. "Striving for Simplicity: The All Convolutional Net." ICLR Workshop 2015'
+      },
       featureVisualization: {
         title: 'Feature Visualization',
         description: 'Generates synthetic inputs that maximize the activation of specific neurons to visualize what features or patterns the network has learned to detect.',
         useCases: [
           'Understanding what patterns each filter detects',
           'Visualizing the hierarchy of features across network layers',
-          'Exploring the "visual vocabulary" learned by the model'
+          'Exploring the "visual vocabulary" learned by the model',
+          'Custom objectives: single neurons, directions mixing channels, class logits, and sums or differences of these',
+          'Several diverse images of the same unit, through a batch diversity term',
+          'DeepDream: amplifying what chosen layers see in your own photo, exportable as an animation',
+          'Dataset exemplars: the real images and patches from a local folder that excite each filter most'
         ],
         limitations: [
           'Optimization process can be unstable',
@@ -162,7 +401,7 @@ class ErrorHandler {
       }
     };
     
-    return docs[technique.toLowerCase()] || {
+    return docs[technique] || docs[technique.toLowerCase()] || {
       title: 'Unknown Technique',
       description: 'Documentation not available for this technique',
       useCases: [],
@@ -0,0 +1,304 @@
+import * as tf from '@tensorflow/tfjs';
+
+/**
+ * Dataset exemplars: the real images that excite each channel the most
+ * Based on "Feature Visualization" (Olah et al.), which pairs every optimized image with them
+ *
+ * A folder of images is run through the model. For every channel of the chosen layers, the
+ * k images with the highest activation anywhere are kept, together with the patch of the
+ * model input that the most active unit sees (its receptive field). Synthetic visualizations
+ * show what a channel responds to most, which may never occur in real images; exemplars show
+ * what it responds to in practice.
+ *
+ * The receptive field is measured from the gradient of a unit at the center of the layer,
+ * which is nonzero exactly where the unit can see, and moved to other positions by the
+ * layer's downsampling factor.
+ */
+class ExemplarMiner {
+  constructor(model) {
+    this.model = model;
+    this.tfModel = model.tfModel;
+    this.graphAdapter = model.getGraphAdapter ? model.getGraphAdapter() : null;
+    this.preprocessor = model.getPreprocessor();
+  }
+
+  /**
+   * Find the exemplars of every channel in some layers
+   * @param {Array<File|Blob>} files - Images; files that can't be decoded are skipped
+   * @param {Array<string>} layerNames - Layers to mine
+   * @param {Object} options - { k: exemplars per channel (default 8), patchSize: side of the
+   *   stored patches (default 64), thumbnailSize: longer side of the stored images (default
+   *   96), onProgress: called with (stepsDone, steps); every image is read twice, once to
+   *   score it and once more if it made a top-k }
+   * @returns {Promise<Array<Object>>} One index per layer: { layerName, k, imageCount,
+   *   createdAt, images: [{ name, thumbnail }], channels: per channel, the exemplars from the
+   *   highest activation down as { image: index in images, score, box: { top, left, height,
+   *   width } in model input pixels, patch } }
+   */
+  async mine(files, layerNames, options = {}) {
+    const { k = 8, patchSize = 64, thumbnailSize = 96, onProgress = null } = options;
+    if (!this.tfModel) {
+      throw new Error('No TensorFlow model available');
+    }
+    if (layerNames.length === 0) {
+      throw new Error('Choose at least one layer to mine');
+    }
+
+    const activationsModel = this.createActivationsModel(layerNames);
+    const geometries = layerNames.map((_, layer) => this.measureReceptiveField(activationsModel, layer));
+    // Per layer and channel, the best { score, file, y, x } so far, highest first
+    const tops = layerNames.map(() => null);
+    let steps = 0;
+    const report = () => {
+      steps++;
+      if (onProgress) onProgress(steps, files.length * 2);
+    };
+
+    // First pass: the strongest activation of every channel in every image
+    for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
+      const pixels = await this.readImage(files[fileIndex]);
+      if (pixels) {
+        const maxima = tf.tidy(() => [].concat(activationsModel(this.preprocessor.normalize(pixels))).map(acts => {
+          const flat = acts.reshape([-1, acts.shape[acts.shape.length - 1]]);
+          return [flat.max(0), flat.argMax(0)];
+        }));
+        pixels.dispose();
+        for (let layer = 0; layer < layerNames.length; layer++) {
+          const [maxTensor, argMaxTensor] = maxima[layer];
+          const scores = await maxTensor.data();
+          const positions = await argMaxTensor.data();
+          if (!tops[layer]) tops[layer] = Array.from(scores, () => []);
+          const width = geometries[layer].activationSize[1];
+          scores.forEach((score, channel) => {
+            ExemplarMiner.insertTop(tops[layer][channel], {
+              score,
+              file: fileIndex,
+              y: Math.floor(positions[channel] / width),
+              x: positions[channel] % width
+            }, k);
+          });
+        }
+        tf.dispose(maxima);
+      }
+      report();
+      await tf.nextFrame();
+    }
+
+    // Second pass: thumbnails and patches of the images that made a top-k
+    const indexes = layerNames.map((layerName, layer) => ({
+      layerName,
+      k,
+      imageCount: files.length,
+      createdAt: new Date().toISOString(),
+      images: [],
+      channels: (tops[layer] || []).map(() => [])
+    }));
+    const imageSlots = indexes.map(() => new Map()); // File index -> index in images, per layer
+    for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
+      const uses = [];
+      tops.forEach((channels, layer) => (channels || []).forEach((entries, channel) => entries.forEach(entry => {
+        if (entry.file === fileIndex) uses.push({ layer, channel, entry });
+      })));
+      if (uses.length > 0) {
+        const pixels = await this.readImage(files[fileIndex]);
+        if (pixels) {
+          const thumbnail = await ExemplarMiner.toDataURL(pixels, thumbnailSize);
+          for (const { layer, channel, entry } of uses) {
+            if (!imageSlots[layer].has(fileIndex)) {
+              imageSlots[layer].set(fileIndex, indexes[layer].images.length);
+              indexes[layer].images.push({ name: files[fileIndex].name, thumbnail });
+            }
+            const box = ExemplarMiner.boxAt(geometries[layer], entry.y, entry.x);
+            const crop = pixels.slice([0, box.top, box.left, 0], [1, box.height, box.width, -1]);
+            const patch = await ExemplarMiner.toDataURL(crop, patchSize);
+            crop.dispose();
+            indexes[layer].channels[channel].push({ image: imageSlots[layer].get(fileIndex), score: entry.score, box, patch });
+          }
+          pixels.dispose();
+        }
+      }
+      report();
+      await tf.nextFrame();
+    }
+
+    // Exemplars were added in file order
+    indexes.forEach(index => index.channels.forEach(entries => entries.sort((a, b) => b.score - a.score)));
+    return indexes;
+  }
+
+  /**
+   * Creates a function returning the activations of several layers at once
+   * @param {Array<string>} layerNames - Layer (or graph node) names
+   * @returns {Function} x => activations, one tensor per layer
+   * @throws {Error} If a layer is not in the model
+   */
+  createActivationsModel(layerNames) {
+    if (this.graphAdapter) {
+      layerNames.forEach(name => {
+        if (!this.graphAdapter.hasNode(name)) {
+          throw new Error(`Node ${name} not found in model`);
+        }
+      });
+      return x => [].concat(this.graphAdapter.getNodeOutput(x, layerNames));
+    }
+    const outputs = layerNames.map(name => {
+      const layer = this.tfModel.getLayer(name);
+      if (!layer) {
+        throw new Error(`Layer ${name} not found in model`);
+      }
+      return layer.output;
+    });
+    const activationsModel = tf.model({ inputs: this.tfModel.inputs, outputs });
+    return x => [].concat(activationsModel.predict(x));
+  }
+
+  /**
+   * Receptive field of a layer's units, from the input gradients of the unit at its center and
+   * of its neighbour down and to the right, whose offset gives the spacing of the units
+   * @param {Function} activationsModel - See createActivationsModel()
+   * @param {number} layer - Index of the layer among its outputs
+   * @returns {Object} { activationSize: [height, width] (1 × 1 for dense layers), inputSize,
+   *   rows, columns: the extent along each axis, see axisExtent() }
+   */
+  measureReceptiveField(activationsModel, layer) {
+    const [inputHeight, inputWidth, channels] = this.preprocessor.getInputShape();
+    return tf.tidy(() => {
+      const input = this.preprocessor.normalize(tf.randomUniform([1, inputHeight, inputWidth, channels], 0, 255, 'float32', 0));
+      const shape = activationsModel(input)[layer].shape;
+      const activationSize = shape.length === 4 ? [shape[1], shape[2]] : [1, 1];
+      const center = activationSize.map(size => Math.floor(size / 2));
+
+      // Input rows and columns that the unit at (y, x) sees
+      const seenBy = (y, x) => {
+        const gradient = tf.grad(input => {
+          const acts = activationsModel(input)[layer];
+          return acts.rank === 4 ? acts.slice([0, y, x, 0], [1, 1, 1, -1]).sum() : acts.sum();
+        })(input);
+        const seen = gradient.abs().sum([0, 3]);
+        return {
+          rows: Array.from(seen.sum(1).dataSync(), value => value > 0),
+          columns: Array.from(seen.sum(0).dataSync(), value => value > 0)
+        };
+      };
+      const atCenter = seenBy(center[0], center[1]);
+      const next = center.map((position, axis) => Math.min(position + 1, activationSize[axis] - 1));
+      const atNext = next[0] !== center[0] || next[1] !== center[1] ? seenBy(next[0], next[1]) : null;
+
+      return {
+        activationSize,
+        inputSize: [inputHeight, inputWidth],
+        rows: ExemplarMiner.axisExtent(atCenter.rows, atNext && atNext.rows, center[0], activationSize[0]),
+        columns: ExemplarMiner.axisExtent(atCenter.columns, atNext && atNext.columns, center[1], activationSize[1])
+      };
+    });
+  }
+
+  /**
+   * Extent of the receptive field along one axis
+   * @param {Array<boolean>} seen - Whether the center unit sees each input row (or column)
+   * @param {Array<boolean>|null} seenByNext - The same for the next unit along the axis
+   * @param {number} center - Position of the center unit
+   * @param {number} units - Units along the axis
+   * @returns {Object} { jump: input pixels between neighbouring units, offset: input position
+   *   of unit 0's center, half: half the receptive field size }
+   */
+  static axisExtent(seen, seenByNext, center, units) {
+    const length = seen.length;
+    const span = (visible) => {
+      const first = visible.findIndex(Boolean);
+      if (first < 0) return null;
+      const last = length - 1 - [...visible].reverse().findIndex(Boolean);
+      return { first, last, clipped: first === 0 || last === length - 1 };
+    };
+    const field = span(seen);
+    if (!field) {
+      // Nothing flows back (e.g. dead units): treat every unit as seeing the whole input
+      return { jump: 0, offset: length / 2, half: length / 2 };
+    }
+    const nextField = seenByNext ? span(seenByNext) : null;
+    const jump = nextField && !field.clipped && !nextField.clipped && nextField.first > field.first
+      ? nextField.first - field.first
+      : length / units;
+    if (!field.clipped) {
+      return { jump, offset: (field.first + field.last + 1) / 2 - center * jump, half: (field.last + 1 - field.first) / 2 };
+    }
+    // A field cut off by the border is only known on the other side; assume it is centered
+    // on the unit's nominal position
+    const nominal = (center + 0.5) * jump;
+    return { jump, offset: nominal - center * jump, half: Math.max(nominal - field.first, field.last + 1 - nominal) };
+  }
+
+  /**
+   * Input pixels a unit sees, clipped to the input
+   * @param {Object} geometry - From measureReceptiveField()
+   * @param {number} y - Row of the unit
+   * @param {number} x - Column of the unit
+   * @returns {Object} { top, left, height, width } in model input pixels
+   */
+  static boxAt(geometry, y, x) {
+    const span = (extent, position, length) => {
+      const center = extent.offset + position * extent.jump;
+      const start = Math.max(0, Math.floor(center - extent.half));
+      const end = Math.min(length, Math.ceil(center + extent.half));
+      return [start, Math.max(1, end - start)];
+    };
+    const [top, height] = span(geometry.rows, y, geometry.inputSize[0]);
+    const [left, width] = span(geometry.columns, x, geometry.inputSize[1]);
+    return { top, left, height, width };
+  }
+
+  /**
+   * Keep the k best entries, highest score first
+   * @param {Array<Object>} entries - Entries with a score, sorted; changed in place
+   * @param {Object} entry - Candidate
+   * @param {number} k - Entries to keep
+   */
+  static insertTop(entries, entry, k) {
+    if (entries.length === k && entry.score <= entries[k - 1].score) return;
+    let position = entries.length;
+    while (position > 0 && entries[position - 1].score < entry.score) position--;
+    entries.splice(position, 0, entry);
+    if (entries.length > k) entries.pop();
+  }
+
+  /**
+   * Decode an image file at the model input size
+   * @param {File|Blob} file - Image file
+   * @returns {Promise<tf.Tensor|null>} Pixels (1, height, width, channels), values 0..255, or
+   *   null if the file is not an image the browser can decode
+   */
+  async readImage(file) {
+    let bitmap = null;
+    try {
+      bitmap = await createImageBitmap(file);
+      return this.preprocessor.toInputPixels(bitmap);
+    } catch (error) {
+      console.warn(`Skipping ${file.name}: ${error.message}`);
+      return null;
+    } finally {
+      if (bitmap) bitmap.close();
+    }
+  }
+
+  /**
+   * Encode pixels as a PNG data URL
+   * @param {tf.Tensor} pixels - Pixels (1, height, width, channels), values 0..255
+   * @param {number} maxSize - Longer side of the encoded image
+   * @returns {Promise<string>} Data URL
+   */
+  static async toDataURL(pixels, maxSize) {
+    const [, height, width] = pixels.shape;
+    const scale = maxSize / Math.max(height, width);
+    const image = tf.tidy(() => tf.image
+      .resizeBilinear(pixels, [Math.max(1, Math.round(height * scale)), Math.max(1, Math.round(width * scale))])
+      .squeeze([0])
+      .clipByValue(0, 255)
+      .toInt());
+    const canvas = document.createElement('canvas');
+    await tf.browser.toPixels(image, canvas);
+    image.dispose();
+    return canvas.toDataURL();
+  }
+}
+
+export default ExemplarMiner;
@@ -0,0 +1,154 @@
+import * as tf from '@tensorflow/tfjs';
+import ImagePreprocessor from './ImagePreprocessor';
+
+// Faithfulness curves; for deletion a faster drop (lower AUC) is better, for insertion a faster rise (higher AUC)
+export const FAITHFULNESS_METRICS = {
+  deletion: 'Deletion',
+  insertion: 'Insertion'
+};
+
+// What deleted pixels become, and what insertion starts from
+export const SUBSTRATES = {
+  black: 'Black',
+  grey: 'Grey',
+  blur: 'Blurred'
+};
+
+/**
+ * Deletion and insertion metrics for saliency maps
+ * Based on "RISE: Randomized Input Sampling for Explanation of Black-box Models" (Petsiuk et al.)
+ *
+ * Pixels are removed from the image (deletion) or added to a blank canvas (insertion) in the
+ * order of a saliency map, most important first, and the class probability is recorded after
+ * every step. A map that ranks the truly important pixels first makes the probability drop
+ * (deletion) or rise (insertion) quickly; the area under the curve summarizes that, so maps
+ * from different explainers can be compared on the same image and class.
+ */
+class FaithfulnessEvaluator {
+  constructor(model) {
+    this.model = model;
+    this.tfModel = model.tfModel;
+  }
+
+  /**
+   * Compute a deletion or insertion curve
+   * @param {HTMLImageElement|tf.Tensor} inputImage - Input image
+   * @param {tf.Tensor} saliency - Importance per pixel (height, width), higher is more
+   *   important; any resolution with the model input's aspect ratio (CAM maps are upsampled)
+   * @param {number} classIndex - Class the map explains (default: predicted class)
+   * @param {Object} options - { metric: a key of FAITHFULNESS_METRICS (default 'deletion'),
+   *   substrate: a key of SUBSTRATES (default: black for deletion, blurred for insertion),
+   *   steps: points on the curve after the start (default 40), batchSize: images per forward
+   *   pass (default 16), onProgress: called with (stepsDone, steps) after each batch }
+   * @returns {Promise<Object>} { metric, classIndex, fractions: share of pixels deleted or
+   *   inserted, scores: class probability at each fraction, auc: area under the curve }
+   */
+  async evaluate(inputImage, saliency, classIndex = null, options = {}) {
+    if (!this.tfModel) {
+      throw new Error('No TensorFlow model available');
+    }
+    const {
+      metric = 'deletion',
+      substrate = metric === 'insertion' ? 'blur' : 'black',
+      steps = 40,
+      batchSize = 16,
+      onProgress = null
+    } = options;
+    if (!FAITHFULNESS_METRICS[metric]) {
+      throw new Error(`Unknown faithfulness metric: ${metric}`);
+    }
+
+    const pixels = this.model.getPreprocessor().toInputPixels(inputImage);
+    let canvas = null;
+    let ranks = null;
+
+    try {
+      const [, height, width] = pixels.shape;
+      if (classIndex === null) {
+        classIndex = tf.tidy(() => this.model.predictPixels(pixels).argMax(-1).dataSync()[0]);
+      }
+
+      const resized = tf.tidy(() => tf.image.resizeBilinear(saliency.expandDims(-1), [height, width]).squeeze([2]));
+      const values = await resized.data();
+      resized.dispose();
+      ranks = tf.tensor4d(FaithfulnessEvaluator.rankPixels(values), [1, height, width, 1]);
+      canvas = FaithfulnessEvaluator.createSubstrate(pixels, substrate);
+      // Deletion moves from the image to the substrate, insertion the other way
+      const [start, end] = metric === 'deletion' ? [pixels, canvas] : [canvas, pixels];
+
+      const pixelCount = height * width;
+      const fractions = Array.from({ length: steps + 1 }, (_, i) => i / steps);
+      const scores = [];
+      for (let first = 0; first < fractions.length; first += batchSize) {
+        const batch = fractions.slice(first, first + batchSize);
+        const batchScores = tf.tidy(() => {
+          // Pixels ranked below the threshold have been changed
+          const thresholds = tf.tensor4d(batch.map(fraction => Math.round(fraction * pixelCount)), [batch.length, 1, 1, 1]);
+          const changed = tf.cast(tf.less(ranks, thresholds), 'float32');
+          const images = tf.add(tf.mul(start, tf.sub(1, changed)), tf.mul(end, changed));
+          return this.model.predictPixels(images).gather([classIndex], 1).squeeze([1]);
+        });
+        scores.push(...await batchScores.data());
+        batchScores.dispose();
+
+        if (onProgress) onProgress(Math.min(first + batchSize, fractions.length) - 1, steps);
+        await tf.nextFrame();
+      }
+
+      return { metric, classIndex, fractions, scores, auc: FaithfulnessEvaluator.auc(fractions, scores) };
+    } finally {
+      pixels.dispose();
+      if (canvas) canvas.dispose();
+      if (ranks) ranks.dispose();
+    }
+  }
+
+  /**
+   * Rank of every pixel by importance; ties keep pixel order
+   * @param {ArrayLike<number>} values - Importance per pixel
+   * @returns {Float32Array} 0 for the most important pixel, 1 for the next, and so on
+   */
+  static rankPixels(values) {
+    const order = Array.from({ length: values.length }, (_, i) => i)
+      .sort((a, b) => values[b] - values[a] || a - b);
+    const ranks = new Float32Array(values.length);
+    order.forEach((pixel, rank) => { ranks[pixel] = rank; });
+    return ranks;
+  }
+
+  /**
+   * Image that deleted pixels are replaced with, or that insertion starts from
+   * @param {tf.Tensor} pixels - Input pixels (1, height, width, channels), values 0..255
+   * @param {string} substrate - A key of SUBSTRATES
+   * @returns {tf.Tensor} Substrate shaped like pixels
+   */
+  static createSubstrate(pixels, substrate) {
+    switch (substrate) {
+      case 'black':
+        return tf.zerosLike(pixels);
+      case 'grey':
+        return tf.fill(pixels.shape, 127.5);
+      case 'blur':
+        // As in the RISE paper: the shapes are gone but the colors remain
+        return ImagePreprocessor.blur(pixels, Math.max(pixels.shape[1], pixels.shape[2]) / 16);
+      default:
+        throw new Error(`Unknown substrate: ${substrate}`);
+    }
+  }
+
+  /**
+   * Area under a curve by the trapezoid rule
+   * @param {Array<number>} xs - Increasing positions
+   * @param {Array<number>} ys - Values at the positions
+   * @returns {number} Area
+   */
+  static auc(xs, ys) {
+    let area = 0;
+    for (let i = 1; i < xs.length; i++) {
+      area += (xs[i] - xs[i - 1]) * (ys[i] + ys[i - 1]) / 2;
+    }
+    return area;
+  }
+}
+
+export default FaithfulnessEvaluator;
@@ -0,0 +1,248 @@
+import * as tf from '@tensorflow/tfjs';
+import PredictionHelper from './PredictionHelper';
+
+// Kinds of objective; sum also covers differences (negative weights) and diversity terms
+export const OBJECTIVE_TYPES = {
+  channel: 'Channel',
+  neuron: 'Neuron',
+  direction: 'Direction',
+  classLogit: 'Class logit',
+  deepdream: 'DeepDream (whole layer)',
+  diversity: 'Diversity',
+  sum: 'Sum'
+};
+
+/**
+ * Composable objectives for feature visualization, after Lucid's objectives module
+ *
+ * An objective is a plain, serializable spec such as { type: 'channel', layer, channel },
+ * built with the helpers below and combined with sum() and difference(). The spec doubles
+ * as the record of what a visualization maximized. evaluate() turns it into a scalar to
+ * maximize from the activations of the layers it names (and the model output for class
+ * logits), summed over the batch of images being optimized.
+ */
+class FeatureObjectives {
+  /**
+   * Mean activation of a channel over all positions
+   * @param {string} layer - Layer name
+   * @param {number} channel - Channel index (unit index for dense layers)
+   * @returns {Object} Objective spec
+   */
+  static channel(layer, channel) {
+    return { type: 'channel', layer, channel };
+  }
+
+  /**
+   * Activation of a channel at a single position
+   * @param {string} layer - Layer name
+   * @param {number} channel - Channel index
+   * @param {number|null} x - Column (default: the center)
+   * @param {number|null} y - Row (default: the center)
+   * @returns {Object} Objective spec
+   */
+  static neuron(layer, channel, x = null, y = null) {
+    return { type: 'neuron', layer, channel, x, y };
+  }
+
+  /**
+   * Projection of the activations on a direction in channel space, averaged over positions
+   * @param {string} layer - Layer name
+   * @param {Object<number, number>} weights - Weight per channel index; channels not listed
+   *   have weight 0. The direction is normalized to unit length.
+   * @returns {Object} Objective spec
+   */
+  static direction(layer, weights) {
+    return { type: 'direction', layer, weights };
+  }
+
+  /**
+   * Logit of a class (class model visualization); models that output probabilities use
+   * log-probabilities, see PredictionHelper.toLogits
+   * @param {number} classIndex - Class index
+   * @returns {Object} Objective spec
+   */
+  static classLogit(classIndex) {
+    return { type: 'classLogit', classIndex };
+  }
+
+  /**
+   * Mean squared activation of a whole layer: amplifies whatever the layer already responds
+   * to, the objective of DeepDream
+   * @param {string} layer - Layer name
+   * @returns {Object} Objective spec
+   */
+  static deepdream(layer) {
+    return { type: 'deepdream', layer };
+  }
+
+  /**
+   * Dissimilarity of the images in the batch: minus the mean cosine similarity between the
+   * Gram matrices (style) of their activations at a layer. Add it to an objective to get
+   * several different images for the same unit.
+   * @param {string} layer - Layer name
+   * @returns {Object} Objective spec
+   */
+  static diversity(layer) {
+    return { type: 'diversity', layer };
+  }
+
+  /**
+   * Weighted sum of objectives
+   * @param {Array<Object>} terms - Terms as { objective, weight }, or objective specs (weight 1)
+   * @returns {Object} Objective spec
+   */
+  static sum(terms) {
+    return {
+      type: 'sum',
+      terms: terms.map(term => (term.objective ? term : { objective: term, weight: 1 }))
+    };
+  }
+
+  /**
+   * First objective minus the second
+   * @param {Object} a - Objective to increase
+   * @param {Object} b - Objective to decrease
+   * @returns {Object} Objective spec
+   */
+  static difference(a, b) {
+    return FeatureObjectives.sum([{ objective: a, weight: 1 }, { objective: b, weight: -1 }]);
+  }
+
+  /**
+   * Layers whose activations an objective reads
+   * @param {Object} objective - Objective spec
+   * @returns {Array<string>} Layer names, without duplicates
+   */
+  static getLayers(objective) {
+    if (objective.type === 'sum') {
+      return [...new Set(objective.terms.flatMap(term => FeatureObjectives.getLayers(term.objective)))];
+    }
+    return objective.type === 'classLogit' ? [] : [objective.layer];
+  }
+
+  /**
+   * Whether an objective reads the model output
+   * @param {Object} objective - Objective spec
+   * @returns {boolean} True if it contains a class logit
+   */
+  static usesOutput(objective) {
+    if (objective.type === 'sum') {
+      return objective.terms.some(term => FeatureObjectives.usesOutput(term.objective));
+    }
+    return objective.type === 'classLogit';
+  }
+
+  /**
+   * Value of an objective
+   * @param {Object} objective - Objective spec
+   * @param {Map<string, tf.Tensor>} activations - Activations (batch, ...) of the layers in getLayers()
+   * @param {tf.Tensor|null} output - Model output (batch, classes), if usesOutput()
+   * @returns {tf.Tensor} Scalar to maximize
+   * @throws {Error} For unknown objectives or channels the layer doesn't have
+   */
+  static evaluate(objective, activations, output = null) {
+    return tf.tidy(() => {
+      if (objective.type === 'sum') {
+        return tf.addN(objective.terms.map(({ objective: term, weight }) =>
+          tf.mul(FeatureObjectives.evaluate(term, activations, output), weight)));
+      }
+      if (objective.type === 'classLogit') {
+        const classes = output.shape[output.shape.length - 1];
+        if (!(objective.classIndex >= 0 && objective.classIndex < classes)) {
+          throw new Error(`The model has no class ${objective.classIndex} (it has ${classes})`);
+        }
+        return PredictionHelper.toLogits(output).gather([objective.classIndex], 1).sum();
+      }
+
+      const acts = activations.get(objective.layer);
+      const channels = acts.shape[acts.shape.length - 1];
+      const checkChannel = (channel) => {
+        if (!(channel >= 0 && channel < channels)) {
+          throw new Error(`Layer ${objective.layer} has no channel ${channel} (it has ${channels})`);
+        }
+      };
+      switch (objective.type) {
+        case 'channel': {
+          checkChannel(objective.channel);
+          return tf.gather(acts, [objective.channel], acts.rank - 1).mean(acts.rank === 4 ? [1, 2, 3] : 1).sum();
+        }
+        case 'neuron': {
+          checkChannel(objective.channel);
+          if (acts.rank !== 4) {
+            return tf.gather(acts, [objective.channel], 1).sum();
+          }
+          const [, height, width] = acts.shape;
+          const y = objective.y === null ? Math.floor(height / 2) : Math.min(objective.y, height - 1);
+          const x = objective.x === null ? Math.floor(width / 2) : Math.min(objective.x, width - 1);
+          return acts.slice([0, y, x, objective.channel], [-1, 1, 1, 1]).sum();
+        }
+        case 'direction': {
+          const vector = new Float32Array(channels);
+          Object.entries(objective.weights).forEach(([channel, weight]) => {
+            checkChannel(Number(channel));
+            vector[Number(channel)] = weight;
+          });
+          const direction = tf.tensor1d(vector);
+          const unit = tf.div(direction, tf.maximum(tf.norm(direction), 1e-12));
+          const projection = tf.sum(tf.mul(acts, unit), -1);
+          return projection.rank === 3 ? projection.mean([1, 2]).sum() : projection.sum();
+        }
+        case 'deepdream':
+          return tf.square(acts).mean(acts.shape.map((_, axis) => axis).slice(1)).sum();
+        case 'diversity': {
+          const batch = acts.shape[0];
+          if (batch < 2 || acts.rank !== 4) {
+            return tf.scalar(0);
+          }
+          const flattened = acts.reshape([batch, -1, channels]);
+          const grams = tf.matMul(flattened, flattened, true, false).reshape([batch, -1]);
+          const normalized = tf.div(grams, tf.maximum(tf.norm(grams, 'euclidean', 1, true), 1e-12));
+          const similarity = tf.matMul(normalized, normalized, false, true);
+          // Mean over the pairs of different images
+          const offDiagonal = tf.sub(similarity.sum(), tf.mul(similarity, tf.eye(batch)).sum());
+          return tf.neg(tf.div(offDiagonal, batch * (batch - 1)));
+        }
+        default:
+          throw new Error(`Unknown objective: ${objective.type}`);
+      }
+    });
+  }
+
+  /**
+   * Short human-readable form of an objective
+   * @param {Object} objective - Objective spec
+   * @param {Function} classLabel - Optional (classIndex) => name
+   * @returns {string} Description, e.g. "conv2d_1:5 − 0.5 × diversity(conv2d_1)"
+   */
+  static describe(objective, classLabel = null) {
+    switch (objective.type) {
+      case 'channel':
+        return `${objective.layer}:${objective.channel}`;
+      case 'neuron': {
+        const position = objective.x === null && objective.y === null ? 'center' : `x=${objective.x}, y=${objective.y}`;
+        return `${objective.layer}:${objective.channel} @ ${position}`;
+      }
+      case 'direction': {
+        const weights = Object.entries(objective.weights).map(([channel, weight]) => `${weight}×${channel}`).join(' + ');
+        return `${objective.layer} · (${weights})`;
+      }
+      case 'classLogit':
+        return `logit(${classLabel ? classLabel(objective.classIndex) : `class ${objective.classIndex}`})`;
+      case 'deepdream':
+        return `deepdream(${objective.layer})`;
+      case 'diversity':
+        return `diversity(${objective.layer})`;
+      case 'sum':
+        return objective.terms.map(({ objective: term, weight }, index) => {
+          const text = FeatureObjectives.describe(term, classLabel);
+          const magnitude = Math.abs(weight) === 1 ? text : `${Math.abs(weight)} × ${text}`;
+          if (index === 0) return weight < 0 ? `−${magnitude}` : magnitude;
+          return `${weight < 0 ? '−' : '+'} ${magnitude}`;
+        }).join(' ');
+      default:
+        return objective.type;
+    }
+  }
+}
+
+export default FeatureObjectives;
@@ -1,4 +1,14 @@
 import * as tf from '@tensorflow/tfjs';
+import ImageParametrization from './ImageParametrization';
+import RobustTransforms from './RobustTransforms';
+import FeatureObjectives from './FeatureObjectives';
+import SeededRandom from './SeededRandom';
+
+// Optimization modes: plain gradient ascent on pixels, or with the Lucid-style toolkit
+export const VISUALIZATION_MODES = {
+  naive: 'Naive (pixel gradient ascent)',
+  robust: 'Robust (transforms, Fourier, decorrelation)'
+};
 
 /**
  * Visualizes what features/patterns different neurons in the network are looking for
@@ -8,6 +18,8 @@ class FeatureVisualizer {
   constructor(model) {
     this.model = model;
     this.tfModel = model.tfModel;
+    // Set for graph models, which have no getLayer(); see GraphModelAdapter
+    this.graphAdapter = model.getGraphAdapter ? model.getGraphAdapter() : null;
   }
 
   /**
@@ -21,6 +33,17 @@ class FeatureVisualizer {
       return null;
     }
 
+    if (this.graphAdapter) {
+      if (!this.graphAdapter.hasNode(layerName)) {
+        console.error(`Node ${layerName} not found in model`);
+        return null;
+      }
+      // Only predict() is used, so stand in for a sub-model with the node's output
+      return {
+        predict: x => this.graphAdapter.getNodeOutput(x, layerName)
+      };
+    }
+
     try {
       const layer = this.tfModel.getLayer(layerName);
       
@@ -42,140 +65,425 @@ class FeatureVisualizer {
     }
   }
 
+  /**
+   * Creates a function computing what an objective reads: the activations of its layers, and
+   * the model output if it contains a class logit
+   * @param {Object} objective - Objective spec, see FeatureObjectives
+   * @returns {Function} x => { activations: Map of layer name to activations, output }
+   * @throws {Error} If a layer of the objective is not in the model
+   */
+  createObjectiveModel(objective) {
+    if (!this.tfModel) {
+      throw new Error('No TensorFlow model available');
+    }
+    const layerNames = FeatureObjectives.getLayers(objective);
+    const usesOutput = FeatureObjectives.usesOutput(objective);
+    const collect = (outputs) => {
+      const tensors = [].concat(outputs);
+      return {
+        activations: new Map(layerNames.map((name, index) => [name, tensors[index]])),
+        output: usesOutput ? tensors[layerNames.length] : null
+      };
+    };
+
+    if (this.graphAdapter) {
+      layerNames.forEach(name => {
+        if (!this.graphAdapter.hasNode(name)) {
+          throw new Error(`Node ${name} not found in model`);
+        }
+      });
+      const nodeNames = usesOutput ? [...layerNames, this.tfModel.outputNodes[0]] : layerNames;
+      return x => collect(this.graphAdapter.getNodeOutput(x, nodeNames));
+    }
+
+    const outputs = layerNames.map(name => {
+      const layer = this.tfModel.getLayer(name);
+      if (!layer) {
+        throw new Error(`Layer ${name} not found in model`);
+      }
+      return layer.output;
+    });
+    if (usesOutput) outputs.push(this.tfModel.outputs[0]);
+    const objectiveModel = tf.model({ inputs: this.tfModel.inputs, outputs });
+    return x => collect(objectiveModel.predict(x));
+  }
+
   /**
    * Generate an input that maximizes the activation of a specific filter in a layer
    * @param {string} layerName - Name of the layer containing the filter
    * @param {number} filterIndex - Index of the filter to visualize
-   * @param {Object} options - Visualization options
+   * @param {Object} options - Visualization options, see visualizeObjective()
    * @returns {tf.Tensor|null} The generated visualization tensor
    */
   async visualizeFilter(layerName, filterIndex, options = {}) {
+    try {
+      return await this.visualizeObjective(FeatureObjectives.channel(layerName, filterIndex), options);
+    } catch (error) {
+      console.error('Error visualizing filter:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Generate inputs that maximize an objective
+   * @param {Object} objective - Objective spec, see FeatureObjectives
+   * @param {Object} options - { mode: a key of VISUALIZATION_MODES (default 'naive'), batch:
+   *   images optimized together (default 1; use more with a diversity term), width, height:
+   *   size of the result (default 224), verbose }, plus the options of the mode: see
+   *   optimizeNaive() and optimizeRobust()
+   * @returns {Promise<tf.Tensor>} Visualizations (batch, height, width, 3), values in [0, 1]
+   * @throws {Error} If the objective doesn't fit the model
+   */
+  async visualizeObjective(objective, options = {}) {
+    const { mode = 'naive', width = 224, height = 224, ...optimizationOptions } = options;
+    if (!VISUALIZATION_MODES[mode]) {
+      throw new Error(`Unknown visualization mode: ${mode}`);
+    }
+    const objectiveModel = this.createObjectiveModel(objective);
+    // Fails early, before any optimization, if the objective names a channel the layer lacks
+    tf.tidy(() => {
+      const inputShape = this.model.getPreprocessor().getInputShape();
+      const { activations, output } = objectiveModel(tf.zeros([1, ...inputShape]));
+      FeatureObjectives.evaluate(objective, activations, output);
+    });
+
+    const images = mode === 'robust'
+      ? await this.optimizeRobust(objectiveModel, objective, optimizationOptions)
+      : await this.optimizeNaive(objectiveModel, objective, optimizationOptions);
+
+    const resized = tf.tidy(() => {
+      const rgb = images.shape[3] === 1 ? tf.tile(images, [1, 1, 1, 3]) : images;
+      return rgb.shape[1] !== height || rgb.shape[2] !== width
+        ? tf.image.resizeBilinear(rgb, [height, width])
+        : rgb.clone();
+    });
+    images.dispose();
+    return resized;
+  }
+
+  /**
+   * Plain gradient ascent on the (preprocessed) input, with normalized steps and an L2
+   * penalty; the result is the best image seen, scaled to [0, 1] for display
+   * @param {Function} objectiveModel - See createObjectiveModel()
+   * @param {Object} objective - Objective spec
+   * @param {Object} options - { iterations (default 150), learningRate (default 0.1),
+   *   regularization: weight of the L2 penalty (default 0.001), batch (default 1), verbose }
+   * @returns {Promise<tf.Tensor>} Images (batch, height, width, channels) at the input size
+   */
+  async optimizeNaive(objectiveModel, objective, options = {}) {
     const {
       iterations = 150,
       learningRate = 0.1,
-      width = 224,
-      height = 224,
       regularization = 0.001,
+      batch = 1,
       verbose = false
     } = options;
-    
-    // Create a model that outputs the activations of the target layer
-    const activationModel = this.createActivationModel(layerName);
-    if (!activationModel) return null;
-    
+
+    // Start with random noise in range [-0.1, 0.1]
+    const inputShape = this.model.getPreprocessor().getInputShape();
+    const inputImage = tf.randomUniform([batch, ...inputShape], -0.1, 0.1);
+    const inputVar = tf.variable(inputImage);
+    inputImage.dispose();
+    const valueAndGrad = tf.valueAndGrad(x => {
+      const { activations, output } = objectiveModel(x);
+      // Maximize the objective minus an L2 penalty that keeps the values from growing without bound
+      return tf.sub(FeatureObjectives.evaluate(objective, activations, output), tf.mul(x.square().mean(), regularization));
+    });
+
+    let bestValue = -Infinity;
+    let bestImage = null;
     try {
-      // Create a random input image to optimize
-      const inputShape = this.tfModel.inputs[0].shape.slice(1);
-      const inputImage = tf.tidy(() => {
-        // Start with random noise in range [-0.1, 0.1]
-        return tf.randomUniform([1, ...inputShape], -0.1, 0.1);
-      });
-      
-      // Convert input to a variable so we can optimize it
-      const inputVar = tf.variable(inputImage);
-      
-      // For tracking progress
-      let bestActivation = -Infinity;
-      let bestImage = null;
-      
-      // Optimization loop
       for (let i = 0; i < iterations; i++) {
-        // Compute the activation and gradients
-        const {activation, gradients} = tf.tidy(() => {
-          // Track gradients for this operation
-          const activationTape = tf.grad(x => {
-            // Get the activations for this image
-            const acts = activationModel.predict(x);
-            
-            // For convolutional layers, get the mean activation of the specified filter
-            // across all spatial locations
-            const filterActs = acts.slice([0, 0, 0, filterIndex], 
-                                         [1, acts.shape[1], acts.shape[2], 1]);
-            
-            // Mean of the activations (scalar)
-            const meanActivation = filterActs.mean();
-            
-            // Apply regularization to encourage visually meaningful patterns
-            // L2 regularization to prevent extreme values
-            const l2Regularization = tf.mul(x.square().mean(), regularization);
-            
-            // Maximize activation - regularization
-            return tf.sub(meanActivation, l2Regularization);
-          });
-          
-          // Get activation and gradients
-          const gradients = activationTape(inputVar);
-          const activation = activationModel.predict(inputVar);
-          
-          return {
-            activation: activation.slice([0, 0, 0, filterIndex], [1, activation.shape[1], 
-                                       activation.shape[2], 1]).mean().dataSync()[0],
-            gradients
-          };
-        });
-        
-        // Track best result
-        if (activation > bestActivation) {
-          bestActivation = activation;
-          
-          // Store a copy of the current best image
+        const { value, grad } = valueAndGrad(inputVar);
+        const current = value.dataSync()[0];
+        value.dispose();
+
+        // Track the best result
+        if (current > bestValue) {
+          bestValue = current;
           if (bestImage) bestImage.dispose();
           bestImage = inputVar.clone();
         }
-        
-        // Apply gradients to update the input image
-        inputVar.assign(tf.tidy(() => {
-          // Normalize gradients for stable updates
-          const normalizedGradients = tf.div(
-            gradients,
-            tf.add(tf.sqrt(tf.mean(tf.square(gradients))), 1e-5)
-          );
-          
-          // Update the image: image + learning_rate * gradients
-          return tf.add(
-            inputVar, 
-            tf.mul(normalizedGradients, learningRate)
-          );
-        }));
-        
-        // Log progress occasionally
+
+        // Normalized gradient step: image + learning_rate * gradients
+        const updated = tf.tidy(() => tf.add(
+          inputVar,
+          tf.mul(tf.div(grad, tf.add(tf.sqrt(tf.mean(tf.square(grad))), 1e-5)), learningRate)
+        ));
+        inputVar.assign(updated);
+        tf.dispose([updated, grad]);
+
         if (verbose && i % 20 === 0) {
-          console.log(`Iteration ${i}, Activation: ${activation.toFixed(4)}`);
+          console.log(`Iteration ${i}, Objective: ${current.toFixed(4)}`);
         }
-        
-        // Clean up the gradients tensor
-        gradients.dispose();
       }
-      
-      // Clean up tensors
+
+      // Normalize each image to [0,1] range for visualization
+      const image = bestImage || inputVar;
+      return tf.tidy(() => {
+        const minVal = image.min([1, 2, 3], true);
+        const maxVal = image.max([1, 2, 3], true);
+        return tf.div(tf.sub(image, minVal), tf.sub(maxVal, minVal).add(1e-5));
+      });
+    } finally {
       inputVar.dispose();
-      inputImage.dispose();
-      
-      // Resize the result to requested dimensions and normalize to [0,1] for display
-      if (bestImage) {
-        const normalizedImage = tf.tidy(() => {
-          // Resize if needed
-          let resized = bestImage;
-          if (bestImage.shape[1] !== height || bestImage.shape[2] !== width) {
-            resized = tf.image.resizeBilinear(bestImage, [height, width]);
+      if (bestImage) bestImage.dispose();
+    }
+  }
+
+  /**
+   * Optimization with the Lucid-style toolkit: the image is parametrized (see
+   * ImageParametrization), randomly transformed before every step (see RobustTransforms) and
+   * penalized for its total variation. Each trick can be turned off to see what it does.
+   * @param {Function} objectiveModel - See createObjectiveModel()
+   * @param {Object} objective - Objective spec
+   * @param {Object} options - { iterations (default 256), learningRate: Adam step size
+   *   (default 0.05), batch (default 1), parametrization: 'pixel' or 'fourier' (default),
+   *   decorrelate: color decorrelation (default true), transforms: random jitter, scale and
+   *   rotation (default true), totalVariation: weight of the total variation penalty
+   *   (default 0), seed: random seed (default 0), verbose }
+   * @returns {Promise<tf.Tensor>} Images (batch, height, width, channels) at the input size
+   */
+  async optimizeRobust(objectiveModel, objective, options = {}) {
+    const {
+      iterations = 256,
+      learningRate = 0.05,
+      batch = 1,
+      parametrization = 'fourier',
+      decorrelate = true,
+      transforms = true,
+      totalVariation = 0,
+      seed = 0,
+      verbose = false
+    } = options;
+
+    const preprocessor = this.model.getPreprocessor();
+    const [inputHeight, inputWidth, channels] = preprocessor.getInputShape();
+    let param = null;
+    let optimizer = null;
+    try {
+      param = new ImageParametrization({ height: inputHeight, width: inputWidth, channels, batch, parametrization, decorrelate, seed });
+      const randomTransforms = transforms ? new RobustTransforms({ seed }) : null;
+      optimizer = tf.train.adam(learningRate);
+
+      for (let i = 0; i < iterations; i++) {
+        const loss = optimizer.minimize(() => {
+          const images = param.toImage();
+          let input = randomTransforms ? randomTransforms.apply(images) : images;
+          if (input.shape[1] !== inputHeight || input.shape[2] !== inputWidth) {
+            input = tf.image.resizeBilinear(input, [inputHeight, inputWidth]);
           }
-          
-          // Normalize to [0,1] range for visualization
-          const minVal = resized.min();
-          const maxVal = resized.max();
-          return tf.div(tf.sub(resized, minVal), tf.sub(maxVal, minVal).add(1e-5));
-        });
-        
-        return normalizedImage;
+          // The image is in [0, 1]; the model sees it the way it sees a photo
+          const { activations, output } = objectiveModel(preprocessor.normalize(tf.mul(input, 255)));
+          const value = FeatureObjectives.evaluate(objective, activations, output);
+          const penalty = totalVariation > 0
+            ? tf.mul(FeatureVisualizer.totalVariation(images), totalVariation)
+            : tf.scalar(0);
+          return tf.sub(penalty, value);
+        }, true, param.variables);
+
+        if (verbose && i % 20 === 0) {
+          console.log(`Iteration ${i}, Loss: ${loss.dataSync()[0].toFixed(4)}`);
+        }
+        loss.dispose();
+        if (i % 10 === 9) await tf.nextFrame();
       }
-      
-      return null;
-    } catch (error) {
-      console.error('Error visualizing filter:', error);
-      return null;
+
+      return param.toImage();
+    } finally {
+      if (param) param.dispose();
+      if (optimizer) optimizer.dispose();
     }
   }
 
+  /**
+   * DeepDream: gradient ascent that starts from a photo instead of noise, so the image
+   * gradually shows more of whatever the objective (usually FeatureObjectives.deepdream of
+   * one or more layers) responds to in it
+   * Based on Mordvintsev et al., "Inceptionism" (2015), and the TensorFlow DeepDream tutorial
+   *
+   * The image is dreamed at a few sizes (octaves), smallest first, so patterns appear at
+   * several scales; the detail added at one octave is carried over to the next while the
+   * photo itself is resampled from the original, which keeps it sharp. Images larger than the
+   * model input are processed in tiles, shifted randomly at every step so the seams don't show;
+   * smaller ones are enlarged to the input size first.
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageData|tf.Tensor} image - Photo, pixel values
+   *   0..255, as a [height, width, channels] tensor or anything tf.browser.fromPixels accepts
+   * @param {Object} objective - Objective spec, see FeatureObjectives
+   * @param {Object} options - { octaves (default 3), octaveScale: size ratio between octaves
+   *   (default 1.4), steps: per octave (default 20), stepSize: change per step in pixel values
+   *   (default 1.5), maxSize: longer side of the largest octave (default 512), frameInterval:
+   *   steps between frames, 0 for none (default 5), onFrame: awaited with (frame, { octave,
+   *   step }), the frame being a (1, height, width, 3) tensor in [0, 1] at the size of the
+   *   result that is disposed after the call; the first frame is the photo, seed: random seed
+   *   of the tile shifts (default 0), verbose }
+   * @returns {Promise<tf.Tensor>} Dreamed image (1, height, width, 3), values in [0, 1]
+   * @throws {Error} If the objective doesn't fit the model
+   */
+  async dream(image, objective, options = {}) {
+    const {
+      octaves = 3,
+      octaveScale = 1.4,
+      steps = 20,
+      stepSize = 1.5,
+      maxSize = 512,
+      frameInterval = 5,
+      onFrame = null,
+      seed = 0,
+      verbose = false
+    } = options;
+
+    const objectiveModel = this.createObjectiveModel(objective);
+    const preprocessor = this.model.getPreprocessor();
+    const random = new SeededRandom(seed);
+
+    const original = tf.tidy(() => {
+      const pixels = image instanceof tf.Tensor ? image : tf.browser.fromPixels(image);
+      return preprocessor.toChannels(pixels.toFloat()).expandDims(0);
+    });
+    // No octave is smaller than the model input, so every tile is a whole input
+    const inputSize = preprocessor.getInputSize();
+    const [originalHeight, originalWidth] = original.shape.slice(1, 3);
+    const scale = Math.max(
+      Math.min(1, maxSize / Math.max(originalHeight, originalWidth)),
+      inputSize[0] / originalHeight,
+      inputSize[1] / originalWidth
+    );
+    const size = [Math.round(originalHeight * scale), Math.round(originalWidth * scale)];
+    const octaveSizes = Array.from({ length: octaves }, (_, octave) => {
+      const factor = octaveScale ** (octaves - 1 - octave);
+      return size.map((dimension, axis) => Math.max(inputSize[axis], Math.round(dimension / factor)));
+    });
+
+    // Frames are shown at the size of the result, in RGB
+    const emitFrame = async (pixels, info) => {
+      if (!onFrame) return;
+      const frame = tf.tidy(() => {
+        const resized = tf.image.resizeBilinear(pixels, size).div(255);
+        return resized.shape[3] === 1 ? tf.tile(resized, [1, 1, 1, 3]) : resized;
+      });
+      try {
+        await onFrame(frame, info);
+      } finally {
+        frame.dispose();
+      }
+    };
+
+    let detail = null;
+    let dreamed = null;
+    try {
+      await emitFrame(original, { octave: 0, step: 0 });
+      for (let octave = 0; octave < octaves; octave++) {
+        const octaveSize = octaveSizes[octave];
+        const base = tf.image.resizeBilinear(original, octaveSize);
+        const previousDetail = detail;
+        detail = previousDetail
+          ? tf.image.resizeBilinear(previousDetail, octaveSize)
+          : tf.zerosLike(base);
+        if (previousDetail) previousDetail.dispose();
+        if (dreamed) dreamed.dispose();
+        dreamed = tf.add(base, detail);
+
+        for (let step = 0; step < steps; step++) {
+          const gradients = this.tiledGradients(objectiveModel, objective, dreamed, random);
+          const next = tf.tidy(() => {
+            // Normalized steps, so the step size means the same for every layer and image
+            const normalized = tf.div(gradients, tf.add(tf.moments(gradients).variance.sqrt(), 1e-8));
+            return tf.clipByValue(tf.add(dreamed, tf.mul(normalized, stepSize)), 0, 255);
+          });
+          gradients.dispose();
+          dreamed.dispose();
+          dreamed = next;
+
+          if (verbose && step % 10 === 0) {
+            console.log(`Octave ${octave + 1}/${octaves} (${octaveSize.join('×')}), step ${step}`);
+          }
+          if (frameInterval > 0 && (step + 1) % frameInterval === 0) {
+            await emitFrame(dreamed, { octave: octave + 1, step: step + 1 });
+          } else {
+            await tf.nextFrame();
+          }
+        }
+
+        detail.dispose();
+        detail = tf.sub(dreamed, base);
+        base.dispose();
+      }
+
+      return tf.tidy(() => {
+        const result = tf.image.resizeBilinear(dreamed, size).div(255);
+        return result.shape[3] === 1 ? tf.tile(result, [1, 1, 1, 3]) : result;
+      });
+    } finally {
+      tf.dispose([original, detail, dreamed].filter(Boolean));
+    }
+  }
+
+  /**
+   * Gradient of an objective with respect to an image of any size: the image is rolled by a
+   * random offset and cut into tiles of the model input size, which are evaluated as a batch
+   * @param {Function} objectiveModel - See createObjectiveModel()
+   * @param {Object} objective - Objective spec
+   * @param {tf.Tensor} image - Pixels (1, height, width, channels), values 0..255, at least the
+   *   size of the model input
+   * @param {SeededRandom} random - Source of the roll offsets
+   * @returns {tf.Tensor} Gradient, the shape of the image
+   */
+  tiledGradients(objectiveModel, objective, image, random) {
+    const preprocessor = this.model.getPreprocessor();
+    const [tileHeight, tileWidth] = preprocessor.getInputSize();
+    const [, height, width] = image.shape;
+    // Tile origins along one side; the last tile is moved back so every tile is whole
+    const origins = (length, tile) => Array.from({ length: Math.ceil(length / tile) }, (_, i) => Math.min(i * tile, length - tile));
+    const shiftY = random.nextInt(tileHeight);
+    const shiftX = random.nextInt(tileWidth);
+
+    return tf.tidy(() => {
+      const rolled = FeatureVisualizer.roll(image, shiftY, shiftX);
+      const gradients = tf.grad(x => {
+        const tiles = origins(height, tileHeight).flatMap(top => origins(width, tileWidth).map(left =>
+          x.slice([0, top, left, 0], [-1, tileHeight, tileWidth, -1])));
+        const { activations, output } = objectiveModel(preprocessor.normalize(tf.concat(tiles, 0)));
+        return FeatureObjectives.evaluate(objective, activations, output);
+      })(rolled);
+      return FeatureVisualizer.roll(gradients, -shiftY, -shiftX);
+    });
+  }
+
+  /**
+   * Shift images cyclically, as np.roll
+   * @param {tf.Tensor} images - Images (batch, height, width, channels)
+   * @param {number} shiftY - Rows to move down (negative: up)
+   * @param {number} shiftX - Columns to move right (negative: left)
+   * @returns {tf.Tensor} Rolled images
+   */
+  static roll(images, shiftY, shiftX) {
+    return tf.tidy(() => {
+      const rollAxis = (t, shift, axis) => {
+        const length = t.shape[axis];
+        const offset = ((shift % length) + length) % length;
+        if (offset === 0) return t;
+        const [head, tail] = tf.split(t, [length - offset, offset], axis);
+        return tf.concat([tail, head], axis);
+      };
+      return rollAxis(rollAxis(images, shiftY, 1), shiftX, 2);
+    });
+  }
+
+  /**
+   * Total variation: mean absolute difference between neighbouring pixels, which is high for
+   * noisy images
+   * @param {tf.Tensor} images - Images (batch, height, width, channels)
+   * @returns {tf.Tensor} Scalar
+   */
+  static totalVariation(images) {
+    return tf.tidy(() => {
+      const vertical = tf.sub(images.slice([0, 1, 0, 0], [-1, -1, -1, -1]), images.slice([0, 0, 0, 0], [-1, images.shape[1] - 1, -1, -1]));
+      const horizontal = tf.sub(images.slice([0, 0, 1, 0], [-1, -1, -1, -1]), images.slice([0, 0, 0, 0], [-1, -1, images.shape[2] - 1, -1]));
+      return tf.add(tf.abs(vertical).mean(), tf.abs(horizontal).mean());
+    });
+  }
+
   /**
    * Create a grid of filter visualizations for a layer
    * @param {string} layerName - Name of the layer to visualize
@@ -197,18 +505,27 @@ class FeatureVisualizer {
     }
     
     try {
-      // Get the layer
-      const layer = this.tfModel.getLayer(layerName);
-      if (!layer) {
-        console.error(`Layer ${layerName} not found`);
-        return null;
+      // Get the layer's output shape
+      let outputShape;
+      if (this.graphAdapter) {
+        if (!this.graphAdapter.hasNode(layerName)) {
+          console.error(`Node ${layerName} not found`);
+          return null;
+        }
+        outputShape = this.graphAdapter.getOutputShapes()[layerName];
+      } else {
+        const layer = this.tfModel.getLayer(layerName);
+        if (!layer) {
+          console.error(`Layer ${layerName} not found`);
+          return null;
+        }
+        outputShape = layer.outputShape;
       }
       
       // Determine number of filters
       let filterCount = numFilters;
-      if (layer.outputShape) {
+      if (outputShape) {
         // For conv layers, the last dimension contains the number of filters
-        const outputShape = layer.outputShape;
         const lastDim = outputShape[outputShape.length - 1];
         filterCount = Math.min(numFilters, lastDim);
       }
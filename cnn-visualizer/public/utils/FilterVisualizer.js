@@ -7,6 +7,8 @@ class FilterVisualizer {
   constructor(model) {
     this.model = model;
     this.tfModel = model.tfModel;
+    // Set for graph models, which have no getLayer(); see GraphModelAdapter
+    this.graphAdapter = model.getGraphAdapter ? model.getGraphAdapter() : null;
   }
 
   /**
@@ -20,6 +22,10 @@ class FilterVisualizer {
       return null;
     }
 
+    if (this.graphAdapter) {
+      return this.getNodeKernel(layerName);
+    }
+
     try {
       // Get the layer by name
       const layer = this.tfModel.getLayer(layerName);
@@ -52,6 +58,30 @@ class FilterVisualizer {
     }
   }
 
+  /**
+   * Get the convolution kernel of a graph model node
+   * @param {string} nodeName - Name of the convolution node
+   * @returns {tf.Tensor|null} The kernel tensor or null if not available
+   */
+  getNodeKernel(nodeName) {
+    const node = this.graphAdapter.getNodes().find(graphNode => graphNode.name === nodeName);
+    if (!node) {
+      console.error(`Node ${nodeName} not found`);
+      return null;
+    }
+
+    if (!node.type.includes('conv')) {
+      console.warn(`Node ${nodeName} is not a convolution (${node.op})`);
+      return null;
+    }
+
+    const kernel = this.graphAdapter.getKernel(nodeName);
+    if (!kernel) {
+      console.error(`No weights found for node ${nodeName}`);
+    }
+    return kernel;
+  }
+
   /**
    * Visualize filters for a convolutional layer
    * @param {string} layerName - Name of the convolutional layer
@@ -150,30 +180,33 @@ class FilterVisualizer {
         inputImage : 
         tf.browser.fromPixels(inputImage);
       
-      const preprocessedInput = tf.tidy(() => {
-        // Resize to model's expected input size
-        const resized = tf.image.resizeBilinear(img, [224, 224]);
-        // Expand dimensions to create batch of size 1
-        const expanded = resized.expandDims(0);
-        // Normalize pixel values (common preprocessing for ImageNet models)
-        return expanded.div(255.0);
-      });
+      const preprocessedInput = this.model.getPreprocessor().preprocess(img);
       
-      // Create a model that outputs the activations of the specified layer
-      const targetLayer = this.tfModel.getLayer(layerName);
-      if (!targetLayer) {
-        console.error(`Layer ${layerName} not found`);
-        return null;
+      let activations;
+      if (this.graphAdapter) {
+        // Graph models expose intermediate tensors as named execute() outputs
+        if (!this.graphAdapter.hasNode(layerName)) {
+          console.error(`Node ${layerName} not found`);
+          return null;
+        }
+        activations = this.graphAdapter.getNodeOutput(preprocessedInput, layerName);
+      } else {
+        // Create a model that outputs the activations of the specified layer
+        const targetLayer = this.tfModel.getLayer(layerName);
+        if (!targetLayer) {
+          console.error(`Layer ${layerName} not found`);
+          return null;
+        }
+        
+        const activationModel = tf.model({
+          inputs: this.tfModel.inputs,
+          outputs: targetLayer.output
+        });
+        
+        // Get activations for this layer
+        activations = await activationModel.predict(preprocessedInput);
       }
       
-      const activationModel = tf.model({
-        inputs: this.tfModel.inputs,
-        outputs: targetLayer.output
-      });
-      
-      // Get activations for this layer
-      const activations = await activationModel.predict(preprocessedInput);
-      
       // Clean up tensors
       if (img !== inputImage) img.dispose();
       preprocessedInput.dispose();
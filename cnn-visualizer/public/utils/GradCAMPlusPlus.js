@@ -0,0 +1,36 @@
+import * as tf from '@tensorflow/tfjs';
+import GradCAM from './gradCAM';
+
+/**
+ * Grad-CAM++ implementation for TensorFlow.js
+ * Based on "Grad-CAM++: Improved Visual Explanations for Deep Convolutional Networks"
+ *
+ * Instead of averaging the gradients, each spatial location gets its own weight derived from
+ * higher-order derivatives, so several instances of the same class all show up in the map.
+ */
+class GradCAMPlusPlus extends GradCAM {
+  /**
+   * @param {tf.Tensor} activation - Feature maps (1, height, width, channels)
+   * @param {tf.Tensor} gradients - Class score gradients with the same shape
+   * @returns {tf.Tensor} Unnormalized map (height, width)
+   */
+  computeCam(activation, gradients) {
+    return tf.tidy(() => {
+      // With an exponential of the class score, the second and third derivatives reduce to
+      // powers of the first (eq. 19 in the paper), so one backward pass is enough
+      const gradsSquared = tf.square(gradients);
+      const gradsCubed = tf.mul(gradsSquared, gradients);
+      const activationSum = tf.sum(activation, [1, 2], true);
+
+      const denominator = tf.add(tf.mul(gradsSquared, 2), tf.mul(activationSum, gradsCubed));
+      const safeDenominator = tf.where(tf.equal(denominator, 0), tf.onesLike(denominator), denominator);
+      const alphas = tf.div(gradsSquared, safeDenominator);
+
+      // Channel weights: positive gradients weighted per location by alpha
+      const weights = tf.sum(tf.mul(alphas, tf.relu(gradients)), [1, 2], true);
+      return tf.relu(tf.sum(tf.mul(activation, weights), -1)).squeeze([0]);
+    });
+  }
+}
+
+export default GradCAMPlusPlus;
@@ -0,0 +1,138 @@
+import * as tf from '@tensorflow/tfjs';
+
+/**
+ * Gradient-based pixel attribution methods for TensorFlow.js:
+ * - Vanilla gradient saliency ("Deep Inside Convolutional Networks", Simonyan et al.)
+ * - Gradient × Input (Shrikumar et al.)
+ * - SmoothGrad ("SmoothGrad: removing noise by adding noise", Smilkov et al.)
+ *
+ * All methods return signed per-channel attributions at the model input size,
+ * (1, height, width, channels); render them with AttributionRenderer.
+ */
+class GradientSaliency {
+  constructor(model) {
+    this.model = model;
+    this.tfModel = model.tfModel;
+    this.lastClassIndex = null; // Class explained by the most recent attributions
+  }
+
+  /**
+   * Compute attributions with one of the methods
+   * @param {HTMLImageElement|tf.Tensor} inputImage - Input image
+   * @param {string} method - 'saliency', 'gradientInput' or 'smoothGrad'
+   * @param {number} classIndex - Class index to explain (default: predicted class)
+   * @param {Object} options - SmoothGrad options, see smoothGrad()
+   * @returns {Promise<tf.Tensor>} Attributions (1, height, width, channels)
+   */
+  async generateAttributions(inputImage, method = 'saliency', classIndex = null, options = {}) {
+    if (!this.tfModel) {
+      throw new Error('No TensorFlow model available');
+    }
+
+    const input = this.model.getPreprocessor().preprocess(inputImage);
+    try {
+      classIndex = this.resolveClassIndex(input, classIndex);
+      switch (method) {
+        case 'saliency':
+          return this.vanillaGradient(input, classIndex);
+        case 'gradientInput':
+          return this.gradientTimesInput(input, classIndex);
+        case 'smoothGrad':
+          return await this.smoothGrad(input, classIndex, options);
+        default:
+          throw new Error(`Unknown attribution method: ${method}`);
+      }
+    } finally {
+      input.dispose();
+    }
+  }
+
+  // Use the predicted class unless one is given
+  resolveClassIndex(input, classIndex) {
+    if (classIndex === null) {
+      classIndex = tf.tidy(() => this.tfModel.predict(input).argMax(-1).dataSync()[0]);
+    }
+    this.lastClassIndex = classIndex;
+    return classIndex;
+  }
+
+  /**
+   * Gradients of the class score with respect to a batch of inputs
+   * @param {tf.Tensor} inputs - Preprocessed inputs (n, height, width, channels)
+   * @param {number} classIndex - Class to explain
+   * @returns {tf.Tensor} Gradients with the shape of inputs
+   */
+  getInputGradients(inputs, classIndex) {
+    // Summing over the batch gives each input its own gradient, since inputs don't interact
+    return tf.grad(x => this.tfModel.predict(x).gather([classIndex], 1).sum())(inputs);
+  }
+
+  /**
+   * Vanilla gradient saliency: how much each input value locally changes the class score
+   * @param {tf.Tensor} input - Preprocessed input batch of 1
+   * @param {number} classIndex - Class to explain
+   * @returns {tf.Tensor} Attributions
+   */
+  vanillaGradient(input, classIndex) {
+    return this.getInputGradients(input, classIndex);
+  }
+
+  /**
+   * Gradient × Input: the gradient scaled by the input, i.e. a first-order estimate of each
+   * value's contribution relative to an all-zero input
+   * @param {tf.Tensor} input - Preprocessed input batch of 1
+   * @param {number} classIndex - Class to explain
+   * @returns {tf.Tensor} Attributions
+   */
+  gradientTimesInput(input, classIndex) {
+    return tf.tidy(() => tf.mul(this.getInputGradients(input, classIndex), input));
+  }
+
+  /**
+   * SmoothGrad: the average gradient over noisy copies of the input, which removes much of
+   * the high-frequency noise of vanilla gradients
+   * @param {tf.Tensor} input - Preprocessed input batch of 1
+   * @param {number} classIndex - Class to explain
+   * @param {Object} options - { noiseLevel: noise std as a fraction of the input's value range
+   *   (default 0.15), samples: number of noisy copies (default 25), batchSize: copies per
+   *   backward pass (default 5), multiplyByInput: return SmoothGrad × Input (default false),
+   *   onProgress: called with (samplesDone, samples) }
+   * @returns {Promise<tf.Tensor>} Attributions
+   */
+  async smoothGrad(input, classIndex, options = {}) {
+    const {
+      noiseLevel = 0.15,
+      samples = 25,
+      batchSize = 5,
+      multiplyByInput = false,
+      onProgress = null
+    } = options;
+
+    const stdDev = tf.tidy(() => tf.sub(input.max(), input.min()).mul(noiseLevel).dataSync()[0]);
+    let gradientSum = tf.zerosLike(input);
+
+    for (let done = 0; done < samples; done += batchSize) {
+      const count = Math.min(batchSize, samples - done);
+      const batchSum = tf.tidy(() => {
+        const batch = tf.tile(input, [count, 1, 1, 1]);
+        const noisy = tf.add(batch, tf.randomNormal(batch.shape, 0, stdDev));
+        return tf.sum(this.getInputGradients(noisy, classIndex), 0, true);
+      });
+      const updated = tf.add(gradientSum, batchSum);
+      gradientSum.dispose();
+      batchSum.dispose();
+      gradientSum = updated;
+
+      if (onProgress) onProgress(done + count, samples);
+      await tf.nextFrame();
+    }
+
+    return tf.tidy(() => {
+      const averaged = tf.div(gradientSum, samples);
+      gradientSum.dispose();
+      return multiplyByInput ? tf.mul(averaged, input) : averaged;
+    });
+  }
+}
+
+export default GradientSaliency;
@@ -0,0 +1,292 @@
+import * as tf from '@tensorflow/tfjs';
+
+// Graph ops that correspond to a "layer" in the visualizations. Everything else
+// (Identity, BiasAdd, Const, shape bookkeeping...) is folded into the nearest of these.
+const OP_TYPES = {
+  Placeholder: 'input',
+  Conv2D: 'conv2d',
+  _FusedConv2D: 'conv2d',
+  DepthwiseConv2d: 'depthwiseconv2d',
+  DepthwiseConv2dNative: 'depthwiseconv2d',
+  FusedDepthwiseConv2dNative: 'depthwiseconv2d',
+  MatMul: 'dense',
+  _FusedMatMul: 'dense',
+  MaxPool: 'maxpooling2d',
+  AvgPool: 'averagepooling2d',
+  Mean: 'averagepooling2d',
+  FusedBatchNorm: 'batchnorm',
+  FusedBatchNormV2: 'batchnorm',
+  FusedBatchNormV3: 'batchnorm',
+  Add: 'add',
+  AddV2: 'add',
+  AddN: 'add',
+  Concat: 'concat',
+  ConcatV2: 'concat',
+  Relu: 'activation',
+  Relu6: 'activation',
+  Elu: 'activation',
+  Selu: 'activation',
+  Sigmoid: 'activation',
+  Tanh: 'activation',
+  Softmax: 'activation',
+  Reshape: 'flatten',
+  Squeeze: 'flatten'
+};
+
+/**
+ * Gives explainability utilities layer-like access to a tf.GraphModel.
+ * Graph models (e.g. the hosted MobileNet SavedModels) have no getLayer(); instead
+ * nodes of the execution graph are addressed by name, intermediate tensors are read
+ * by naming them as execute() outputs, and weights come from the nodes' Const inputs.
+ */
+class GraphModelAdapter {
+  constructor(graphModel) {
+    this.graphModel = graphModel;
+    this.nodes = null;
+    this.outputShapes = null;
+  }
+
+  /**
+   * Check whether a TF.js model needs this adapter
+   * @param {tf.LayersModel|tf.GraphModel} tfModel - Loaded model
+   * @returns {boolean} True for graph models
+   */
+  static isGraphModel(tfModel) {
+    return !!tfModel && typeof tfModel.getLayer !== 'function' && typeof tfModel.execute === 'function';
+  }
+
+  // The parsed graph isn't part of GraphModel's public API, but it's the only way
+  // to enumerate nodes; keep every access to it in this one place
+  getGraph() {
+    const graph = this.graphModel.executor && this.graphModel.executor.graph;
+    if (!graph || !graph.nodes) {
+      throw new Error('This graph model does not expose its execution graph');
+    }
+    return graph;
+  }
+
+  /**
+   * Enumerate the model's layer-like nodes in execution order
+   * @returns {Array<Object>} Nodes as { name, op, type, inbound, node }, where inbound
+   *   lists the nearest layer-like ancestors
+   */
+  getNodes() {
+    if (this.nodes) return this.nodes;
+
+    const graph = this.getGraph();
+    const isWeight = node => node.op === 'Const';
+    const isLayerNode = node => {
+      const type = OP_TYPES[node.op];
+      if (!type) return false;
+      // An Add with a constant operand is a bias, not a merge of two branches
+      if (type === 'add') {
+        return node.inputs.filter(input => !isWeight(input)).length > 1;
+      }
+      return true;
+    };
+
+    // Depth-first post-order from the outputs gives a topological order
+    const ordered = [];
+    const visited = new Set();
+    const visit = node => {
+      if (visited.has(node.name)) return;
+      visited.add(node.name);
+      node.inputs.forEach(visit);
+      ordered.push(node);
+    };
+    graph.outputs.forEach(visit);
+
+    // Inbound edges skip over folded nodes to the nearest layer-like ancestors
+    const ancestorCache = {};
+    const layerAncestors = node => {
+      if (ancestorCache[node.name]) return ancestorCache[node.name];
+      const names = [];
+      node.inputs.filter(input => !isWeight(input)).forEach(input => {
+        const found = isLayerNode(input) ? [input.name] : layerAncestors(input);
+        found.forEach(name => {
+          if (!names.includes(name)) names.push(name);
+        });
+      });
+      ancestorCache[node.name] = names;
+      return names;
+    };
+
+    this.nodes = ordered.filter(isLayerNode).map(node => ({
+      name: node.name,
+      op: node.op,
+      type: OP_TYPES[node.op],
+      inbound: layerAncestors(node),
+      node
+    }));
+    return this.nodes;
+  }
+
+  /**
+   * Check whether a node exists in the execution graph
+   * @param {string} nodeName - Node name
+   * @returns {boolean} True if the node exists
+   */
+  hasNode(nodeName) {
+    return !!this.getGraph().nodes[nodeName];
+  }
+
+  /**
+   * Shape of the model input without the batch dimension; unknown sizes default to 224x224x3
+   * @returns {Array<number>} Input shape, e.g. [224, 224, 3]
+   */
+  getInputShape() {
+    const inputInfo = this.graphModel.inputs[0];
+    const shape = inputInfo && inputInfo.shape ? inputInfo.shape.slice(1) : [];
+    const defaults = [224, 224, 3];
+    return defaults.map((size, index) => (shape[index] > 0 ? shape[index] : size));
+  }
+
+  // Name of the input node, as accepted by execute()
+  getInputName() {
+    return this.graphModel.inputs[0].name;
+  }
+
+  /**
+   * Get the output of one or more intermediate nodes
+   * @param {tf.Tensor} input - Preprocessed input batch
+   * @param {string|Array<string>} nodeNames - Node name(s) to read
+   * @returns {tf.Tensor|Array<tf.Tensor>} The node output(s)
+   */
+  getNodeOutput(input, nodeNames) {
+    return this.graphModel.execute(input, nodeNames);
+  }
+
+  /**
+   * Run the rest of the model with a node's output replaced by `activation`. The
+   * original input is still fed so branches that bypass the node (e.g. residual
+   * connections) can be computed. Differentiable with respect to `activation`.
+   * @param {tf.Tensor} input - Preprocessed input batch
+   * @param {string} nodeName - Node whose output is replaced
+   * @param {tf.Tensor} activation - Replacement output of that node
+   * @returns {tf.Tensor} Model output
+   */
+  executeFrom(input, nodeName, activation) {
+    return this.graphModel.execute({
+      [this.getInputName()]: input,
+      [nodeName]: activation
+    });
+  }
+
+  /**
+   * Get the kernel of a convolution or dense node
+   * @param {string} nodeName - Node name
+   * @returns {tf.Tensor|null} Kernel tensor ([h, w, in, out] for convolutions) or null
+   */
+  getKernel(nodeName) {
+    const node = this.getGraph().nodes[nodeName];
+    if (!node) return null;
+
+    const weightNode = node.inputs.find(input => input.op === 'Const');
+    const weights = weightNode ? this.graphModel.weights[weightNode.name] : null;
+    return weights && weights.length > 0 ? weights[0] : null;
+  }
+
+  /**
+   * Output shapes of all layer-like nodes (without batch dimension), measured with
+   * one forward pass on a blank input. Empty if the graph can't run synchronously.
+   * @returns {Object} Map of node name to shape
+   */
+  getOutputShapes() {
+    if (this.outputShapes) return this.outputShapes;
+
+    this.outputShapes = {};
+    const nodeNames = this.getNodes()
+      .filter(node => node.type !== 'input')
+      .map(node => node.name);
+    if (nodeNames.length === 0) return this.outputShapes;
+
+    const input = tf.zeros([1, ...this.getInputShape()]);
+    try {
+      const outputs = this.getNodeOutput(input, nodeNames);
+      (Array.isArray(outputs) ? outputs : [outputs]).forEach((output, index) => {
+        this.outputShapes[nodeNames[index]] = output.shape.slice(1);
+      });
+      tf.dispose(outputs);
+    } catch (error) {
+      console.warn('Could not measure graph model output shapes:', error);
+    } finally {
+      input.dispose();
+    }
+    return this.outputShapes;
+  }
+
+  /**
+   * Describe the layer-like nodes in the same format as CNNModel's layer descriptions
+   * @returns {Array<Object>} Layer descriptions
+   */
+  describeNodes() {
+    const outputShapes = this.getOutputShapes();
+    const constInputs = node => node.inputs.filter(input => input.op === 'Const');
+    // Unfused graphs add the bias in a separate BiasAdd node right after the conv/matmul
+    const weightsOf = node => {
+      const biasAdd = node.children.find(child => child.op === 'BiasAdd');
+      return [...constInputs(node), ...(biasAdd ? constInputs(biasAdd) : [])]
+        .map(input => (this.graphModel.weights[input.name] || [])[0])
+        .filter(Boolean);
+    };
+    const size = tensor => tensor.shape.reduce((total, dim) => total * dim, 1);
+    const attr = (node, name) => (node.attrParams[name] ? node.attrParams[name].value : undefined);
+    // NHWC attributes such as strides [1, 2, 2, 1] -> [2, 2]
+    const spatial = value => (Array.isArray(value) && value.length === 4 ? value.slice(1, 3) : value);
+
+    return this.getNodes().map(({ name, op, type, inbound, node }) => {
+      const description = { type, name, op, inbound };
+      const weights = weightsOf(node);
+
+      if (type === 'input') {
+        description.input_shape = this.getInputShape();
+        description.output_shape = this.getInputShape();
+        return description;
+      }
+      if (outputShapes[name]) {
+        description.output_shape = outputShapes[name];
+      }
+
+      if (type === 'conv2d' || type === 'depthwiseconv2d') {
+        const kernel = weights[0];
+        if (kernel) {
+          description.kernel_size = kernel.shape.slice(0, 2);
+          description.filters = type === 'conv2d' ? kernel.shape[3] : undefined;
+          description.depth_multiplier = type === 'depthwiseconv2d' ? kernel.shape[3] : undefined;
+        }
+        description.strides = spatial(attr(node, 'strides'));
+        description.padding = attr(node, 'pad');
+        description.dilation_rate = spatial(attr(node, 'dilations'));
+        description.use_bias = weights.length > 1;
+        description.trainable_params = weights.reduce((total, weight) => total + size(weight), 0);
+        description.non_trainable_params = 0;
+      } else if (type === 'dense') {
+        const kernel = weights[0];
+        description.units = kernel ? kernel.shape[attr(node, 'transposeB') ? 0 : 1] : undefined;
+        description.use_bias = weights.length > 1;
+        description.trainable_params = weights.reduce((total, weight) => total + size(weight), 0);
+        description.non_trainable_params = 0;
+      } else if (type === 'maxpooling2d' || type === 'averagepooling2d') {
+        if (op === 'Mean') {
+          description.global = true;
+          description.keep_dims = !!attr(node, 'keepDims');
+        } else {
+          description.pool_size = spatial(attr(node, 'kernelSize'));
+          description.strides = spatial(attr(node, 'strides'));
+          description.padding = attr(node, 'pad');
+        }
+      } else if (type === 'batchnorm') {
+        // Inputs are x, scale, offset, mean, variance; only scale and offset are trained
+        const [scale, offset, mean, variance] = weights;
+        description.trainable_params = [scale, offset].filter(Boolean).reduce((total, w) => total + size(w), 0);
+        description.non_trainable_params = [mean, variance].filter(Boolean).reduce((total, w) => total + size(w), 0);
+      } else if (type === 'activation') {
+        description.activation = op.toLowerCase();
+      }
+
+      return description;
+    });
+  }
+}
+
+export default GraphModelAdapter;
@@ -0,0 +1,180 @@
+import * as tf from '@tensorflow/tfjs';
+import ModelSplitter from './ModelSplitter';
+
+// Guided copies are shared per TF.js model, like the ModelSplitter splits
+const guidedModelCache = new WeakMap();
+
+// Stands in for a layer's own activation while the guided ReLU is applied after it
+const IDENTITY = { apply: x => x, getClassName: () => 'linear' };
+
+/**
+ * ReLU with the guided backpropagation gradient: the gradient only flows where both the
+ * input of the ReLU and the incoming gradient are positive
+ * @param {tf.Tensor} x - Pre-activation
+ * @param {number|null} maxValue - Upper clip (6 for ReLU6), or null
+ * @returns {tf.Tensor} relu(x), clipped at maxValue
+ */
+const guidedRelu = (x, maxValue = null) => tf.customGrad((input, save) => {
+  save([input]);
+  return {
+    value: maxValue === null ? tf.relu(input) : tf.clipByValue(input, 0, maxValue),
+    gradFunc: (dy, [saved]) => {
+      let passes = tf.logicalAnd(tf.greater(saved, 0), tf.greater(dy, 0));
+      if (maxValue !== null) passes = tf.logicalAnd(passes, tf.less(saved, maxValue));
+      return tf.mul(dy, tf.cast(passes, dy.dtype));
+    }
+  };
+})(x);
+
+/**
+ * Wraps a layer whose output goes through a ReLU (a Conv2D or Dense with a relu/relu6
+ * activation, or a ReLU/Activation layer) so the ReLU uses the guided gradient. The wrapped
+ * layer's weights are used directly, so the guided copy stays in sync with the model.
+ */
+class GuidedReLULayer extends tf.layers.Layer {
+  constructor(layer, maxValue) {
+    super({ name: `${layer.name}_guided` });
+    this.layer = layer;
+    this.maxValue = maxValue;
+  }
+
+  computeOutputShape(inputShape) {
+    return this.layer.computeOutputShape(inputShape);
+  }
+
+  call(inputs, kwargs) {
+    const className = this.layer.getClassName();
+    if (className === 'ReLU' || className === 'Activation') {
+      return guidedRelu(Array.isArray(inputs) ? inputs[0] : inputs, this.maxValue);
+    }
+    // Run the layer without its activation, then apply the guided ReLU
+    const { activation } = this.layer;
+    this.layer.activation = IDENTITY;
+    try {
+      return guidedRelu(this.layer.call(inputs, kwargs), this.maxValue);
+    } finally {
+      this.layer.activation = activation;
+    }
+  }
+
+  static get className() {
+    return 'GuidedReLULayer';
+  }
+}
+
+/**
+ * Guided backpropagation for TensorFlow.js
+ * Based on "Striving for Simplicity: The All Convolutional Net" (Springenberg et al.)
+ *
+ * The gradient of the class score with respect to the input, where every ReLU only passes
+ * positive gradients back (and only where its input was positive). This keeps the input
+ * patterns that excite the network and gives sharp, high-resolution maps, though they are
+ * not class-discriminative on their own; see GuidedGradCAM.
+ *
+ * The ReLUs are overridden in a rebuilt copy of the model that shares the original weights.
+ * Sequential and functional layers models are supported, including nested models; graph
+ * models can't be rebuilt this way.
+ */
+class GuidedBackprop {
+  constructor(model) {
+    this.model = model;
+    this.tfModel = model.tfModel;
+    this.lastClassIndex = null; // Class explained by the most recent attributions
+  }
+
+  /**
+   * Compute guided backpropagation attributions
+   * @param {HTMLImageElement|tf.Tensor} inputImage - Input image
+   * @param {number} classIndex - Class index to explain (default: predicted class)
+   * @returns {Promise<tf.Tensor>} Attributions (1, height, width, channels) at the model input size
+   */
+  async generateAttributions(inputImage, classIndex = null) {
+    if (!this.tfModel) {
+      throw new Error('No TensorFlow model available');
+    }
+    const guidedModel = GuidedBackprop.getGuidedModel(this.model);
+
+    const input = this.model.getPreprocessor().preprocess(inputImage);
+    try {
+      if (classIndex === null) {
+        classIndex = tf.tidy(() => this.tfModel.predict(input).argMax(-1).dataSync()[0]);
+      }
+      this.lastClassIndex = classIndex;
+      return tf.grad(x => guidedModel.apply(x).gather([classIndex], 1).sum())(input);
+    } finally {
+      input.dispose();
+    }
+  }
+
+  /**
+   * Get the guided copy of a model, building it on first use
+   * @param {CNNModel} model - Loaded model
+   * @returns {tf.LayersModel} Copy of model.tfModel with guided ReLUs
+   * @throws {Error} For graph models
+   */
+  static getGuidedModel(model) {
+    const tfModel = model.tfModel;
+    if (model.getGraphAdapter && model.getGraphAdapter()) {
+      throw new Error('Guided backpropagation needs a layers model; graph models cannot be rebuilt with guided ReLUs');
+    }
+    if (!guidedModelCache.has(tfModel)) {
+      guidedModelCache.set(tfModel, GuidedBackprop.rebuild(tfModel));
+    }
+    return guidedModelCache.get(tfModel);
+  }
+
+  /**
+   * Rebuild a layers model with every ReLU replaced by a guided one. Other layers are
+   * re-applied as they are, which shares their weights; nested models are rebuilt recursively.
+   * @param {tf.LayersModel} tfModel - Sequential or functional model
+   * @returns {tf.LayersModel} Guided copy
+   */
+  static rebuild(tfModel) {
+    const splitter = new ModelSplitter(tfModel);
+    const inputs = tfModel.inputs.map(tensor => tf.input({ shape: tensor.shape.slice(1), dtype: tensor.dtype }));
+    const rebuilt = new Map(tfModel.inputs.map((tensor, index) => [tensor.id, inputs[index]]));
+
+    tfModel.layers.forEach(layer => {
+      if (layer.getClassName() === 'InputLayer') return;
+      const node = splitter.getModelNode(layer);
+      const layerInputs = node.inputTensors.map(tensor => rebuilt.get(tensor.id));
+
+      let guidedLayer = layer;
+      if (layer.layers && layer.inputs) {
+        guidedLayer = GuidedBackprop.rebuild(layer);
+      } else {
+        const maxValue = GuidedBackprop.getReLUMaxValue(layer);
+        if (maxValue !== undefined) guidedLayer = new GuidedReLULayer(layer, maxValue);
+      }
+
+      const outputs = guidedLayer.apply(layerInputs.length === 1 ? layerInputs[0] : layerInputs, node.callArgs);
+      (Array.isArray(outputs) ? outputs : [outputs]).forEach((tensor, index) => {
+        rebuilt.set(node.outputTensors[index].id, tensor);
+      });
+    });
+
+    return tf.model({
+      inputs,
+      outputs: tfModel.outputs.map(tensor => rebuilt.get(tensor.id)),
+      name: `${tfModel.name}_guided`
+    });
+  }
+
+  /**
+   * Whether a layer ends in a ReLU, and its upper clip
+   * @param {tf.layers.Layer} layer - Layer
+   * @returns {number|null|undefined} Clip value (6 for ReLU6), null for a plain ReLU, or
+   *   undefined if the layer has no ReLU
+   */
+  static getReLUMaxValue(layer) {
+    if (layer.getClassName() === 'ReLU') {
+      return layer.maxValue != null ? layer.maxValue : null;
+    }
+    const activation = layer.activation && layer.activation.getClassName ? layer.activation.getClassName() : null;
+    if (activation === 'relu') return null;
+    if (activation === 'relu6') return 6;
+    return undefined;
+  }
+}
+
+export default GuidedBackprop;
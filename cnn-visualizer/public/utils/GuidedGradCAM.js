@@ -0,0 +1,59 @@
+import * as tf from '@tensorflow/tfjs';
+import GradCAM from './gradCAM';
+import GuidedBackprop from './GuidedBackprop';
+import AttributionRenderer from './AttributionRenderer';
+
+/**
+ * Guided Grad-CAM implementation for TensorFlow.js
+ * Based on "Grad-CAM: Visual Explanations from Deep Networks via Gradient-based Localization"
+ *
+ * Grad-CAM is class-discriminative but coarse (layer resolution); guided backpropagation is
+ * fine-grained but barely depends on the class. Their pointwise product, with the Grad-CAM
+ * map upsampled to the input size, keeps the fine detail only inside the class's regions.
+ */
+class GuidedGradCAM extends GradCAM {
+  constructor(model) {
+    super(model);
+    this.guidedBackprop = new GuidedBackprop(model);
+  }
+
+  /**
+   * Generate a Guided Grad-CAM map, in the same form as GradCAM heatmaps so it can be
+   * overlaid with applyHeatmapToImage()
+   * @param {HTMLImageElement|tf.Tensor} inputImage - Input image
+   * @param {string} layerName - Layer for the Grad-CAM part; must output spatial feature maps
+   * @param {number} classIndex - Class to explain (default: predicted class)
+   * @returns {tf.Tensor} Map of |attribution| at the model input size (height, width), scaled to [0, 1]
+   */
+  async generateHeatmap(inputImage, layerName, classIndex = null) {
+    const attributions = await this.generateAttributions(inputImage, layerName, classIndex);
+    try {
+      return tf.tidy(() => AttributionRenderer.normalize(AttributionRenderer.reduce(attributions, 'absolute'), 'absolute'));
+    } finally {
+      attributions.dispose();
+    }
+  }
+
+  /**
+   * Guided Grad-CAM attributions: guided backpropagation times the upsampled Grad-CAM map
+   * @param {HTMLImageElement|tf.Tensor} inputImage - Input image
+   * @param {string} layerName - Layer for the Grad-CAM part
+   * @param {number} classIndex - Class to explain (default: predicted class)
+   * @returns {Promise<tf.Tensor>} Signed attributions (1, height, width, channels); render them
+   *   with AttributionRenderer
+   */
+  async generateAttributions(inputImage, layerName, classIndex = null) {
+    const heatmap = await super.generateHeatmap(inputImage, layerName, classIndex);
+    let guided = null;
+    try {
+      guided = await this.guidedBackprop.generateAttributions(inputImage, this.lastClassIndex);
+      const [, height, width] = guided.shape;
+      return tf.tidy(() => tf.mul(guided, tf.image.resizeBilinear(heatmap.expandDims(-1), [height, width])));
+    } finally {
+      heatmap.dispose();
+      if (guided) guided.dispose();
+    }
+  }
+}
+
+export default GuidedGradCAM;
@@ -0,0 +1,191 @@
+import * as tf from '@tensorflow/tfjs';
+
+// Square root of the color correlation matrix of ImageNet (from Lucid); maps decorrelated
+// channels back to RGB
+const COLOR_CORRELATION_SVD_SQRT = [
+  [0.26, 0.09, 0.02],
+  [0.27, 0.00, -0.05],
+  [0.27, -0.09, 0.03]
+];
+const MAX_NORM_SVD_SQRT = Math.max(...[0, 1, 2].map(column => Math.hypot(...COLOR_CORRELATION_SVD_SQRT.map(row => row[column]))));
+
+// Variable holding random normal values; the initial tensor is released
+const randomVariable = (shape, sd, seed) => {
+  const initial = tf.randomNormal(shape, 0, sd, 'float32', seed);
+  const variable = tf.variable(initial);
+  initial.dispose();
+  return variable;
+};
+
+// How the optimized image is represented
+export const PARAMETRIZATIONS = {
+  pixel: 'Pixels',
+  fourier: 'Fourier spectrum'
+};
+
+/**
+ * Image parametrizations for feature visualization
+ * Based on "Feature Visualization" and "Differentiable Image Parameterizations" (Olah et al.)
+ * and the Lucid library
+ *
+ * Optimizing pixels directly favors high frequencies, which the gradients of a CNN are full
+ * of. In the Fourier parametrization the variables are the image's spectrum, scaled by
+ * 1/frequency so every frequency starts out with the same energy; steps then change the low
+ * frequencies as much as the high ones. Color decorrelation makes the variables independent
+ * color components rather than correlated RGB channels. Images are squashed into [0, 1]
+ * with a sigmoid.
+ *
+ * TF.js has no gradients for its FFT ops, so the inverse transform is done with real matrix
+ * products against precomputed cosine and sine bases.
+ */
+class ImageParametrization {
+  /**
+   * @param {Object} options - { height, width, channels (default 3), batch: images optimized
+   *   together (default 1), parametrization: a key of PARAMETRIZATIONS (default 'fourier'),
+   *   decorrelate: mix channels with the ImageNet color correlation (default true; RGB only),
+   *   decayPower: exponent of the 1/frequency scaling (default 1), sd: standard deviation of
+   *   the initial values (default 0.01), seed: random seed of the initial values }
+   */
+  constructor(options) {
+    const {
+      height,
+      width,
+      channels = 3,
+      batch = 1,
+      parametrization = 'fourier',
+      decorrelate = true,
+      decayPower = 1,
+      sd = 0.01,
+      seed
+    } = options;
+    if (!PARAMETRIZATIONS[parametrization]) {
+      throw new Error(`Unknown image parametrization: ${parametrization}`);
+    }
+    this.height = height;
+    this.width = width;
+    this.channels = channels;
+    this.parametrization = parametrization;
+    this.decorrelate = decorrelate && channels === 3;
+
+    if (parametrization === 'pixel') {
+      this.pixels = randomVariable([batch, height, width, channels], sd, seed);
+      this.variables = [this.pixels];
+      return;
+    }
+
+    // The inverse real DFT of an even width is simplest, so odd widths are cropped afterwards
+    this.paddedWidth = width + (width % 2);
+    const frequencies = this.paddedWidth / 2 + 1;
+    const shape = [batch, channels, height, frequencies];
+    this.real = randomVariable(shape, sd, seed);
+    this.imag = randomVariable(shape, sd, seed === undefined ? undefined : seed + 1);
+    this.variables = [this.real, this.imag];
+    this.scale = ImageParametrization.spectrumScale(height, this.paddedWidth, decayPower);
+    this.bases = ImageParametrization.inverseDFTBases(height, this.paddedWidth);
+  }
+
+  /**
+   * Current images, differentiable with respect to this.variables
+   * @returns {tf.Tensor} Images (batch, height, width, channels), values in [0, 1]
+   */
+  toImage() {
+    return tf.tidy(() => {
+      let images = this.parametrization === 'pixel' ? this.pixels : this.fourierImage();
+      if (this.decorrelate) {
+        const mixing = tf.tensor2d(COLOR_CORRELATION_SVD_SQRT).div(MAX_NORM_SVD_SQRT).transpose();
+        images = tf.matMul(images.reshape([-1, 3]), mixing).reshape(images.shape);
+      }
+      return tf.sigmoid(images);
+    });
+  }
+
+  // Inverse 2D real DFT of the scaled spectrum: columns first, then rows
+  fourierImage() {
+    const [batch, channels, height, frequencies] = this.real.shape;
+    const { cosH, sinH, cosW, sinW } = this.bases;
+    const real = tf.mul(this.real, this.scale);
+    const imag = tf.mul(this.imag, this.scale);
+
+    // Complex inverse DFT along the height: (cos + i sin)(real + i imag)
+    const alongHeight = (t) => t.transpose([2, 0, 1, 3]).reshape([height, -1]);
+    const back = (t) => t.reshape([height, batch, channels, frequencies]).transpose([1, 2, 0, 3]);
+    const r = alongHeight(real);
+    const i = alongHeight(imag);
+    const p = back(tf.sub(tf.matMul(cosH, r), tf.matMul(sinH, i))).reshape([-1, frequencies]);
+    const q = back(tf.add(tf.matMul(sinH, r), tf.matMul(cosH, i))).reshape([-1, frequencies]);
+
+    // Real inverse DFT along the width, using the spectrum's Hermitian symmetry
+    const image = tf.sub(tf.matMul(p, cosW), tf.matMul(q, sinW))
+      .reshape([batch, channels, height, this.paddedWidth])
+      .transpose([0, 2, 3, 1]);
+    const cropped = this.paddedWidth === this.width ? image : image.slice([0, 0, 0, 0], [-1, -1, this.width, -1]);
+    // As in Lucid, so the initial image has a small spread
+    return tf.div(cropped, 4);
+  }
+
+  dispose() {
+    tf.dispose(this.variables);
+    if (this.scale) this.scale.dispose();
+    if (this.bases) tf.dispose(Object.values(this.bases));
+  }
+
+  /**
+   * 1/frequency scaling of a spectrum, so every frequency has about the same effect on the image
+   * @param {number} height - Image height
+   * @param {number} width - Image width (even)
+   * @param {number} decayPower - Exponent of the frequency
+   * @returns {tf.Tensor} Scale (height, width / 2 + 1)
+   */
+  static spectrumScale(height, width, decayPower) {
+    const frequencies = width / 2 + 1;
+    const values = new Float32Array(height * frequencies);
+    const minimum = 1 / Math.max(height, width);
+    for (let y = 0; y < height; y++) {
+      const fy = (y < Math.ceil(height / 2) ? y : y - height) / height;
+      for (let x = 0; x < frequencies; x++) {
+        const frequency = Math.hypot(fy, x / width);
+        values[y * frequencies + x] = Math.sqrt(height * width) / Math.max(frequency, minimum) ** decayPower;
+      }
+    }
+    return tf.tensor2d(values, [height, frequencies]);
+  }
+
+  /**
+   * Cosine and sine bases of the inverse DFT
+   * @param {number} height - Image height
+   * @param {number} width - Image width (even)
+   * @returns {Object} { cosH, sinH: (height, height), cosW, sinW: (width / 2 + 1, width), the
+   *   latter weighted for the frequencies that stand for their conjugates too and normalized }
+   */
+  static inverseDFTBases(height, width) {
+    const frequencies = width / 2 + 1;
+    const cosH = new Float32Array(height * height);
+    const sinH = new Float32Array(height * height);
+    for (let y = 0; y < height; y++) {
+      for (let k = 0; k < height; k++) {
+        const angle = 2 * Math.PI * ((y * k) % height) / height;
+        cosH[y * height + k] = Math.cos(angle);
+        sinH[y * height + k] = Math.sin(angle);
+      }
+    }
+    const cosW = new Float32Array(frequencies * width);
+    const sinW = new Float32Array(frequencies * width);
+    for (let k = 0; k < frequencies; k++) {
+      // Frequencies other than 0 and Nyquist also stand for their negative counterparts
+      const weight = (k === 0 || k === width / 2 ? 1 : 2) / (height * width);
+      for (let x = 0; x < width; x++) {
+        const angle = 2 * Math.PI * ((k * x) % width) / width;
+        cosW[k * width + x] = weight * Math.cos(angle);
+        sinW[k * width + x] = weight * Math.sin(angle);
+      }
+    }
+    return {
+      cosH: tf.tensor2d(cosH, [height, height]),
+      sinH: tf.tensor2d(sinH, [height, height]),
+      cosW: tf.tensor2d(cosW, [frequencies, width]),
+      sinW: tf.tensor2d(sinW, [frequencies, width])
+    };
+  }
+}
+
+export default ImageParametrization;
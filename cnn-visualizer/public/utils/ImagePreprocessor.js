@@ -0,0 +1,415 @@
+import * as tf from '@tensorflow/tfjs';
+
+// localStorage key for user overrides, stored as { [modelKey]: overrides }
+const OVERRIDES_STORAGE_KEY = 'whytebox-preprocessing';
+
+const DEFAULT_INPUT_SIZE = [224, 224];
+
+/**
+ * Settings used when neither the model nor the user says otherwise:
+ * - inputSize: [height, width] fed to the model; null means "read it from the model"
+ * - range: [min, max] that pixel values 0..255 are linearly mapped to
+ * - mean / std: per-channel values subtracted / divided after scaling (in model channel order)
+ * - channelOrder: 'rgb' or 'bgr'
+ * - resizeMode: 'stretch', 'center-crop' (crop to the input aspect ratio, then resize)
+ *   or 'letterbox' (fit inside the input and pad the rest with black)
+ */
+const DEFAULT_CONFIG = {
+  inputSize: null,
+  range: [0, 1],
+  mean: null,
+  std: null,
+  channelOrder: 'rgb',
+  resizeMode: 'stretch'
+};
+
+// Known model families, matched against CNNModel.modelType and modelName
+const MODEL_PRESETS = [
+  { pattern: /mobilenet|efficientnet/i, config: { range: [-1, 1] } },
+  { pattern: /inception/i, config: { range: [-1, 1] } }
+];
+
+export const RESIZE_MODES = ['stretch', 'center-crop', 'letterbox'];
+export const CHANNEL_ORDERS = ['rgb', 'bgr'];
+
+/**
+ * Turns images into model input batches. Predictions and every explainer go through
+ * this class so that they all see exactly the same input for a given model.
+ * Build one for a loaded model with ImagePreprocessor.forModel(cnnModel).
+ */
+class ImagePreprocessor {
+  constructor(config = {}) {
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      inputSize: config.inputSize || DEFAULT_INPUT_SIZE
+    };
+    this.channels = config.channels || 3;
+  }
+
+  /**
+   * Create the preprocessor for a CNNModel: preset for its model family, input size
+   * from the model's input shape, then any overrides the user saved for it
+   * @param {CNNModel} model - Loaded model
+   * @returns {ImagePreprocessor} Preprocessor for the model
+   */
+  static forModel(model) {
+    return new ImagePreprocessor(ImagePreprocessor.resolveConfig(model));
+  }
+
+  /**
+   * Effective preprocessing settings for a model, see DEFAULT_CONFIG
+   * @param {CNNModel} model - Loaded model
+   * @returns {Object} Settings including `channels` and `source` ('preset' or 'custom')
+   */
+  static resolveConfig(model) {
+    const defaults = ImagePreprocessor.getModelDefaults(model);
+    const overrides = ImagePreprocessor.loadOverrides(ImagePreprocessor.getModelKey(model));
+    return {
+      ...defaults,
+      ...overrides,
+      source: overrides ? 'custom' : 'preset'
+    };
+  }
+
+  /**
+   * Settings derived from the model alone, ignoring saved overrides
+   * @param {CNNModel} model - Loaded model
+   * @returns {Object} Settings including `channels`
+   */
+  static getModelDefaults(model) {
+    const family = `${(model && model.modelType) || ''} ${(model && model.modelName) || ''}`;
+    const preset = MODEL_PRESETS.find(({ pattern }) => pattern.test(family));
+    const inputShape = ImagePreprocessor.getModelInputShape(model);
+
+    return {
+      ...DEFAULT_CONFIG,
+      ...(preset ? preset.config : {}),
+      inputSize: inputShape ? inputShape.slice(0, 2) : DEFAULT_INPUT_SIZE,
+      channels: inputShape && inputShape[2] > 0 ? inputShape[2] : 3
+    };
+  }
+
+  /**
+   * Input shape of the model's TF.js model without the batch dimension. Unknown
+   * spatial sizes (e.g. [null, null, null, 3]) fall back to 224x224.
+   * @param {CNNModel} model - Loaded model
+   * @returns {Array<number>|null} [height, width, channels], or null without a TF.js model
+   */
+  static getModelInputShape(model) {
+    const graphAdapter = model && model.getGraphAdapter ? model.getGraphAdapter() : null;
+    if (graphAdapter) {
+      return graphAdapter.getInputShape();
+    }
+
+    const tfModel = model && model.tfModel;
+    const input = tfModel && tfModel.inputs && tfModel.inputs[0];
+    if (!input || !input.shape) {
+      return null;
+    }
+    const [height, width, channels] = input.shape.slice(1);
+    return [
+      height > 0 ? height : DEFAULT_INPUT_SIZE[0],
+      width > 0 ? width : DEFAULT_INPUT_SIZE[1],
+      channels > 0 ? channels : 3
+    ];
+  }
+
+  // Overrides are remembered per model library entry, or per model type for built-in models
+  static getModelKey(model) {
+    return (model && (model.libraryId || model.modelType)) || 'custom';
+  }
+
+  /**
+   * Read the overrides the user saved for a model
+   * @param {string} modelKey - Key from getModelKey()
+   * @returns {Object|null} Saved overrides, or null if there are none
+   */
+  static loadOverrides(modelKey) {
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(OVERRIDES_STORAGE_KEY) || '{}');
+      return stored[modelKey] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Save (or with null, clear) the user's overrides for a model
+   * @param {string} modelKey - Key from getModelKey()
+   * @param {Object|null} overrides - Settings to use instead of the model defaults
+   * @throws {Error} If the overrides are invalid, see validateConfig()
+   */
+  static saveOverrides(modelKey, overrides) {
+    const checked = overrides ? ImagePreprocessor.validateConfig(overrides) : null;
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(OVERRIDES_STORAGE_KEY) || '{}');
+      if (checked) {
+        stored[modelKey] = checked;
+      } else {
+        delete stored[modelKey];
+      }
+      window.localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+      console.warn('Could not save preprocessing settings:', error);
+    }
+  }
+
+  /**
+   * Check user-supplied settings, keeping only the known fields
+   * @param {Object} config - Settings to check
+   * @returns {Object} The checked settings
+   * @throws {Error} If a setting is out of range
+   */
+  static validateConfig(config) {
+    const isNumberList = (value, length) => Array.isArray(value) && value.length === length &&
+      value.every(number => typeof number === 'number' && Number.isFinite(number));
+    const checked = {};
+
+    if (config.inputSize) {
+      if (!isNumberList(config.inputSize, 2) || config.inputSize.some(size => size < 1 || size % 1 !== 0)) {
+        throw new Error('Input size must be two positive whole numbers');
+      }
+      checked.inputSize = config.inputSize;
+    }
+    if (config.range) {
+      if (!isNumberList(config.range, 2) || config.range[0] === config.range[1]) {
+        throw new Error('Scaling range must be two different numbers');
+      }
+      checked.range = config.range;
+    }
+    ['mean', 'std'].forEach(key => {
+      if (config[key] === undefined) return;
+      if (config[key] !== null && !isNumberList(config[key], 3) && !isNumberList(config[key], 1)) {
+        throw new Error(`${key === 'mean' ? 'Mean' : 'Standard deviation'} must have 1 or 3 values`);
+      }
+      if (key === 'std' && config.std && config.std.some(value => value === 0)) {
+        throw new Error('Standard deviation cannot be zero');
+      }
+      checked[key] = config[key];
+    });
+    if (config.channelOrder) {
+      if (!CHANNEL_ORDERS.includes(config.channelOrder)) {
+        throw new Error(`Channel order must be one of ${CHANNEL_ORDERS.join(', ')}`);
+      }
+      checked.channelOrder = config.channelOrder;
+    }
+    if (config.resizeMode) {
+      if (!RESIZE_MODES.includes(config.resizeMode)) {
+        throw new Error(`Resize mode must be one of ${RESIZE_MODES.join(', ')}`);
+      }
+      checked.resizeMode = config.resizeMode;
+    }
+    return checked;
+  }
+
+  // [height, width] the model is fed
+  getInputSize() {
+    return this.config.inputSize;
+  }
+
+  // Input shape without the batch dimension, e.g. [224, 224, 3]
+  getInputShape() {
+    return [...this.config.inputSize, this.channels];
+  }
+
+  /**
+   * Preprocess an image into a model input batch
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageData|tf.Tensor} image - Image with pixel
+   *   values 0..255, as a [height, width, channels] tensor or anything tf.browser.fromPixels accepts
+   * @returns {tf.Tensor} Input batch of shape [1, height, width, channels]
+   */
+  preprocess(image) {
+    return tf.tidy(() => this.normalize(this.toInputPixels(image)));
+  }
+
+  /**
+   * Resize an image to the model input without normalizing it, for explainers that
+   * perturb the image (masking, occlusion...) in pixel space before calling normalize()
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageData|tf.Tensor} image - Image as for preprocess()
+   * @returns {tf.Tensor} Float pixel batch of shape [1, height, width, channels], values 0..255
+   */
+  toInputPixels(image) {
+    return tf.tidy(() => {
+      const pixels = image instanceof tf.Tensor ? image : tf.browser.fromPixels(image);
+      const rgb = this.toChannels(pixels.toFloat());
+      return this.resize(rgb).expandDims(0);
+    });
+  }
+
+  /**
+   * Map pixel values 0..255 of an already resized [.., channels] tensor to the model range.
+   * Exposed separately so baselines and synthetic inputs can be built in pixel space.
+   * @param {tf.Tensor} pixels - Float pixel values 0..255
+   * @returns {tf.Tensor} Normalized values
+   */
+  normalize(pixels) {
+    return tf.tidy(() => {
+      const { range, mean, std, channelOrder } = this.config;
+      const [min, max] = range;
+      let normalized = pixels.mul((max - min) / 255).add(min);
+      if (channelOrder === 'bgr' && this.channels === 3) {
+        normalized = tf.reverse(normalized, -1);
+      }
+      if (mean) {
+        normalized = normalized.sub(tf.tensor1d(mean));
+      }
+      if (std) {
+        normalized = normalized.div(tf.tensor1d(std));
+      }
+      return normalized;
+    });
+  }
+
+  // Match the model's channel count: drop alpha, or average to grayscale
+  toChannels(pixels) {
+    const channels = pixels.shape[pixels.shape.length - 1];
+    if (channels === this.channels) {
+      return pixels;
+    }
+    const rgb = channels >= 3 ? pixels.slice([0, 0, 0], [-1, -1, 3]) : tf.tile(pixels, [1, 1, 3]);
+    return this.channels === 1 ? rgb.mean(-1, true) : rgb;
+  }
+
+  /**
+   * Where the model input sits in an image of the given size, as used by resize()
+   * @param {Array<number>} imageSize - [height, width] of the original image
+   * @returns {Object} { crop: [top, left, height, width] of the image region the model sees,
+   *   content: [top, left, height, width] of the input region that holds image pixels }
+   */
+  getGeometry(imageSize) {
+    const [imageHeight, imageWidth] = imageSize;
+    const [inputHeight, inputWidth] = this.config.inputSize;
+    const fullImage = [0, 0, imageHeight, imageWidth];
+    const fullInput = [0, 0, inputHeight, inputWidth];
+
+    if (this.config.resizeMode === 'center-crop') {
+      const scale = Math.min(imageHeight / inputHeight, imageWidth / inputWidth);
+      const cropHeight = Math.round(inputHeight * scale);
+      const cropWidth = Math.round(inputWidth * scale);
+      return {
+        crop: [
+          Math.floor((imageHeight - cropHeight) / 2),
+          Math.floor((imageWidth - cropWidth) / 2),
+          cropHeight,
+          cropWidth
+        ],
+        content: fullInput
+      };
+    }
+
+    if (this.config.resizeMode === 'letterbox') {
+      const scale = Math.min(inputHeight / imageHeight, inputWidth / imageWidth);
+      const contentHeight = Math.max(1, Math.round(imageHeight * scale));
+      const contentWidth = Math.max(1, Math.round(imageWidth * scale));
+      return {
+        crop: fullImage,
+        content: [
+          Math.floor((inputHeight - contentHeight) / 2),
+          Math.floor((inputWidth - contentWidth) / 2),
+          contentHeight,
+          contentWidth
+        ]
+      };
+    }
+
+    return { crop: fullImage, content: fullInput };
+  }
+
+  // Resize a [height, width, channels] image to the input size using the resize mode
+  resize(image) {
+    return tf.tidy(() => {
+      const [inputHeight, inputWidth] = this.config.inputSize;
+      const { crop, content } = this.getGeometry(image.shape.slice(0, 2));
+      const [cropTop, cropLeft, cropHeight, cropWidth] = crop;
+      const [top, left, height, width] = content;
+
+      const cropped = image.slice([cropTop, cropLeft, 0], [cropHeight, cropWidth, -1]);
+      const resized = tf.image.resizeBilinear(cropped, [height, width]);
+      if (height === inputHeight && width === inputWidth) {
+        return resized;
+      }
+      return resized.pad([
+        [top, inputHeight - height - top],
+        [left, inputWidth - width - left],
+        [0, 0]
+      ]);
+    });
+  }
+
+  /**
+   * Blur images with three passes of a box filter, which approximates a Gaussian blur
+   * @param {tf.Tensor} pixels - Images (n, height, width, channels)
+   * @param {number} radius - Box filter radius in pixels
+   * @returns {tf.Tensor} Blurred images
+   */
+  static blur(pixels, radius) {
+    return tf.tidy(() => {
+      const size = 2 * Math.max(1, Math.round(radius)) + 1;
+      let blurred = pixels;
+      for (let pass = 0; pass < 3; pass++) {
+        // 'same' padding averages only over the pixels inside the image, so edges don't darken
+        blurred = tf.avgPool(blurred, size, 1, 'same');
+      }
+      return blurred;
+    });
+  }
+
+  /**
+   * Map a per-pixel result on the model input (heatmap, attributions...) back onto the
+   * original image, undoing the crop or letterbox. Areas the model never saw are zero.
+   * @param {tf.Tensor} map - [height, width, channels] or [1, height, width, channels] tensor
+   *   at the model input size (or any size with the same aspect ratio)
+   * @param {Array<number>} imageSize - [height, width, ...] of the original image
+   * @returns {tf.Tensor} The map at the image size, with the same rank as `map`
+   */
+  toImageSpace(map, imageSize) {
+    return tf.tidy(() => {
+      const batched = map.rank === 4;
+      const map3d = batched ? map.squeeze([0]) : map;
+      const [imageHeight, imageWidth] = imageSize;
+      const [inputHeight, inputWidth] = this.config.inputSize;
+      const { crop, content } = this.getGeometry([imageHeight, imageWidth]);
+
+      // Content region of the map, scaled in case it isn't at the input size
+      const scaleY = map3d.shape[0] / inputHeight;
+      const scaleX = map3d.shape[1] / inputWidth;
+      const contentMap = map3d.slice(
+        [Math.floor(content[0] * scaleY), Math.floor(content[1] * scaleX), 0],
+        [Math.max(1, Math.round(content[2] * scaleY)), Math.max(1, Math.round(content[3] * scaleX)), -1]
+      );
+
+      const [cropTop, cropLeft, cropHeight, cropWidth] = crop;
+      const resized = tf.image.resizeBilinear(contentMap, [cropHeight, cropWidth]);
+      const placed = resized.pad([
+        [cropTop, imageHeight - cropHeight - cropTop],
+        [cropLeft, imageWidth - cropWidth - cropLeft],
+        [0, 0]
+      ]);
+      return batched ? placed.expandDims(0) : placed;
+    });
+  }
+
+  /**
+   * Map a rectangle on the model input onto the original image, like toImageSpace() does
+   * for maps. Parts in the letterbox padding are cut off.
+   * @param {Object} box - { top, left, height, width } in model input pixels
+   * @param {Array<number>} imageSize - [height, width] of the original image
+   * @returns {Object|null} { top, left, height, width } in image pixels, or null if the box
+   *   lies entirely in the padding
+   */
+  toImageBox(box, imageSize) {
+    const { crop, content } = this.getGeometry(imageSize);
+    const axis = (start, length, index) => {
+      const scale = crop[index + 2] / content[index + 2];
+      const first = Math.max(start, content[index]);
+      const last = Math.min(start + length, content[index] + content[index + 2]);
+      return [crop[index] + (first - content[index]) * scale, (last - first) * scale];
+    };
+    const [top, height] = axis(box.top, box.height, 0);
+    const [left, width] = axis(box.left, box.width, 1);
+    return height > 0 && width > 0 ? { top, left, height, width } : null;
+  }
+}
+
+export default ImagePreprocessor;
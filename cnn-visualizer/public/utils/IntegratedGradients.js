@@ -1,13 +1,45 @@
 import * as tf from '@tensorflow/tfjs';
+import AttributionRenderer from './AttributionRenderer';
+import ImagePreprocessor from './ImagePreprocessor';
+
+// Baselines to integrate from; all are built in pixel space and then preprocessed like the input
+export const BASELINES = {
+  black: 'Black',
+  white: 'White',
+  blur: 'Blurred input',
+  noise: 'Uniform noise',
+  reference: 'Reference image',
+  expected: 'Expected Gradients (image set)'
+};
+
+// Quadrature rules for the path integral
+export const INTEGRATION_SCHEMES = {
+  riemannLeft: 'Riemann (left)',
+  riemannRight: 'Riemann (right)',
+  riemannTrapezoid: 'Trapezoid',
+  gaussLegendre: 'Gauss-Legendre'
+};
+
+// Completeness delta, relative to F(input) - F(baseline), above which more steps are advised
+export const COMPLETENESS_TOLERANCE = 0.05;
 
 /**
  * Implementation of Integrated Gradients for TensorFlow.js
  * Based on "Axiomatic Attribution for Deep Networks" paper
+ *
+ * The baseline should be an input that carries no signal for the class. An all-zero model
+ * input is not that in general: under [-1, 1] normalization it is a mid-grey image. Baselines
+ * are therefore built as images and preprocessed like the input. Expected Gradients ("Learning
+ * Explainable Models Using Attribution Priors", Erion et al.) averages the attributions over
+ * several baselines drawn from a set of reference images.
  */
 class IntegratedGradients {
   constructor(model) {
     this.model = model;
     this.tfModel = model.tfModel;
+    this.lastClassIndex = null; // Class explained by the most recent attributions
+    this.lastBaseline = null; // Baseline of the most recent attributions, see generateAttributions
+    this.lastCompleteness = null; // Completeness check of the most recent attributions, see checkCompleteness
   }
 
   /**
@@ -15,176 +47,329 @@ class IntegratedGradients {
    * @param {HTMLImageElement|tf.Tensor} inputImage - Input image
    * @param {number} classIndex - Class index to explain (default: predicted class)
    * @param {number} steps - Number of steps for path integration (default: 50)
-   * @returns {tf.Tensor} Attribution map tensor
+   * @param {Object} options - { baseline: a key of BASELINES (default 'black'),
+   *   blurRadius: box blur radius in input pixels for 'blur' (default 10),
+   *   referenceImage: image for 'reference', referenceImages: image set for 'expected',
+   *   samples: number of reference images drawn for 'expected' (default 4),
+   *   plus the scheme, batchSize, memoryBudget and onProgress options of integratedGradients() }
+   * @returns {tf.Tensor} Signed attributions (1, height, width, channels); see AttributionRenderer.
+   *   The baseline is kept in this.lastBaseline as pixels (height, width, channels), values
+   *   0..255, averaged over the drawn images for Expected Gradients. The completeness check,
+   *   averaged the same way, is kept in this.lastCompleteness.
+   * @throws {Error} If the baseline can't be built
    */
-  async generateAttributions(inputImage, classIndex = null, steps = 50) {
+  async generateAttributions(inputImage, classIndex = null, steps = 50, options = {}) {
     if (!this.tfModel) {
-      console.error('No TensorFlow model available');
-      return null;
+      throw new Error('No TensorFlow model available');
     }
 
+    const preprocessor = this.model.getPreprocessor();
+    const pixels = preprocessor.toInputPixels(inputImage);
+    const preprocessedInput = preprocessor.normalize(pixels);
+    let baselinePixels = [];
+    // Running sum of the attributions over the baselines (a single one unless Expected Gradients)
+    let attributions = null;
+
     try {
-      // Preprocess input image to tensor
-      const img = inputImage instanceof tf.Tensor ? inputImage : tf.browser.fromPixels(inputImage);
-      const preprocessedInput = this.preprocessImage(img);
-      
+      baselinePixels = this.createBaselines(pixels, options);
+
       // If classIndex is not provided, use the predicted class
       if (classIndex === null) {
-        const predictions = this.tfModel.predict(preprocessedInput);
-        classIndex = tf.argMax(predictions, 1).dataSync()[0];
-        predictions.dispose();
+        classIndex = tf.tidy(() => tf.argMax(this.tfModel.predict(preprocessedInput), 1).dataSync()[0]);
+      }
+      this.lastClassIndex = classIndex;
+
+      const completeness = { attributionSum: 0, scoreDifference: 0, delta: 0 };
+      for (const [index, baselinePixel] of baselinePixels.entries()) {
+        const baseline = preprocessor.normalize(baselinePixel);
+        let baselineAttributions = null;
+        try {
+          baselineAttributions = await this.integratedGradients(preprocessedInput, baseline, classIndex, steps, {
+            ...options,
+            onProgress: options.onProgress && ((done, total) => {
+              options.onProgress(index * total + done, baselinePixels.length * total);
+            })
+          });
+          const check = this.checkCompleteness(preprocessedInput, baseline, baselineAttributions, classIndex);
+          Object.keys(completeness).forEach(key => {
+            completeness[key] += check[key] / baselinePixels.length;
+          });
+          if (attributions) {
+            const summed = tf.add(attributions, baselineAttributions);
+            attributions.dispose();
+            attributions = summed;
+          } else {
+            attributions = baselineAttributions;
+            baselineAttributions = null;
+          }
+        } finally {
+          baseline.dispose();
+          if (baselineAttributions) baselineAttributions.dispose();
+        }
       }
 
-      // Create baseline input (black image)
-      const baseline = tf.zeros(preprocessedInput.shape);
-      
-      // Calculate attributions using integrated gradients
-      const attributions = await this.integratedGradients(
-        preprocessedInput,
-        baseline,
-        classIndex,
-        steps
-      );
-
-      // Clean up
-      if (img !== inputImage) img.dispose();
-      
-      return attributions;
-    } catch (error) {
-      console.error('Error generating integrated gradients:', error);
-      return null;
+      this.lastCompleteness = completeness;
+      if (this.lastBaseline) this.lastBaseline.dispose();
+      this.lastBaseline = tf.tidy(() => tf.mean(tf.concat(baselinePixels, 0), 0));
+
+      return tf.div(attributions, baselinePixels.length);
+    } finally {
+      // The sum is freed on failure too; a run can stop part way through the baselines
+      if (attributions) attributions.dispose();
+      pixels.dispose();
+      preprocessedInput.dispose();
+      tf.dispose(baselinePixels);
+    }
+  }
+
+  /**
+   * Build baseline images for an input
+   * @param {tf.Tensor} pixels - Input pixels at the model input size (1, height, width, channels)
+   * @param {Object} options - See generateAttributions()
+   * @returns {Array<tf.Tensor>} Baseline pixels, each shaped like the input
+   * @throws {Error} If the baseline type is unknown or its reference images are missing
+   */
+  createBaselines(pixels, options = {}) {
+    const {
+      baseline = 'black',
+      blurRadius = 10,
+      referenceImage = null,
+      referenceImages = [],
+      samples = 4
+    } = options;
+    const preprocessor = this.model.getPreprocessor();
+
+    switch (baseline) {
+      case 'black':
+        return [tf.zerosLike(pixels)];
+      case 'white':
+        return [tf.fill(pixels.shape, 255)];
+      case 'blur':
+        return [ImagePreprocessor.blur(pixels, blurRadius)];
+      case 'noise':
+        return [tf.randomUniform(pixels.shape, 0, 255)];
+      case 'reference':
+        if (!referenceImage) {
+          throw new Error('Upload a reference image to use as the baseline');
+        }
+        return [preprocessor.toInputPixels(referenceImage)];
+      case 'expected': {
+        if (!referenceImages.length) {
+          throw new Error('Expected Gradients needs a set of reference images');
+        }
+        // Draw without replacement (partial Fisher-Yates), so a small set is simply used whole
+        const pool = [...referenceImages];
+        const count = Math.min(pool.length, Math.max(1, samples));
+        for (let i = 0; i < count; i++) {
+          const j = i + Math.floor(Math.random() * (pool.length - i));
+          [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        return pool.slice(0, count).map(image => preprocessor.toInputPixels(image));
+      }
+      default:
+        throw new Error(`Unknown baseline: ${baseline}`);
     }
   }
 
   /**
    * Calculate attributions using integrated gradients algorithm
+   *
+   * The path integral is approximated by a weighted sum of gradients at points along the
+   * straight line from the baseline to the input. The points are evaluated in batches.
    * @param {tf.Tensor} input - Input tensor
-   * @param {tf.Tensor} baseline - Baseline tensor (typically zeros)
+   * @param {tf.Tensor} baseline - Preprocessed baseline, shaped like the input
    * @param {number} classIndex - Class index to explain
    * @param {number} steps - Number of steps for approximation
-   * @returns {tf.Tensor} Attribution map
+   * @param {Object} options - { scheme: a key of INTEGRATION_SCHEMES (default 'riemannTrapezoid'),
+   *   batchSize: points per backward pass (default: sized to the memory budget),
+   *   memoryBudget: bytes a batch may use (default getMemoryBudget()),
+   *   onProgress: called with (pointsDone, pointCount) after each batch }
+   * @returns {Promise<tf.Tensor>} Attribution map
    */
-  async integratedGradients(input, baseline, classIndex, steps) {
-    // Calculate step size
-    const delta = tf.sub(input, baseline).div(steps);
-    
-    // Initialize sum of gradients
-    let gradientSum = tf.zeros(input.shape);
-    
-    // Compute integral approximation
-    for (let i = 0; i <= steps; i++) {
-      // Calculate interpolated input: baseline + (i/steps) * (input - baseline)
-      const scaledDelta = delta.mul(i / steps);
-      const interpolatedInput = baseline.add(scaledDelta);
-      
-      // Create a copy with gradient tracking enabled
-      const interpWithGrads = tf.tidy(() => {
-        return tf.variable(interpolatedInput);
-      });
-      
-      // Get gradients
-      const gradTape = tf.grad(x => {
-        const prediction = this.tfModel.predict(x);
-        return prediction.gather([classIndex], 1);
-      });
-      
-      const gradients = gradTape(interpWithGrads);
-      
-      // Add to sum
-      gradientSum = tf.add(gradientSum, gradients);
-      
-      // Clean up
-      interpWithGrads.dispose();
-      gradients.dispose();
+  async integratedGradients(input, baseline, classIndex, steps, options = {}) {
+    const {
+      scheme = 'riemannTrapezoid',
+      memoryBudget = IntegratedGradients.getMemoryBudget(),
+      onProgress = null
+    } = options;
+    const { alphas, weights } = IntegratedGradients.getIntegrationPoints(scheme, steps);
+    const batchSize = options.batchSize || this.getBatchSize(input, memoryBudget);
+
+    const difference = tf.sub(input, baseline);
+    let gradientSum = tf.zerosLike(input);
+
+    try {
+      for (let start = 0; start < alphas.length; start += batchSize) {
+        const batchAlphas = alphas.slice(start, start + batchSize);
+        const batchWeights = weights.slice(start, start + batchSize);
+        const batchSum = tf.tidy(() => {
+          const alpha = tf.tensor1d(batchAlphas).reshape([-1, 1, 1, 1]);
+          const interpolated = tf.add(baseline, tf.mul(alpha, difference));
+          // Summing the class scores over the batch gives each point its own gradient
+          const gradients = tf.grad(x => this.tfModel.predict(x).gather([classIndex], 1).sum())(interpolated);
+          const weight = tf.tensor1d(batchWeights).reshape([-1, 1, 1, 1]);
+          return tf.sum(tf.mul(gradients, weight), 0, true);
+        });
+        const updated = tf.add(gradientSum, batchSum);
+        gradientSum.dispose();
+        batchSum.dispose();
+        gradientSum = updated;
+
+        if (onProgress) onProgress(Math.min(start + batchSize, alphas.length), alphas.length);
+        await tf.nextFrame();
+      }
+
+      // Signed and per channel; AttributionRenderer collapses them for display
+      return tf.mul(difference, gradientSum);
+    } finally {
+      difference.dispose();
+      gradientSum.dispose();
     }
-    
-    // Approximate the integral by averaging
-    const averagedGradients = gradientSum.div(steps + 1);
-    
-    // Calculate attributions: (input - baseline) * averaged_gradients
-    const inputDiff = tf.sub(input, baseline);
-    const attributions = tf.mul(inputDiff, averagedGradients);
-    
-    // Clean up
-    gradientSum.dispose();
-    averagedGradients.dispose();
-    inputDiff.dispose();
-    
-    // Sum across channels to get a single attribution map
-    return tf.sum(tf.abs(attributions), -1);
   }
 
   /**
-   * Preprocess image for the model
-   * @param {tf.Tensor} img - Input image tensor
+   * Points and weights on [0, 1] at which to evaluate the gradient; the weights sum to 1
+   * @param {string} scheme - A key of INTEGRATION_SCHEMES
+   * @param {number} steps - Number of intervals (Riemann) or nodes (Gauss-Legendre)
+   * @returns {Object} { alphas: Array<number>, weights: Array<number> }
+   */
+  static getIntegrationPoints(scheme, steps) {
+    const n = Math.max(1, Math.round(steps));
+    const range = count => Array.from({ length: count }, (_, i) => i);
+
+    switch (scheme) {
+      case 'riemannLeft':
+        return { alphas: range(n).map(i => i / n), weights: range(n).map(() => 1 / n) };
+      case 'riemannRight':
+        return { alphas: range(n).map(i => (i + 1) / n), weights: range(n).map(() => 1 / n) };
+      case 'riemannTrapezoid':
+        return {
+          alphas: range(n + 1).map(i => i / n),
+          weights: range(n + 1).map(i => (i === 0 || i === n ? 0.5 : 1) / n)
+        };
+      case 'gaussLegendre':
+        return IntegratedGradients.gaussLegendre(n);
+      default:
+        throw new Error(`Unknown integration scheme: ${scheme}`);
+    }
+  }
+
+  /**
+   * Gauss-Legendre nodes and weights mapped to [0, 1]. Exact for polynomials of degree up
+   * to 2n - 1, so it usually needs far fewer points than the Riemann sums for smooth paths.
+   * @param {number} n - Number of nodes
+   * @returns {Object} { alphas: Array<number>, weights: Array<number> }
+   */
+  static gaussLegendre(n) {
+    // Legendre polynomial P_n and its derivative at x, from the three-term recurrence
+    const legendre = (x) => {
+      let previous = 1;
+      let current = x;
+      for (let k = 2; k <= n; k++) {
+        [previous, current] = [current, ((2 * k - 1) * x * current - (k - 1) * previous) / k];
+      }
+      return { value: current, derivative: n * (x * current - previous) / (x * x - 1) };
+    };
+
+    const alphas = [];
+    const weights = [];
+    for (let i = 1; i <= n; i++) {
+      // Newton's method from the standard initial guess for the i-th root
+      let x = Math.cos(Math.PI * (i - 0.25) / (n + 0.5));
+      for (let iteration = 0; iteration < 100; iteration++) {
+        const { value, derivative } = legendre(x);
+        const dx = value / derivative;
+        x -= dx;
+        if (Math.abs(dx) < 1e-15) break;
+      }
+      const { derivative } = legendre(x);
+      alphas.push((x + 1) / 2);
+      weights.push(1 / ((1 - x * x) * derivative * derivative));
+    }
+    return { alphas, weights };
+  }
+
+  /**
+   * How many interpolation points fit in one backward pass, from an estimate of the memory
+   * a single point takes: the activations of every layer plus their gradients
+   * @param {tf.Tensor} input - Preprocessed input batch of 1
+   * @param {number} memoryBudget - Bytes a batch may use
+   * @returns {number} Batch size, at least 1
+   */
+  getBatchSize(input, memoryBudget) {
+    const layers = this.tfModel.layers || [];
+    let values = 0;
+    layers.forEach(layer => {
+      const shapes = Array.isArray(layer.outputShape[0]) ? layer.outputShape : [layer.outputShape];
+      shapes.forEach(shape => {
+        values += shape.slice(1).reduce((size, dim) => size * (dim || 1), 1);
+      });
+    });
+    // Graph models don't expose their layers; assume activations of about 50 inputs
+    const bytesPerPoint = (layers.length ? values : input.size * 50) * 4 * 2;
+    return Math.max(1, Math.floor(memoryBudget / bytesPerPoint));
+  }
+
+  /**
+   * Memory budget for one batch of interpolation points
+   * @returns {number} Bytes
+   */
+  static getMemoryBudget() {
+    // navigator.deviceMemory (Chromium only) is the device RAM in GB, rounded to a power of two
+    const deviceMemory = typeof navigator !== 'undefined' && navigator.deviceMemory;
+    const megabytes = deviceMemory ? Math.min(512, Math.max(64, deviceMemory * 32)) : 128;
+    return megabytes * 1024 * 1024;
+  }
+
+  /**
+   * Check the completeness axiom: the attributions should sum to F(input) - F(baseline).
+   * The difference is the error of the integral approximation, and shrinks with more steps.
+   * @param {tf.Tensor} input - Preprocessed input
+   * @param {tf.Tensor} baseline - Preprocessed baseline
+   * @param {tf.Tensor} attributions - Attributions from integratedGradients()
+   * @param {number} classIndex - Class index the attributions explain
+   * @returns {Object} { attributionSum, scoreDifference, delta }
+   */
+  checkCompleteness(input, baseline, attributions, classIndex) {
+    return tf.tidy(() => {
+      const inputScore = this.tfModel.predict(input).gather([classIndex], 1).dataSync()[0];
+      const baselineScore = this.tfModel.predict(baseline).gather([classIndex], 1).dataSync()[0];
+      const attributionSum = tf.sum(attributions).dataSync()[0];
+      const scoreDifference = inputScore - baselineScore;
+      return { attributionSum, scoreDifference, delta: attributionSum - scoreDifference };
+    });
+  }
+
+  /**
+   * Whether a completeness check shows the approximation has converged
+   * @param {Object} completeness - See checkCompleteness(); lastCompleteness has the same fields
+   * @param {number} tolerance - Allowed delta relative to F(input) - F(baseline)
+   * @returns {boolean} True if |delta| is within the tolerance
+   */
+  static isConverged(completeness, tolerance = COMPLETENESS_TOLERANCE) {
+    // Absolute floor, so a near-zero score difference doesn't demand an exact integral
+    return Math.abs(completeness.delta) <= tolerance * Math.max(Math.abs(completeness.scoreDifference), 0.01);
+  }
+
+  /**
+   * Preprocess image the way the model expects (see ImagePreprocessor)
+   * @param {tf.Tensor} img - Input image tensor with pixel values 0..255
    * @returns {tf.Tensor} Preprocessed image
    */
   preprocessImage(img) {
-    // Resize to match the model's expected input
-    const resized = tf.image.resizeBilinear(img, [224, 224]);
-    
-    // Expand dimensions to create a batch of 1
-    const expanded = resized.expandDims(0);
-    
-    // Normalize pixel values to [0, 1]
-    const normalized = expanded.div(255.0);
-    
-    return normalized;
+    return this.model.getPreprocessor().preprocess(img);
   }
 
   /**
    * Apply attribution map to original image to create a visualization
    * @param {HTMLImageElement|tf.Tensor} originalImage - Original image
-   * @param {tf.Tensor} attributionMap - Attribution map tensor
+   * @param {tf.Tensor} attributionMap - Attributions from generateAttributions
    * @param {number} alpha - Blend factor (0-1)
+   * @param {string} mode - 'absolute' or 'signed', see AttributionRenderer
    * @returns {tf.Tensor} Visualization tensor
    */
-  async applyAttributionMap(originalImage, attributionMap, alpha = 0.5) {
-    // Convert originalImage to tensor if it's not already
-    const origImg = originalImage instanceof tf.Tensor ? 
-      originalImage : 
-      tf.browser.fromPixels(originalImage);
-    
-    // Resize attribution map to match original image dimensions
-    const resizedMap = tf.image.resizeBilinear(
-      attributionMap.expandDims(-1), 
-      [origImg.shape[0], origImg.shape[1]]
-    );
-    
-    // Normalize attribution map to 0-1 range
-    const normalizedMap = tf.tidy(() => {
-      const minVal = resizedMap.min();
-      const maxVal = resizedMap.max();
-      return resizedMap.sub(minVal).div(maxVal.sub(minVal).add(1e-5));
-    });
-    
-    // Create a heatmap (red-yellow-blue) from the attribution values
-    const heatmap = tf.tidy(() => {
-      // Create RGB channels
-      // Blue to Yellow to Red color mapping
-      const r = normalizedMap;
-      const g = tf.mul(normalizedMap, 0.8);
-      const b = tf.sub(1, normalizedMap);
-      
-      return tf.stack([r, g, b], -1).mul(255);
-    });
-    
-    // Blend original image with heatmap
-    const blendedImage = tf.tidy(() => {
-      const scaledOrig = tf.cast(origImg, 'float32');
-      return tf.add(
-        tf.mul(scaledOrig, 1 - alpha),
-        tf.mul(heatmap, alpha)
-      );
-    });
-    
-    // Clean up
-    if (origImg !== originalImage) origImg.dispose();
-    resizedMap.dispose();
-    normalizedMap.dispose();
-    heatmap.dispose();
-    
-    return blendedImage;
+  async applyAttributionMap(originalImage, attributionMap, alpha = 0.5, mode = 'absolute') {
+    return AttributionRenderer.render(originalImage, attributionMap, this.model.getPreprocessor(), { mode, alpha });
   }
 }
 
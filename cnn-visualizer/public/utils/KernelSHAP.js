@@ -0,0 +1,286 @@
+import * as tf from '@tensorflow/tfjs';
+import ImagePreprocessor from './ImagePreprocessor';
+import SuperpixelSegmenter from './SuperpixelSegmenter';
+import SeededRandom from './SeededRandom';
+import WeightedRegression from './WeightedRegression';
+import LIME from './LIME';
+
+// How the image is split into the regions (players) that get Shapley values
+export const FEATURE_PARTITIONS = {
+  superpixels: 'Superpixels',
+  grid: 'Grid'
+};
+
+// What a region is replaced with when it is left out of a coalition
+export const SHAP_BACKGROUNDS = {
+  blur: 'Blurred',
+  grey: 'Grey'
+};
+
+/**
+ * KernelSHAP for images
+ * Based on "A Unified Approach to Interpreting Model Predictions" (Lundberg & Lee)
+ *
+ * The image is split into regions (superpixels, or the cells of a grid at a given level of a
+ * quadtree), and the model is run on coalitions: copies where only some regions are kept and
+ * the rest are replaced by a background. A weighted least-squares fit with the Shapley kernel,
+ * constrained so the values add up exactly to f(image) - f(background), gives the Shapley
+ * value of each region. With few regions every coalition is evaluated and the values are
+ * exact; otherwise coalitions are sampled (seeded, in complementary pairs).
+ */
+class KernelSHAP {
+  constructor(model) {
+    this.model = model;
+    this.tfModel = model.tfModel;
+  }
+
+  /**
+   * Explain a prediction
+   * @param {HTMLImageElement|tf.Tensor} inputImage - Input image
+   * @param {number} classIndex - Class index to explain (default: predicted class)
+   * @param {Object} options - { features: a key of FEATURE_PARTITIONS (default 'superpixels'),
+   *   segments: approximate number of superpixels (default 50), compactness: SLIC compactness
+   *   (default 10), gridLevel: quadtree level of the grid, 2^level cells per side (default 3),
+   *   background: a key of SHAP_BACKGROUNDS (default 'blur'), samples: coalitions to evaluate
+   *   (default 1000), seed: random seed (default 0), ridge: regularization relative to the
+   *   total kernel weight, only there to keep rarely sampled regions solvable (default 1e-6),
+   *   batchSize: copies per forward pass (default 32), onProgress: called with
+   *   (coalitionsDone, coalitions) after each batch }
+   * @returns {Promise<Object>} Explanation: { classIndex, size: [height, width] of the model
+   *   input, labels: region per pixel, segmentCount, values: Shapley value per region,
+   *   baseValue: class probability of the background, prediction: class probability of the
+   *   image, exact: whether every coalition was evaluated }
+   */
+  async explain(inputImage, classIndex = null, options = {}) {
+    if (!this.tfModel) {
+      throw new Error('No TensorFlow model available');
+    }
+    const {
+      features = 'superpixels',
+      segments = 50,
+      compactness = 10,
+      gridLevel = 3,
+      background = 'blur',
+      samples = 1000,
+      seed = 0,
+      ridge = 1e-6,
+      batchSize = 32,
+      onProgress = null
+    } = options;
+
+    const pixels = this.model.getPreprocessor().toInputPixels(inputImage);
+    let fill = null;
+
+    try {
+      const [, height, width, channels] = pixels.shape;
+      let partition;
+      switch (features) {
+        case 'superpixels':
+          partition = SuperpixelSegmenter.slic(await pixels.data(), width, height, channels, { segments, compactness });
+          break;
+        case 'grid':
+          partition = KernelSHAP.createGrid([height, width], gridLevel);
+          break;
+        default:
+          throw new Error(`Unknown feature partition: ${features}`);
+      }
+      const { labels, count } = partition;
+      fill = this.createBackground(pixels, background);
+
+      if (classIndex === null) {
+        classIndex = tf.tidy(() => this.model.predictPixels(pixels).argMax(-1).dataSync()[0]);
+      }
+
+      // The full image and the background come first; their scores anchor the fit
+      const { states: coalitions, weights, exact } = KernelSHAP.createCoalitions(count, samples, new SeededRandom(seed));
+      const states = [new Uint8Array(count).fill(1), new Uint8Array(count), ...coalitions];
+
+      const targets = new Float64Array(states.length);
+      for (let start = 0; start < states.length; start += batchSize) {
+        const batch = states.slice(start, start + batchSize);
+        const scores = tf.tidy(() => {
+          const masks = LIME.createMasks(batch, labels, [height, width]);
+          const perturbed = tf.add(tf.mul(pixels, masks), tf.mul(fill, tf.sub(1, masks)));
+          return this.model.predictPixels(perturbed).gather([classIndex], 1).squeeze([1]);
+        });
+        targets.set(await scores.data(), start);
+        scores.dispose();
+
+        if (onProgress) onProgress(Math.min(start + batchSize, states.length), states.length);
+        await tf.nextFrame();
+      }
+
+      const [prediction, baseValue] = targets;
+      const values = KernelSHAP.solve(coalitions, targets.subarray(2), weights, baseValue, prediction, ridge);
+
+      return {
+        classIndex,
+        size: [height, width],
+        labels,
+        segmentCount: count,
+        values,
+        baseValue,
+        prediction,
+        exact
+      };
+    } finally {
+      pixels.dispose();
+      if (fill) fill.dispose();
+    }
+  }
+
+  /**
+   * What regions left out of a coalition are replaced with
+   * @param {tf.Tensor} pixels - Input pixels (1, height, width, channels), values 0..255
+   * @param {string} background - A key of SHAP_BACKGROUNDS
+   * @returns {tf.Tensor} Background image shaped like pixels
+   */
+  createBackground(pixels, background) {
+    switch (background) {
+      case 'grey':
+        return tf.fill(pixels.shape, 127.5);
+      case 'blur':
+        // Strong enough to remove object detail while keeping the overall colors
+        return ImagePreprocessor.blur(pixels, Math.max(pixels.shape[1], pixels.shape[2]) / 16);
+      default:
+        throw new Error(`Unknown background: ${background}`);
+    }
+  }
+
+  /**
+   * Square grid partition at one level of a quadtree
+   * @param {Array<number>} size - [height, width]
+   * @param {number} level - 0 is the whole image, each level splits every cell in four
+   * @returns {Object} { labels: Int32Array with a cell index per pixel (row-major), count }
+   */
+  static createGrid([height, width], level) {
+    const cells = 2 ** Math.max(0, Math.round(level));
+    const labels = new Int32Array(height * width);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        labels[y * width + x] = Math.floor((y * cells) / height) * cells + Math.floor((x * cells) / width);
+      }
+    }
+    return { labels, count: cells * cells };
+  }
+
+  /**
+   * Coalitions to evaluate, excluding the empty and the full one. When the budget covers all
+   * 2^M - 2 of them they are enumerated and weighted with the Shapley kernel
+   * (M - 1) / (C(M, s) s (M - s)); otherwise the size s is drawn with probability proportional
+   * to the kernel mass of that size, (M - 1) / (s (M - s)), then a uniform subset of that size
+   * together with its complement, and every sample gets the same weight.
+   * @param {number} count - Number of regions M
+   * @param {number} samples - Coalition budget
+   * @param {SeededRandom} random - Random source
+   * @returns {Object} { states: Array<Uint8Array>, weights: Float64Array, exact }
+   */
+  static createCoalitions(count, samples, random) {
+    const states = [];
+    if (count < 2) {
+      return { states, weights: new Float64Array(0), exact: true };
+    }
+
+    if (count < 31 && 2 ** count - 2 <= samples) {
+      const binomial = KernelSHAP.binomials(count);
+      const weights = [];
+      for (let code = 1; code < 2 ** count - 1; code++) {
+        const state = Uint8Array.from({ length: count }, (_, j) => (code >> j) & 1);
+        const size = state.reduce((sum, on) => sum + on, 0);
+        states.push(state);
+        weights.push((count - 1) / (binomial[size] * size * (count - size)));
+      }
+      return { states, weights: Float64Array.from(weights), exact: true };
+    }
+
+    const sizeMass = Array.from({ length: count - 1 }, (_, i) => (count - 1) / ((i + 1) * (count - i - 1)));
+    const totalMass = sizeMass.reduce((sum, mass) => sum + mass, 0);
+    const order = Array.from({ length: count }, (_, j) => j);
+    while (states.length < samples) {
+      let draw = random.next() * totalMass;
+      let size = 1;
+      while (size < count - 1 && draw >= sizeMass[size - 1]) {
+        draw -= sizeMass[size - 1];
+        size++;
+      }
+      // Partial Fisher-Yates shuffle for a uniform subset of that size
+      for (let j = 0; j < size; j++) {
+        const k = j + random.nextInt(count - j);
+        [order[j], order[k]] = [order[k], order[j]];
+      }
+      const state = new Uint8Array(count);
+      for (let j = 0; j < size; j++) state[order[j]] = 1;
+      states.push(state, state.map(on => 1 - on));
+    }
+    return { states, weights: new Float64Array(states.length).fill(1), exact: false };
+  }
+
+  // Binomial coefficients C(n, k) for k = 0..n
+  static binomials(n) {
+    const row = [1];
+    for (let k = 1; k <= n; k++) row.push((row[k - 1] * (n - k + 1)) / k);
+    return row;
+  }
+
+  /**
+   * Weighted least squares for the Shapley values under the constraint that they sum to
+   * prediction - baseValue. The constraint removes the last value: with
+   * d = prediction - baseValue, fitting y - baseValue - z_M d on (z_j - z_M) for j < M, with
+   * no intercept, gives the others.
+   * @param {Array<Uint8Array>} states - Coalitions
+   * @param {ArrayLike<number>} targets - Class probability per coalition
+   * @param {ArrayLike<number>} weights - Weight per coalition
+   * @param {number} baseValue - Probability with every region left out
+   * @param {number} prediction - Probability with every region kept
+   * @param {number} ridge - Regularization relative to the total weight
+   * @returns {Float64Array} Shapley value per region
+   */
+  static solve(states, targets, weights, baseValue, prediction, ridge) {
+    const difference = prediction - baseValue;
+    const count = states.length > 0 ? states[0].length : 1;
+    const values = new Float64Array(count);
+    if (count < 2 || states.length === 0) {
+      // A single region gets the whole difference
+      values[count - 1] = difference;
+      return values;
+    }
+
+    const last = count - 1;
+    const rows = states.map(state => Float64Array.from(state.subarray(0, last), on => on - state[last]));
+    const adjusted = Float64Array.from(states, (state, n) => targets[n] - baseValue - state[last] * difference);
+    const totalWeight = Array.prototype.reduce.call(weights, (sum, w) => sum + w, 0);
+    const { coefficients } = WeightedRegression.fit(rows, adjusted, weights, { ridge: ridge * totalWeight, intercept: false });
+
+    values.set(coefficients);
+    values[last] = difference - coefficients.reduce((sum, value) => sum + value, 0);
+    return values;
+  }
+
+  /**
+   * Shapley value of each pixel's region
+   * @param {Object} explanation - Result of explain()
+   * @returns {tf.Tensor} Map at the model input size (height, width)
+   */
+  static toMap(explanation) {
+    const { labels, values, size } = explanation;
+    return tf.tensor2d(Float32Array.from(labels, label => values[label]), size);
+  }
+
+  /**
+   * Regions with the largest positive and negative Shapley values
+   * @param {Object} explanation - Result of explain()
+   * @param {number} topK - How many of each to return
+   * @returns {Object} { positive, negative }: arrays of { segment, weight }, where weight is
+   *   the Shapley value, strongest first (the same shape as LIME.getTopSegments())
+   */
+  static getTopRegions(explanation, topK) {
+    const ranked = Array.from(explanation.values, (weight, segment) => ({ segment, weight }))
+      .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+    return {
+      positive: ranked.filter(entry => entry.weight > 0).slice(0, topK),
+      negative: ranked.filter(entry => entry.weight < 0).slice(0, topK)
+    };
+  }
+}
+
+export default KernelSHAP;
@@ -0,0 +1,231 @@
+import * as tf from '@tensorflow/tfjs';
+import SuperpixelSegmenter from './SuperpixelSegmenter';
+import SeededRandom from './SeededRandom';
+import WeightedRegression from './WeightedRegression';
+
+/**
+ * LIME for images
+ * Based on "Why Should I Trust You?": Explaining the Predictions of Any Classifier (Ribeiro et al.)
+ *
+ * The image is split into superpixels, and many copies with random superpixels hidden (filled
+ * with their mean color) are run through the model. A weighted ridge regression from "which
+ * superpixels are visible" to the class probability, with copies closer to the original image
+ * weighted higher, is a local linear surrogate of the model; its coefficients are the
+ * explanation. Sampling is seeded, so the same settings give the same explanation.
+ *
+ * Segmentation runs on the image as the model sees it (resized to the input size), so the
+ * superpixels line up with what the perturbations change.
+ */
+class LIME {
+  constructor(model) {
+    this.model = model;
+    this.tfModel = model.tfModel;
+  }
+
+  /**
+   * Explain a prediction
+   * @param {HTMLImageElement|tf.Tensor} inputImage - Input image
+   * @param {number} classIndex - Class index to explain (default: predicted class)
+   * @param {Object} options - { segments: approximate number of superpixels (default 50),
+   *   compactness: SLIC compactness (default 10), samples: perturbed copies (default 500),
+   *   kernelWidth: width of the exponential kernel on cosine distance (default 0.25),
+   *   seed: random seed (default 0), ridge: regularization strength (default 1),
+   *   batchSize: copies per forward pass (default 32),
+   *   onProgress: called with (samplesDone, samples) after each batch }
+   * @returns {Promise<Object>} Explanation: { classIndex, size: [height, width] of the model
+   *   input, labels: superpixel per pixel, segmentCount, coefficients: one per superpixel,
+   *   intercept, score: weighted R² of the surrogate on the samples }
+   */
+  async explain(inputImage, classIndex = null, options = {}) {
+    if (!this.tfModel) {
+      throw new Error('No TensorFlow model available');
+    }
+    const {
+      segments = 50,
+      compactness = 10,
+      samples = 500,
+      kernelWidth = 0.25,
+      seed = 0,
+      ridge = 1,
+      batchSize = 32,
+      onProgress = null
+    } = options;
+
+    const pixels = this.model.getPreprocessor().toInputPixels(inputImage);
+    let fill = null;
+
+    try {
+      const [, height, width, channels] = pixels.shape;
+      const pixelValues = await pixels.data();
+      const { labels, count } = SuperpixelSegmenter.slic(pixelValues, width, height, channels, { segments, compactness });
+      fill = LIME.createMeanFill(pixelValues, labels, count, pixels.shape);
+
+      // Rows of superpixel on/off states; the first is the unperturbed image
+      const random = new SeededRandom(seed);
+      const states = [new Uint8Array(count).fill(1)];
+      for (let n = 1; n < samples; n++) {
+        states.push(Uint8Array.from({ length: count }, () => (random.nextBoolean() ? 1 : 0)));
+      }
+
+      if (classIndex === null) {
+        classIndex = tf.tidy(() => this.model.predictPixels(pixels).argMax(-1).dataSync()[0]);
+      }
+
+      const targets = new Float64Array(samples);
+      for (let start = 0; start < samples; start += batchSize) {
+        const batch = states.slice(start, start + batchSize);
+        const scores = tf.tidy(() => {
+          const masks = LIME.createMasks(batch, labels, [height, width]);
+          const perturbed = tf.add(tf.mul(pixels, masks), tf.mul(fill, tf.sub(1, masks)));
+          return this.model.predictPixels(perturbed).gather([classIndex], 1).squeeze([1]);
+        });
+        targets.set(await scores.data(), start);
+        scores.dispose();
+
+        if (onProgress) onProgress(Math.min(start + batchSize, samples), samples);
+        await tf.nextFrame();
+      }
+
+      const weights = states.map(state => LIME.kernel(state, kernelWidth));
+      const { coefficients, intercept, score } = WeightedRegression.fit(states, targets, weights, { ridge });
+
+      return {
+        classIndex,
+        size: [height, width],
+        labels,
+        segmentCount: count,
+        coefficients,
+        intercept,
+        score
+      };
+    } finally {
+      pixels.dispose();
+      if (fill) fill.dispose();
+    }
+  }
+
+  /**
+   * Image with every superpixel filled with its mean color, used for hidden superpixels
+   * @returns {tf.Tensor} Fill image with the given shape
+   */
+  static createMeanFill(pixelValues, labels, count, shape) {
+    const channels = shape[3];
+    const sums = new Float64Array(count * channels);
+    const sizes = new Float64Array(count);
+    labels.forEach((label, i) => {
+      sizes[label] += 1;
+      for (let c = 0; c < channels; c++) {
+        sums[label * channels + c] += pixelValues[i * channels + c];
+      }
+    });
+    const values = new Float32Array(labels.length * channels);
+    labels.forEach((label, i) => {
+      for (let c = 0; c < channels; c++) {
+        values[i * channels + c] = sums[label * channels + c] / sizes[label];
+      }
+    });
+    return tf.tensor4d(values, shape);
+  }
+
+  /**
+   * Pixel masks for superpixel states
+   * @param {Array<Uint8Array>} states - On/off per superpixel, one row per mask
+   * @param {Int32Array} labels - Superpixel per pixel
+   * @param {Array<number>} size - [height, width]
+   * @returns {tf.Tensor} Masks (states.length, height, width, 1), 1 where the pixel is visible
+   */
+  static createMasks(states, labels, [height, width]) {
+    const pixelCount = height * width;
+    const values = new Float32Array(states.length * pixelCount);
+    states.forEach((state, n) => {
+      for (let i = 0; i < pixelCount; i++) {
+        values[n * pixelCount + i] = state[labels[i]];
+      }
+    });
+    return tf.tensor4d(values, [states.length, height, width, 1]);
+  }
+
+  /**
+   * Sample weight: exponential kernel on the cosine distance to the all-visible state
+   * @param {Uint8Array} state - On/off per superpixel
+   * @param {number} kernelWidth - Kernel width
+   * @returns {number} Weight in (0, 1]
+   */
+  static kernel(state, kernelWidth) {
+    const visible = state.reduce((sum, on) => sum + on, 0);
+    // cos(state, ones) = visible / (sqrt(visible) * sqrt(n))
+    const distance = 1 - Math.sqrt(visible / state.length);
+    return Math.sqrt(Math.exp(-(distance * distance) / (kernelWidth * kernelWidth)));
+  }
+
+  /**
+   * Coefficient of each pixel's superpixel
+   * @param {Object} explanation - Result of explain()
+   * @returns {tf.Tensor} Map at the model input size (height, width)
+   */
+  static toMap(explanation) {
+    const { labels, coefficients, size } = explanation;
+    return tf.tensor2d(Float32Array.from(labels, label => coefficients[label]), size);
+  }
+
+  /**
+   * Superpixels with the largest positive and negative coefficients
+   * @param {Object} explanation - Result of explain()
+   * @param {number} topK - How many of each to return
+   * @returns {Object} { positive, negative }: arrays of { segment, weight }, strongest first
+   */
+  static getTopSegments(explanation, topK) {
+    const ranked = Array.from(explanation.coefficients, (weight, segment) => ({ segment, weight }))
+      .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+    return {
+      positive: ranked.filter(entry => entry.weight > 0).slice(0, topK),
+      negative: ranked.filter(entry => entry.weight < 0).slice(0, topK)
+    };
+  }
+
+  /**
+   * Render the top superpixels over the original image: supporting superpixels tinted green,
+   * opposing ones red, outlined in yellow, and the rest of the image dimmed
+   * @param {HTMLImageElement|tf.Tensor} originalImage - Image the explanation is for
+   * @param {Object} explanation - Result of explain()
+   * @param {ImagePreprocessor} preprocessor - Preprocessor of the model, to map the
+   *   superpixels back onto the image
+   * @param {Object} options - { topK: superpixels of each sign to show (default 5) }
+   * @returns {tf.Tensor} Image with the overlay, int32 (height, width, 3)
+   */
+  static render(originalImage, explanation, preprocessor, options = {}) {
+    const { topK = 5 } = options;
+    const { labels, size: [height, width], segmentCount } = explanation;
+    const { positive, negative } = LIME.getTopSegments(explanation, topK);
+
+    // Overlay color and opacity per superpixel
+    const segmentColors = Array.from({ length: segmentCount }, () => [0, 0, 0, 0.6]);
+    positive.forEach(({ segment }) => { segmentColors[segment] = [0, 200, 0, 0.4]; });
+    negative.forEach(({ segment }) => { segmentColors[segment] = [220, 0, 0, 0.4]; });
+    const highlighted = new Set([...positive, ...negative].map(({ segment }) => segment));
+
+    const overlay = new Float32Array(height * width * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const label = labels[i];
+        const isBorder = (x + 1 < width && labels[i + 1] !== label) || (y + 1 < height && labels[i + width] !== label);
+        overlay.set(highlighted.has(label) && isBorder ? [255, 255, 0, 1] : segmentColors[label], i * 4);
+      }
+    }
+
+    return tf.tidy(() => {
+      const origImg = originalImage instanceof tf.Tensor
+        ? originalImage
+        : tf.browser.fromPixels(originalImage);
+      const mapped = preprocessor.toImageSpace(tf.tensor3d(overlay, [height, width, 4]), origImg.shape);
+      const colors = mapped.slice([0, 0, 0], [-1, -1, 3]);
+      const alpha = mapped.slice([0, 0, 3], [-1, -1, 1]);
+      const image = tf.cast(origImg.slice([0, 0, 0], [-1, -1, 3]), 'float32');
+      const blended = tf.add(tf.mul(image, tf.sub(1, alpha)), tf.mul(colors, alpha));
+      return tf.cast(tf.clipByValue(blended, 0, 255), 'int32');
+    });
+  }
+}
+
+export default LIME;
@@ -0,0 +1,227 @@
+/**
+ * Shape propagation and cost analysis over a model description's layers.
+ * Shapes are channels-last and exclude the batch dimension, e.g. [224, 224, 3].
+ * MACs are multiply-accumulate operations for a single input example.
+ */
+class LayerAnalysis {
+  /**
+   * Annotate every layer with its output shape, parameter counts and MACs.
+   * Values reported by a loaded TF.js model (`output_shape`, `trainable_params`,
+   * `non_trainable_params`) are kept; everything else is derived from the layer config.
+   * @param {Array<Object>} layers - Linked layers (see ModelGraph.linkLayers) in topological order
+   * @returns {Array<Object>} Copies of the layers with `output_shape`, `trainable_params`,
+   *   `non_trainable_params` and `macs` set (null where they can't be determined)
+   */
+  static analyzeLayers(layers) {
+    if (!Array.isArray(layers)) return [];
+
+    const shapes = {};
+    return layers.map(layer => {
+      const inputShapes = this.getInputShapes(layer, shapes);
+      const cost = this.analyzeLayer(layer, inputShapes);
+
+      const outputShape = Array.isArray(layer.output_shape) ? layer.output_shape : cost.outputShape;
+      shapes[layer.name] = outputShape;
+
+      return {
+        ...layer,
+        output_shape: outputShape,
+        trainable_params: Number.isFinite(layer.trainable_params) ? layer.trainable_params : cost.trainableParams,
+        non_trainable_params: Number.isFinite(layer.non_trainable_params) ? layer.non_trainable_params : cost.nonTrainableParams,
+        macs: cost.macs
+      };
+    });
+  }
+
+  /**
+   * Sum the per-layer figures. `complete` is false when some layer's cost is unknown,
+   * in which case the totals are lower bounds.
+   * @param {Array<Object>} layers - Layers returned by analyzeLayers
+   * @returns {Object} { trainableParams, nonTrainableParams, totalParams, macs, complete }
+   */
+  static summarize(layers) {
+    const summary = { trainableParams: 0, nonTrainableParams: 0, totalParams: 0, macs: 0, complete: true };
+
+    (layers || []).forEach(layer => {
+      ['trainable_params', 'non_trainable_params', 'macs'].forEach(key => {
+        if (!Number.isFinite(layer[key])) summary.complete = false;
+      });
+      summary.trainableParams += layer.trainable_params || 0;
+      summary.nonTrainableParams += layer.non_trainable_params || 0;
+      summary.macs += layer.macs || 0;
+    });
+    summary.totalParams = summary.trainableParams + summary.nonTrainableParams;
+
+    return summary;
+  }
+
+  // A layer's `input_shape` (as in Keras configs) wins over its inbound layers
+  static getInputShapes(layer, shapes) {
+    if (Array.isArray(layer.input_shape)) return [layer.input_shape];
+    return (layer.inbound || []).map(name => shapes[name] || null);
+  }
+
+  /**
+   * Derive output shape, parameter counts and MACs for a single layer
+   * @param {Object} layer - Layer description
+   * @param {Array<Array<number>|null>} inputShapes - Shapes of the layer's inputs
+   * @returns {Object} { outputShape, trainableParams, nonTrainableParams, macs }
+   */
+  static analyzeLayer(layer, inputShapes) {
+    const inputShape = inputShapes[0] || null;
+    const type = (layer.type || '').toLowerCase();
+    const noCost = { outputShape: inputShape, trainableParams: 0, nonTrainableParams: 0, macs: 0 };
+
+    if (type === 'input') {
+      return { ...noCost, outputShape: inputShape };
+    }
+
+    if (!inputShape) {
+      return { outputShape: null, trainableParams: null, nonTrainableParams: null, macs: null };
+    }
+
+    switch (type) {
+      case 'conv2d':
+      case 'depthwiseconv2d': {
+        if (inputShape.length !== 3) break;
+        const [height, width, channels] = inputShape;
+        const [kernelHeight, kernelWidth] = this.pair(layer.kernel_size, 3);
+        const [strideHeight, strideWidth] = this.pair(layer.strides, 1);
+        const [dilationHeight, dilationWidth] = this.pair(layer.dilation_rate, 1);
+        const padding = layer.padding || 'valid';
+        // A dilated kernel spans (kernel - 1) * dilation + 1 input positions
+        const outHeight = this.convOutputSize(height, (kernelHeight - 1) * dilationHeight + 1, strideHeight, padding);
+        const outWidth = this.convOutputSize(width, (kernelWidth - 1) * dilationWidth + 1, strideWidth, padding);
+
+        const isDepthwise = type === 'depthwiseconv2d';
+        const outChannels = isDepthwise ? channels * (layer.depth_multiplier || 1) : layer.filters;
+        const kernelWeights = isDepthwise
+          ? kernelHeight * kernelWidth * outChannels
+          : kernelHeight * kernelWidth * channels * outChannels;
+        const useBias = layer.use_bias !== false;
+
+        return {
+          outputShape: [outHeight, outWidth, outChannels],
+          trainableParams: kernelWeights + (useBias ? outChannels : 0),
+          nonTrainableParams: 0,
+          macs: outHeight * outWidth * kernelWeights
+        };
+      }
+
+      case 'dense': {
+        const inFeatures = inputShape[inputShape.length - 1];
+        const positions = this.product(inputShape.slice(0, -1));
+        const useBias = layer.use_bias !== false;
+        return {
+          outputShape: [...inputShape.slice(0, -1), layer.units],
+          trainableParams: inFeatures * layer.units + (useBias ? layer.units : 0),
+          nonTrainableParams: 0,
+          macs: positions * inFeatures * layer.units
+        };
+      }
+
+      case 'maxpooling2d':
+      case 'averagepooling2d':
+      case 'pooling2d': {
+        if (inputShape.length !== 3) break;
+        const [height, width, channels] = inputShape;
+        // Pooling has no weights; count one accumulate/compare per element in each window
+        if (layer.global) {
+          return {
+            ...noCost,
+            outputShape: layer.keep_dims ? [1, 1, channels] : [channels],
+            macs: height * width * channels
+          };
+        }
+        const [poolHeight, poolWidth] = this.pair(layer.pool_size, 2);
+        const [strideHeight, strideWidth] = this.pair(layer.strides, null, [poolHeight, poolWidth]);
+        const padding = layer.padding || 'valid';
+        const outHeight = this.convOutputSize(height, poolHeight, strideHeight, padding);
+        const outWidth = this.convOutputSize(width, poolWidth, strideWidth, padding);
+        return {
+          ...noCost,
+          outputShape: [outHeight, outWidth, channels],
+          macs: outHeight * outWidth * channels * poolHeight * poolWidth
+        };
+      }
+
+      case 'zeropadding2d': {
+        if (inputShape.length !== 3) break;
+        const [[top, bottom], [left, right]] = this.padding2d(layer.padding);
+        return { ...noCost, outputShape: [inputShape[0] + top + bottom, inputShape[1] + left + right, inputShape[2]] };
+      }
+
+      case 'batchnorm': {
+        const channels = inputShape[inputShape.length - 1];
+        // gamma/beta are trained, moving mean/variance are not; inference is one scale-and-shift per element
+        return {
+          ...noCost,
+          trainableParams: 2 * channels,
+          nonTrainableParams: 2 * channels,
+          macs: this.product(inputShape)
+        };
+      }
+
+      case 'add':
+        return { ...noCost, macs: this.product(inputShape) * Math.max(0, inputShapes.length - 1) };
+
+      case 'concat': {
+        if (inputShapes.some(shape => !shape)) {
+          return { ...noCost, outputShape: null };
+        }
+        const rank = inputShape.length;
+        const axis = layer.axis === undefined || layer.axis < 0 ? rank - 1 : layer.axis - 1;
+        const outputShape = [...inputShape];
+        outputShape[axis] = inputShapes.reduce((sum, shape) => sum + shape[axis], 0);
+        return { ...noCost, outputShape };
+      }
+
+      case 'flatten':
+        return { ...noCost, outputShape: [this.product(inputShape)] };
+
+      default:
+        // Activations, dropout and other element-wise layers keep the shape and have no weights
+        return noCost;
+    }
+
+    return { outputShape: null, trainableParams: null, nonTrainableParams: null, macs: null };
+  }
+
+  static convOutputSize(size, kernel, stride, padding) {
+    return padding === 'same'
+      ? Math.ceil(size / stride)
+      : Math.floor((size - kernel) / stride) + 1;
+  }
+
+  // Normalize a Keras-style int-or-pair argument
+  static pair(value, defaultValue, fallbackPair = null) {
+    if (Array.isArray(value)) return value.length === 1 ? [value[0], value[0]] : value;
+    if (Number.isFinite(value)) return [value, value];
+    return fallbackPair || [defaultValue, defaultValue];
+  }
+
+  // Normalize ZeroPadding2D's padding (int, [height, width] or [[top, bottom], [left, right]])
+  static padding2d(value) {
+    const [rows, columns] = this.pair(value, 1);
+    return [this.pair(rows, 1), this.pair(columns, 1)];
+  }
+
+  static product(shape) {
+    return shape.reduce((total, size) => total * size, 1);
+  }
+
+  /**
+   * Format a large count for display, e.g. 3504872 -> "3.50M"
+   * @param {number} value - Count to format
+   * @returns {string} Formatted count
+   */
+  static formatCount(value) {
+    if (!Number.isFinite(value)) return 'n/a';
+    if (value >= 1e9) return `${(value / 1e9).toFixed(2)}G`;
+    if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+    if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+    return `${value}`;
+  }
+}
+
+export default LayerAnalysis;
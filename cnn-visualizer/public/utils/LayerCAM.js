@@ -0,0 +1,26 @@
+import * as tf from '@tensorflow/tfjs';
+import GradCAM from './gradCAM';
+
+/**
+ * Layer-CAM implementation for TensorFlow.js
+ * Based on "LayerCAM: Exploring Hierarchical Class Activation Maps for Localization"
+ *
+ * Weights every activation by its own positive gradient instead of one weight per channel.
+ * This keeps fine detail, so unlike Grad-CAM it also gives useful maps for earlier,
+ * higher-resolution layers.
+ */
+class LayerCAM extends GradCAM {
+  /**
+   * @param {tf.Tensor} activation - Feature maps (1, height, width, channels)
+   * @param {tf.Tensor} gradients - Class score gradients with the same shape
+   * @returns {tf.Tensor} Unnormalized map (height, width)
+   */
+  computeCam(activation, gradients) {
+    return tf.tidy(() => {
+      const weighted = tf.mul(activation, tf.relu(gradients));
+      return tf.relu(tf.sum(weighted, -1)).squeeze([0]);
+    });
+  }
+}
+
+export default LayerCAM;
@@ -0,0 +1,93 @@
+/**
+ * Helpers for treating a model description's layer list as a directed acyclic graph.
+ * Each layer carries `inbound` and `outbound` arrays of layer names.
+ */
+class ModelGraph {
+  /**
+   * Extract inbound layer names from a TF.js layer's inbound nodes
+   * @param {tf.layers.Layer} layer - TF.js layer
+   * @returns {Array<string>} Names of the layers feeding into this one
+   */
+  static getTfLayerInbound(layer) {
+    const names = [];
+    (layer.inboundNodes || []).forEach(node => {
+      (node.inboundLayers || []).forEach(inboundLayer => {
+        if (inboundLayer && !names.includes(inboundLayer.name)) {
+          names.push(inboundLayer.name);
+        }
+      });
+    });
+    return names;
+  }
+
+  /**
+   * Return a copy of the layers with complete edge lists. Layers without an explicit
+   * `inbound` array are assumed to follow the previous layer (sequential models);
+   * `outbound` is always derived from the inbound edges so both stay consistent.
+   * @param {Array<Object>} layers - Layer descriptions in topological order
+   * @returns {Array<Object>} Layers with `inbound` and `outbound` arrays
+   */
+  static linkLayers(layers) {
+    if (!Array.isArray(layers)) return [];
+
+    const knownNames = new Set(layers.map(layer => layer.name));
+    const linked = layers.map((layer, index) => {
+      const inbound = Array.isArray(layer.inbound)
+        ? layer.inbound.filter(name => knownNames.has(name))
+        : (index > 0 ? [layers[index - 1].name] : []);
+      return { ...layer, inbound, outbound: [] };
+    });
+
+    const byName = {};
+    linked.forEach(layer => {
+      byName[layer.name] = layer;
+    });
+    linked.forEach(layer => {
+      layer.inbound.forEach(sourceName => {
+        byName[sourceName].outbound.push(layer.name);
+      });
+    });
+
+    return linked;
+  }
+
+  /**
+   * Compute the depth of every layer: the length of the longest path from an input.
+   * Layers on parallel branches share a depth, which is what the 3D views lay out side by side.
+   * @param {Array<Object>} layers - Linked layers in topological order
+   * @returns {Object} Map of layer name to depth
+   */
+  static computeDepths(layers) {
+    const depths = {};
+    layers.forEach(layer => {
+      const inboundDepths = (layer.inbound || [])
+        .map(name => depths[name])
+        .filter(depth => depth !== undefined);
+      depths[layer.name] = inboundDepths.length > 0 ? Math.max(...inboundDepths) + 1 : 0;
+    });
+    return depths;
+  }
+
+  /**
+   * List every edge in the graph, flagging the ones that skip over at least one depth level
+   * (residual connections, or branches that rejoin at a concat)
+   * @param {Array<Object>} layers - Linked layers
+   * @returns {Array<Object>} Edges as { from, to, isSkip }
+   */
+  static getEdges(layers) {
+    const depths = this.computeDepths(layers);
+    const edges = [];
+    layers.forEach(layer => {
+      (layer.inbound || []).forEach(sourceName => {
+        edges.push({
+          from: sourceName,
+          to: layer.name,
+          isSkip: depths[layer.name] - depths[sourceName] > 1
+        });
+      });
+    });
+    return edges;
+  }
+}
+
+export default ModelGraph;
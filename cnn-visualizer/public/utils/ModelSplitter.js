@@ -0,0 +1,145 @@
+import * as tf from '@tensorflow/tfjs';
+
+// Splitters are shared per TF.js model so the split sub-models survive the explainer
+// instances, which the views create for every run
+const splitterCache = new WeakMap();
+
+/**
+ * Splits a model at an intermediate layer into a "body" (input -> layer activation) and a
+ * "head" (layer activation -> predictions), so gradients can be taken with respect to the
+ * activation itself. Used by the CAM-style explainers.
+ *
+ * Layers models are split into two tf.LayersModels that share the original weights. Tensors
+ * that bypass the layer (e.g. a residual connection around it) are passed from the body to
+ * the head as extra "context" inputs. Graph models are split by feeding the activation back
+ * into the graph through GraphModelAdapter.executeFrom.
+ */
+class ModelSplitter {
+  constructor(tfModel, graphAdapter = null) {
+    this.tfModel = tfModel;
+    this.graphAdapter = graphAdapter;
+    this.splits = new Map();
+  }
+
+  /**
+   * Get the shared splitter for a CNNModel
+   * @param {CNNModel} model - Loaded model
+   * @returns {ModelSplitter} Splitter for model.tfModel
+   */
+  static forModel(model) {
+    const tfModel = model.tfModel;
+    if (!splitterCache.has(tfModel)) {
+      const graphAdapter = model.getGraphAdapter ? model.getGraphAdapter() : null;
+      splitterCache.set(tfModel, new ModelSplitter(tfModel, graphAdapter));
+    }
+    return splitterCache.get(tfModel);
+  }
+
+  /**
+   * Split the model at a layer; splits are cached per layer
+   * @param {string} layerName - Layer (or graph node) to split at
+   * @returns {Object} Split as { layerName, body(input), head(activation, context) }, where
+   *   body returns { activation, context } and head returns the model's predictions
+   * @throws {Error} If the layer doesn't exist or doesn't influence the output
+   */
+  split(layerName) {
+    if (!this.splits.has(layerName)) {
+      const split = this.graphAdapter
+        ? this.splitGraphModel(layerName)
+        : this.splitLayersModel(layerName);
+      this.splits.set(layerName, split);
+    }
+    return this.splits.get(layerName);
+  }
+
+  splitGraphModel(nodeName) {
+    if (!this.graphAdapter.hasNode(nodeName)) {
+      throw new Error(`Node ${nodeName} not found in the model`);
+    }
+    // The input is the context: branches that bypass the node are recomputed from it
+    return {
+      layerName: nodeName,
+      body: input => ({
+        activation: this.graphAdapter.getNodeOutput(input, nodeName),
+        context: [input]
+      }),
+      head: (activation, context) => this.graphAdapter.executeFrom(context[0], nodeName, activation)
+    };
+  }
+
+  splitLayersModel(layerName) {
+    const model = this.tfModel;
+    const target = model.getLayer(layerName);
+    const targetNode = this.getModelNode(target);
+    if (!targetNode || target.getClassName() === 'InputLayer') {
+      throw new Error(`Layer ${layerName} cannot be used to split the model`);
+    }
+    const targetOutput = targetNode.outputTensors[0];
+
+    // Layers after the split point: everything that (transitively) consumes its output
+    const downstream = new Set([target.name]);
+    model.layers.forEach(layer => {
+      const node = this.getModelNode(layer);
+      if (node && node.inputTensors.some(tensor => downstream.has(tensor.sourceLayer.name))) {
+        downstream.add(layer.name);
+      }
+    });
+
+    const output = model.outputs[0];
+    if (!downstream.has(output.sourceLayer.name)) {
+      throw new Error(`Layer ${layerName} does not influence the model output`);
+    }
+
+    // Tensors computed before the split point but consumed after it
+    const bypass = [];
+    model.layers.forEach(layer => {
+      if (layer === target || !downstream.has(layer.name)) return;
+      this.getModelNode(layer).inputTensors.forEach(tensor => {
+        if (!downstream.has(tensor.sourceLayer.name) && !bypass.includes(tensor)) {
+          bypass.push(tensor);
+        }
+      });
+    });
+
+    // Rebuild the downstream layers on fresh inputs; re-applying a layer shares its weights
+    const activationInput = tf.input({ shape: targetOutput.shape.slice(1) });
+    const contextInputs = bypass.map(tensor => tf.input({ shape: tensor.shape.slice(1) }));
+    const rebuilt = new Map([[targetOutput.id, activationInput]]);
+    bypass.forEach((tensor, index) => rebuilt.set(tensor.id, contextInputs[index]));
+
+    model.layers.forEach(layer => {
+      if (layer === target || !downstream.has(layer.name)) return;
+      const node = this.getModelNode(layer);
+      const inputs = node.inputTensors.map(tensor => rebuilt.get(tensor.id));
+      const outputs = layer.apply(inputs.length === 1 ? inputs[0] : inputs, node.callArgs);
+      (Array.isArray(outputs) ? outputs : [outputs]).forEach((tensor, index) => {
+        rebuilt.set(node.outputTensors[index].id, tensor);
+      });
+    });
+
+    const bodyModel = tf.model({ inputs: model.inputs, outputs: [targetOutput, ...bypass] });
+    const headModel = tf.model({
+      inputs: [activationInput, ...contextInputs],
+      outputs: rebuilt.get(output.id)
+    });
+
+    return {
+      layerName,
+      body: input => {
+        const [activation, ...context] = [].concat(bodyModel.apply(input));
+        return { activation, context };
+      },
+      head: (activation, context) => headModel.apply([activation, ...context])
+    };
+  }
+
+  // The node that connects a layer inside this model (layers can be shared between models)
+  getModelNode(layer) {
+    const nodes = layer.inboundNodes || [];
+    const containerNodes = this.tfModel.containerNodes;
+    if (!containerNodes) return nodes[0];
+    return nodes.find((node, index) => containerNodes.has(`${layer.name}_ib-${index}`)) || nodes[0];
+  }
+}
+
+export default ModelSplitter;
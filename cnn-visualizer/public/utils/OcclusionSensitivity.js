@@ -0,0 +1,173 @@
+import * as tf from '@tensorflow/tfjs';
+import ImagePreprocessor from './ImagePreprocessor';
+import PredictionHelper from './PredictionHelper';
+
+// What an occluded patch is filled with
+export const OCCLUDERS = {
+  grey: 'Grey',
+  blur: 'Blurred',
+  noise: 'Noise'
+};
+
+/**
+ * Occlusion sensitivity for TensorFlow.js
+ * Based on "Visualizing and Understanding Convolutional Networks" (Zeiler & Fergus)
+ *
+ * Model-agnostic: a patch slides across the image, and every pixel gets the average drop in
+ * class probability over the patch positions that cover it. Needs nothing but forward passes.
+ */
+class OcclusionSensitivity {
+  constructor(model) {
+    this.model = model;
+    this.tfModel = model.tfModel;
+    this.lastClassIndex = null; // Class explained by the most recent heatmap
+    this.lastBaseScore = null; // Probability of that class for the unoccluded image
+  }
+
+  /**
+   * Generate an occlusion sensitivity map
+   * @param {HTMLImageElement|tf.Tensor} inputImage - Input image
+   * @param {number} classIndex - Class index to explain (default: predicted class)
+   * @param {Object} options - { patchSize: patch side in model input pixels (default 32),
+   *   stride: patch step in model input pixels (default 16), occluder: a key of OCCLUDERS
+   *   (default 'grey'), batchSize: occluded copies per forward pass (default 16),
+   *   onProgress: called with (patchesDone, patchCount) after each batch }
+   * @returns {Promise<tf.Tensor>} Drop in class probability per pixel at the model input size
+   *   (height, width); negative where hiding the pixel raises the probability
+   */
+  async generateHeatmap(inputImage, classIndex = null, options = {}) {
+    if (!this.tfModel) {
+      throw new Error('No TensorFlow model available');
+    }
+    const {
+      patchSize = 32,
+      stride = 16,
+      occluder = 'grey',
+      batchSize = 16,
+      onProgress = null
+    } = options;
+    if (patchSize < 1 || stride < 1) {
+      throw new Error('Patch size and stride must be at least 1 pixel');
+    }
+
+    const preprocessor = this.model.getPreprocessor();
+    const pixels = preprocessor.toInputPixels(inputImage);
+    let fill = null;
+
+    try {
+      const [, height, width] = pixels.shape;
+      fill = this.createOccluder(pixels, occluder, patchSize);
+
+      const probabilities = tf.tidy(() => PredictionHelper.toProbabilities(this.tfModel.predict(preprocessor.normalize(pixels))));
+      if (classIndex === null) {
+        classIndex = tf.tidy(() => probabilities.argMax(-1).dataSync()[0]);
+      }
+      const baseScore = tf.tidy(() => probabilities.gather([classIndex], 1).dataSync()[0]);
+      probabilities.dispose();
+      this.lastClassIndex = classIndex;
+      this.lastBaseScore = baseScore;
+
+      const size = Math.min(patchSize, height, width);
+      const patches = OcclusionSensitivity.getPatchPositions([height, width], size, stride);
+      const dropSum = new Float32Array(height * width);
+      const coverage = new Float32Array(height * width);
+
+      for (let start = 0; start < patches.length; start += batchSize) {
+        const batch = patches.slice(start, start + batchSize);
+        const scores = tf.tidy(() => {
+          const masks = OcclusionSensitivity.createMasks(batch, [height, width], size);
+          const occluded = tf.add(tf.mul(pixels, tf.sub(1, masks)), tf.mul(fill, masks));
+          const predictions = this.tfModel.predict(preprocessor.normalize(occluded));
+          return PredictionHelper.toProbabilities(predictions).gather([classIndex], 1).squeeze([1]);
+        });
+        const batchScores = await scores.data();
+        scores.dispose();
+
+        batch.forEach(([top, left], index) => {
+          const drop = baseScore - batchScores[index];
+          for (let y = top; y < top + size; y++) {
+            for (let x = left; x < left + size; x++) {
+              dropSum[y * width + x] += drop;
+              coverage[y * width + x] += 1;
+            }
+          }
+        });
+
+        if (onProgress) onProgress(Math.min(start + batchSize, patches.length), patches.length);
+        await tf.nextFrame();
+      }
+
+      const heatmap = dropSum.map((drop, i) => (coverage[i] > 0 ? drop / coverage[i] : 0));
+      return tf.tensor2d(heatmap, [height, width]);
+    } finally {
+      pixels.dispose();
+      if (fill) fill.dispose();
+    }
+  }
+
+  /**
+   * What occluded pixels are replaced with
+   * @param {tf.Tensor} pixels - Input pixels (1, height, width, channels), values 0..255
+   * @param {string} occluder - A key of OCCLUDERS
+   * @param {number} patchSize - Patch side, which sets the blur radius
+   * @returns {tf.Tensor} Fill image shaped like pixels
+   */
+  createOccluder(pixels, occluder, patchSize) {
+    switch (occluder) {
+      case 'grey':
+        return tf.fill(pixels.shape, 127.5);
+      case 'blur':
+        // Blurred enough that the patch loses its detail but keeps its colors
+        return ImagePreprocessor.blur(pixels, patchSize / 2);
+      case 'noise':
+        // One noise image for every patch, so the patches are comparable
+        return tf.randomUniform(pixels.shape, 0, 255);
+      default:
+        throw new Error(`Unknown occluder: ${occluder}`);
+    }
+  }
+
+  /**
+   * Top-left corners of the patches; the last row and column are moved in to touch the
+   * image border, so every pixel is covered
+   * @param {Array<number>} imageSize - [height, width]
+   * @param {number} patchSize - Patch side
+   * @param {number} stride - Patch step
+   * @returns {Array<Array<number>>} [top, left] positions
+   */
+  static getPatchPositions([height, width], patchSize, stride) {
+    const offsets = (length) => {
+      const positions = [];
+      for (let offset = 0; offset + patchSize <= length; offset += stride) {
+        positions.push(offset);
+      }
+      if (positions[positions.length - 1] !== length - patchSize) {
+        positions.push(length - patchSize);
+      }
+      return positions;
+    };
+    const rows = offsets(height);
+    const columns = offsets(width);
+    return rows.flatMap(top => columns.map(left => [top, left]));
+  }
+
+  /**
+   * Binary masks that are 1 inside each patch
+   * @param {Array<Array<number>>} patches - [top, left] positions
+   * @param {Array<number>} imageSize - [height, width]
+   * @param {number} patchSize - Patch side
+   * @returns {tf.Tensor} Masks (patches.length, height, width, 1)
+   */
+  static createMasks(patches, [height, width], patchSize) {
+    const values = new Float32Array(patches.length * height * width);
+    patches.forEach(([top, left], index) => {
+      const offset = index * height * width;
+      for (let y = top; y < top + patchSize; y++) {
+        values.fill(1, offset + y * width + left, offset + y * width + left + patchSize);
+      }
+    });
+    return tf.tensor4d(values, [patches.length, height, width, 1]);
+  }
+}
+
+export default OcclusionSensitivity;
@@ -1,5 +1,15 @@
 import * as tf from '@tensorflow/tfjs';
 
+// Whether model outputs are already probabilities (non-negative, each row summing to 1).
+// toProbabilities and toLogits both decide with this, so they agree on every model.
+function isProbabilityOutput(predictions) {
+  return tf.tidy(() => {
+    const sums = predictions.sum(-1).dataSync();
+    return predictions.min().dataSync()[0] >= 0 &&
+      Array.from(sums).every(sum => Math.abs(sum - 1) < 1e-3);
+  });
+}
+
 /**
  * Helper class for making and interpreting predictions from CNN models
  */
@@ -53,38 +63,8 @@ class PredictionHelper {
   preprocessImage(image) {
     if (!image) return null;
 
-    // Convert to tensor if it's an HTML element
-    const imgTensor = image instanceof tf.Tensor 
-      ? image 
-      : tf.browser.fromPixels(image);
-    
-    // Resize to expected input size (most models use 224x224)
-    const resized = tf.image.resizeBilinear(imgTensor, [224, 224]);
-    
-    // Create a batch (add batch dimension)
-    const batched = resized.expandDims(0);
-    
-    // Normalize based on model type (MobileNet, Inception, etc.)
-    let normalized;
-    
-    if (this.model.modelType.includes('mobilenet')) {
-      // MobileNet normalization: values between -1 and 1
-      normalized = batched.div(127.5).sub(1);
-    } else if (this.model.modelType.includes('inception')) {
-      // Inception normalization: values between -1 and 1
-      normalized = batched.div(255).sub(0.5).mul(2);
-    } else {
-      // Default normalization: values between 0 and 1
-      normalized = batched.div(255);
-    }
-    
-    // Clean up intermediate tensors
-    if (image !== imgTensor) {
-      imgTensor.dispose();
-    }
-    resized.dispose();
-    
-    return normalized;
+    // Resize and normalize the way this model expects (see ImagePreprocessor)
+    return this.model.getPreprocessor().preprocess(image);
   }
 
   /**
@@ -151,6 +131,30 @@ class PredictionHelper {
     }));
   }
 
+  /**
+   * Turn model outputs into class probabilities: softmax, unless the model already
+   * outputs probabilities (non-negative and summing to 1)
+   * @param {tf.Tensor} predictions - Model outputs (batch, classes)
+   * @returns {tf.Tensor} Probabilities (batch, classes)
+   */
+  static toProbabilities(predictions) {
+    return tf.tidy(() => (isProbabilityOutput(predictions) ? predictions.clone() : tf.softmax(predictions)));
+  }
+
+  /**
+   * Turn model outputs into logits: outputs that are already probabilities are mapped to
+   * log-probabilities, which differ from the logits by a per-image constant, so differences
+   * between classes are exact
+   * @param {tf.Tensor} predictions - Model outputs (batch, classes)
+   * @returns {tf.Tensor} Logits (batch, classes)
+   */
+  static toLogits(predictions) {
+    return tf.tidy(() => {
+      // The epsilon keeps classes whose probability underflowed to 0 finite
+      return isProbabilityOutput(predictions) ? tf.log(tf.add(predictions, 1e-12)) : predictions.clone();
+    });
+  }
+
   /**
    * Format a probability as a percentage with specified precision
    * @param {number} probability - Probability value (0-1)
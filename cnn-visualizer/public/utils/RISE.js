@@ -0,0 +1,131 @@
+import * as tf from '@tensorflow/tfjs';
+import SeededRandom from './SeededRandom';
+
+/**
+ * RISE implementation for TensorFlow.js
+ * Based on "RISE: Randomized Input Sampling for Explanation of Black-box Models" (Petsiuk et al.)
+ *
+ * Black-box: the image is multiplied by many random smooth masks, and the saliency of a pixel
+ * is the average class probability of the masked images, weighted by how visible the pixel
+ * was. Masks are random binary grids, upsampled bilinearly and shifted by a random offset of
+ * up to one cell so their edges don't line up.
+ */
+class RISE {
+  constructor(model) {
+    this.model = model;
+    this.tfModel = model.tfModel;
+    this.lastClassIndex = null; // Class explained by the most recent saliency map
+  }
+
+  /**
+   * Generate a RISE saliency map
+   * @param {HTMLImageElement|tf.Tensor} inputImage - Input image
+   * @param {number} classIndex - Class index to explain (default: predicted class)
+   * @param {Object} options - { masks: number of masks (default 2000), gridSize: cells per side
+   *   of the low-resolution masks (default 7), probability: chance that a cell is visible
+   *   (default 0.5), batchSize: masked images per forward pass (default 32), seed: random seed
+   *   (default 0), onPartial: awaited after each batch with (saliency, masksDone, masks), where
+   *   saliency is the estimate so far and is disposed after the call }
+   * @returns {Promise<tf.Tensor>} Saliency at the model input size (height, width): the
+   *   expected class probability given that the pixel is visible
+   */
+  async generateSaliency(inputImage, classIndex = null, options = {}) {
+    if (!this.tfModel) {
+      throw new Error('No TensorFlow model available');
+    }
+    const {
+      masks = 2000,
+      gridSize = 7,
+      probability = 0.5,
+      batchSize = 32,
+      seed = 0,
+      onPartial = null
+    } = options;
+
+    const pixels = this.model.getPreprocessor().toInputPixels(inputImage);
+    let saliencySum = null;
+
+    try {
+      const [, height, width] = pixels.shape;
+      if (classIndex === null) {
+        classIndex = tf.tidy(() => this.model.predictPixels(pixels).argMax(-1).dataSync()[0]);
+      }
+      this.lastClassIndex = classIndex;
+
+      const random = new SeededRandom(seed);
+      saliencySum = tf.zeros([height, width]);
+
+      for (let start = 0; start < masks; start += batchSize) {
+        const count = Math.min(batchSize, masks - start);
+        const batchSum = tf.tidy(() => {
+          const batchMasks = RISE.createMasks(count, [height, width], gridSize, probability, random);
+          const scores = this.model.predictPixels(tf.mul(pixels, batchMasks)).gather([classIndex], 1);
+          // Sum of the masks weighted by their scores
+          return tf.sum(tf.mul(batchMasks, scores.reshape([-1, 1, 1, 1])), [0, 3]);
+        });
+        const updated = tf.add(saliencySum, batchSum);
+        saliencySum.dispose();
+        batchSum.dispose();
+        saliencySum = updated;
+
+        const done = start + count;
+        if (onPartial) {
+          const partial = tf.div(saliencySum, done * probability);
+          try {
+            await onPartial(partial, done, masks);
+          } finally {
+            partial.dispose();
+          }
+        }
+        await tf.nextFrame();
+      }
+
+      return tf.div(saliencySum, masks * probability);
+    } finally {
+      pixels.dispose();
+      if (saliencySum) saliencySum.dispose();
+    }
+  }
+
+  /**
+   * Random smooth masks
+   * @param {number} count - Number of masks
+   * @param {Array<number>} size - [height, width] of the masks
+   * @param {number} gridSize - Cells per side of the binary grid
+   * @param {number} probability - Chance that a cell is visible
+   * @param {SeededRandom} random - Random source
+   * @returns {tf.Tensor} Masks (count, height, width, 1) with values in [0, 1]
+   */
+  static createMasks(count, [height, width], gridSize, probability, random) {
+    return tf.tidy(() => {
+      const cellHeight = Math.ceil(height / gridSize);
+      const cellWidth = Math.ceil(width / gridSize);
+      const grids = Float32Array.from({ length: count * gridSize * gridSize }, () => (random.nextBoolean(probability) ? 1 : 0));
+
+      // Upsample one cell larger than the image, then crop at a random offset within a cell
+      const upsampled = tf.image.resizeBilinear(
+        tf.tensor4d(grids, [count, gridSize, gridSize, 1]),
+        [(gridSize + 1) * cellHeight, (gridSize + 1) * cellWidth]
+      );
+      const shifted = Array.from({ length: count }, (_, n) => upsampled.slice(
+        [n, random.nextInt(cellHeight), random.nextInt(cellWidth), 0],
+        [1, height, width, 1]
+      ));
+      return tf.concat(shifted, 0);
+    });
+  }
+
+  /**
+   * Scale a saliency map to [0, 1] for display
+   * @param {tf.Tensor} saliency - Map from generateSaliency()
+   * @returns {tf.Tensor} Scaled map
+   */
+  static normalize(saliency) {
+    return tf.tidy(() => {
+      const min = tf.min(saliency);
+      return tf.div(tf.sub(saliency, min), tf.add(tf.sub(tf.max(saliency), min), 1e-8));
+    });
+  }
+}
+
+export default RISE;
@@ -0,0 +1,244 @@
+import * as tf from '@tensorflow/tfjs';
+import FeatureObjectives from './FeatureObjectives';
+import FeatureVisualizer from './FeatureVisualizer';
+import LayerAnalysis from './LayerAnalysis';
+
+/**
+ * Receptive fields: the input pixels a unit of a layer can see
+ *
+ * The theoretical receptive field follows from the layer configs alone (see "A guide to
+ * receptive field arithmetic", Dang Ha The Hien). Along each axis a layer's units are
+ * described by the size of their field, the jump (input pixels between neighbouring units)
+ * and the start (input position of the center of unit 0). Input pixel i covers [i, i + 1), so
+ * the input itself has size 1, jump 1 and start 0.5. A layer with a kernel spanning
+ * k = (kernel - 1) * dilation + 1 positions, stride s and p positions of padding before the
+ * first row or column gives
+ *
+ *   size = size_in + (k - 1) * jump_in
+ *   jump = jump_in * s
+ *   start = start_in + ((k - 1) / 2 - p) * jump_in
+ *
+ * Flatten, dense and global pooling layers see the whole input, and so does everything after
+ * them. Merges (add, concat) see the union of their inputs' fields.
+ *
+ * The effective receptive field is usually much smaller: only the pixels near the center of
+ * the field have a noticeable influence (Luo et al., "Understanding the Effective Receptive
+ * Field in Deep Convolutional Neural Networks"). It is measured from the input gradient of a
+ * single unit on an actual image.
+ */
+class ReceptiveField {
+  constructor(model) {
+    this.model = model;
+    this.preprocessor = model.getPreprocessor();
+    this.featureVisualizer = new FeatureVisualizer(model);
+  }
+
+  /**
+   * Annotate every layer with its theoretical receptive field
+   * @param {Array<Object>} layers - Layers returned by LayerAnalysis.analyzeLayers, in
+   *   topological order
+   * @returns {Array<Object>} Copies of the layers with `receptive_field`: { size, jump, start:
+   *   [rows, columns] in input pixels, global: whether a unit sees the whole input, inputSize:
+   *   [height, width] or null if the input shape is unknown }
+   */
+  static analyzeLayers(layers) {
+    if (!Array.isArray(layers)) return [];
+
+    const fields = {};
+    const shapes = {};
+    return layers.map(layer => {
+      const inputShapes = Array.isArray(layer.input_shape)
+        ? [layer.input_shape]
+        : (layer.inbound || []).map(name => shapes[name] || null);
+      const inputFields = (layer.inbound || []).map(name => fields[name]).filter(Boolean);
+
+      const field = this.analyzeLayer(layer, inputFields, inputShapes);
+      fields[layer.name] = field;
+      shapes[layer.name] = layer.output_shape;
+      return { ...layer, receptive_field: field };
+    });
+  }
+
+  /**
+   * Receptive field of a single layer
+   * @param {Object} layer - Layer description
+   * @param {Array<Object>} inputFields - Receptive fields of the layer's inputs
+   * @param {Array<Array<number>|null>} inputShapes - Shapes of the layer's inputs
+   * @returns {Object} Receptive field, see analyzeLayers()
+   */
+  static analyzeLayer(layer, inputFields, inputShapes) {
+    const type = (layer.type || '').toLowerCase();
+    const inputShape = inputShapes[0] || null;
+
+    if (inputFields.length === 0) {
+      // An input, or the first layer of a description without an input layer
+      const shape = type === 'input' ? (layer.output_shape || inputShape) : inputShape;
+      const inputSize = Array.isArray(shape) && shape.length === 3 ? shape.slice(0, 2) : null;
+      const identity = { size: [1, 1], jump: [1, 1], start: [0.5, 0.5], global: false, inputSize };
+      return type === 'input' ? identity : this.analyzeLayer(layer, [identity], inputShapes);
+    }
+
+    const [field] = inputFields;
+    if (field.global) return field;
+
+    switch (type) {
+      case 'conv2d':
+      case 'depthwiseconv2d':
+        return this.window(field, inputShape, {
+          kernel: LayerAnalysis.pair(layer.kernel_size, 3),
+          strides: LayerAnalysis.pair(layer.strides, 1),
+          dilation: LayerAnalysis.pair(layer.dilation_rate, 1),
+          padding: layer.padding
+        });
+
+      case 'maxpooling2d':
+      case 'averagepooling2d':
+      case 'pooling2d': {
+        if (layer.global) return this.whole(field);
+        const poolSize = LayerAnalysis.pair(layer.pool_size, 2);
+        return this.window(field, inputShape, {
+          kernel: poolSize,
+          strides: LayerAnalysis.pair(layer.strides, null, poolSize),
+          dilation: [1, 1],
+          padding: layer.padding
+        });
+      }
+
+      case 'zeropadding2d': {
+        // Padded rows and columns come before the input, so unit 0 moves back
+        const before = LayerAnalysis.padding2d(layer.padding).map(([first]) => first);
+        return { ...field, start: field.start.map((start, axis) => start - before[axis] * field.jump[axis]) };
+      }
+
+      case 'dense':
+        // A dense layer on a feature map acts on every position separately
+        return inputShape && inputShape.length === 3 ? field : this.whole(field);
+
+      case 'flatten':
+        return this.whole(field);
+
+      case 'add':
+      case 'concat':
+        return inputFields.length > 1 ? this.union(inputFields) : field;
+
+      default:
+        // Activations, batch norm, dropout and other element-wise layers
+        return field;
+    }
+  }
+
+  // Field after a sliding window (convolution or pooling) over the input field
+  static window(field, inputShape, { kernel, strides, dilation, padding }) {
+    const next = { ...field, size: [], jump: [], start: [] };
+    [0, 1].forEach(axis => {
+      const span = (kernel[axis] - 1) * dilation[axis] + 1;
+      const stride = strides[axis];
+      let before = 0;
+      if (padding === 'same') {
+        // TensorFlow pads the total needed to produce ceil(size / stride) outputs, the
+        // smaller half before; with the input size unknown, assume it divides by the stride
+        const size = inputShape && inputShape.length === 3 ? inputShape[axis] : null;
+        const total = size === null
+          ? span - stride
+          : (Math.ceil(size / stride) - 1) * stride + span - size;
+        before = Math.floor(Math.max(total, 0) / 2);
+      }
+      next.size[axis] = field.size[axis] + (span - 1) * field.jump[axis];
+      next.jump[axis] = field.jump[axis] * stride;
+      next.start[axis] = field.start[axis] + ((span - 1) / 2 - before) * field.jump[axis];
+    });
+    return next;
+  }
+
+  // Field of a unit that sees the whole input
+  static whole(field) {
+    const size = field.inputSize || field.size;
+    return { ...field, size: [...size], jump: [0, 0], start: size.map(length => length / 2), global: true };
+  }
+
+  // Smallest field covering the fields of a merge's inputs
+  static union(fields) {
+    if (fields.some(field => field.global)) return this.whole(fields[0]);
+    const next = { ...fields[0], size: [], jump: [], start: [] };
+    [0, 1].forEach(axis => {
+      const first = Math.min(...fields.map(field => field.start[axis] - field.size[axis] / 2));
+      const last = Math.max(...fields.map(field => field.start[axis] + field.size[axis] / 2));
+      next.size[axis] = last - first;
+      next.jump[axis] = Math.max(...fields.map(field => field.jump[axis]));
+      next.start[axis] = (first + last) / 2;
+    });
+    return next;
+  }
+
+  /**
+   * Input pixels a unit sees, clipped to the input
+   * @param {Object} field - Receptive field of the unit's layer, see analyzeLayers()
+   * @param {number} y - Row of the unit
+   * @param {number} x - Column of the unit
+   * @returns {Object} { top, left, height, width } in model input pixels, and clipped: whether
+   *   part of the field lies in the padding outside the input
+   */
+  static boxAt(field, y, x) {
+    const inputSize = field.inputSize || [Infinity, Infinity];
+    const span = (axis, position) => {
+      const center = field.start[axis] + position * field.jump[axis];
+      const first = Math.floor(center - field.size[axis] / 2);
+      const last = Math.ceil(center + field.size[axis] / 2);
+      const start = Math.max(0, first);
+      const end = Math.min(inputSize[axis], last);
+      return { start, length: Math.max(1, end - start), clipped: first < 0 || last > inputSize[axis] };
+    };
+    const rows = span(0, y);
+    const columns = span(1, x);
+    return {
+      top: rows.start,
+      left: columns.start,
+      height: rows.length,
+      width: columns.length,
+      clipped: rows.clipped || columns.clipped
+    };
+  }
+
+  /**
+   * Effective receptive field of a unit: how much each input pixel changes its activation
+   * @param {HTMLImageElement|HTMLCanvasElement|tf.Tensor} image - Image the unit looks at
+   * @param {string} layerName - Layer of the unit
+   * @param {number} channel - Channel of the unit
+   * @param {number} y - Row of the unit
+   * @param {number} x - Column of the unit
+   * @returns {tf.Tensor|null} Absolute input gradient summed over color channels, (height,
+   *   width) at the model input size, scaled to [0, 1]; null if the gradient is zero, as for a
+   *   unit a ReLU has switched off
+   * @throws {Error} If the layer is not in the model or has no such channel, or the model has
+   *   dilated convolutions (TensorFlow.js has no gradient for them)
+   */
+  effectiveField(image, layerName, channel, y, x) {
+    const objective = FeatureObjectives.neuron(layerName, channel, x, y);
+    const objectiveModel = this.featureVisualizer.createObjectiveModel(objective);
+
+    const value = input => {
+      const { activations, output } = objectiveModel(this.preprocessor.normalize(input));
+      return FeatureObjectives.evaluate(objective, activations, output);
+    };
+
+    const map = tf.tidy(() => {
+      const pixels = this.preprocessor.toInputPixels(image);
+      // Fails outside of tf.grad, which doesn't clean up after errors, if the channel is wrong
+      value(pixels);
+      const gradient = tf.grad(value)(pixels);
+      const magnitude = gradient.abs().sum(-1).squeeze([0]);
+      return tf.div(magnitude, tf.maximum(magnitude.max(), 1e-12));
+    });
+
+    const peak = map.max();
+    const isZero = peak.dataSync()[0] === 0;
+    peak.dispose();
+    if (isZero) {
+      map.dispose();
+      return null;
+    }
+    return map;
+  }
+}
+
+export default ReceptiveField;
@@ -0,0 +1,104 @@
+import * as tf from '@tensorflow/tfjs';
+import SeededRandom from './SeededRandom';
+
+// Lucid's standard transforms: pad, jitter, scale by up to ±10%, rotate by up to ±10°, jitter again
+const DEFAULT_OPTIONS = {
+  pad: 12,
+  jitter: [8, 4],
+  scales: Array.from({ length: 11 }, (_, i) => 1 + (i - 5) / 50),
+  angles: Array.from({ length: 21 }, (_, i) => i - 10)
+};
+
+/**
+ * Random transformations applied to the image at every step of feature visualization
+ * Based on "Feature Visualization" (Olah et al.) and the Lucid library
+ *
+ * Patterns that only excite a unit at one exact pixel alignment (the high-frequency noise of
+ * naive gradient ascent) don't survive small random shifts, scalings and rotations, so
+ * optimizing through them leaves the patterns that are robust to those changes.
+ * tf.image.rotateWithOffset has no gradient, so rotation gets one from the opposite rotation.
+ */
+class RobustTransforms {
+  /**
+   * @param {Object} options - { pad: border in pixels, filled with grey (default 12), jitter:
+   *   maximum shifts of the two jitter steps (default [8, 4]), scales: factors to pick from,
+   *   angles: rotations in degrees to pick from, seed: random seed (default 0) }
+   */
+  constructor(options = {}) {
+    const { seed = 0, ...transforms } = options;
+    this.options = { ...DEFAULT_OPTIONS, ...transforms };
+    this.random = new SeededRandom(seed);
+  }
+
+  /**
+   * Apply a random draw of the transforms
+   * @param {tf.Tensor} images - Images (batch, height, width, channels), values in [0, 1]
+   * @returns {tf.Tensor} Transformed images; the size changes with the padding, jitter and scale
+   */
+  apply(images) {
+    const { pad, jitter, scales, angles } = this.options;
+    return tf.tidy(() => {
+      let transformed = RobustTransforms.pad(images, pad);
+      transformed = RobustTransforms.jitter(transformed, jitter[0], this.random);
+      transformed = RobustTransforms.scale(transformed, scales[this.random.nextInt(scales.length)]);
+      transformed = RobustTransforms.rotate(transformed, angles[this.random.nextInt(angles.length)]);
+      return RobustTransforms.jitter(transformed, jitter[1], this.random);
+    });
+  }
+
+  /**
+   * Pad with a constant border
+   * @param {tf.Tensor} images - Images (batch, height, width, channels)
+   * @param {number} size - Border in pixels
+   * @param {number} value - Fill value (default 0.5, grey)
+   * @returns {tf.Tensor} Padded images
+   */
+  static pad(images, size, value = 0.5) {
+    return size > 0 ? tf.pad(images, [[0, 0], [size, size], [size, size], [0, 0]], value) : images;
+  }
+
+  /**
+   * Crop `distance` pixels off, at a random offset
+   * @param {tf.Tensor} images - Images (batch, height, width, channels)
+   * @param {number} distance - Maximum shift in pixels
+   * @param {SeededRandom} random - Random source
+   * @returns {tf.Tensor} Images smaller by distance in both directions
+   */
+  static jitter(images, distance, random) {
+    if (distance <= 0) return images;
+    const [, height, width] = images.shape;
+    const top = random.nextInt(distance + 1);
+    const left = random.nextInt(distance + 1);
+    return images.slice([0, top, left, 0], [-1, height - distance, width - distance, -1]);
+  }
+
+  /**
+   * Resize by a factor
+   * @param {tf.Tensor} images - Images (batch, height, width, channels)
+   * @param {number} factor - Scale factor
+   * @returns {tf.Tensor} Resized images
+   */
+  static scale(images, factor) {
+    if (factor === 1) return images;
+    const [, height, width] = images.shape;
+    return tf.image.resizeBilinear(images, [Math.round(height * factor), Math.round(width * factor)]);
+  }
+
+  /**
+   * Rotate about the center, filling the corners with grey
+   * @param {tf.Tensor} images - Images (batch, height, width, channels)
+   * @param {number} degrees - Counter-clockwise angle
+   * @returns {tf.Tensor} Rotated images of the same size
+   */
+  static rotate(images, degrees) {
+    if (degrees === 0) return images;
+    const radians = degrees * Math.PI / 180;
+    // The adjoint of a rotation is, up to resampling, the opposite rotation
+    return tf.customGrad((x) => ({
+      value: tf.image.rotateWithOffset(x, radians, 0.5),
+      gradFunc: dy => tf.image.rotateWithOffset(dy, -radians, 0)
+    }))(images);
+  }
+}
+
+export default RobustTransforms;
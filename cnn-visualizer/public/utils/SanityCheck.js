@@ -0,0 +1,218 @@
+import * as tf from '@tensorflow/tfjs';
+
+// Layer properties holding the initializer of each weight, keyed by the weight's name suffix
+const WEIGHT_INITIALIZERS = {
+  kernel: 'kernelInitializer',
+  bias: 'biasInitializer',
+  depthwise_kernel: 'depthwiseInitializer',
+  pointwise_kernel: 'pointwiseInitializer',
+  embeddings: 'embeddingsInitializer',
+  gamma: 'gammaInitializer',
+  beta: 'betaInitializer',
+  moving_mean: 'movingMeanInitializer',
+  moving_variance: 'movingVarianceInitializer'
+};
+
+// Side of the sliding window of the SSIM, as in scikit-image
+const SSIM_WINDOW = 7;
+
+/**
+ * Cascading model randomization test for saliency maps
+ * Based on "Sanity Checks for Saliency Maps" (Adebayo et al.)
+ *
+ * The layers of a copy of the model are re-initialized one group at a time, from the output
+ * layer down to the input, and the explanation is recomputed after every group. An explainer
+ * that depends on what the model learned gives maps that drift away from the original as more
+ * layers lose their trained weights; one whose maps stay similar mostly reflects the input
+ * (edges, contrast) or the architecture. Similarity is measured by the Spearman rank
+ * correlation and the SSIM of the maps.
+ *
+ * Works on layers models, including nested ones; graph models have no per-layer weights to
+ * re-initialize.
+ */
+class SanityCheck {
+  constructor(model) {
+    this.model = model;
+    this.tfModel = model.tfModel;
+  }
+
+  /**
+   * Run the cascading randomization
+   * @param {Function} explain - Async (model) => map (height, width), the same shape every
+   *   time; called with the loaded model first, then with copies that have more and more
+   *   layers randomized. It should explain the same class every time.
+   * @param {Object} options - { stages: number of layer groups (default 8), onStage: awaited
+   *   with (stage, map, groupsDone, groups) after each explanation, the original's included;
+   *   the map is disposed after the call }
+   * @returns {Promise<Array<Object>>} One entry per stage, the original first: { layerNames:
+   *   layers randomized so far, rankCorrelation, ssim: similarity to the original map }
+   */
+  async cascadingRandomization(explain, options = {}) {
+    if (!this.tfModel) {
+      throw new Error('No TensorFlow model available');
+    }
+    if (this.model.getGraphAdapter && this.model.getGraphAdapter()) {
+      throw new Error('Sanity checks need a layers model; the weights of a graph model cannot be re-initialized layer by layer');
+    }
+    const { stages = 8, onStage = null } = options;
+
+    const randomized = await SanityCheck.cloneModel(this.tfModel);
+    let original = null;
+    try {
+      // Explainers keep using the model's preprocessing; only the TF.js model is swapped
+      const randomizedModel = Object.create(this.model, { tfModel: { value: randomized } });
+      const groups = SanityCheck.groupLayers(randomized, stages);
+
+      original = await explain(this.model);
+      const results = [{ layerNames: [], rankCorrelation: 1, ssim: 1 }];
+      if (onStage) await onStage(results[0], original, 0, groups.length);
+      const originalValues = await original.data();
+
+      const layerNames = [];
+      for (const group of groups) {
+        group.forEach(layer => {
+          SanityCheck.reinitializeLayer(layer);
+          layerNames.push(layer.name);
+        });
+
+        const map = await explain(randomizedModel);
+        try {
+          const stage = {
+            layerNames: [...layerNames],
+            rankCorrelation: SanityCheck.rankCorrelation(originalValues, await map.data()),
+            ssim: SanityCheck.ssim(original, map)
+          };
+          results.push(stage);
+          if (onStage) await onStage(stage, map, results.length - 1, groups.length);
+        } finally {
+          map.dispose();
+        }
+      }
+      return results;
+    } finally {
+      if (original) original.dispose();
+      randomized.dispose();
+    }
+  }
+
+  /**
+   * Independent copy of a layers model, weights included
+   * @param {tf.LayersModel} tfModel - Model to copy
+   * @returns {Promise<tf.LayersModel>} Copy with the same layer names
+   */
+  static async cloneModel(tfModel) {
+    let artifacts = null;
+    await tfModel.save(tf.io.withSaveHandler(async (saved) => {
+      artifacts = saved;
+      return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    return tf.loadLayersModel(tf.io.fromMemory(artifacts));
+  }
+
+  /**
+   * Layers with weights, from the output down, split into consecutive groups
+   * @param {tf.LayersModel} tfModel - Model whose layers are grouped; nested models are
+   *   replaced by their own layers
+   * @param {number} stages - Number of groups (fewer if there are fewer layers)
+   * @returns {Array<Array<tf.layers.Layer>>} Groups, the top layers first
+   */
+  static groupLayers(tfModel, stages) {
+    const flatten = layers => layers.flatMap(layer => (layer.layers ? flatten(layer.layers) : [layer]));
+    const layers = flatten(tfModel.layers).filter(layer => layer.weights.length > 0).reverse();
+    const count = Math.min(stages, layers.length);
+    return Array.from({ length: count }, (_, i) => layers.slice(
+      Math.floor(i * layers.length / count),
+      Math.floor((i + 1) * layers.length / count)
+    ));
+  }
+
+  /**
+   * Replace a layer's weights with fresh values from its own initializers
+   * @param {tf.layers.Layer} layer - Layer to re-initialize
+   */
+  static reinitializeLayer(layer) {
+    const values = layer.weights.map(weight => {
+      const suffix = weight.originalName.split('/').pop();
+      const initializer = layer[WEIGHT_INITIALIZERS[suffix]];
+      if (initializer) {
+        return initializer.apply(weight.shape, weight.dtype);
+      }
+      // Unknown weights: random matrices, zero vectors
+      return weight.shape.length > 1
+        ? tf.initializers.glorotUniform({}).apply(weight.shape, weight.dtype)
+        : tf.zeros(weight.shape, weight.dtype);
+    });
+    layer.setWeights(values);
+    tf.dispose(values);
+  }
+
+  /**
+   * Spearman rank correlation; ties get their average rank
+   * @param {ArrayLike<number>} a - Values
+   * @param {ArrayLike<number>} b - Values, as many as a
+   * @returns {number} Correlation in [-1, 1]; 0 if either input is constant
+   */
+  static rankCorrelation(a, b) {
+    const ra = SanityCheck.rank(a);
+    const rb = SanityCheck.rank(b);
+    const mean = (ra.length - 1) / 2;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < ra.length; i++) {
+      covariance += (ra[i] - mean) * (rb[i] - mean);
+      varianceA += (ra[i] - mean) ** 2;
+      varianceB += (rb[i] - mean) ** 2;
+    }
+    return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+  }
+
+  /**
+   * Rank of every value in increasing order, ties averaged
+   * @param {ArrayLike<number>} values - Values
+   * @returns {Float64Array} Ranks from 0 to values.length - 1
+   */
+  static rank(values) {
+    const order = Array.from({ length: values.length }, (_, i) => i).sort((i, j) => values[i] - values[j]);
+    const ranks = new Float64Array(values.length);
+    for (let start = 0; start < order.length;) {
+      let end = start + 1;
+      while (end < order.length && values[order[end]] === values[order[start]]) end++;
+      for (let i = start; i < end; i++) ranks[order[i]] = (start + end - 1) / 2;
+      start = end;
+    }
+    return ranks;
+  }
+
+  /**
+   * Structural similarity of two maps, each scaled to [0, 1] first, averaged over 7×7 windows
+   * @param {tf.Tensor} a - Map (height, width)
+   * @param {tf.Tensor} b - Map of the same shape
+   * @returns {number} SSIM, 1 for identical maps
+   */
+  static ssim(a, b) {
+    return tf.tidy(() => {
+      const scale = (map) => {
+        const min = map.min();
+        const range = tf.maximum(tf.sub(map.max(), min), 1e-12);
+        return tf.div(tf.sub(map, min), range).expandDims(0).expandDims(-1);
+      };
+      const x = scale(a);
+      const y = scale(b);
+      const window = Math.min(SSIM_WINDOW, ...a.shape);
+      const mean = (t) => tf.avgPool(t, window, 1, 'valid');
+      const muX = mean(x);
+      const muY = mean(y);
+      const varX = tf.sub(mean(tf.square(x)), tf.square(muX));
+      const varY = tf.sub(mean(tf.square(y)), tf.square(muY));
+      const covariance = tf.sub(mean(tf.mul(x, y)), tf.mul(muX, muY));
+      const c1 = 0.01 ** 2;
+      const c2 = 0.03 ** 2;
+      const numerator = tf.mul(tf.add(tf.mul(2, tf.mul(muX, muY)), c1), tf.add(tf.mul(2, covariance), c2));
+      const denominator = tf.mul(tf.add(tf.add(tf.square(muX), tf.square(muY)), c1), tf.add(tf.add(varX, varY), c2));
+      return tf.div(numerator, denominator).mean().dataSync()[0];
+    });
+  }
+}
+
+export default SanityCheck;
@@ -0,0 +1,135 @@
+import * as tf from '@tensorflow/tfjs';
+import GradCAM from './gradCAM';
+import PredictionHelper from './PredictionHelper';
+
+/**
+ * Score-CAM implementation for TensorFlow.js
+ * Based on "Score-CAM: Score-Weighted Visual Explanations for Convolutional Neural Networks"
+ *
+ * Gradient-free: every channel of the target layer is upsampled to the input size and used
+ * as a mask on the image, and the channel's weight is how much the masked image raises the
+ * class score over a blank image. Works for models whose ops have no registered gradients.
+ */
+class ScoreCAM extends GradCAM {
+  /**
+   * Generate a Score-CAM heatmap for a specific layer and class
+   * @param {HTMLImageElement|tf.Tensor} inputImage - Input image, or a (height, width, channels) tensor
+   * @param {string} layerName - Name of the layer to visualize; must output spatial feature maps
+   * @param {number} classIndex - Index of the class to explain (default: predicted class)
+   * @param {Object} options - { batchSize: masked images per forward pass (default 16),
+   *   maxChannels: only use the most active channels (default all),
+   *   onProgress: called with (channelsDone, channelCount) after each batch }
+   * @returns {tf.Tensor} Heatmap of shape (layer height, layer width), scaled to [0, 1]
+   * @throws {Error} If the layer can't be used for Score-CAM
+   */
+  async generateHeatmap(inputImage, layerName, classIndex = null, options = {}) {
+    if (!this.tfModel) {
+      throw new Error('No TensorFlow model available');
+    }
+    const { batchSize = 16, maxChannels = null, onProgress = null } = options;
+
+    const preprocessor = this.model.getPreprocessor();
+    const pixels = preprocessor.toInputPixels(inputImage);
+    let activation = null;
+
+    try {
+      activation = tf.tidy(() => {
+        const { activation: layerActivation, context } = this.splitter.split(layerName).body(preprocessor.normalize(pixels));
+        tf.dispose(context);
+        return layerActivation;
+      });
+      if (activation.rank !== 4) {
+        throw new Error(`Layer ${layerName} has no spatial feature maps (output shape ${JSON.stringify(activation.shape)}); choose a convolutional layer`);
+      }
+
+      if (classIndex === null) {
+        classIndex = tf.tidy(() => this.tfModel.predict(preprocessor.normalize(pixels)).argMax(-1).dataSync()[0]);
+      }
+      this.lastClassIndex = classIndex;
+
+      const channels = this.selectChannels(activation, maxChannels);
+      const baselineScore = tf.tidy(() => this.getClassScores(tf.zerosLike(pixels), preprocessor, classIndex).dataSync()[0]);
+
+      // Channel weights: increase of the class score when the image is masked by the channel
+      const weights = new Float32Array(activation.shape[3]);
+      for (let start = 0; start < channels.length; start += batchSize) {
+        const batchChannels = channels.slice(start, start + batchSize);
+        const scores = tf.tidy(() => {
+          const masks = this.getChannelMasks(activation, batchChannels, pixels.shape.slice(1, 3));
+          return this.getClassScores(tf.mul(pixels, masks), preprocessor, classIndex);
+        });
+        const batchScores = await scores.data();
+        scores.dispose();
+        batchChannels.forEach((channel, index) => {
+          weights[channel] = batchScores[index] - baselineScore;
+        });
+
+        if (onProgress) onProgress(Math.min(start + batchSize, channels.length), channels.length);
+        await tf.nextFrame();
+      }
+
+      return tf.tidy(() => {
+        const weighted = tf.mul(activation, tf.tensor1d(weights).reshape([1, 1, 1, -1]));
+        return this.normalizeHeatmap(tf.relu(tf.sum(weighted, -1)).squeeze([0]));
+      });
+    } finally {
+      pixels.dispose();
+      if (activation) activation.dispose();
+    }
+  }
+
+  /**
+   * Channels worth masking with: constant channels give no mask, and with maxChannels
+   * only the channels with the highest mean activation are kept
+   * @param {tf.Tensor} activation - Feature maps (1, height, width, channels)
+   * @param {number|null} maxChannels - Channel limit, or null for no limit
+   * @returns {Array<number>} Channel indices
+   */
+  selectChannels(activation, maxChannels) {
+    const [ranges, means] = tf.tidy(() => [
+      tf.sub(tf.max(activation, [0, 1, 2]), tf.min(activation, [0, 1, 2])).dataSync(),
+      tf.mean(activation, [0, 1, 2]).dataSync()
+    ]);
+    const channels = Array.from(ranges.keys()).filter(channel => ranges[channel] > 0);
+    if (maxChannels && channels.length > maxChannels) {
+      channels.sort((a, b) => means[b] - means[a]);
+      return channels.slice(0, maxChannels).sort((a, b) => a - b);
+    }
+    return channels;
+  }
+
+  /**
+   * Upsample channels to the input size and scale each to [0, 1]
+   * @param {tf.Tensor} activation - Feature maps (1, height, width, channels)
+   * @param {Array<number>} channels - Channels to turn into masks
+   * @param {Array<number>} inputSize - [height, width] of the model input
+   * @returns {tf.Tensor} Masks of shape (channels.length, inputHeight, inputWidth, 1)
+   */
+  getChannelMasks(activation, channels, inputSize) {
+    return tf.tidy(() => {
+      const selected = tf.gather(activation, channels, 3); // (1, h, w, n)
+      const maps = tf.transpose(selected, [3, 1, 2, 0]); // (n, h, w, 1)
+      const upsampled = tf.image.resizeBilinear(maps, inputSize);
+      const min = tf.min(upsampled, [1, 2, 3], true);
+      const max = tf.max(upsampled, [1, 2, 3], true);
+      return tf.div(tf.sub(upsampled, min), tf.add(tf.sub(max, min), 1e-8));
+    });
+  }
+
+  /**
+   * Class probabilities for a batch of pixel-space images
+   * @param {tf.Tensor} pixelBatch - Images (n, height, width, channels), values 0..255
+   * @param {ImagePreprocessor} preprocessor - Preprocessor of the model
+   * @param {number} classIndex - Class to score
+   * @returns {tf.Tensor} Scores of shape (n)
+   */
+  getClassScores(pixelBatch, preprocessor, classIndex) {
+    return tf.tidy(() => {
+      // Score-CAM compares softmax scores, not logits
+      const predictions = this.tfModel.predict(preprocessor.normalize(pixelBatch));
+      return PredictionHelper.toProbabilities(predictions).gather([classIndex], 1).squeeze([1]);
+    });
+  }
+}
+
+export default ScoreCAM;
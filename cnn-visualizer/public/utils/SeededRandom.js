@@ -0,0 +1,41 @@
+/**
+ * Small seeded pseudo-random number generator (mulberry32), so that sampling-based
+ * explanations can be reproduced exactly from their seed
+ */
+class SeededRandom {
+  /**
+   * @param {number} seed - Any integer; the same seed gives the same sequence
+   */
+  constructor(seed = 0) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * @returns {number} Uniform number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * @param {number} n - Upper bound
+   * @returns {number} Uniform integer in [0, n)
+   */
+  nextInt(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /**
+   * @param {number} probability - Probability of true
+   * @returns {boolean} Bernoulli sample
+   */
+  nextBoolean(probability = 0.5) {
+    return this.next() < probability;
+  }
+}
+
+export default SeededRandom;
@@ -0,0 +1,238 @@
+/**
+ * Superpixel segmentation in plain JavaScript
+ * Based on "SLIC Superpixels Compared to State-of-the-Art Superpixel Methods" (Achanta et al.)
+ *
+ * SLIC is k-means clustering on color (CIELAB) and position, where each cluster only looks
+ * for pixels within twice the grid spacing of its center. Compactness trades color
+ * similarity for regular, compact shapes.
+ */
+class SuperpixelSegmenter {
+  /**
+   * Segment an image into superpixels
+   * @param {Float32Array|Uint8ClampedArray|Array<number>} pixels - Row-major pixel values 0..255
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} channels - Values per pixel (1 = grayscale, 3 = RGB, 4 = RGBA)
+   * @param {Object} options - { segments: approximate number of superpixels (default 50),
+   *   compactness: weight of position against color (default 10), iterations: k-means
+   *   iterations (default 10) }
+   * @returns {Object} { labels: Int32Array with a superpixel index per pixel, count: number
+   *   of superpixels }; every superpixel is connected
+   */
+  static slic(pixels, width, height, channels, options = {}) {
+    const { segments = 50, compactness = 10, iterations = 10 } = options;
+    const size = width * height;
+    const lab = SuperpixelSegmenter.toLab(pixels, size, channels);
+    const step = Math.max(1, Math.round(Math.sqrt(size / Math.max(1, segments))));
+
+    // Centers [l, a, b, x, y] on a regular grid, nudged off edges to the lowest gradient nearby
+    const centers = [];
+    for (let y = Math.floor(step / 2); y < height; y += step) {
+      for (let x = Math.floor(step / 2); x < width; x += step) {
+        const [cx, cy] = SuperpixelSegmenter.lowestGradient(lab, width, height, x, y);
+        const i = cy * width + cx;
+        centers.push([lab[i * 3], lab[i * 3 + 1], lab[i * 3 + 2], cx, cy]);
+      }
+    }
+
+    const labels = new Int32Array(size).fill(-1);
+    const distances = new Float64Array(size);
+    const spatialWeight = (compactness * compactness) / (step * step);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      distances.fill(Infinity);
+      centers.forEach(([l, a, b, cx, cy], k) => {
+        const x0 = Math.max(0, Math.floor(cx - step));
+        const x1 = Math.min(width - 1, Math.ceil(cx + step));
+        const y0 = Math.max(0, Math.floor(cy - step));
+        const y1 = Math.min(height - 1, Math.ceil(cy + step));
+        for (let y = y0; y <= y1; y++) {
+          for (let x = x0; x <= x1; x++) {
+            const i = y * width + x;
+            const dl = lab[i * 3] - l;
+            const da = lab[i * 3 + 1] - a;
+            const db = lab[i * 3 + 2] - b;
+            const distance = dl * dl + da * da + db * db +
+              ((x - cx) * (x - cx) + (y - cy) * (y - cy)) * spatialWeight;
+            if (distance < distances[i]) {
+              distances[i] = distance;
+              labels[i] = k;
+            }
+          }
+        }
+      });
+
+      // Move each center to the mean of its pixels
+      const sums = centers.map(() => [0, 0, 0, 0, 0, 0]);
+      for (let i = 0; i < size; i++) {
+        const sum = sums[labels[i]];
+        if (!sum) continue;
+        sum[0] += lab[i * 3];
+        sum[1] += lab[i * 3 + 1];
+        sum[2] += lab[i * 3 + 2];
+        sum[3] += i % width;
+        sum[4] += Math.floor(i / width);
+        sum[5] += 1;
+      }
+      sums.forEach((sum, k) => {
+        if (sum[5] > 0) {
+          centers[k] = sum.slice(0, 5).map(value => value / sum[5]);
+        }
+      });
+    }
+
+    return SuperpixelSegmenter.enforceConnectivity(labels, width, height, Math.floor(size / centers.length / 4));
+  }
+
+  /**
+   * Convert sRGB (or grayscale) values to CIELAB under D65
+   * @returns {Float32Array} [l, a, b] per pixel
+   */
+  static toLab(pixels, size, channels) {
+    const lab = new Float32Array(size * 3);
+    const linear = value => {
+      const v = value / 255;
+      return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    };
+    const f = t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+
+    for (let i = 0; i < size; i++) {
+      const r = linear(pixels[i * channels]);
+      const g = channels >= 3 ? linear(pixels[i * channels + 1]) : r;
+      const b = channels >= 3 ? linear(pixels[i * channels + 2]) : r;
+      const fx = f((0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047);
+      const fy = f(0.2126 * r + 0.7152 * g + 0.0722 * b);
+      const fz = f((0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883);
+      lab[i * 3] = 116 * fy - 16;
+      lab[i * 3 + 1] = 500 * (fx - fy);
+      lab[i * 3 + 2] = 200 * (fy - fz);
+    }
+    return lab;
+  }
+
+  // Position with the lowest color gradient in the 3x3 neighbourhood of (x, y)
+  static lowestGradient(lab, width, height, x, y) {
+    const gradient = (px, py) => {
+      const left = (py * width + Math.max(0, px - 1)) * 3;
+      const right = (py * width + Math.min(width - 1, px + 1)) * 3;
+      const up = (Math.max(0, py - 1) * width + px) * 3;
+      const down = (Math.min(height - 1, py + 1) * width + px) * 3;
+      let total = 0;
+      for (let c = 0; c < 3; c++) {
+        total += (lab[right + c] - lab[left + c]) ** 2 + (lab[down + c] - lab[up + c]) ** 2;
+      }
+      return total;
+    };
+
+    let best = [x, y];
+    let bestGradient = gradient(x, y);
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const g = gradient(nx, ny);
+        if (g < bestGradient) {
+          bestGradient = g;
+          best = [nx, ny];
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Relabel so that every superpixel is one connected region. Each cluster keeps its largest
+   * connected component (if it has at least minSize pixels); every other fragment joins the
+   * neighbouring superpixel it shares the longest border with. Labels are renumbered from 0.
+   * @returns {Object} { labels, count }
+   */
+  static enforceConnectivity(labels, width, height, minSize) {
+    const size = width * height;
+    const forEachNeighbour = (i, callback) => {
+      const x = i % width;
+      if (x > 0) callback(i - 1);
+      if (x < width - 1) callback(i + 1);
+      if (i >= width) callback(i - width);
+      if (i < size - width) callback(i + width);
+    };
+
+    // Connected components of equal cluster labels
+    const components = new Int32Array(size).fill(-1);
+    const componentSizes = [];
+    const componentClusters = [];
+    const queue = new Int32Array(size);
+    for (let start = 0; start < size; start++) {
+      if (components[start] !== -1) continue;
+      const component = componentSizes.length;
+      let head = 0;
+      let tail = 0;
+      queue[tail++] = start;
+      components[start] = component;
+      while (head < tail) {
+        forEachNeighbour(queue[head++], j => {
+          if (components[j] === -1 && labels[j] === labels[start]) {
+            components[j] = component;
+            queue[tail++] = j;
+          }
+        });
+      }
+      componentSizes.push(tail);
+      componentClusters.push(labels[start]);
+    }
+
+    // The largest component of each cluster becomes a superpixel
+    const largest = new Map();
+    componentSizes.forEach((componentSize, component) => {
+      const cluster = componentClusters[component];
+      if (!largest.has(cluster) || componentSize > componentSizes[largest.get(cluster)]) {
+        largest.set(cluster, component);
+      }
+    });
+    const superpixels = new Int32Array(componentSizes.length).fill(-1);
+    let count = 0;
+    largest.forEach(component => {
+      if (componentSizes[component] >= minSize) superpixels[component] = count++;
+    });
+    if (count === 0) {
+      // Heavily textured images can fragment every cluster; keep the largest pieces anyway
+      largest.forEach(component => { superpixels[component] = count++; });
+    }
+
+    // Fragments join the neighbouring superpixel with the longest shared border, spreading
+    // outwards from the superpixels until every fragment is assigned. Every fragment is
+    // eventually reached, since the pixel grid is connected and there is a superpixel.
+    let unassigned = superpixels.filter(superpixel => superpixel === -1).length;
+    while (unassigned > 0) {
+      const borders = new Map(); // fragment -> Map(superpixel -> border length)
+      for (let i = 0; i < size; i++) {
+        const fragment = components[i];
+        if (superpixels[fragment] !== -1) continue;
+        forEachNeighbour(i, j => {
+          const superpixel = superpixels[components[j]];
+          if (superpixel === -1) return;
+          if (!borders.has(fragment)) borders.set(fragment, new Map());
+          const lengths = borders.get(fragment);
+          lengths.set(superpixel, (lengths.get(superpixel) || 0) + 1);
+        });
+      }
+
+      borders.forEach((lengths, fragment) => {
+        let best = -1;
+        let bestLength = 0;
+        lengths.forEach((length, superpixel) => {
+          if (length > bestLength) {
+            best = superpixel;
+            bestLength = length;
+          }
+        });
+        superpixels[fragment] = best;
+      });
+      unassigned -= borders.size;
+    }
+
+    return { labels: components.map(component => superpixels[component]), count };
+  }
+}
+
+export default SuperpixelSegmenter;
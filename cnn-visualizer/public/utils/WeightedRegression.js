@@ -0,0 +1,102 @@
+/**
+ * Weighted (ridge) least squares in plain JavaScript, for the surrogate-model explainers
+ * (LIME, KernelSHAP). Feature counts are small (tens to a few hundred regions), so the
+ * normal equations are solved directly.
+ */
+class WeightedRegression {
+  /**
+   * Fit targets ≈ intercept + rows · coefficients, minimizing the weighted squared error
+   * plus ridge * |coefficients|²
+   * @param {Array<ArrayLike<number>>} rows - Feature rows
+   * @param {ArrayLike<number>} targets - Target per row
+   * @param {ArrayLike<number>} weights - Weight per row
+   * @param {Object} options - { ridge: L2 penalty on the coefficients (default 0),
+   *   intercept: fit an unpenalized intercept (default true); without one, the fit goes
+   *   through the origin }
+   * @returns {Object} { coefficients: Float64Array, intercept, score: weighted R² }
+   */
+  static fit(rows, targets, weights, options = {}) {
+    const { ridge = 0, intercept: fitIntercept = true } = options;
+    const features = rows[0].length;
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    // Weighted means, to center the data so the intercept needs no penalty
+    const featureMeans = new Float64Array(features);
+    let targetMean = 0;
+    rows.forEach((row, n) => {
+      for (let j = 0; j < features; j++) featureMeans[j] += weights[n] * row[j];
+      targetMean += weights[n] * targets[n];
+    });
+    featureMeans.forEach((sum, j) => { featureMeans[j] = sum / totalWeight; });
+    targetMean /= totalWeight;
+    const offsets = fitIntercept ? featureMeans : new Float64Array(features);
+    const targetOffset = fitIntercept ? targetMean : 0;
+
+    // Normal equations (X'WX + ridge * I) b = X'Wy
+    const matrix = Array.from({ length: features }, () => new Float64Array(features));
+    const vector = new Float64Array(features);
+    const centered = new Float64Array(features);
+    rows.forEach((row, n) => {
+      for (let j = 0; j < features; j++) centered[j] = row[j] - offsets[j];
+      const y = targets[n] - targetOffset;
+      for (let j = 0; j < features; j++) {
+        const wx = weights[n] * centered[j];
+        vector[j] += wx * y;
+        for (let k = j; k < features; k++) matrix[j][k] += wx * centered[k];
+      }
+    });
+    for (let j = 0; j < features; j++) {
+      for (let k = 0; k < j; k++) matrix[j][k] = matrix[k][j];
+      matrix[j][j] += ridge;
+    }
+
+    const coefficients = WeightedRegression.solve(matrix, vector);
+    const intercept = targetOffset - coefficients.reduce((sum, b, j) => sum + b * offsets[j], 0);
+
+    let residual = 0;
+    let total = 0;
+    rows.forEach((row, n) => {
+      const prediction = intercept + coefficients.reduce((sum, b, j) => sum + b * row[j], 0);
+      residual += weights[n] * (targets[n] - prediction) ** 2;
+      total += weights[n] * (targets[n] - targetMean) ** 2;
+    });
+
+    return { coefficients, intercept, score: total > 0 ? 1 - residual / total : 1 };
+  }
+
+  /**
+   * Solve a linear system by Gaussian elimination with partial pivoting
+   * @param {Array<ArrayLike<number>>} matrix - Square matrix (not modified)
+   * @param {ArrayLike<number>} vector - Right-hand side (not modified)
+   * @returns {Float64Array} Solution
+   */
+  static solve(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map(row => Float64Array.from(row));
+    const b = Float64Array.from(vector);
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+      }
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+      [b[col], b[pivot]] = [b[pivot], b[col]];
+      for (let row = col + 1; row < n; row++) {
+        const factor = a[row][col] / a[col][col];
+        for (let k = col; k < n; k++) a[row][k] -= factor * a[col][k];
+        b[row] -= factor * b[col];
+      }
+    }
+
+    const x = new Float64Array(n);
+    for (let row = n - 1; row >= 0; row--) {
+      let sum = b[row];
+      for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+      x[row] = sum / a[row][row];
+    }
+    return x;
+  }
+}
+
+export default WeightedRegression;
@@ -1,4 +1,5 @@
 import * as tf from '@tensorflow/tfjs';
+import ModelSplitter from './ModelSplitter';
 
 /**
  * GradCAM implementation for TensorFlow.js
@@ -8,102 +9,103 @@ class GradCAM {
   constructor(model) {
     this.model = model;
     this.tfModel = model.tfModel; // Access to the actual TensorFlow.js model
+    // Splits the model at the target layer; shared between instances for the same model
+    this.splitter = model.tfModel ? ModelSplitter.forModel(model) : null;
+    this.lastClassIndex = null; // Class explained by the most recent heatmap
   }
 
   /**
    * Generate a GradCAM heatmap for a specific layer and class
-   * @param {tf.Tensor} inputImage - Input image tensor (1, height, width, channels)
-   * @param {string} layerName - Name of the layer to visualize
+   * @param {HTMLImageElement|tf.Tensor} inputImage - Input image, or a (height, width, channels) tensor
+   * @param {string} layerName - Name of the layer to visualize; must output spatial feature maps
    * @param {number} classIndex - Index of the class to explain (default: predicted class)
-   * @returns {tf.Tensor} Heatmap as a tensor
+   * @returns {tf.Tensor} Heatmap of shape (layer height, layer width), scaled to [0, 1]
+   * @throws {Error} If the layer can't be used for GradCAM
    */
   async generateHeatmap(inputImage, layerName, classIndex = null) {
     if (!this.tfModel) {
-      console.error('No TensorFlow model available');
-      return null;
+      throw new Error('No TensorFlow model available');
     }
     
-    // Ensure we're working with tensors
-    const img = inputImage instanceof tf.Tensor ? inputImage : tf.browser.fromPixels(inputImage);
-    const preprocessedInput = this.preprocessImage(img);
-    
+    const preprocessedInput = this.preprocessImage(inputImage);
     try {
-      // If classIndex is not provided, use the predicted class
-      if (classIndex === null) {
-        const predictions = this.tfModel.predict(preprocessedInput);
-        classIndex = tf.argMax(predictions, 1).dataSync()[0];
-      }
-      
-      // Get the target layer
-      const targetLayer = this.tfModel.getLayer(layerName);
-      if (!targetLayer) {
-        console.error(`Layer ${layerName} not found in the model`);
-        return null;
-      }
-      
-      // Create a model that maps from the input to the target layer's output and predictions
-      const gradModel = tf.model({
-        inputs: this.tfModel.inputs,
-        outputs: [targetLayer.output, this.tfModel.output]
-      });
-      
-      // Watch the gradients of the target layer
-      const gradTape = tf.grad(x => {
-        const [convOutputs, predictions] = gradModel.predict(x);
-        return predictions.gather([classIndex], 1);
-      });
+      const { activation, gradients } = this.getActivationGradients(preprocessedInput, layerName, classIndex);
       
-      // Get the gradients and layer outputs
-      const [convOutputs, grads] = tf.tidy(() => {
-        const g = gradTape(preprocessedInput);
-        const outputs = targetLayer.output.arraySync();
-        return [outputs, g];
-      });
+      const heatmap = tf.tidy(() => this.normalizeHeatmap(this.computeCam(activation, gradients)));
       
-      // Global average pooling of the gradients
-      const weights = tf.mean(grads, [0, 1, 2]);
-      
-      // Generate the heatmap
-      const heatmap = tf.tidy(() => {
-        const weighted = tf.mul(weights.reshape([1, 1, 1, -1]), convOutputs);
-        return tf.relu(tf.sum(weighted, -1)); // Apply ReLU and sum over channels
-      });
-      
-      // Normalize the heatmap
-      const normalizedHeatmap = tf.div(
-        heatmap, 
-        tf.sub(tf.max(heatmap), tf.min(heatmap))
-      );
-      
-      return normalizedHeatmap;
-    } catch (error) {
-      console.error('Error generating GradCAM heatmap:', error);
-      return null;
+      tf.dispose([activation, gradients]);
+      return heatmap;
+    } finally {
+      preprocessedInput.dispose();
     }
   }
   
   /**
-   * Preprocess image for the model
-   * @param {tf.Tensor} img - Input image tensor
-   * @returns {tf.Tensor} Preprocessed image
+   * Activations of the target layer and the gradients of the class score with respect to them
+   * @param {tf.Tensor} preprocessedInput - Preprocessed input batch
+   * @param {string} layerName - Name of the target layer
+   * @param {number} classIndex - Class to explain (default: predicted class)
+   * @returns {Object} { activation, gradients, classIndex }; both tensors have the
+   *   layer's output shape (1, height, width, channels)
+   * @throws {Error} If the layer doesn't exist or has no spatial output
    */
-  preprocessImage(img) {
-    // Resize to match the model's expected input
-    const resized = tf.image.resizeBilinear(img, [224, 224]);
+  getActivationGradients(preprocessedInput, layerName, classIndex = null) {
+    const split = this.splitter.split(layerName);
+    const { activation, context } = split.body(preprocessedInput);
+    
+    if (activation.rank !== 4) {
+      tf.dispose([activation, ...context]);
+      throw new Error(`Layer ${layerName} has no spatial feature maps (output shape ${JSON.stringify(activation.shape)}); choose a convolutional layer`);
+    }
     
-    // Expand dimensions to create a batch of 1
-    const expanded = resized.expandDims(0);
+    if (classIndex === null) {
+      classIndex = tf.tidy(() => split.head(activation, context).argMax(-1).dataSync()[0]);
+    }
+    this.lastClassIndex = classIndex;
     
-    // Normalize pixel values to [-1, 1]
-    const normalized = tf.div(tf.sub(expanded, 127.5), 127.5);
+    const gradients = tf.grad(layerActivation => {
+      const predictions = split.head(layerActivation, context);
+      return predictions.gather([classIndex], 1).sum();
+    })(activation);
     
-    return normalized;
+    tf.dispose(context);
+    return { activation, gradients, classIndex };
+  }
+  
+  /**
+   * Combine the layer's feature maps into a class activation map. Subclasses
+   * (GradCAMPlusPlus, LayerCAM) override this with their own weighting.
+   * @param {tf.Tensor} activation - Feature maps (1, height, width, channels)
+   * @param {tf.Tensor} gradients - Class score gradients with the same shape
+   * @returns {tf.Tensor} Unnormalized map (height, width)
+   */
+  computeCam(activation, gradients) {
+    return tf.tidy(() => {
+      // Channel weights are the spatially averaged gradients (alpha_k in the paper)
+      const weights = tf.mean(gradients, [1, 2], true);
+      // ReLU keeps only the regions that increase the class score
+      return tf.relu(tf.sum(tf.mul(activation, weights), -1)).squeeze([0]);
+    });
+  }
+  
+  // Scale a heatmap to [0, 1]; an all-zero map stays zero
+  normalizeHeatmap(heatmap) {
+    return tf.tidy(() => tf.div(heatmap, tf.add(tf.max(heatmap), 1e-8)));
+  }
+  
+  /**
+   * Preprocess image the way the model expects (see ImagePreprocessor)
+   * @param {HTMLImageElement|tf.Tensor} img - Input image; tensors hold pixel values 0..255
+   * @returns {tf.Tensor} Preprocessed image batch
+   */
+  preprocessImage(img) {
+    return this.model.getPreprocessor().preprocess(img);
   }
   
   /**
    * Apply heatmap to original image
    * @param {HTMLImageElement|tf.Tensor} originalImage - Original image
-   * @param {tf.Tensor} heatmap - Heatmap tensor
+   * @param {tf.Tensor} heatmap - Heatmap from generateHeatmap, (height, width) in [0, 1]
    * @param {number} alpha - Blend factor (0-1)
    * @returns {tf.Tensor} Image with superimposed heatmap
    */
@@ -113,10 +115,10 @@ class GradCAM {
       originalImage : 
       tf.browser.fromPixels(originalImage);
     
-    // Resize heatmap to match original image dimensions
-    const resizedHeatmap = tf.image.resizeBilinear(
-      heatmap, 
-      [origImg.shape[0], origImg.shape[1]]
+    // Map the heatmap onto the original image, undoing the preprocessing resize/crop
+    const resizedHeatmap = this.model.getPreprocessor().toImageSpace(
+      heatmap.expandDims(-1),
+      origImg.shape
     );
     
     // Convert heatmap to RGB colormap (red-yellow)
@@ -126,20 +128,27 @@ class GradCAM {
       const g = tf.mul(resizedHeatmap, 0.5);
       const b = tf.zerosLike(resizedHeatmap);
       
-      // Stack channels to create RGB heatmap
-      return tf.stack([r, g, b], -1).mul(255);
+      // Concatenate channels to create RGB heatmap
+      return tf.concat([r, g, b], -1).mul(255);
     });
     
     // Blend original image with heatmap
     const blendedImage = tf.tidy(() => {
-      const scaledOrig = tf.cast(origImg, 'float32');
+      const scaledOrig = tf.cast(origImg.slice([0, 0, 0], [-1, -1, 3]), 'float32');
       return tf.add(
         tf.mul(scaledOrig, 1 - alpha),
         tf.mul(coloredHeatmap, alpha)
       );
     });
     
-    return tf.cast(blendedImage, 'int32');
+    // Clean up
+    if (origImg !== originalImage) origImg.dispose();
+    resizedHeatmap.dispose();
+    coloredHeatmap.dispose();
+    
+    const result = tf.cast(blendedImage, 'int32');
+    blendedImage.dispose();
+    return result;
   }
 }
 
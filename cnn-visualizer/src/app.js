@@ -1,6 +1,6 @@
 import React from 'react';
 import ReactDOM from 'react-dom';
-import CNNModel from '../public/components/CNNModel';
+import CNNModel, { LIBRARY_MODEL_PREFIX } from '../public/components/CNNModel';
 import ExplainabilityView from '../public/components/ExplainabilityView';
 import LayerVisualizer from '../public/components/LayerVisualizer';
 import UserControls from '../public/components/UserControls';
@@ -14,6 +14,8 @@ window.THREE = THREE; // ✅ Makes Three.js global
 import * as TWEEN from '@tweenjs/tween.js';
 window.TWEEN = TWEEN; // Ensure it's available globally
 
+// Remembers which model the user last picked so the next session starts from it
+const LAST_MODEL_STORAGE_KEY = 'whytebox-last-model';
 
 
 class App extends React.Component {
@@ -29,15 +31,22 @@ class App extends React.Component {
             activeTab: 'visualizer',
             showBeginnersGuide: false,
             // Now using MobileNetV2 detailed visualization
-            selectedModelType: 'mobilenetv2-vis'
+            selectedModelType: 'mobilenetv2-vis',
+            // Id of the entry picked in the HomePage model selector
+            selectedModelId: 'mobilenetv2-vis',
+            availableModels: [],
+            libraryModels: [],
+            isLoadingModelFiles: false,
+            modelFileErrors: []
         };
     }
     
     async componentDidMount() {
         try {
-            console.log("App mounting, loading MobileNetV2 model...");
-            // Use the MobileNetV2 visualization model
-            await this.loadModel('mobilenetv2-vis');
+            const lastModelId = this.getLastModelId();
+            console.log(`App mounting, loading ${lastModelId} model...`);
+            await this.loadModel(lastModelId);
+            await this.refreshModelLibrary();
         } catch (error) {
             console.error("Error in componentDidMount:", error);
             this.setState({
@@ -47,6 +56,37 @@ class App extends React.Component {
         }
     }
     
+    getLastModelId() {
+        try {
+            return window.localStorage.getItem(LAST_MODEL_STORAGE_KEY) || 'mobilenetv2-vis';
+        } catch (error) {
+            return 'mobilenetv2-vis';
+        }
+    }
+
+    rememberModelId(modelId) {
+        try {
+            window.localStorage.setItem(LAST_MODEL_STORAGE_KEY, modelId);
+        } catch (error) {
+            console.warn("Could not remember the selected model:", error);
+        }
+    }
+
+    // Combine the built-in models with everything saved in the IndexedDB model library
+    async refreshModelLibrary() {
+        const model = this.state.model || new CNNModel();
+        const libraryModels = await model.listLibraryModels();
+        const availableModels = [
+            ...model.getAvailableModels(),
+            ...libraryModels.map(entry => ({
+                id: `${LIBRARY_MODEL_PREFIX}${entry.id}`,
+                name: `${entry.name} (Saved)`
+            }))
+        ];
+        
+        this.setState({ availableModels, libraryModels });
+    }
+    
     async loadModel(modelType = 'mobilenetv2-vis') {
         try {
             this.setState({ 
@@ -54,11 +94,10 @@ class App extends React.Component {
                 error: null
             });
             
-            console.log(`Loading MobileNetV2 model...`);
+            console.log(`Loading ${modelType} model...`);
             // Create model instance
             const model = new CNNModel();
-            // Load the MobileNetV2 visualization model (simplified to only use this model)
-            const loadedModel = await model.loadModel('mobilenetv2-vis');
+            const loadedModel = await model.loadModel(modelType);
             
             // Error handling
             if (!loadedModel) {
@@ -71,14 +110,16 @@ class App extends React.Component {
             
             // Get layers for visualization
             const layers = model.getLayers().map(layer => layer.type) || [];
-            console.log(`Loaded MobileNetV2 model with ${layers.length} layers`);
+            console.log(`Loaded ${model.getModelName()} model with ${layers.length} layers`);
             
             this.setState({
                 model: model,
                 layers: layers,
-                modelName: 'MobileNetV2',
+                modelName: model.getModelName(),
                 isLoading: false,
-                selectedModelType: 'mobilenetv2-vis',
+                selectedModelType: model.modelType,
+                selectedModelId: modelType,
+                selectedLayer: null,
                 error: null
             });
         } catch (error) {
@@ -90,6 +131,63 @@ class App extends React.Component {
         }
     }
     
+    handleModelFilesSelected = async (files) => {
+        this.setState({ 
+            isLoadingModelFiles: true, 
+            modelFileErrors: []
+        });
+        
+        try {
+            const model = new CNNModel();
+            await model.loadModelFromFiles(files);
+            
+            // Uploaded models are reopened from the model library in later sessions
+            const modelId = model.libraryId ? `${LIBRARY_MODEL_PREFIX}${model.libraryId}` : model.modelType;
+            if (model.libraryId) {
+                this.rememberModelId(modelId);
+            }
+            
+            const layers = model.getLayers().map(layer => layer.type) || [];
+            console.log(`Loaded ${model.getModelName()} from local files with ${layers.length} layers`);
+            
+            this.setState({
+                model: model,
+                layers: layers,
+                modelName: model.getModelName(),
+                selectedModelType: model.modelType,
+                selectedModelId: modelId,
+                selectedLayer: null,
+                isLoadingModelFiles: false,
+                error: null
+            });
+            await this.refreshModelLibrary();
+        } catch (error) {
+            console.error("Error loading model files:", error);
+            this.setState({
+                isLoadingModelFiles: false,
+                modelFileErrors: error.fileErrors || [{ file: null, message: error.message }]
+            });
+        }
+    };
+    
+    handleModelChange = async (modelId) => {
+        this.rememberModelId(modelId);
+        await this.loadModel(modelId);
+        await this.refreshModelLibrary();
+    };
+    
+    handleRemoveLibraryModel = async (libraryId) => {
+        try {
+            await (this.state.model || new CNNModel()).removeFromLibrary(libraryId);
+            if (this.getLastModelId() === `${LIBRARY_MODEL_PREFIX}${libraryId}`) {
+                this.rememberModelId('mobilenetv2-vis');
+            }
+        } catch (error) {
+            console.error("Error removing model from library:", error);
+        }
+        await this.refreshModelLibrary();
+    };
+    
     handleLayerChange = (layer) => {
         console.log("Layer selected:", layer);
         this.setState({ selectedLayer: layer });
@@ -128,7 +226,12 @@ class App extends React.Component {
             currentView, 
             showBeginnersGuide, 
             modelName,
-            selectedModelType
+            selectedModelType,
+            selectedModelId,
+            availableModels,
+            libraryModels,
+            isLoadingModelFiles,
+            modelFileErrors
         } = this.state;
 
         if (isLoading) {
@@ -149,7 +252,7 @@ class App extends React.Component {
                     <div className="error-actions">
                         <button 
                             className="button" 
-                            onClick={() => this.loadModel('mobilenetv2-vis')}
+                            onClick={() => this.loadModel(selectedModelId)}
                         >
                             Try Again
                         </button>
@@ -173,6 +276,14 @@ class App extends React.Component {
                         onViewModelClick={this.handleViewModelClick} 
                         onHelpClick={this.toggleBeginnersGuide}
                         modelName={modelName}
+                        availableModels={availableModels}
+                        selectedModel={selectedModelId}
+                        onModelChange={this.handleModelChange}
+                        libraryModels={libraryModels}
+                        onRemoveLibraryModel={this.handleRemoveLibraryModel}
+                        onModelFilesSelected={this.handleModelFilesSelected}
+                        isLoadingModelFiles={isLoadingModelFiles}
+                        modelFileErrors={modelFileErrors}
                     />
                 ) : (
                     <>
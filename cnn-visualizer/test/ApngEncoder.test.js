@@ -0,0 +1,98 @@
+import { deflateSync, inflateSync } from 'zlib';
+import ApngEncoder from '../public/utils/ApngEncoder';
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Greyscale 8-bit PNG of the given rows; `parts` splits the image data over several IDAT chunks
+function createPng(rows, parts = 1) {
+  const header = new Uint8Array(13);
+  header.set(ApngEncoder.uint32s(rows[0].length, rows.length));
+  header.set([8, 0, 0, 0, 0], 8);
+  // Filter type 0 before every row
+  const data = deflateSync(Uint8Array.from(rows.flatMap(row => [0, ...row])));
+  const size = Math.ceil(data.length / parts);
+  const idats = Array.from({ length: parts }, (_, i) => ApngEncoder.chunk('IDAT', data.subarray(i * size, (i + 1) * size)));
+
+  const chunks = [ApngEncoder.chunk('IHDR', header), ...idats, ApngEncoder.chunk('IEND', new Uint8Array(0))];
+  return Uint8Array.from([...SIGNATURE, ...chunks.flatMap(chunk => Array.from(chunk))]);
+}
+
+// Chunks of a file, checking every CRC on the way
+function readChunks(file) {
+  const chunks = ApngEncoder.readChunks(file);
+  let offset = SIGNATURE.length;
+  chunks.forEach(({ data }) => {
+    const crc = ApngEncoder.readUint32(file, offset + 8 + data.length);
+    expect(crc).toBe(ApngEncoder.crc32(file.subarray(offset + 4, offset + 8 + data.length)));
+    offset += data.length + 12;
+  });
+  expect(offset).toBe(file.length);
+  return chunks;
+}
+
+const FRAMES = [
+  [[0, 50, 100], [150, 200, 250]],
+  [[10, 60, 110], [160, 210, 255]],
+  [[20, 70, 120], [170, 220, 5]]
+];
+
+describe('ApngEncoder', () => {
+  test('computes the CRC-32 of the PNG specification', () => {
+    const ascii = text => Uint8Array.from(text, character => character.charCodeAt(0));
+    expect(ApngEncoder.crc32(ascii('123456789'))).toBe(0xcbf43926);
+    expect(ApngEncoder.crc32(ascii('IEND'))).toBe(0xae426082);
+    expect(ApngEncoder.crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  test('writes the animation, frame control and frame data chunks in order', () => {
+    const file = ApngEncoder.encode([createPng(FRAMES[0]), createPng(FRAMES[1], 2), createPng(FRAMES[2])], { delay: 250, loops: 3 });
+
+    expect(Array.from(file.subarray(0, 8))).toEqual(SIGNATURE);
+    const chunks = readChunks(file);
+    expect(chunks.map(chunk => chunk.type)).toEqual([
+      'IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'fdAT', 'fcTL', 'fdAT', 'IEND'
+    ]);
+
+    const [, animation] = chunks;
+    expect([ApngEncoder.readUint32(animation.data, 0), ApngEncoder.readUint32(animation.data, 4)]).toEqual([3, 3]);
+
+    // fcTL and fdAT share one sequence, starting at 0
+    const sequenced = chunks.filter(chunk => chunk.type === 'fcTL' || chunk.type === 'fdAT');
+    expect(sequenced.map(chunk => ApngEncoder.readUint32(chunk.data, 0))).toEqual([0, 1, 2, 3, 4, 5]);
+
+    const control = chunks.find(chunk => chunk.type === 'fcTL').data;
+    expect(control).toHaveLength(26);
+    expect([1, 2, 3, 4].map(field => ApngEncoder.readUint32(control, field * 4))).toEqual([3, 2, 0, 0]);
+    expect(Array.from(control.subarray(20))).toEqual([0, 250, 1000 >> 8, 1000 & 0xff, 0, 0]);
+  });
+
+  test('keeps the image data of every frame', () => {
+    const file = ApngEncoder.encode(FRAMES.map(rows => createPng(rows, 2)));
+    const chunks = readChunks(file);
+
+    // Split the chunks at each fcTL and inflate the frame's data
+    const frames = [];
+    chunks.forEach(({ type, data }) => {
+      if (type === 'fcTL') frames.push([]);
+      if (type === 'IDAT') frames[frames.length - 1].push(data);
+      if (type === 'fdAT') frames[frames.length - 1].push(data.subarray(4));
+    });
+    const pixels = frames.map(parts => Array.from(inflateSync(Buffer.concat(parts))));
+    expect(pixels).toEqual(FRAMES.map(rows => rows.flatMap(row => [0, ...row])));
+  });
+
+  test('assembles a blob from canvas data URLs', async () => {
+    const dataURLs = FRAMES.map(rows => `data:image/png;base64,${Buffer.from(createPng(rows)).toString('base64')}`);
+    const blob = ApngEncoder.fromDataURLs(dataURLs);
+
+    expect(blob.type).toBe('image/apng');
+    const chunks = readChunks(new Uint8Array(await blob.arrayBuffer()));
+    expect(chunks.filter(chunk => chunk.type === 'fcTL')).toHaveLength(3);
+  });
+
+  test('rejects missing, mismatched and non-PNG frames', () => {
+    expect(() => ApngEncoder.encode([])).toThrow(/at least one frame/);
+    expect(() => ApngEncoder.encode([createPng(FRAMES[0]), createPng([[1, 2], [3, 4]])])).toThrow(/Frame 2 is not 3×2/);
+    expect(() => ApngEncoder.encode([new Uint8Array([1, 2, 3])])).toThrow(/not a PNG/);
+  });
+});
@@ -0,0 +1,72 @@
+import * as tf from '@tensorflow/tfjs';
+import FaithfulnessEvaluator from '../public/utils/FaithfulnessEvaluator';
+import ImagePreprocessor from '../public/utils/ImagePreprocessor';
+
+// A 2×2 grey image model whose class 0 probability is the top-left pixel's brightness
+function createModel() {
+  const preprocessor = new ImagePreprocessor({ inputSize: [2, 2], channels: 1, range: [0, 255] });
+  return {
+    tfModel: {},
+    getPreprocessor: () => preprocessor,
+    predictPixels: images => tf.tidy(() => {
+      const corner = images.slice([0, 0, 0, 0], [-1, 1, 1, 1]).reshape([-1, 1]).div(255);
+      return tf.concat([corner, tf.sub(1, corner)], 1);
+    })
+  };
+}
+
+describe('FaithfulnessEvaluator', () => {
+  let evaluator;
+  let image;
+  let cornerFirst;
+  let cornerLast;
+
+  beforeAll(async () => {
+    await tf.setBackend('cpu');
+    evaluator = new FaithfulnessEvaluator(createModel());
+    image = tf.tensor3d([[[255], [255]], [[255], [255]]]);
+    cornerFirst = tf.tensor2d([[4, 3], [2, 1]]);
+    cornerLast = tf.tensor2d([[1, 2], [3, 4]]);
+  });
+
+  afterAll(() => {
+    tf.dispose([image, cornerFirst, cornerLast]);
+  });
+
+  test('integrates with the trapezoid rule', () => {
+    expect(FaithfulnessEvaluator.auc([0, 1], [0, 1])).toBeCloseTo(0.5);
+    expect(FaithfulnessEvaluator.auc([0, 0.5, 1], [1, 0, 0])).toBeCloseTo(0.25);
+    // Uneven spacing: [0, 1] at height 2, then a ramp from 2 to 0 over [1, 3]
+    expect(FaithfulnessEvaluator.auc([0, 1, 3], [2, 2, 0])).toBeCloseTo(4);
+    expect(FaithfulnessEvaluator.auc([0], [1])).toBe(0);
+  });
+
+  test('ranks pixels from most to least important, ties in pixel order', () => {
+    expect(Array.from(FaithfulnessEvaluator.rankPixels([0.1, 0.9, 0.5, 0.9]))).toEqual([3, 0, 2, 1]);
+  });
+
+  test('drops fast on deletion when the map ranks the deciding pixel first', async () => {
+    const steps = { steps: 4, batchSize: 2 };
+    const good = await evaluator.evaluate(image, cornerFirst, 0, steps);
+    const bad = await evaluator.evaluate(image, cornerLast, 0, steps);
+
+    expect(good.fractions).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(good.scores).toEqual([1, 0, 0, 0, 0]);
+    expect(good.auc).toBeCloseTo(0.125);
+    expect(bad.scores).toEqual([1, 1, 1, 1, 0]);
+    expect(bad.auc).toBeCloseTo(0.875);
+  });
+
+  test('rises fast on insertion when the map ranks the deciding pixel first', async () => {
+    const result = await evaluator.evaluate(image, cornerFirst, 0, { metric: 'insertion', substrate: 'black', steps: 4 });
+
+    expect(result.scores).toEqual([0, 1, 1, 1, 1]);
+    expect(result.auc).toBeCloseTo(0.875);
+  });
+
+  test('releases every intermediate tensor', async () => {
+    const before = tf.memory().numTensors;
+    await evaluator.evaluate(image, cornerFirst, null, { steps: 4 });
+    expect(tf.memory().numTensors).toBe(before);
+  });
+});
@@ -0,0 +1,75 @@
+import * as tf from '@tensorflow/tfjs';
+import IntegratedGradients from '../public/utils/IntegratedGradients';
+import ImagePreprocessor from '../public/utils/ImagePreprocessor';
+
+// Conv2D -> GlobalAveragePooling2D -> Dense without activations: the class scores are linear
+// in the input, so the integral is exact and every baseline satisfies completeness
+function createModel() {
+  const tfModel = tf.sequential({
+    layers: [
+      tf.layers.conv2d({ inputShape: [3, 3, 1], filters: 2, kernelSize: 2, name: 'conv' }),
+      tf.layers.globalAveragePooling2d({ name: 'pool' }),
+      tf.layers.dense({ units: 2, name: 'logits' })
+    ]
+  });
+  const preprocessor = new ImagePreprocessor({ inputSize: [3, 3], channels: 1, range: [0, 255] });
+  return { tfModel, getPreprocessor: () => preprocessor, getGraphAdapter: () => null };
+}
+
+describe('IntegratedGradients', () => {
+  let model;
+  let image;
+  let referenceImages;
+
+  beforeAll(async () => {
+    await tf.setBackend('cpu');
+    model = createModel();
+    image = tf.randomUniform([3, 3, 1], 0, 255, 'float32', 1);
+    referenceImages = [2, 3, 4].map(seed => tf.randomUniform([3, 3, 1], 0, 255, 'float32', seed));
+  });
+
+  afterAll(() => {
+    tf.dispose([image, ...referenceImages]);
+  });
+
+  // All three reference images, so every run uses the same baselines
+  const expected = () => ({ baseline: 'expected', referenceImages, samples: 3 });
+
+  test('averages Expected Gradients over the drawn baselines', async () => {
+    const integratedGradients = new IntegratedGradients(model);
+    const attributions = await integratedGradients.generateAttributions(image, 0, 8, expected());
+
+    expect(attributions.shape).toEqual([1, 3, 3, 1]);
+    const { attributionSum, scoreDifference, delta } = integratedGradients.lastCompleteness;
+    expect(attributionSum).toBeCloseTo(tf.sum(attributions).dataSync()[0], 3);
+    expect(delta).toBeCloseTo(0, 3);
+    expect(Math.abs(scoreDifference)).toBeGreaterThan(0);
+    attributions.dispose();
+  });
+
+  test('releases every intermediate tensor', async () => {
+    const integratedGradients = new IntegratedGradients(model);
+    (await integratedGradients.generateAttributions(image, 0, 8, expected())).dispose();
+
+    const before = tf.memory().numTensors;
+    (await integratedGradients.generateAttributions(image, 0, 8, expected())).dispose();
+    expect(tf.memory().numTensors).toBe(before);
+  });
+
+  test('releases the partial sum when a later baseline fails', async () => {
+    const integratedGradients = new IntegratedGradients(model);
+    const checkCompleteness = integratedGradients.checkCompleteness.bind(integratedGradients);
+    let calls = 0;
+    integratedGradients.checkCompleteness = (...args) => {
+      calls += 1;
+      if (calls === 2) throw new Error('Out of memory');
+      return checkCompleteness(...args);
+    };
+
+    const before = tf.memory().numTensors;
+    await expect(integratedGradients.generateAttributions(image, 0, 8, expected()))
+      .rejects.toThrow('Out of memory');
+    expect(calls).toBe(2);
+    expect(tf.memory().numTensors).toBe(before);
+  });
+});
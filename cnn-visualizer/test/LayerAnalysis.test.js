@@ -0,0 +1,89 @@
+import * as tf from '@tensorflow/tfjs';
+import LayerAnalysis from '../public/utils/LayerAnalysis';
+import ModelGraph from '../public/utils/ModelGraph';
+
+// image -> stem (strided conv) -> dw (depthwise, multiplier 2) -> dilated (dilation 2, valid)
+//       \-> pool (max pool) ------------------------------------/-> concat -> pad -> bn
+//       -> avg -> flatten -> logits
+function createModel() {
+  const input = tf.input({ shape: [16, 16, 3], name: 'image' });
+  const stem = tf.layers.conv2d({ filters: 8, kernelSize: 3, strides: 2, padding: 'same', name: 'stem' }).apply(input);
+  const dw = tf.layers.depthwiseConv2d({ kernelSize: 3, depthMultiplier: 2, padding: 'same', name: 'dw' }).apply(stem);
+  const dilated = tf.layers.conv2d({ filters: 4, kernelSize: 3, dilationRate: 2, useBias: false, name: 'dilated' }).apply(dw);
+  const pool = tf.layers.maxPooling2d({ poolSize: 2, name: 'pool' }).apply(stem);
+  const concat = tf.layers.concatenate({ name: 'concat' }).apply([dilated, pool]);
+  const pad = tf.layers.zeroPadding2d({ padding: [[1, 0], [2, 1]], name: 'pad' }).apply(concat);
+  const bn = tf.layers.batchNormalization({ name: 'bn' }).apply(pad);
+  const avg = tf.layers.averagePooling2d({ poolSize: 2, name: 'avg' }).apply(bn);
+  const flatten = tf.layers.flatten({ name: 'flatten' }).apply(avg);
+  const logits = tf.layers.dense({ units: 5, name: 'logits' }).apply(flatten);
+  return tf.model({ inputs: input, outputs: logits });
+}
+
+// The same model as a description, from the layer configs only (no shapes or counts)
+const DESCRIPTION = [
+  { name: 'image', type: 'input', input_shape: [16, 16, 3] },
+  { name: 'stem', type: 'conv2d', filters: 8, kernel_size: [3, 3], strides: [2, 2], padding: 'same' },
+  { name: 'dw', type: 'depthwiseconv2d', kernel_size: [3, 3], depth_multiplier: 2, padding: 'same' },
+  { name: 'dilated', type: 'conv2d', filters: 4, kernel_size: [3, 3], dilation_rate: [2, 2], use_bias: false },
+  { name: 'pool', type: 'maxpooling2d', pool_size: [2, 2], inbound: ['stem'] },
+  { name: 'concat', type: 'concat', axis: -1, inbound: ['dilated', 'pool'] },
+  { name: 'pad', type: 'zeropadding2d', padding: [[1, 0], [2, 1]] },
+  { name: 'bn', type: 'batchnorm' },
+  { name: 'avg', type: 'averagepooling2d', pool_size: [2, 2] },
+  { name: 'flatten', type: 'flatten' },
+  { name: 'logits', type: 'dense', units: 5 }
+];
+
+const countWeights = weights => weights.reduce((total, weight) => total + LayerAnalysis.product(weight.shape), 0);
+
+describe('LayerAnalysis', () => {
+  let tfModel;
+  let layers;
+
+  beforeAll(() => {
+    tfModel = createModel();
+    layers = LayerAnalysis.analyzeLayers(ModelGraph.linkLayers(DESCRIPTION));
+  });
+
+  afterAll(() => {
+    tfModel.dispose();
+  });
+
+  test('derives the output shapes TF.js computes', () => {
+    layers.forEach(layer => {
+      expect([layer.name, layer.output_shape]).toEqual([layer.name, tfModel.getLayer(layer.name).outputShape.slice(1)]);
+    });
+  });
+
+  test('counts the weights TF.js creates', () => {
+    layers.forEach(layer => {
+      const tfLayer = tfModel.getLayer(layer.name);
+      expect([layer.name, layer.trainable_params, layer.non_trainable_params])
+        .toEqual([layer.name, countWeights(tfLayer.trainableWeights), countWeights(tfLayer.nonTrainableWeights)]);
+    });
+
+    const summary = LayerAnalysis.summarize(layers);
+    expect(summary.totalParams).toBe(tfModel.countParams());
+    expect(summary.complete).toBe(true);
+  });
+
+  test('counts one MAC per kernel weight and output position', () => {
+    const macs = Object.fromEntries(layers.map(layer => [layer.name, layer.macs]));
+    expect(macs.stem).toBe(8 * 8 * (3 * 3 * 3 * 8)); // 8×8 outputs, 216 kernel weights
+    expect(macs.dw).toBe(8 * 8 * (3 * 3 * 16)); // depthwise: one 3×3 kernel per output channel
+    expect(macs.dilated).toBe(4 * 4 * (3 * 3 * 16 * 4)); // dilation widens the span, not the kernel
+    expect(macs.logits).toBe(72 * 5);
+  });
+
+  test('keeps values a loaded model reports and flags unknown costs', () => {
+    const [input, conv] = LayerAnalysis.analyzeLayers(ModelGraph.linkLayers([
+      { name: 'image', type: 'input' },
+      { name: 'conv', type: 'conv2d', filters: 2, output_shape: [3, 3, 2], trainable_params: 7 }
+    ]));
+
+    expect(input.output_shape).toBeNull();
+    expect(conv).toMatchObject({ output_shape: [3, 3, 2], trainable_params: 7, macs: null });
+    expect(LayerAnalysis.summarize([input, conv]).complete).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+import * as tf from '@tensorflow/tfjs';
+import ModelGraph from '../public/utils/ModelGraph';
+
+describe('ModelGraph', () => {
+  test('chains layers without inbound lists like a sequential model', () => {
+    const layers = ModelGraph.linkLayers([{ name: 'a' }, { name: 'b' }, { name: 'c' }]);
+
+    expect(layers.map(({ name, inbound, outbound }) => ({ name, inbound, outbound }))).toEqual([
+      { name: 'a', inbound: [], outbound: ['b'] },
+      { name: 'b', inbound: ['a'], outbound: ['c'] },
+      { name: 'c', inbound: ['b'], outbound: [] }
+    ]);
+  });
+
+  test('derives outbound edges from the inbound ones and drops unknown sources', () => {
+    const original = [
+      { name: 'input', inbound: [] },
+      { name: 'left', inbound: ['input'], outbound: ['stale'] },
+      { name: 'right', inbound: ['input', 'missing'] },
+      { name: 'merge', inbound: ['left', 'right'] }
+    ];
+    const layers = ModelGraph.linkLayers(original);
+
+    expect(layers.map(layer => layer.outbound)).toEqual([['left', 'right'], ['merge'], ['merge'], []]);
+    expect(layers[2].inbound).toEqual(['input']);
+    expect(original[1].outbound).toEqual(['stale']);
+  });
+
+  test('gives parallel branches the same depth and flags edges that skip a level', () => {
+    // A residual add around input -> a -> b, then a concat with the shorter branch input -> c
+    const layers = ModelGraph.linkLayers([
+      { name: 'input', inbound: [] },
+      { name: 'a', inbound: ['input'] },
+      { name: 'b', inbound: ['a'] },
+      { name: 'c', inbound: ['input'] },
+      { name: 'add', inbound: ['input', 'b'] },
+      { name: 'concat', inbound: ['add', 'c'] }
+    ]);
+
+    expect(ModelGraph.computeDepths(layers)).toEqual({ input: 0, a: 1, c: 1, b: 2, add: 3, concat: 4 });
+    expect(ModelGraph.getEdges(layers).filter(edge => edge.isSkip)).toEqual([
+      { from: 'input', to: 'add', isSkip: true },
+      { from: 'c', to: 'concat', isSkip: true }
+    ]);
+    expect(ModelGraph.getEdges(layers)).toHaveLength(7);
+  });
+
+  test('reads inbound layers from a TF.js functional model', () => {
+    const input = tf.input({ shape: [4], name: 'features' });
+    const left = tf.layers.dense({ units: 2, name: 'left' }).apply(input);
+    const right = tf.layers.dense({ units: 2, name: 'right' }).apply(input);
+    const merged = tf.layers.add({ name: 'merge' }).apply([left, right]);
+    const tfModel = tf.model({ inputs: input, outputs: merged });
+
+    expect(tfModel.layers.map(layer => ModelGraph.getTfLayerInbound(layer))).toEqual([
+      [], ['features'], ['features'], ['left', 'right']
+    ]);
+    tfModel.dispose();
+  });
+});
@@ -0,0 +1,83 @@
+import * as tf from '@tensorflow/tfjs';
+import ModelSplitter from '../public/utils/ModelSplitter';
+
+// input -> stem -> branch -> add(stem, branch) -> pool -> logits: splitting at `branch`
+// leaves the residual connection from `stem` bypassing the split point
+function createResidualModel() {
+  const input = tf.input({ shape: [4, 4, 1], name: 'image' });
+  const stem = tf.layers.conv2d({ filters: 2, kernelSize: 3, padding: 'same', name: 'stem' }).apply(input);
+  const branch = tf.layers.conv2d({ filters: 2, kernelSize: 3, padding: 'same', name: 'branch' }).apply(stem);
+  const merged = tf.layers.add({ name: 'merge' }).apply([stem, branch]);
+  const pooled = tf.layers.globalAveragePooling2d({ name: 'pool' }).apply(merged);
+  const logits = tf.layers.dense({ units: 3, name: 'logits' }).apply(pooled);
+  return tf.model({ inputs: input, outputs: logits });
+}
+
+const expectClose = (actual, expected) => {
+  const a = actual.dataSync();
+  const b = expected.dataSync();
+  expect(actual.shape).toEqual(expected.shape);
+  b.forEach((value, index) => expect(a[index]).toBeCloseTo(value, 4));
+};
+
+describe('ModelSplitter', () => {
+  let tfModel;
+  let input;
+
+  beforeAll(async () => {
+    await tf.setBackend('cpu');
+    tfModel = createResidualModel();
+    input = tf.randomNormal([1, 4, 4, 1], 0, 1, 'float32', 7);
+  });
+
+  afterAll(() => {
+    input.dispose();
+  });
+
+  test('passes the residual branch to the head as context', () => {
+    const split = new ModelSplitter(tfModel).split('branch');
+    tf.tidy(() => {
+      const { activation, context } = split.body(input);
+      const stemOutput = tf.model({ inputs: tfModel.inputs, outputs: tfModel.getLayer('stem').output }).predict(input);
+
+      expect(activation.shape).toEqual([1, 4, 4, 2]);
+      expect(context).toHaveLength(1);
+      expectClose(context[0], stemOutput);
+      expectClose(split.head(activation, context), tfModel.predict(input));
+    });
+  });
+
+  test('gives the head gradient through the merge, not around it', () => {
+    // Past the split the model is add -> mean over 16 positions -> dense, so the gradient of
+    // logit c with respect to every unit of channel k of the activation is W[k][c] / 16
+    const split = new ModelSplitter(tfModel).split('branch');
+    const [kernel] = tfModel.getLayer('logits').getWeights();
+    tf.tidy(() => {
+      const { activation, context } = split.body(input);
+      const gradient = tf.grad(a => split.head(a, context).gather([2], 1).sum())(activation);
+      const expected = tf.broadcastTo(kernel.slice([0, 2], [2, 1]).reshape([1, 1, 1, 2]).div(16), [1, 4, 4, 2]);
+      expectClose(gradient, expected);
+    });
+  });
+
+  test('needs no context when nothing bypasses the split point', () => {
+    const split = new ModelSplitter(tfModel).split('merge');
+    tf.tidy(() => {
+      const { activation, context } = split.body(input);
+      expect(context).toHaveLength(0);
+      expectClose(split.head(activation, context), tfModel.predict(input));
+    });
+  });
+
+  test('caches splits per layer and splitters per model', () => {
+    const splitter = new ModelSplitter(tfModel);
+    expect(splitter.split('branch')).toBe(splitter.split('branch'));
+
+    const model = { tfModel, getGraphAdapter: () => null };
+    expect(ModelSplitter.forModel(model)).toBe(ModelSplitter.forModel(model));
+  });
+
+  test('refuses to split at the input layer', () => {
+    expect(() => new ModelSplitter(tfModel).split('image')).toThrow(/cannot be used to split/);
+  });
+});
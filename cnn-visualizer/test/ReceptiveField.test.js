@@ -0,0 +1,99 @@
+import * as tf from '@tensorflow/tfjs';
+import LayerAnalysis from '../public/utils/LayerAnalysis';
+import ModelGraph from '../public/utils/ModelGraph';
+import ReceptiveField from '../public/utils/ReceptiveField';
+
+const SIZE = 16;
+
+// image -> stem (strided) -> dw (depthwise) -> dilated (dilation 2)
+//       \-> pool (3×3 max pool, stride 1) ---------------------/-> concat -> pad -> avg
+// All weights are ones and biases zero, so a unit is non-zero exactly when a pixel of its
+// field is, and the field can be read off the model with one-hot images
+function createModel() {
+  const input = tf.input({ shape: [SIZE, SIZE, 1], name: 'image' });
+  const stem = tf.layers.conv2d({ filters: 2, kernelSize: 3, strides: 2, padding: 'same', kernelInitializer: 'ones', name: 'stem' }).apply(input);
+  const dw = tf.layers.depthwiseConv2d({ kernelSize: 3, padding: 'same', depthwiseInitializer: 'ones', name: 'dw' }).apply(stem);
+  const dilated = tf.layers.conv2d({ filters: 2, kernelSize: 3, dilationRate: 2, padding: 'same', kernelInitializer: 'ones', name: 'dilated' }).apply(dw);
+  const pool = tf.layers.maxPooling2d({ poolSize: 3, strides: 1, padding: 'same', name: 'pool' }).apply(stem);
+  const concat = tf.layers.concatenate({ name: 'concat' }).apply([dilated, pool]);
+  const pad = tf.layers.zeroPadding2d({ padding: [[1, 0], [0, 1]], name: 'pad' }).apply(concat);
+  const avg = tf.layers.averagePooling2d({ poolSize: 2, name: 'avg' }).apply(pad);
+  return tf.model({ inputs: input, outputs: [stem, dw, dilated, pool, concat, pad, avg] });
+}
+
+const DESCRIPTION = [
+  { name: 'image', type: 'input', input_shape: [SIZE, SIZE, 1] },
+  { name: 'stem', type: 'conv2d', filters: 2, kernel_size: [3, 3], strides: [2, 2], padding: 'same' },
+  { name: 'dw', type: 'depthwiseconv2d', kernel_size: [3, 3], padding: 'same' },
+  { name: 'dilated', type: 'conv2d', filters: 2, kernel_size: [3, 3], dilation_rate: [2, 2], padding: 'same' },
+  { name: 'pool', type: 'maxpooling2d', pool_size: [3, 3], strides: [1, 1], padding: 'same', inbound: ['stem'] },
+  { name: 'concat', type: 'concat', axis: -1, inbound: ['dilated', 'pool'] },
+  { name: 'pad', type: 'zeropadding2d', padding: [[1, 0], [0, 1]] },
+  { name: 'avg', type: 'averagepooling2d', pool_size: [2, 2] }
+];
+
+describe('ReceptiveField', () => {
+  test('follows the receptive field arithmetic', () => {
+    // Two 3×3 convolutions with stride 2 and one pixel of padding: sizes 3 then 7, jumps 2 then 4
+    const input = { size: [1, 1], jump: [1, 1], start: [0.5, 0.5], global: false, inputSize: [5, 5] };
+    const conv = { kernel: [3, 3], strides: [2, 2], dilation: [1, 1], padding: 'same' };
+    const first = ReceptiveField.window(input, [5, 5, 1], conv);
+    const second = ReceptiveField.window(first, [3, 3, 1], conv);
+
+    expect(first).toMatchObject({ size: [3, 3], jump: [2, 2], start: [0.5, 0.5] });
+    expect(second).toMatchObject({ size: [7, 7], jump: [4, 4], start: [0.5, 0.5] });
+    // Dilation 2 makes a 3×3 kernel span 5 positions; valid padding shifts the first unit
+    expect(ReceptiveField.window(input, [5, 5, 1], { ...conv, strides: [1, 1], dilation: [2, 2], padding: 'valid' }))
+      .toMatchObject({ size: [5, 5], jump: [1, 1], start: [2.5, 2.5] });
+  });
+
+  test('matches the pixels each unit of a TF.js model depends on', () => {
+    const layers = ReceptiveField.analyzeLayers(LayerAnalysis.analyzeLayers(ModelGraph.linkLayers(DESCRIPTION)));
+    const fields = Object.fromEntries(layers.map(layer => [layer.name, layer.receptive_field]));
+    const tfModel = createModel();
+
+    // Image i lights up pixel i only
+    const outputs = tf.tidy(() => {
+      const images = tf.oneHot(tf.range(0, SIZE * SIZE, 1, 'int32'), SIZE * SIZE).reshape([SIZE * SIZE, SIZE, SIZE, 1]);
+      return tfModel.predict(images).map(output => output.sum(-1).arraySync());
+    });
+
+    tfModel.outputNames.forEach((name, index) => {
+      const lit = outputs[index];
+      const [height, width] = [lit[0].length, lit[0][0].length];
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const pixels = lit.map((map, pixel) => (map[y][x] > 0 ? pixel : -1)).filter(pixel => pixel >= 0);
+          const rows = pixels.map(pixel => Math.floor(pixel / SIZE));
+          const columns = pixels.map(pixel => pixel % SIZE);
+          const expected = pixels.length === 0 ? null : {
+            top: Math.min(...rows),
+            left: Math.min(...columns),
+            height: Math.max(...rows) - Math.min(...rows) + 1,
+            width: Math.max(...columns) - Math.min(...columns) + 1
+          };
+          // Units that only see the zero padding of `pad` see no pixels at all
+          if (!expected) continue;
+          const { top, left, height: boxHeight, width: boxWidth } = ReceptiveField.boxAt(fields[name], y, x);
+          expect([name, y, x, { top, left, height: boxHeight, width: boxWidth }]).toEqual([name, y, x, expected]);
+        }
+      }
+    });
+    tfModel.dispose();
+  });
+
+  test('sees the whole input after flatten or global pooling', () => {
+    const layers = ReceptiveField.analyzeLayers(LayerAnalysis.analyzeLayers(ModelGraph.linkLayers([
+      { name: 'image', type: 'input', input_shape: [8, 6, 3] },
+      { name: 'conv', type: 'conv2d', filters: 4, kernel_size: [3, 3] },
+      { name: 'gap', type: 'averagepooling2d', global: true },
+      { name: 'logits', type: 'dense', units: 2 }
+    ])));
+    const [, conv, gap, logits] = layers.map(layer => layer.receptive_field);
+
+    expect(conv).toMatchObject({ size: [3, 3], global: false, inputSize: [8, 6] });
+    expect(gap).toMatchObject({ size: [8, 6], jump: [0, 0], start: [4, 3], global: true });
+    expect(logits).toBe(gap);
+    expect(ReceptiveField.boxAt(gap, 0, 0)).toEqual({ top: 0, left: 0, height: 8, width: 6, clipped: false });
+  });
+});
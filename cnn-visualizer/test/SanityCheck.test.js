@@ -0,0 +1,83 @@
+import * as tf from '@tensorflow/tfjs';
+import SanityCheck from '../public/utils/SanityCheck';
+
+// SSIM of two maps as a single window: Wang et al.'s formula with population statistics,
+// after scaling each map to [0, 1]
+function globalSsim(a, b) {
+  const scale = values => {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return values.map(value => (value - min) / (max - min));
+  };
+  const x = scale(a);
+  const y = scale(b);
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const muX = mean(x);
+  const muY = mean(y);
+  const varX = mean(x.map(value => (value - muX) ** 2));
+  const varY = mean(y.map(value => (value - muY) ** 2));
+  const covariance = mean(x.map((value, i) => (value - muX) * (y[i] - muY)));
+  const c1 = 0.01 ** 2;
+  const c2 = 0.03 ** 2;
+  return ((2 * muX * muY + c1) * (2 * covariance + c2)) / ((muX ** 2 + muY ** 2 + c1) * (varX + varY + c2));
+}
+
+describe('SanityCheck', () => {
+  beforeAll(async () => {
+    await tf.setBackend('cpu');
+  });
+
+  test('averages the ranks of ties', () => {
+    expect(Array.from(SanityCheck.rank([5, 6, 7, 8, 7]))).toEqual([0, 1, 2.5, 4, 2.5]);
+  });
+
+  test('computes the Spearman rank correlation', () => {
+    expect(SanityCheck.rankCorrelation([1, 2, 3, 4], [10, 20, 30, 1000])).toBeCloseTo(1);
+    expect(SanityCheck.rankCorrelation([1, 2, 3, 4], [4, 3, 2, 1])).toBeCloseTo(-1);
+    // Same as scipy.stats.spearmanr
+    expect(SanityCheck.rankCorrelation([1, 2, 3, 4, 5], [5, 6, 7, 8, 7])).toBeCloseTo(0.8207827, 6);
+    expect(SanityCheck.rankCorrelation([1, 2, 3], [2, 2, 2])).toBe(0);
+  });
+
+  test('computes the SSIM of the scaled maps', () => {
+    const a = [0.2, 0.9, 0.4, 0.1, 0.7, 0.3, 0.8, 0.5, 0.6];
+    const b = [0.3, 0.8, 0.1, 0.2, 0.9, 0.5, 0.6, 0.4, 0.7];
+    const [mapA, mapB, shifted, inverted] = tf.tidy(() => [
+      tf.tensor2d(a, [3, 3]),
+      tf.tensor2d(b, [3, 3]),
+      tf.tensor2d(a.map(value => 4 * value + 2), [3, 3]),
+      tf.tensor2d(a.map(value => -value), [3, 3])
+    ]);
+
+    // A 3×3 map is a single window
+    expect(SanityCheck.ssim(mapA, mapB)).toBeCloseTo(globalSsim(a, b), 5);
+    expect(SanityCheck.ssim(mapA, shifted)).toBeCloseTo(1, 5);
+    expect(SanityCheck.ssim(mapA, inverted)).toBeLessThan(0);
+    tf.dispose([mapA, mapB, shifted, inverted]);
+  });
+
+  test('randomizes a copy from the output layer down', async () => {
+    const tfModel = tf.sequential({
+      layers: [
+        tf.layers.dense({ inputShape: [4], units: 6, activation: 'relu', name: 'hidden' }),
+        tf.layers.dense({ units: 9, name: 'output' })
+      ]
+    });
+    const input = tf.tensor2d([[1, -2, 3, 0.5]]);
+    const explain = async model => tf.tidy(() => model.tfModel.predict(input).reshape([3, 3]));
+    const before = tfModel.predict(input);
+    const tensorCount = tf.memory().numTensors;
+
+    const results = await new SanityCheck({ tfModel }).cascadingRandomization(explain, { stages: 2 });
+
+    expect(tf.memory().numTensors).toBe(tensorCount);
+    expect(results.map(stage => stage.layerNames)).toEqual([[], ['output'], ['output', 'hidden']]);
+    expect(results[0]).toMatchObject({ rankCorrelation: 1, ssim: 1 });
+    results.slice(1).forEach(stage => expect(stage.rankCorrelation).toBeLessThan(1));
+    // The loaded model keeps its weights
+    expect(Array.from(tfModel.predict(input).dataSync())).toEqual(Array.from(before.dataSync()));
+
+    tfModel.dispose();
+    tf.dispose([input, before]);
+  });
+});
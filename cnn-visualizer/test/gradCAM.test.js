@@ -0,0 +1,82 @@
+import * as tf from '@tensorflow/tfjs';
+import GradCAM from '../public/utils/gradCAM';
+import ImagePreprocessor from '../public/utils/ImagePreprocessor';
+
+// Conv2D (two 2×2 filters, no bias) -> GlobalAveragePooling2D -> Dense (no bias), with
+// weights small enough to work out the heatmap by hand
+const FILTERS = [
+  [[1, 0], [0, 1]], // A0(i, j) = x(i, j) + x(i + 1, j + 1)
+  [[0, 1], [-1, 0]] // A1(i, j) = x(i, j + 1) - x(i + 1, j)
+];
+const DENSE = [[1, -1], [2, 0.5]]; // DENSE[k][c]: weight of channel k for class c
+const IMAGE = [[1, 2, 0], [0, 1, 3], [2, 0, 1]];
+
+function createModel() {
+  const tfModel = tf.sequential({
+    layers: [
+      tf.layers.conv2d({ inputShape: [3, 3, 1], filters: 2, kernelSize: 2, useBias: false, name: 'conv' }),
+      tf.layers.globalAveragePooling2d({ name: 'pool' }),
+      tf.layers.dense({ units: 2, useBias: false, name: 'logits' })
+    ]
+  });
+  const kernel = [0, 1].map(i => [0, 1].map(j => [FILTERS.map(filter => filter[i][j])]));
+  tfModel.getLayer('conv').setWeights([tf.tensor4d(kernel)]);
+  tfModel.getLayer('logits').setWeights([tf.tensor2d(DENSE)]);
+
+  // range [0, 255] makes normalization the identity, so the model sees IMAGE as is
+  const preprocessor = new ImagePreprocessor({ inputSize: [3, 3], channels: 1, range: [0, 255] });
+  return { tfModel, getPreprocessor: () => preprocessor, getGraphAdapter: () => null };
+}
+
+describe('GradCAM', () => {
+  let model;
+  let image;
+
+  beforeAll(async () => {
+    await tf.setBackend('cpu');
+    model = createModel();
+    image = tf.tensor3d(IMAGE.map(row => row.map(value => [value])));
+  });
+
+  afterAll(() => {
+    image.dispose();
+  });
+
+  test('matches ReLU(Σ_k mean(∂y_c/∂A_k) · A_k), normalized, for the predicted class', async () => {
+    // A0 = [[2, 5], [0, 2]], A1 = [[2, -1], [-1, 3]]. After global average pooling,
+    // ∂y_c/∂A_k is DENSE[k][c] / 4 at every position, so for class 0 the weights are 1/4
+    // and 1/2: 0.25 · A0 + 0.5 · A1 = [[1.5, 0.75], [-0.5, 2]], which ReLU and division
+    // by the maximum turn into [[0.75, 0.375], [0, 1]]. Class 0 also wins: y = [3.75, -1.875].
+    const gradCam = new GradCAM(model);
+    const heatmap = await gradCam.generateHeatmap(image, 'conv');
+
+    expect(gradCam.lastClassIndex).toBe(0);
+    expect(heatmap.shape).toEqual([2, 2]);
+    const values = heatmap.arraySync();
+    [[0.75, 0.375], [0, 1]].forEach((row, i) => row.forEach((expected, j) => {
+      expect(values[i][j]).toBeCloseTo(expected, 5);
+    }));
+    heatmap.dispose();
+  });
+
+  test('stays all zero when no region raises the class score', async () => {
+    // Class 1: -0.25 · A0 + 0.125 · A1 = [[-0.25, -1.375], [-0.125, -0.125]], all cut by ReLU
+    const heatmap = await new GradCAM(model).generateHeatmap(image, 'conv', 1);
+
+    expect(heatmap.arraySync()).toEqual([[0, 0], [0, 0]]);
+    heatmap.dispose();
+  });
+
+  test('releases every intermediate tensor', async () => {
+    const gradCam = new GradCAM(model);
+    (await gradCam.generateHeatmap(image, 'conv')).dispose();
+
+    const before = tf.memory().numTensors;
+    (await gradCam.generateHeatmap(image, 'conv')).dispose();
+    expect(tf.memory().numTensors).toBe(before);
+  });
+
+  test('rejects layers without spatial feature maps', async () => {
+    await expect(new GradCAM(model).generateHeatmap(image, 'logits')).rejects.toThrow(/no spatial feature maps/);
+  });
+});